@@ -1,301 +1,241 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef, useId } from 'react';
+import {
+  UNIT_LABELS,
+  toUnits,
+  fromUnits,
+  areaToUnits,
+  areaFromUnits,
+  volumeToUnits,
+  boxVolumeToUnits,
+  boxVolumeFromUnits,
+  smallToUnits,
+  smallFromUnits,
+  surfaceDensityToUnits,
+  tempToUnits,
+  tempFromUnits,
+  roundTo,
+  clamp,
+  calcSpeedOfSound,
+  calcModeFreq,
+  generateModes,
+  calcPressureAtPosition,
+  calcDipoleExcitation,
+  calcSBIR,
+  calcBoundaryGain,
+  calcSchroederFreq,
+  RATIO_MAX_FREQ,
+  evaluateRoomRatio,
+  optimizeRoomDimensions,
+  MATERIALS,
+  FURNISHINGS,
+  SURFACES,
+  calcSurfaceAbsorption,
+  calcRT60Bands,
+  calcBassRT60,
+  TREATMENTS,
+  TREATMENT_MOUNTS,
+  newTreatment,
+  placeTreatment,
+  calcTreatmentArea,
+  TREATMENT_LENGTHS,
+  mapTreatmentLengths,
+  calcModeT60,
+  PANEL_MATERIALS,
+  CAVITY_FILLS,
+  ABSORBER_TYPES,
+  designTunedAbsorber,
+  suggestTreatmentPlacements,
+  SPEAKER_RESPONSES,
+  RESPONSE_MODELS,
+  RESPONSE_DEFAULTS,
+  getSpeakerResponse,
+  mapResponseVolumes,
+  describeSpeakerResponse,
+  CROSSOVER_FILTERS,
+  getSpeakerRole,
+  calcBassManagedResponse,
+  calcSpeakerResponses,
+  interpolateDB,
+  calcLevelOffset,
+  shiftFR,
+  TARGET_CURVES,
+  fitTargetCurve,
+  parseMeasurement,
+  SMOOTHING_OPTIONS,
+  smoothFR,
+  calibrateRoom,
+  calibrateVolume,
+  calibrateModes,
+  calibrateOpenings,
+  calibrateAbsorption,
+  calibrateSpeakers,
+  IMPULSE_DEFAULTS,
+  calcImpulseFrequencies,
+  calcSystemImpulseResponse,
+  WATERFALL_DEFAULTS,
+  calcWaterfall,
+  DECAY_LIMITS,
+  calcNominalRT60,
+  calcModeDecayTimes,
+  AURALIZATION_DEFAULTS,
+  HIGH_BAND_OPTIONS,
+  calcAuralizationIR,
+  TEST_TRACKS,
+  encodeWAV,
+  AUTO_EQ_DEFAULTS,
+  calcEQChannels,
+  designAutoEQ,
+  applyEQ,
+  EQ_EXPORT_FORMATS,
+  calcSummationLoss,
+  findSubAlignment,
+  buildModalBasis,
+  toFR,
+  calcPredictedFR,
+  SOLVER_MAX_FREQ,
+  FLOOR_PLANS,
+  CEILING_PROFILES,
+  DEFAULT_ROOM_SHAPE,
+  mapShapeLengths,
+  isShapedRoom,
+  calcFloorPlan,
+  isInsideRoom,
+  calcAdjoiningBox,
+  newAdjoiningSpace,
+  ADJOINING_LENGTHS,
+  mapAdjoiningLengths,
+  calcCoupledOpenings,
+  buildSolverGrid,
+  toNumericMode,
+  DEFAULT_SEAT_TEMPLATE,
+  generateSeatGrid,
+  SEAT_VARIANCE_WEIGHT,
+  calcSubModeDetails,
+  DEFAULT_LISTENER_CONSTRAINTS,
+  listenerGrid,
+  meetsListenerConstraints,
+  recommendListeningPositions,
+  calcFrequencySlice,
+  calcModeSlice,
+  calcContourSegments,
+  calcRoomWireframe,
+  calcCeilingHeight,
+  getStandardSubPositions,
+  generateAllConfigurations,
+  mapZoneLengths,
+  isPlacementAllowed,
+  optimizeMultiSub,
+} from './acoustics.js';
 
-const SPEED_OF_SOUND = 1130; // ft/s
+// ============== OPTIMIZER WORKERS ==============
 
-// ============== ACOUSTIC CALCULATIONS ==============
+// Workers per optimizer job, leaving a core for the UI
+const OPTIMIZER_WORKERS = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+// Configurations kept per job (and shown in the results table)
+const OPTIMIZER_KEEP = 20;
+// Finished jobs remembered, so going back to earlier inputs is instant
+const OPTIMIZER_CACHE_SIZE = 20;
 
-const calcModeFreq = (n, m, l, length, width, height) => {
-  const termL = n > 0 ? (n / length) ** 2 : 0;
-  const termW = m > 0 ? (m / width) ** 2 : 0;
-  const termH = l > 0 ? (l / height) ** 2 : 0;
-  if (termL + termW + termH === 0) return 0;
-  return (SPEED_OF_SOUND / 2) * Math.sqrt(termL + termW + termH);
-};
-
-const getModeType = (n, m, l) => {
-  const nonZero = [n, m, l].filter(x => x > 0).length;
-  if (nonZero === 1) return { type: 'axial', level: 0 };
-  if (nonZero === 2) return { type: 'tangential', level: -3 };
-  return { type: 'oblique', level: -6 };
-};
+// Run optimizer tasks (see subOptimizer.worker.js) on one worker each, merging their
+// progress and best configurations. Returns a function that cancels the job.
+const runOptimizerJob = (basis, seats, tasks, { onProgress, onDone, onError }) => {
+  const weights = tasks.map(task => (task.configs || task.points)?.length || 1);
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  const states = tasks.map(() => ({ fraction: 0, evaluated: 0, configs: [], points: [], fit: null, done: false }));
+  const merged = () => ({
+    fraction: states.reduce((sum, state, i) => sum + state.fraction * weights[i], 0) / totalWeight,
+    evaluated: states.reduce((sum, state) => sum + state.evaluated, 0),
+    configs: states.flatMap(state => state.configs)
+      .sort((a, b) => b.score.overall - a.score.overall)
+      .slice(0, OPTIMIZER_KEEP),
+    points: states.flatMap(state => state.points),
+    fit: states.find(state => state.fit)?.fit || null,
+  });
 
-const generateModes = (length, width, height, maxFreq, maxOrder = 6) => {
-  const modes = [];
-  for (let n = 0; n <= maxOrder; n++) {
-    for (let m = 0; m <= maxOrder; m++) {
-      for (let l = 0; l <= maxOrder; l++) {
-        if (n === 0 && m === 0 && l === 0) continue;
-        const freq = calcModeFreq(n, m, l, length, width, height);
-        if (freq > 0 && freq <= maxFreq) {
-          const { type, level } = getModeType(n, m, l);
-          modes.push({ n, m, l, freq, type, level });
-        }
+  let workers = [];
+  const cancel = () => workers.forEach(worker => worker.terminate());
+  workers = tasks.map((task, i) => {
+    const worker = new Worker(new URL('./subOptimizer.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      if (e.data.error) {
+        cancel();
+        onError(e.data.error);
+        return;
       }
-    }
-  }
-  return modes.sort((a, b) => a.freq - b.freq);
-};
-
-const calcPressureAtPosition = (x, y, z, mode, room, wallOpenings) => {
-  const { n, m, l } = mode;
-  const { length, width, height } = room;
-
-  let pX = n > 0 ? Math.cos(n * Math.PI * x / length) : 1;
-  let pY = m > 0 ? Math.cos(m * Math.PI * y / width) : 1;
-  let pZ = l > 0 ? Math.cos(l * Math.PI * z / height) : 1;
-
-  let rawPressure = Math.abs(pX * pY * pZ);
-
-  // Calculate mode strength based on wall openings
-  // Mode requires reflections from both walls - multiplicative
-  let modeStrength = 1.0;
-  if (m > 0) {
-    modeStrength *= (1 - wallOpenings.left / 100) * (1 - wallOpenings.right / 100);
-  }
-  if (n > 0) {
-    modeStrength *= (1 - wallOpenings.front / 100) * (1 - wallOpenings.rear / 100);
-  }
-
-  // Push pressure toward neutral (0.5) as mode weakens
-  // Full strength: peaks stay at 1, nulls stay at 0
-  // No mode: everything becomes 0.5 (neutral)
-  const pressure = 0.5 + (rawPressure - 0.5) * modeStrength;
-
-  return pressure;
-};
-
-const calcDipoleExcitation = (speaker, mode, room) => {
-  const { x, y, z, orientation } = speaker;
-  const { length, width, height } = room;
-  const { n, m, l, freq } = mode;
-  
-  // Base pressure at position
-  let pX = n > 0 ? Math.cos(n * Math.PI * x / length) : 1;
-  let pY = m > 0 ? Math.cos(m * Math.PI * y / width) : 1;
-  let pZ = l > 0 ? Math.cos(l * Math.PI * z / height) : 1;
-  let basePressure = Math.abs(pX * pY * pZ);
-  
-  // Dipole cancellation based on orientation
-  const wavelength = SPEED_OF_SOUND / freq;
-  const dipoleDepth = 1.5; // ft, approximate
-  const phaseDiff = (dipoleDepth / wavelength) * 360;
-  
-  let cancellationFactor = 1;
-  
-  // orientation: 0 = facing listener (along length), 90 = facing sideways
-  const orientRad = (orientation || 0) * Math.PI / 180;
-  
-  // Length modes affected when facing along length
-  if (n > 0) {
-    const lengthEffect = Math.abs(Math.cos(orientRad));
-    cancellationFactor *= 1 - lengthEffect * (1 - Math.abs(Math.cos(phaseDiff * Math.PI / 360)));
-  }
-  
-  // Width modes affected when facing sideways
-  if (m > 0) {
-    const widthEffect = Math.abs(Math.sin(orientRad));
-    cancellationFactor *= 1 - widthEffect * (1 - Math.abs(Math.cos(phaseDiff * Math.PI / 360)));
-  }
-  
-  // Height modes less affected
-  if (l > 0) {
-    cancellationFactor *= 0.9;
-  }
-  
-  return basePressure * cancellationFactor;
-};
-
-const calcSBIR = (speaker, room) => {
-  const { x, y, z } = speaker;
-  const { length, width, height } = room;
-  
-  const distances = [
-    { boundary: 'Front wall', distance: x },
-    { boundary: 'Rear wall', distance: length - x },
-    { boundary: 'Left wall', distance: y },
-    { boundary: 'Right wall', distance: width - y },
-    { boundary: 'Floor', distance: z },
-    { boundary: 'Ceiling', distance: height - z },
-  ];
-  
-  return distances
-    .filter(d => d.distance > 0.1)
-    .map(d => ({
-      ...d,
-      freq: SPEED_OF_SOUND / (2 * d.distance),
-    }))
-    .sort((a, b) => a.freq - b.freq);
-};
-
-const calcBoundaryGain = (speaker, room, wallOpenings) => {
-  const { x, y, z, type } = speaker;
-  const { length, width, height } = room;
-  const threshold = 2;
-  
-  let gain = 0;
-  const isMonopole = type !== 'Large Dipole';
-  const gainPerBoundary = isMonopole ? 3 : 1.5;
-  
-  if (z < threshold) gain += gainPerBoundary; // floor
-  if (height - z < threshold) gain += gainPerBoundary; // ceiling
-  if (x < threshold) gain += gainPerBoundary * (1 - wallOpenings.front / 100);
-  if (length - x < threshold) gain += gainPerBoundary * (1 - wallOpenings.rear / 100);
-  if (y < threshold) gain += gainPerBoundary * (1 - wallOpenings.left / 100);
-  if (width - y < threshold) gain += gainPerBoundary * (1 - wallOpenings.right / 100);
-  
-  return gain;
-};
-
-const calcSchroederFreq = (volume, rt60 = 0.4) => {
-  const volumeM3 = volume * 0.0283168; // ft³ to m³
-  return 2000 * Math.sqrt(rt60 / volumeM3);
-};
-
-// ============== SUBWOOFER OPTIMIZER ==============
-
-// Pressure with sign preserved (for phase cancellation calculations)
-const calcPressureWithSign = (pos, mode, room) => {
-  const pX = mode.n > 0 ? Math.cos(mode.n * Math.PI * pos.x / room.length) : 1;
-  const pY = mode.m > 0 ? Math.cos(mode.m * Math.PI * pos.y / room.width) : 1;
-  const pZ = mode.l > 0 ? Math.cos(mode.l * Math.PI * pos.z / room.height) : 1;
-  return pX * pY * pZ; // Signed value for phase relationships
-};
-
-// Calculate predicted frequency response for a subwoofer configuration
-const calcPredictedFR = (subPositions, modes, room, listener, freqRange = [20, 120]) => {
-  const frequencies = [];
-  for (let f = freqRange[0]; f <= freqRange[1]; f += 2) frequencies.push(f);
-
-  return frequencies.map(freq => {
-    // Find modes that contribute at this frequency (within modal bandwidth)
-    const bandwidth = freq / 8; // Q ~ 8 for room modes
-    const nearbyModes = modes.filter(m => Math.abs(m.freq - freq) < bandwidth);
-
-    // Calculate net contribution from all modes
-    let totalPressure = 0;
-    nearbyModes.forEach(mode => {
-      // How much the LP couples to this mode
-      const lpCoupling = calcPressureWithSign(listener, mode, room);
-
-      // Sum sub excitations (with sign for phase cancellation)
-      const netSubExcitation = subPositions.reduce((sum, sub) => {
-        return sum + calcPressureWithSign(sub, mode, room);
-      }, 0);
-
-      // Weight by mode type (axial modes are stronger)
-      const typeWeight = mode.type === 'axial' ? 1.0 : mode.type === 'tangential' ? 0.5 : 0.25;
-
-      // Mode contribution = sub excitation × LP coupling × type weight
-      const modeContribution = netSubExcitation * lpCoupling * typeWeight;
-      totalPressure += modeContribution;
-    });
-
-    // Add baseline (direct sound contribution, prevents -Infinity dB)
-    const baseline = 0.5;
-    totalPressure += baseline;
-
-    // Convert to dB (relative)
-    const dB = 20 * Math.log10(Math.abs(totalPressure));
-    return { freq, dB, pressure: totalPressure };
+      const { fraction = 1, evaluated, configs = states[i].configs, points = states[i].points, fit = states[i].fit } = e.data;
+      Object.assign(states[i], { fraction, evaluated, configs, points, fit, done: e.data.type === 'done' });
+      if (states[i].done) worker.terminate();
+      if (states.every(state => state.done)) onDone(merged());
+      else onProgress(merged());
+    };
+    worker.onerror = (e) => {
+      cancel();
+      onError(e.message || 'Optimizer worker failed');
+    };
+    worker.postMessage({ basis, seats, task: { ...task, keep: OPTIMIZER_KEEP } });
+    return worker;
   });
+  return cancel;
 };
 
-// Standard deviation helper
-const standardDeviation = (arr) => {
-  const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
-  const variance = arr.reduce((sum, val) => sum + (val - mean) ** 2, 0) / arr.length;
-  return Math.sqrt(variance);
-};
-
-// Score a subwoofer configuration based on FR flatness
-const scoreSubConfig = (subPositions, modes, room, listener) => {
-  const fr = calcPredictedFR(subPositions, modes, room, listener);
-  const dBValues = fr.map(r => r.dB);
+// An optimizer job's state ({ status: 'idle' | 'running' | 'done' | 'cancelled' | 'error',
+// key, fraction, evaluated, configs, points, fit, error }), with finished results cached by key
+const useOptimizerJob = () => {
+  const [run, setRun] = useState({ status: 'idle' });
+  const cancelRef = useRef(null);
+  const cacheRef = useRef(new Map());
 
-  // Primary metrics: FR flatness
-  const peakToPeak = Math.max(...dBValues) - Math.min(...dBValues);
-  const stdDev = standardDeviation(dBValues);
-
-  // Score: lower peak-to-peak = better (scaled so ±15dB → ~50 score)
-  const flatnessScore = Math.max(0, 100 - peakToPeak * 3);
-
-  // Calculate mode-by-mode details for expanded view
-  const modeDetails = modes.filter(m => m.freq <= 120).map(mode => {
-    const lpCoupling = calcPressureWithSign(listener, mode, room);
-    const netSubExcitation = subPositions.reduce((sum, sub) => {
-      return sum + calcPressureWithSign(sub, mode, room);
-    }, 0);
-    const effectiveImpact = Math.abs(netSubExcitation * lpCoupling);
+  const cancel = () => {
+    cancelRef.current?.();
+    cancelRef.current = null;
+  };
 
-    return {
-      mode,
-      lpPressure: Math.abs(lpCoupling),
-      netExcitation: netSubExcitation,
-      absExcitation: Math.abs(netSubExcitation),
-      effectiveImpact,
-      isCancelled: Math.abs(netSubExcitation) < 0.2 && subPositions.length > 1,
+  const start = (key, basis, seats, tasks) => {
+    cancel();
+    const finish = (result) => {
+      cancelRef.current = null;
+      const cache = cacheRef.current;
+      cache.set(key, result);
+      if (cache.size > OPTIMIZER_CACHE_SIZE) cache.delete(cache.keys().next().value);
+      setRun({ status: 'done', key, ...result });
     };
-  });
+    if (tasks.length === 0) {
+      finish({ fraction: 1, evaluated: 0, configs: [], points: [] });
+      return;
+    }
+    setRun({ status: 'running', key, fraction: 0, evaluated: 0, configs: [], points: [] });
+    cancelRef.current = runOptimizerJob(basis, seats, tasks, {
+      onProgress: (progress) => setRun({ status: 'running', key, ...progress }),
+      onDone: finish,
+      onError: (error) => {
+        cancelRef.current = null;
+        setRun({ status: 'error', key, error });
+      },
+    });
+  };
 
-  return {
-    overall: flatnessScore,
-    peakToPeak,
-    stdDev,
-    fr,
-    modeDetails,
+  // Show the cached result for key, if there is one
+  const restore = (key) => {
+    const cached = cacheRef.current.get(key);
+    if (!cached) return false;
+    cancel();
+    setRun({ status: 'done', key, ...cached });
+    return true;
   };
-};
 
-// 16 floor positions for subwoofer placement (all at z=0, offset 0.5ft from walls)
-const FLOOR_POSITIONS = {
-  // Corners (4)
-  FL:   { name: 'Front-Left Corner',           getPos: (r) => ({ x: 0.5, y: 0.5, z: 0 }) },
-  FR:   { name: 'Front-Right Corner',          getPos: (r) => ({ x: 0.5, y: r.width - 0.5, z: 0 }) },
-  RL:   { name: 'Rear-Left Corner',            getPos: (r) => ({ x: r.length - 0.5, y: 0.5, z: 0 }) },
-  RR:   { name: 'Rear-Right Corner',           getPos: (r) => ({ x: r.length - 0.5, y: r.width - 0.5, z: 0 }) },
-  // Front Wall (3)
-  F14:  { name: 'Front Wall 1/4 from Left',    getPos: (r) => ({ x: 0.5, y: r.width * 0.25, z: 0 }) },
-  FM:   { name: 'Front Wall Center',           getPos: (r) => ({ x: 0.5, y: r.width * 0.5, z: 0 }) },
-  F34:  { name: 'Front Wall 3/4 from Left',    getPos: (r) => ({ x: 0.5, y: r.width * 0.75, z: 0 }) },
-  // Rear Wall (3)
-  R14:  { name: 'Rear Wall 1/4 from Left',     getPos: (r) => ({ x: r.length - 0.5, y: r.width * 0.25, z: 0 }) },
-  RM:   { name: 'Rear Wall Center',            getPos: (r) => ({ x: r.length - 0.5, y: r.width * 0.5, z: 0 }) },
-  R34:  { name: 'Rear Wall 3/4 from Left',     getPos: (r) => ({ x: r.length - 0.5, y: r.width * 0.75, z: 0 }) },
-  // Left Wall (3)
-  L14:  { name: 'Left Wall 1/4 from Front',    getPos: (r) => ({ x: r.length * 0.25, y: 0.5, z: 0 }) },
-  LM:   { name: 'Left Wall Center',            getPos: (r) => ({ x: r.length * 0.5, y: 0.5, z: 0 }) },
-  L34:  { name: 'Left Wall 3/4 from Front',    getPos: (r) => ({ x: r.length * 0.75, y: 0.5, z: 0 }) },
-  // Right Wall (3)
-  Ri14: { name: 'Right Wall 1/4 from Front',   getPos: (r) => ({ x: r.length * 0.25, y: r.width - 0.5, z: 0 }) },
-  RiM:  { name: 'Right Wall Center',           getPos: (r) => ({ x: r.length * 0.5, y: r.width - 0.5, z: 0 }) },
-  Ri34: { name: 'Right Wall 3/4 from Front',   getPos: (r) => ({ x: r.length * 0.75, y: r.width - 0.5, z: 0 }) },
-};
+  const stop = () => {
+    cancel();
+    setRun(current => ({ ...current, status: 'cancelled' }));
+  };
 
-// Generate all k-combinations from an array
-const combinations = (arr, k) => {
-  if (k === 1) return arr.map(x => [x]);
-  if (k === arr.length) return [arr];
-  const result = [];
-  for (let i = 0; i <= arr.length - k; i++) {
-    const head = arr[i];
-    const tailCombos = combinations(arr.slice(i + 1), k - 1);
-    for (const tail of tailCombos) {
-      result.push([head, ...tail]);
-    }
-  }
-  return result;
-};
+  const reset = () => {
+    cancel();
+    setRun({ status: 'idle' });
+  };
 
-// Generate all configurations for N subs
-const generateAllConfigurations = (numSubs, room) => {
-  const positionKeys = Object.keys(FLOOR_POSITIONS);
-  const combos = combinations(positionKeys, numSubs);
+  useEffect(() => cancel, []);
 
-  return combos.map(keys => ({
-    keys,
-    name: keys.map(k => FLOOR_POSITIONS[k].name).join(' + '),
-    positions: keys.map(k => FLOOR_POSITIONS[k].getPos(room)),
-  }));
+  return { run, start, restore, stop, reset };
 };
 
 // ============== UI COMPONENTS ==============
@@ -318,7 +258,234 @@ const NumberInput = ({ label, value, onChange, min, max, step = 0.1, unit = '' }
   </div>
 );
 
-const SpeakerInput = ({ speaker, index, onChange, onRemove }) => (
+// Length stored in feet, edited in the selected unit system
+const LengthInput = ({ label, value, onChange, units, step }) => (
+  <NumberInput
+    label={label}
+    value={roundTo(toUnits(value, units))}
+    onChange={v => onChange(fromUnits(v, units))}
+    step={step ?? (units === 'm' ? 0.05 : 0.1)}
+    unit={UNIT_LABELS[units].length}
+  />
+);
+
+// Panel, hole and cavity dimension stored in feet, edited in inches or millimetres
+const SmallLengthInput = ({ label, value, onChange, units }) => (
+  <NumberInput
+    label={label}
+    value={roundTo(smallToUnits(value, units), units === 'm' ? 1 : 3)}
+    onChange={v => onChange(smallFromUnits(Math.max(0.1, v), units))}
+    step={units === 'm' ? 1 : 0.125}
+    unit={UNIT_LABELS[units].small}
+  />
+);
+
+// One adjoining space: which wall it shares, its size and the opening between them
+const AdjoiningSpaceInput = ({ space, onChange, onRemove, units }) => {
+  const along = space.wall === 'front' || space.wall === 'rear' ? 'from left' : 'from front';
+  const set = (key) => (v) => onChange({ ...space, [key]: Math.max(0, v) });
+  return (
+    <div className="bg-gray-700 rounded p-3 space-y-2">
+      <div className="flex justify-between items-center">
+        <select
+          value={space.wall}
+          onChange={e => onChange({ ...space, wall: e.target.value })}
+          className="bg-gray-600 px-2 py-1 rounded text-white text-sm"
+        >
+          {['front', 'rear', 'left', 'right'].map(wall => <option key={wall} value={wall}>Behind {wall} wall</option>)}
+        </select>
+        <button onClick={onRemove} className="text-red-400 hover:text-red-300 text-sm">Remove</button>
+      </div>
+      <div className="grid grid-cols-4 gap-2">
+        <LengthInput label="Depth" value={space.depth} onChange={set('depth')} units={units} />
+        <LengthInput label="Width" value={space.width} onChange={set('width')} units={units} />
+        <LengthInput label="Height" value={space.height} onChange={set('height')} units={units} />
+        <LengthInput label={`Starts ${along}`} value={space.offset} onChange={set('offset')} units={units} />
+      </div>
+      <div className="grid grid-cols-4 gap-2">
+        <LengthInput label="Opening width" value={space.openingWidth} onChange={set('openingWidth')} units={units} />
+        <LengthInput label="Opening height" value={space.openingHeight} onChange={set('openingHeight')} units={units} />
+        <LengthInput label={`Opening ${along}`} value={space.openingOffset} onChange={set('openingOffset')} units={units} />
+      </div>
+    </div>
+  );
+};
+
+// One sub placement zone: a box subs must stay out of, or one they may be placed in
+const PlacementZoneInput = ({ zone, onChange, onRemove, units }) => {
+  const set = (axis, end) => (v) => {
+    const range = [...zone[axis]];
+    range[end] = Math.max(0, v);
+    onChange({ ...zone, [axis]: range });
+  };
+  const axes = [['x', 'from front'], ['y', 'from left'], ['z', 'height']];
+  return (
+    <div className={`rounded p-3 space-y-2 border ${zone.kind === 'keepOut' ? 'border-red-700 bg-red-900/20' : 'border-green-700 bg-green-900/20'}`}>
+      <div className="flex justify-between items-center">
+        <select
+          value={zone.kind}
+          onChange={e => onChange({ ...zone, kind: e.target.value })}
+          className="bg-gray-600 px-2 py-1 rounded text-white text-sm"
+        >
+          <option value="keepOut">Keep-out zone</option>
+          <option value="allowed">Allowed zone</option>
+        </select>
+        <button onClick={onRemove} className="text-red-400 hover:text-red-300 text-sm">Remove</button>
+      </div>
+      <div className="grid grid-cols-6 gap-2">
+        {axes.map(([axis, label]) => (
+          <React.Fragment key={axis}>
+            <LengthInput label={`${label} min`} value={zone[axis][0]} onChange={set(axis, 0)} units={units} />
+            <LengthInput label={`${label} max`} value={zone[axis][1]} onChange={set(axis, 1)} units={units} />
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// One bass trap or panel: its kind, where it is mounted, the centre of its face
+// along the surface and its size
+const TREATMENT_AXIS_LABELS = { x: 'Centre from front', y: 'Centre from left', z: 'Centre height' };
+
+const TreatmentInput = ({ trap, room, onChange, onRemove, units }) => {
+  const treatment = TREATMENTS[trap.kind];
+  const { span } = TREATMENT_MOUNTS[trap.mount];
+  const overhead = trap.mount === 'ceiling' || trap.mount === 'floor';
+  const set = (changes) => onChange(placeTreatment({ ...trap, ...changes }, room));
+  const setKind = (kind) => {
+    const { tuning, q, peakAlpha, design, ...rest } = trap;
+    const defaults = TREATMENTS[kind];
+    onChange(placeTreatment(defaults.tuned ? { ...rest, kind, tuning: tuning ?? defaults.tuning, q: q ?? defaults.q } : { ...rest, kind }, room));
+  };
+  return (
+    <div className="rounded p-3 space-y-2 border border-cyan-800 bg-cyan-900/10">
+      <div className="flex flex-wrap gap-2 items-center justify-between">
+        <div className="flex flex-wrap gap-2">
+          <select value={trap.kind} onChange={e => setKind(e.target.value)} className="bg-gray-600 px-2 py-1 rounded text-white text-sm">
+            {Object.entries(TREATMENTS).map(([key, t]) => <option key={key} value={key}>{t.name}</option>)}
+          </select>
+          <select value={trap.mount} onChange={e => set({ mount: e.target.value })} className="bg-gray-600 px-2 py-1 rounded text-white text-sm">
+            {Object.entries(TREATMENT_MOUNTS).map(([key, mount]) => <option key={key} value={key}>{mount.name}</option>)}
+          </select>
+        </div>
+        <button onClick={onRemove} className="text-red-400 hover:text-red-300 text-sm">Remove</button>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {span.map(([axis]) => (
+          <LengthInput key={axis} label={TREATMENT_AXIS_LABELS[axis]} value={trap[axis]} onChange={v => set({ [axis]: v })} units={units} />
+        ))}
+        <LengthInput label={overhead ? 'Across' : 'Width'} value={trap.width} onChange={v => set({ width: Math.max(0.1, v) })} units={units} />
+        <LengthInput label={overhead ? 'Along' : 'Height'} value={trap.height} onChange={v => set({ height: Math.max(0.1, v) })} units={units} />
+        {trap.design && (
+          <span className="text-sm text-gray-300 pb-1 self-end">
+            {ABSORBER_TYPES[trap.design.type].name}: {trap.tuning} Hz, Q {trap.q}, α {trap.peakAlpha} at resonance
+          </span>
+        )}
+        {treatment.tuned && !trap.design && (
+          <>
+            <NumberInput label="Tuned to" value={trap.tuning} onChange={v => set({ tuning: clamp(v, [15, 300]) })} min={15} max={300} step={1} unit="Hz" />
+            <NumberInput label="Q" value={trap.q} onChange={v => set({ q: clamp(v, [0.3, 10]) })} min={0.3} max={10} step={0.1} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Polygon vertices as "x, y" lines in the selected units; applied on blur
+const VertexEditor = ({ vertices, onChange, units }) => {
+  const format = (verts) => verts.map(([x, y]) => `${roundTo(toUnits(x, units), 2)}, ${roundTo(toUnits(y, units), 2)}`).join('\n');
+  const [text, setText] = useState(format(vertices));
+  const [error, setError] = useState(null);
+
+  useEffect(() => setText(format(vertices)), [vertices, units]);
+
+  const apply = () => {
+    const parsed = text.split('\n').map(line => line.trim()).filter(Boolean).map(line => line.split(/[\s,;]+/).map(parseFloat));
+    if (parsed.length < 3 || parsed.some(p => p.length !== 2 || p.some(v => !Number.isFinite(v) || v < 0))) {
+      setError('Enter at least three "x, y" pairs (from front wall, from left wall)');
+      return;
+    }
+    setError(null);
+    onChange(parsed.map(([x, y]) => [fromUnits(x, units), fromUnits(y, units)]));
+  };
+
+  return (
+    <div className="flex flex-col gap-1">
+      <label className="text-sm text-gray-400">Vertices (from front, from left) in {UNIT_LABELS[units].length}</label>
+      <textarea
+        value={text}
+        onChange={e => setText(e.target.value)}
+        onBlur={apply}
+        className="w-48 h-32 bg-gray-700 p-2 rounded text-xs font-mono text-white"
+      />
+      {error && <span className="text-xs text-red-400">{error}</span>}
+    </div>
+  );
+};
+
+// Input label, unit and step for each low-frequency model parameter
+const RESPONSE_PARAM_INPUTS = {
+  f3: { label: 'F3', unit: 'Hz', step: 1 },
+  qtc: { label: 'Qtc', step: 0.05 },
+  fb: { label: 'Tuning', unit: 'Hz', step: 1 },
+  fs: { label: 'Fs', unit: 'Hz', step: 1 },
+  qts: { label: 'Qts', step: 0.01 },
+  vas: { label: 'Vas', volume: true },
+  vb: { label: 'Box volume', volume: true },
+};
+
+// Low-frequency model: the type's default, or explicit sealed/ported/Thiele-Small parameters
+const SpeakerResponseInput = ({ speaker, onChange, units }) => {
+  const { response } = speaker;
+  const selectModel = (model) => {
+    if (model === 'type') return onChange(null);
+    const typeDefault = SPEAKER_RESPONSES[speaker.type];
+    onChange({ ...(typeDefault?.model === model ? typeDefault : RESPONSE_DEFAULTS[model]) });
+  };
+  return (
+    <div className="flex flex-wrap gap-3 items-end">
+      <div className="flex flex-col gap-1">
+        <label className="text-sm text-gray-400">Low-frequency model</label>
+        <select
+          value={response?.model || 'type'}
+          onChange={e => selectModel(e.target.value)}
+          className="bg-gray-600 px-2 py-1 rounded text-white"
+        >
+          <option value="type">Type default</option>
+          {Object.entries(RESPONSE_MODELS).map(([key, { name }]) => <option key={key} value={key}>{name}</option>)}
+        </select>
+      </div>
+      {response && RESPONSE_MODELS[response.model].params.map(param => {
+        const input = RESPONSE_PARAM_INPUTS[param];
+        const label = response.model === 'ts' && param === 'fb' ? 'Tuning (0 = sealed)' : input.label;
+        return input.volume ? (
+          <NumberInput
+            key={param}
+            label={label}
+            value={roundTo(boxVolumeToUnits(response[param], units), 2)}
+            onChange={v => onChange({ ...response, [param]: boxVolumeFromUnits(Math.max(0.01, v), units) })}
+            step={units === 'm' ? 1 : 0.1}
+            unit={UNIT_LABELS[units].boxVolume}
+          />
+        ) : (
+          <NumberInput
+            key={param}
+            label={label}
+            value={response[param]}
+            onChange={v => onChange({ ...response, [param]: Math.max(param === 'fb' ? 0 : 0.01, v) })}
+            step={input.step}
+            unit={input.unit}
+          />
+        );
+      })}
+      <span className="text-sm text-gray-400 pb-1">{describeSpeakerResponse(getSpeakerResponse(speaker), units)}</span>
+    </div>
+  );
+};
+
+const SpeakerInput = ({ speaker, index, onChange, onRemove, units }) => (
   <div className="bg-gray-700 rounded p-4 space-y-3">
     <div className="flex justify-between items-center">
       <input
@@ -332,23 +499,23 @@ const SpeakerInput = ({ speaker, index, onChange, onRemove }) => (
       </button>
     </div>
     <div className="grid grid-cols-4 gap-3">
-      <NumberInput
+      <LengthInput
         label="From front"
         value={speaker.x}
         onChange={v => onChange(index, { ...speaker, x: v })}
-        unit="ft"
+        units={units}
       />
-      <NumberInput
+      <LengthInput
         label="From left"
         value={speaker.y}
         onChange={v => onChange(index, { ...speaker, y: v })}
-        unit="ft"
+        units={units}
       />
-      <NumberInput
+      <LengthInput
         label="Woofer Height"
         value={speaker.z}
         onChange={v => onChange(index, { ...speaker, z: v })}
-        unit="ft"
+        units={units}
       />
       <NumberInput
         label="Power offset"
@@ -375,6 +542,23 @@ const SpeakerInput = ({ speaker, index, onChange, onRemove }) => (
           <option value="Subwoofer Ported">Subwoofer Ported</option>
         </select>
       </div>
+      <NumberInput
+        label="Delay"
+        value={speaker.delay || 0}
+        onChange={v => onChange(index, { ...speaker, delay: Math.max(0, v) })}
+        unit="ms"
+        step={0.5}
+        min={0}
+      />
+      <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={!!speaker.invert}
+          onChange={e => onChange(index, { ...speaker, invert: e.target.checked })}
+          className="w-4 h-4 rounded"
+        />
+        Invert polarity
+      </label>
       {speaker.type === 'Large Dipole' && (
         <NumberInput
           label="Orientation (0=facing rear)"
@@ -387,6 +571,11 @@ const SpeakerInput = ({ speaker, index, onChange, onRemove }) => (
         />
       )}
     </div>
+    <SpeakerResponseInput
+      speaker={speaker}
+      onChange={response => onChange(index, { ...speaker, response })}
+      units={units}
+    />
   </div>
 );
 
@@ -427,6 +616,67 @@ const ScoreBar = ({ score }) => {
   );
 };
 
+// Room modes as lines on a linear frequency axis: height by level, color by type,
+// coincident axial modes ringed
+const MODE_TYPE_COLORS = { axial: '#f87171', tangential: '#facc15', oblique: '#60a5fa' };
+
+const ModeSpectrum = ({ modes, degenerate = [], maxFreq, width = 360, height = 60 }) => {
+  const x = (freq) => (freq / maxFreq) * width;
+  const stacked = new Set(degenerate.flat());
+  return (
+    <svg width={width} height={height + 12} className="bg-gray-900 rounded">
+      {[50, 100, 150, 200, 250, 300].filter(f => f < maxFreq).map(f => (
+        <g key={f}>
+          <line x1={x(f)} y1={0} x2={x(f)} y2={height} stroke="#374151" />
+          <text x={x(f)} y={height + 10} fontSize="8" fill="#9ca3af" textAnchor="middle">{f}</text>
+        </g>
+      ))}
+      {modes.map((m, i) => (
+        <line
+          key={i}
+          x1={x(m.freq)}
+          y1={height}
+          x2={x(m.freq)}
+          y2={height * (1 - 0.85 * (1 + m.level / 12))}
+          stroke={MODE_TYPE_COLORS[m.type]}
+          strokeWidth={1.5}
+        >
+          <title>{`(${m.n},${m.m},${m.l}) ${m.freq.toFixed(1)} Hz ${m.type}`}</title>
+        </line>
+      ))}
+      {modes.filter(m => stacked.has(m)).map((m, i) => (
+        <circle key={i} cx={x(m.freq)} cy={height * 0.15 - 4} r={3} fill="none" stroke="#f3f4f6" />
+      ))}
+    </svg>
+  );
+};
+
+// Pass/fail of the ratio criteria and the mode-spacing statistics of one room
+const RatioCriteria = ({ evaluation }) => {
+  const { ratio, bolt, walker, bonello, spacing, degenerate } = evaluation;
+  const badge = (ok, label, title) => (
+    <span title={title} className={`px-2 py-0.5 rounded text-xs ${ok ? 'bg-green-900 text-green-200' : 'bg-red-900 text-red-200'}`}>
+      {ok ? '✓' : '✗'} {label}
+    </span>
+  );
+  return (
+    <div className="space-y-1 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span>1 : {ratio.y.toFixed(2)} : {ratio.z.toFixed(2)}</span>
+        {badge(bolt, 'Bolt area', 'Inside the region of smooth ratios on Bolt\'s chart')}
+        {badge(walker, 'Walker', '1.1·W/H ≤ L/H ≤ 4.5·W/H − 4, both below 3 (ITU-R BS.1116, EBU Tech 3276)')}
+        {badge(bonello.pass, 'Bonello', bonello.pass ? 'Modes per 1/3 octave never fall, no coincidences in sparse bands'
+          : [!bonello.increasing && 'mode count falls from one 1/3-octave band to the next', !bonello.noCoincidence && 'coincident modes in a band with fewer than 5'].filter(Boolean).join('; '))}
+        {badge(degenerate.length === 0, `${degenerate.length} coincident axial`, degenerate.map(group => group.map(m => `(${m.n},${m.m},${m.l}) ${m.freq.toFixed(1)} Hz`).join(' + ')).join('\n') || 'No axial modes within 2% of each other')}
+      </div>
+      <div className="text-xs text-gray-400">
+        Axial and tangential mode spacing: mean {spacing.mean.toFixed(1)} Hz, std dev {spacing.stdDev.toFixed(1)} Hz,
+        largest gap {spacing.maxGap.toFixed(1)} Hz, evenness {spacing.evenness.toFixed(2)} (lower is more even)
+      </div>
+    </div>
+  );
+};
+
 const FRCurvePreview = ({ fr, width = 120, height = 40 }) => {
   if (!fr || fr.length === 0) return null;
 
@@ -435,8 +685,10 @@ const FRCurvePreview = ({ fr, width = 120, height = 40 }) => {
   const maxDB = Math.max(...dBValues);
   const range = maxDB - minDB || 1;
 
-  const points = fr.map((point, i) => {
-    const x = (i / (fr.length - 1)) * width;
+  const fMin = fr[0].freq;
+  const fMax = fr[fr.length - 1].freq;
+  const points = fr.map(point => {
+    const x = (Math.log(point.freq / fMin) / Math.log(fMax / fMin || 2)) * width;
     const y = height - ((point.dB - minDB) / range) * height;
     return `${x},${y}`;
   }).join(' ');
@@ -453,6 +705,676 @@ const FRCurvePreview = ({ fr, width = 120, height = 40 }) => {
   );
 };
 
+// Log-frequency plot of a response relative to 0 dB, with notch markers
+const SBIRChart = ({ fr, notches = [], width = 320, height = 110, range = [-30, 10] }) => {
+  if (!fr || fr.length === 0) return null;
+  const pad = { left: 28, right: 6, top: 6, bottom: 16 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const fMin = fr[0].freq;
+  const fMax = fr[fr.length - 1].freq;
+  const xAt = (f) => pad.left + (Math.log(f / fMin) / Math.log(fMax / fMin)) * plotW;
+  const yAt = (dB) => pad.top + ((range[1] - Math.max(range[0], Math.min(range[1], dB))) / (range[1] - range[0])) * plotH;
+  const points = fr.map(p => `${xAt(p.freq)},${yAt(p.dB)}`).join(' ');
+  const freqTicks = [20, 50, 100, 200, 500, 1000].filter(f => f >= fMin && f <= fMax);
+  const dBTicks = [];
+  for (let dB = range[0]; dB <= range[1]; dB += 10) dBTicks.push(dB);
+
+  return (
+    <svg width={width} height={height} className="bg-gray-800 rounded">
+      {dBTicks.map(dB => (
+        <g key={dB}>
+          <line x1={pad.left} x2={width - pad.right} y1={yAt(dB)} y2={yAt(dB)} stroke={dB === 0 ? '#6b7280' : '#374151'} strokeWidth="1" />
+          <text x={pad.left - 3} y={yAt(dB) + 3} textAnchor="end" fontSize="8" fill="#9ca3af">{dB}</text>
+        </g>
+      ))}
+      {freqTicks.map(f => (
+        <g key={f}>
+          <line x1={xAt(f)} x2={xAt(f)} y1={pad.top} y2={pad.top + plotH} stroke="#374151" strokeWidth="1" />
+          <text x={xAt(f)} y={height - 4} textAnchor="middle" fontSize="8" fill="#9ca3af">{f}</text>
+        </g>
+      ))}
+      <polyline points={points} fill="none" stroke="#60a5fa" strokeWidth="1.5" />
+      {notches.map((n, i) => (
+        <circle key={i} cx={xAt(n.freq)} cy={yAt(n.depth)} r="2.5" fill="#f87171" />
+      ))}
+    </svg>
+  );
+};
+
+// Save text as a file through a temporary link
+const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const downloadText = (filename, text) => downloadBlob(filename, new Blob([text], { type: 'text/plain' }));
+
+const FR_CHART_WIDTH = 720;
+// Colors for single speakers and optimizer candidates on response charts
+const CURVE_COLORS = ['#60a5fa', '#fb923c', '#a3e635', '#22d3ee', '#c084fc', '#facc15', '#f87171', '#2dd4bf'];
+const TARGET_COLOR = '#f472b6';
+const MEASUREMENT_COLORS = ['#fde047', '#4ade80', '#38bdf8', '#e879f9', '#fb7185'];
+const FR_CHART_PAD = { left: 36, right: 10, top: 14, bottom: 20 };
+const FR_FREQ_TICKS = [10, 15, 20, 30, 40, 50, 60, 80, 100, 120, 150, 200, 250, 300, 400, 500, 800, 1000, 2000];
+const FR_SPARSE_FREQ_TICKS = [10, 20, 50, 100, 200, 500, 1000, 2000];
+
+// Frequency response chart: log frequency axis, dB grid, wheel to zoom (Shift+wheel
+// zooms the dB axis), drag to pan, double-click to reset, and a cursor readout of
+// every curve in the legend. Curves are [{ fr, color, label, dashed, hidden }], hidden
+// ones starting switched off in the legend; markers [{ freq, label, color }] are
+// labelled lines and modes [{ freq, label }] short ticks along the top. freqRange
+// is the band shown at first (the whole data range by default).
+const FRChart = ({ curves, markers = [], modes = [], height = 260, span = 40, freqRange }) => {
+  const [view, setView] = useState(null);
+  const [toggled, setToggled] = useState(new Set());
+  const [cursor, setCursor] = useState(null);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const clipId = `fr-clip-${useId().replace(/:/g, '')}`;
+
+  const withData = curves.filter(c => c.fr && c.fr.length > 1);
+  const shown = withData.filter(c => !c.hidden !== toggled.has(c.label));
+  const dataRange = withData.length > 0
+    ? [Math.min(...withData.map(c => c.fr[0].freq)), Math.max(...withData.map(c => c.fr[c.fr.length - 1].freq))]
+    : [20, 200];
+  const home = freqRange
+    ? [Math.max(dataRange[0], freqRange[0]), Math.min(dataRange[1], freqRange[1])]
+    : dataRange;
+  const fitTop = Math.ceil(Math.max(-Infinity, ...(shown.length > 0 ? shown : withData).flatMap(c =>
+    c.fr.filter(p => p.freq >= home[0] && p.freq <= home[1]).map(p => p.dB)
+  )) / 5) * 5 + 5;
+  const { fMin, fMax, top, dBSpan } = view || { fMin: home[0], fMax: home[1], top: fitTop, dBSpan: span };
+
+  const plotW = FR_CHART_WIDTH - FR_CHART_PAD.left - FR_CHART_PAD.right;
+  const plotH = height - FR_CHART_PAD.top - FR_CHART_PAD.bottom;
+  const xAt = (f) => FR_CHART_PAD.left + (Math.log(f / fMin) / Math.log(fMax / fMin)) * plotW;
+  const freqAt = (x) => fMin * Math.pow(fMax / fMin, (x - FR_CHART_PAD.left) / plotW);
+  const yAt = (dB) => FR_CHART_PAD.top + ((top - dB) / dBSpan) * plotH;
+  const inBand = (f) => f >= fMin && f <= fMax;
+
+  // Zoom about a frequency (log axis) or the middle of the dB axis, within the data
+  const zoomFreq = (factor, about = Math.sqrt(fMin * fMax)) => {
+    const ratio = Math.max(1.5, Math.min(dataRange[1] / dataRange[0], (fMax / fMin) ** factor));
+    const share = Math.log(about / fMin) / Math.log(fMax / fMin);
+    const lo = Math.max(dataRange[0], Math.min(dataRange[1] / ratio, about / Math.pow(ratio, share)));
+    setView({ fMin: lo, fMax: lo * ratio, top, dBSpan });
+  };
+  const zoomDB = (factor) => {
+    const next = Math.max(10, Math.min(120, dBSpan * factor));
+    setView({ fMin, fMax, top: top - (dBSpan - next) / 2, dBSpan: next });
+  };
+
+  // Pointer position in chart units
+  const toChart = (e) => {
+    const box = svgRef.current.getBoundingClientRect();
+    return { x: (e.clientX - box.left) * FR_CHART_WIDTH / box.width, y: (e.clientY - box.top) * height / box.height };
+  };
+
+  // React's wheel handler is passive, so the page would scroll as well
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const factor = e.deltaY > 0 ? 1.25 : 0.8;
+      if (e.shiftKey) zoomDB(factor);
+      else zoomFreq(factor, freqAt(toChart(e).x));
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  });
+
+  if (withData.length === 0) return null;
+
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { ...toChart(e), fMin, fMax, top };
+  };
+  const onPointerMove = (e) => {
+    const { x, y } = toChart(e);
+    const freq = freqAt(x);
+    setCursor(inBand(freq) ? freq : null);
+    const drag = dragRef.current;
+    if (!drag) return;
+    const ratio = drag.fMax / drag.fMin;
+    const shift = Math.pow(ratio, -(x - drag.x) / plotW);
+    const lo = Math.max(dataRange[0], Math.min(dataRange[1] / ratio, drag.fMin * shift));
+    setView({ fMin: lo, fMax: lo * ratio, top: drag.top + ((y - drag.y) / plotH) * dBSpan, dBSpan });
+  };
+  const onPointerUp = () => { dragRef.current = null; };
+
+  const ticks = FR_FREQ_TICKS.filter(inBand);
+  const freqTicks = ticks.length > 12 ? FR_SPARSE_FREQ_TICKS.filter(inBand) : ticks;
+  const dBStep = dBSpan > 40 ? 10 : 5;
+  const dBTicks = [];
+  for (let dB = Math.ceil((top - dBSpan) / dBStep) * dBStep; dB <= top; dB += dBStep) dBTicks.push(dB);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <span className="text-xs text-gray-400">Scroll to zoom (Shift for dB), drag to pan, double-click to reset.</span>
+        <button onClick={() => zoomFreq(0.8)} className="px-2 py-0.5 bg-gray-700 rounded text-sm hover:bg-gray-600">+</button>
+        <button onClick={() => zoomFreq(1.25)} className="px-2 py-0.5 bg-gray-700 rounded text-sm hover:bg-gray-600">−</button>
+        <button onClick={() => setView(null)} className="px-2 py-0.5 bg-gray-700 rounded text-xs hover:bg-gray-600">Reset view</button>
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${FR_CHART_WIDTH} ${height}`}
+        className="w-full bg-gray-900 rounded cursor-crosshair select-none touch-none"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onPointerLeave={() => setCursor(null)}
+        onDoubleClick={() => setView(null)}
+      >
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={FR_CHART_PAD.left} y={FR_CHART_PAD.top} width={plotW} height={plotH} />
+          </clipPath>
+        </defs>
+        {dBTicks.map(dB => (
+          <g key={dB}>
+            <line x1={FR_CHART_PAD.left} x2={FR_CHART_WIDTH - FR_CHART_PAD.right} y1={yAt(dB)} y2={yAt(dB)} stroke="#374151" strokeWidth="1" />
+            <text x={FR_CHART_PAD.left - 4} y={yAt(dB) + 3} textAnchor="end" fontSize="10" fill="#9ca3af">{dB}</text>
+          </g>
+        ))}
+        {freqTicks.map(f => (
+          <g key={f}>
+            <line x1={xAt(f)} x2={xAt(f)} y1={FR_CHART_PAD.top} y2={FR_CHART_PAD.top + plotH} stroke="#374151" strokeWidth="1" />
+            <text x={xAt(f)} y={height - 5} textAnchor="middle" fontSize="10" fill="#9ca3af">{f}</text>
+          </g>
+        ))}
+        {modes.filter(m => inBand(m.freq)).map((m, i) => (
+          <line key={i} x1={xAt(m.freq)} x2={xAt(m.freq)} y1={FR_CHART_PAD.top} y2={FR_CHART_PAD.top + 6} stroke="#f87171" strokeWidth="1.5">
+            <title>{m.label}</title>
+          </line>
+        ))}
+        {markers.filter(m => inBand(m.freq)).map((m, i) => (
+          <g key={i}>
+            <line x1={xAt(m.freq)} x2={xAt(m.freq)} y1={FR_CHART_PAD.top} y2={FR_CHART_PAD.top + plotH} stroke={m.color || '#fbbf24'} strokeWidth="1" strokeDasharray="3 3" />
+            <text x={xAt(m.freq) + 3} y={FR_CHART_PAD.top + 16 + 11 * i} fontSize="10" fill={m.color || '#fbbf24'}>{m.label}</text>
+          </g>
+        ))}
+        <g clipPath={`url(#${clipId})`}>
+          {shown.map((c, i) => (
+            <polyline
+              key={i}
+              points={c.fr.map(p => `${xAt(p.freq).toFixed(1)},${yAt(p.dB).toFixed(1)}`).join(' ')}
+              fill="none"
+              stroke={c.color}
+              strokeWidth={c.dashed ? 1.25 : 2}
+              strokeDasharray={c.dashed ? '5 4' : undefined}
+            />
+          ))}
+        </g>
+        {cursor && (
+          <g>
+            <line x1={xAt(cursor)} x2={xAt(cursor)} y1={FR_CHART_PAD.top} y2={FR_CHART_PAD.top + plotH} stroke="#e5e7eb" strokeWidth="1" opacity="0.5" />
+            <text x={FR_CHART_WIDTH - FR_CHART_PAD.right - 4} y={FR_CHART_PAD.top - 3} textAnchor="end" fontSize="10" fill="#e5e7eb">
+              {cursor.toFixed(cursor < 100 ? 1 : 0)} Hz
+            </text>
+          </g>
+        )}
+      </svg>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs">
+        {withData.map((c, i) => {
+          const isShown = shown.includes(c);
+          const dB = cursor && isShown ? interpolateDB(c.fr, cursor) : null;
+          return (
+            <button
+              key={i}
+              onClick={() => {
+                const next = new Set(toggled);
+                if (next.has(c.label)) next.delete(c.label);
+                else next.add(c.label);
+                setToggled(next);
+              }}
+              className={`flex items-center gap-1 ${isShown ? 'text-gray-300' : 'text-gray-600'}`}
+              title={isShown ? 'Hide' : 'Show'}
+            >
+              <span className="inline-block w-4 h-0.5" style={{ backgroundColor: isShown ? c.color : '#4b5563' }} />
+              {c.label}
+              {dB !== null && <span className="font-mono text-gray-400">{dB.toFixed(1)} dB</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Cumulative spectral decay drawn as a waterfall: one slice per time step, the
+// first at the front, later ones stepping back up and to the right. Slices are
+// filled so nearer ones hide what is behind them. Levels are dB relative to the
+// loudest point of the first slice, clipped at -range.
+const WATERFALL_DEPTH = { x: 150, y: 110 };
+
+const WaterfallChart = ({ waterfall, height = 340, range = 50 }) => {
+  const { freqs, slices } = waterfall;
+  const pad = { left: 36, right: 30, top: 10, bottom: 20 };
+  const plotW = FR_CHART_WIDTH - pad.left - pad.right - WATERFALL_DEPTH.x;
+  const plotH = height - pad.top - pad.bottom - WATERFALL_DEPTH.y;
+  const fMin = freqs[0];
+  const fMax = freqs[freqs.length - 1];
+  const last = slices.length - 1;
+  // Screen position of a frequency and level on slice s
+  const xAt = (f, s) => pad.left + (Math.log(f / fMin) / Math.log(fMax / fMin)) * plotW + (s / last) * WATERFALL_DEPTH.x;
+  const yAt = (dB, s) => pad.top + WATERFALL_DEPTH.y + (-Math.min(0, Math.max(-range, dB)) / range) * plotH - (s / last) * WATERFALL_DEPTH.y;
+  const colorAt = (s) => `hsl(${210 - 210 * s / last}, 80%, 60%)`;
+  const freqTicks = [20, 30, 40, 50, 60, 80, 100, 150, 200].filter(f => f >= fMin && f <= fMax);
+  const dBTicks = [];
+  for (let dB = 0; dB >= -range; dB -= 10) dBTicks.push(dB);
+  const timeTicks = slices.map((slice, s) => ({ ...slice, s })).filter(({ s }) => s % 5 === 0 || s === last);
+
+  return (
+    <svg viewBox={`0 0 ${FR_CHART_WIDTH} ${height}`} className="w-full bg-gray-900 rounded select-none">
+      {dBTicks.map(dB => (
+        <g key={dB}>
+          <line x1={xAt(fMin, 0)} x2={xAt(fMax, 0)} y1={yAt(dB, 0)} y2={yAt(dB, 0)} stroke="#374151" strokeWidth="1" />
+          <text x={pad.left - 4} y={yAt(dB, 0) + 3} textAnchor="end" fontSize="10" fill="#9ca3af">{dB}</text>
+        </g>
+      ))}
+      {freqTicks.map(f => (
+        <g key={f}>
+          <line x1={xAt(f, 0)} x2={xAt(f, last)} y1={yAt(-range, 0)} y2={yAt(-range, last)} stroke="#374151" strokeWidth="1" />
+          <text x={xAt(f, 0)} y={height - 5} textAnchor="middle" fontSize="10" fill="#9ca3af">{f}</text>
+        </g>
+      ))}
+      {slices.map((slice, s) => ({ ...slice, s })).reverse().map(({ dB, s }) => {
+        const curve = freqs.map((f, i) => `${xAt(f, s).toFixed(1)},${yAt(dB[i], s).toFixed(1)}`).join(' ');
+        const floor = `${xAt(fMax, s).toFixed(1)},${yAt(-range, s).toFixed(1)} ${xAt(fMin, s).toFixed(1)},${yAt(-range, s).toFixed(1)}`;
+        return (
+          <polygon key={s} points={`${curve} ${floor}`} fill="#111827" fillOpacity="0.85" stroke={colorAt(s)} strokeWidth={s === 0 ? 1.75 : 1} strokeLinejoin="round" />
+        );
+      })}
+      {timeTicks.map(({ time, s }) => (
+        <text key={s} x={xAt(fMax, s) + 4} y={yAt(-range, s) + 3} fontSize="10" fill="#9ca3af">{(time * 1000).toFixed(0)} ms</text>
+      ))}
+      <text x={FR_CHART_WIDTH - pad.right} y={height - 5} textAnchor="end" fontSize="10" fill="#9ca3af">Hz</text>
+    </svg>
+  );
+};
+
+// Envelope of an impulse response in dB (the loudest sample in each pixel column)
+const ImpulseChart = ({ ir, duration = 1, height = 150, range = 80 }) => {
+  const pad = { left: 36, right: 10, top: 8, bottom: 20 };
+  const plotW = FR_CHART_WIDTH - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const count = Math.min(ir.samples.length, Math.round(duration * ir.sampleRate));
+  const columns = Math.min(count, Math.round(plotW));
+  const points = Array.from({ length: columns }, (_, c) => {
+    let peak = 0;
+    for (let n = Math.floor(c * count / columns); n < Math.floor((c + 1) * count / columns); n++) {
+      peak = Math.max(peak, Math.abs(ir.samples[n]));
+    }
+    const dB = Math.max(-range, 20 * Math.log10(peak || 1e-12));
+    return `${(pad.left + (c / columns) * plotW).toFixed(1)},${(pad.top + (-dB / range) * plotH).toFixed(1)}`;
+  }).join(' ');
+  const timeTicks = [];
+  for (let t = 0; t <= duration + 1e-9; t += duration / 10) timeTicks.push(t);
+  const dBTicks = [];
+  for (let dB = 0; dB >= -range; dB -= 20) dBTicks.push(dB);
+
+  return (
+    <svg viewBox={`0 0 ${FR_CHART_WIDTH} ${height}`} className="w-full bg-gray-900 rounded select-none">
+      {dBTicks.map(dB => (
+        <g key={dB}>
+          <line x1={pad.left} x2={FR_CHART_WIDTH - pad.right} y1={pad.top + (-dB / range) * plotH} y2={pad.top + (-dB / range) * plotH} stroke="#374151" strokeWidth="1" />
+          <text x={pad.left - 4} y={pad.top + (-dB / range) * plotH + 3} textAnchor="end" fontSize="10" fill="#9ca3af">{dB}</text>
+        </g>
+      ))}
+      {timeTicks.map(t => (
+        <text key={t} x={pad.left + (t / duration) * plotW} y={height - 5} textAnchor="middle" fontSize="10" fill="#9ca3af">
+          {(t * 1000).toFixed(0)}
+        </text>
+      ))}
+      <polyline points={points} fill="none" stroke="#60a5fa" strokeWidth="1.25" />
+    </svg>
+  );
+};
+
+// Fitted calibration parameters: effective dimensions against the entered room,
+// opening strength, absorption factors per surface and speaker gains
+const CalibrationDetails = ({ calibration, room, units }) => {
+  const percent = (factor) => `${factor >= 1 ? '+' : ''}${((factor - 1) * 100).toFixed(1)}%`;
+  return (
+    <div className="grid md:grid-cols-3 gap-4 text-sm">
+      <div className="space-y-1">
+        <div className="text-gray-400">Effective dimensions</div>
+        {['length', 'width', 'height'].map(dim => (
+          <div key={dim} className="flex justify-between gap-2">
+            <span className="capitalize">{dim}</span>
+            <span>
+              {toUnits(room[dim] * calibration.scale[dim], units).toFixed(2)} {UNIT_LABELS[units].length}{' '}
+              <span className="text-gray-400">({percent(calibration.scale[dim])})</span>
+            </span>
+          </div>
+        ))}
+        <div className="flex justify-between gap-2">
+          <span>Wall openings</span>
+          <span>×{calibration.openings.toFixed(2)}</span>
+        </div>
+      </div>
+      <div className="space-y-1">
+        <div className="text-gray-400">Absorption</div>
+        {SURFACES.map(surface => (
+          <div key={surface} className="flex justify-between gap-2">
+            <span className="capitalize">{surface}</span>
+            <span>×{calibration.damping[surface].toFixed(2)}</span>
+          </div>
+        ))}
+      </div>
+      <div className="space-y-1">
+        <div className="text-gray-400">Speaker gains</div>
+        {Object.entries(calibration.gains).map(([name, gain]) => (
+          <div key={name} className="flex justify-between gap-2">
+            <span>{name}</span>
+            <span>{gain >= 0 ? '+' : ''}{gain.toFixed(1)} dB</span>
+          </div>
+        ))}
+        {Object.keys(calibration.gains).length === 0 && <div className="text-gray-500">None fitted</div>}
+      </div>
+    </div>
+  );
+};
+
+const RT60Chart = ({ bands, width = 360, height = 160 }) => {
+  const pad = { left: 36, right: 10, top: 10, bottom: 24 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const maxT = Math.max(0.5, ...bands.map(b => Math.max(b.sabine, b.eyring))) * 1.1;
+  const xAt = (i) => pad.left + (i / (bands.length - 1)) * plotW;
+  const yAt = (t) => pad.top + plotH - (t / maxT) * plotH;
+  const line = (key) => bands.map((b, i) => `${xAt(i)},${yAt(b[key])}`).join(' ');
+  const ticks = [0, maxT / 2, maxT];
+
+  return (
+    <svg width={width} height={height} className="bg-gray-700 rounded">
+      {ticks.map((t, i) => (
+        <g key={i}>
+          <line x1={pad.left} x2={width - pad.right} y1={yAt(t)} y2={yAt(t)} stroke="#4b5563" strokeWidth="1" />
+          <text x={pad.left - 4} y={yAt(t) + 3} textAnchor="end" fontSize="9" fill="#9ca3af">{t.toFixed(2)}</text>
+        </g>
+      ))}
+      {bands.map((b, i) => (
+        <text key={b.freq} x={xAt(i)} y={height - 8} textAnchor="middle" fontSize="9" fill="#9ca3af">
+          {b.freq >= 1000 ? `${b.freq / 1000}k` : b.freq}
+        </text>
+      ))}
+      <polyline points={line('sabine')} fill="none" stroke="#60a5fa" strokeWidth="1.5" />
+      <polyline points={line('eyring')} fill="none" stroke="#f59e0b" strokeWidth="1.5" strokeDasharray="4 2" />
+      {bands.map((b, i) => (
+        <g key={b.freq}>
+          <circle cx={xAt(i)} cy={yAt(b.sabine)} r="2.5" fill="#60a5fa" />
+          <circle cx={xAt(i)} cy={yAt(b.eyring)} r="2.5" fill="#f59e0b" />
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Signed pressure from −1 (blue) through 0 (dark) to +1 (red)
+const divergingColor = (v) => {
+  const t = Math.max(-1, Math.min(1, v));
+  const [from, to] = t < 0 ? [[31, 41, 55], [37, 99, 235]] : [[31, 41, 55], [220, 38, 38]];
+  return from.map((c, i) => c + (to[i] - c) * Math.abs(t));
+};
+
+// Level from 0 (dark) to 1 (bright)
+const LEVEL_STOPS = [[0, 0, 4], [80, 18, 123], [182, 54, 121], [251, 136, 97], [252, 253, 191]];
+const levelColor = (t) => {
+  const x = Math.max(0, Math.min(1, t)) * (LEVEL_STOPS.length - 1);
+  const k = Math.min(LEVEL_STOPS.length - 2, Math.floor(x));
+  return LEVEL_STOPS[k].map((c, i) => c + (LEVEL_STOPS[k + 1][i] - c) * (x - k));
+};
+
+const FIELD_ANIMATION_PERIOD = 2000; // ms per displayed cycle
+
+// Color of every cell of a slice (null outside the room): the signed pressure at
+// one phase of the cycle, or the level in dB below the loudest cell over `range` dB
+const sliceColors = ({ re, im }, { signed, phase = 0, range = 30 }) => {
+  let peak = 0;
+  re.forEach((value, k) => {
+    if (!Number.isNaN(value)) peak = Math.max(peak, Math.hypot(value, im[k]));
+  });
+  peak = peak || 1;
+  const cos = Math.cos(phase);
+  const sin = Math.sin(phase);
+  return Array.from(re, (value, k) => {
+    if (Number.isNaN(value)) return null;
+    return signed
+      ? divergingColor((value * cos - im[k] * sin) / peak)
+      : levelColor(1 + (20 * Math.log10(Math.hypot(value, im[k]) / peak || 1e-12)) / range);
+  });
+};
+
+// Pressure-field slice drawn over the room layout. Signed views show the pressure
+// at one instant, cycling through the phase when `animate` is set; otherwise the
+// level in dB below the loudest point, over `range` dB. Contours are drawn as lines.
+const PressureFieldOverlay = ({ slice, signed, animate, contours = [], range = 30 }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d');
+    const image = ctx.createImageData(slice.ny, slice.nx);
+
+    const draw = (phase) => {
+      sliceColors(slice, { signed, phase, range }).forEach((color, k) => {
+        if (color) image.data.set([...color, 255], 4 * k);
+        else image.data[4 * k + 3] = 0;
+      });
+      ctx.putImageData(image, 0, 0);
+    };
+
+    if (!animate) {
+      draw(0);
+      return undefined;
+    }
+    let frame;
+    const start = performance.now();
+    const tick = (now) => {
+      draw(((now - start) / FIELD_ANIMATION_PERIOD) * 2 * Math.PI);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [slice, signed, animate, range]);
+
+  return (
+    <>
+      <canvas
+        ref={canvasRef}
+        width={slice.ny}
+        height={slice.nx}
+        className="absolute inset-0 w-full h-full rounded opacity-75 pointer-events-none"
+      />
+      {contours.length > 0 && (
+        <svg
+          className="absolute inset-0 w-full h-full pointer-events-none"
+          viewBox={`0 0 ${slice.ny} ${slice.nx}`}
+          preserveAspectRatio="none"
+        >
+          {contours.map(([i1, j1, i2, j2], k) => (
+            <line
+              key={k}
+              x1={j1 + 0.5} y1={i1 + 0.5} x2={j2 + 0.5} y2={i2 + 0.5}
+              stroke="white"
+              strokeWidth="1.5"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </svg>
+      )}
+    </>
+  );
+};
+
+// Room cut vertically: position along the view across, height up (floor at the
+// bottom). Markers are { h, z, kind: 'speaker' | 'listener' | 'seat', label, color,
+// handlers, className }, handlers being pointer/key props for dragging;
+// ceiling is an optional [[h, z], ...] profile for sloped ceilings.
+const ElevationView = ({ title, span, height, startLabel, endLabel, markers, ceiling, field }) => (
+  <div className="space-y-2">
+    <h3 className="font-medium text-sm">{title}</h3>
+    <div className="relative bg-gray-900 rounded mx-8" style={{ aspectRatio: `${span} / ${height}` }}>
+      <div className="absolute -left-8 top-1/2 -translate-y-1/2 -rotate-90 text-xs text-gray-400">{startLabel}</div>
+      <div className="absolute -right-8 top-1/2 -translate-y-1/2 rotate-90 text-xs text-gray-400">{endLabel}</div>
+      {field && <PressureFieldOverlay {...field} />}
+      {ceiling && (
+        <svg className="absolute inset-0 w-full h-full pointer-events-none" viewBox={`0 0 ${span} ${height}`} preserveAspectRatio="none">
+          <polygon
+            points={[[0, height], ...ceiling, [span, height]].map(([h, z]) => `${h},${height - z}`).join(' ')}
+            fill="#374151"
+          />
+          <polyline
+            points={ceiling.map(([h, z]) => `${h},${height - z}`).join(' ')}
+            fill="none"
+            stroke="#9ca3af"
+            strokeWidth="1.5"
+            vectorEffect="non-scaling-stroke"
+          />
+        </svg>
+      )}
+      {markers.map((marker, i) => (
+        <div
+          key={i}
+          {...marker.handlers}
+          className={`absolute rounded-full border flex items-center justify-center font-bold transform -translate-x-1/2 -translate-y-1/2 ${marker.className || ''} ${
+            marker.kind === 'speaker' ? `w-5 h-5 text-[10px] ${marker.color}` :
+            marker.kind === 'listener' ? 'w-6 h-6 text-xs bg-blue-500 border-white' : 'w-4 h-4 bg-blue-800 border-blue-300'
+          }`}
+          style={{ left: `${(marker.h / span) * 100}%`, top: `${(1 - marker.z / height) * 100}%` }}
+          title={marker.title}
+        >
+          {marker.label}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+const VIEW_3D_WIDTH = 640;
+const VIEW_3D_HEIGHT = 420;
+
+// Orbitable 3D view of the room: drag to rotate. Points are { x, y, z } in room
+// coordinates, seen by default from behind the listener looking at the front wall.
+// Markers are { pos, color, radius, label }; floorSlice is an optional horizontal
+// slice drawn in place with its cell colors.
+const RoomView3D = ({ room, wireframe, markers, floorSlice }) => {
+  const [view, setView] = useState({ yaw: -30, pitch: 25, zoom: 1 });
+  const dragRef = useRef(null);
+
+  const size = Math.hypot(room.length, room.width, room.height);
+  const distance = 2.2 * size;
+  const scale = (view.zoom * Math.min(VIEW_3D_WIDTH, VIEW_3D_HEIGHT)) / size * 1.6;
+  const yaw = (view.yaw * Math.PI) / 180;
+  const pitch = (view.pitch * Math.PI) / 180;
+  // Right = y, up = z, toward the viewer = x (the rear wall is nearest)
+  const project = ({ x, y, z }) => {
+    const X = y - room.width / 2;
+    const Y = z - room.height / 2;
+    const Z = x - room.length / 2;
+    const x1 = X * Math.cos(yaw) - Z * Math.sin(yaw);
+    const z1 = X * Math.sin(yaw) + Z * Math.cos(yaw);
+    const y2 = Y * Math.cos(pitch) - z1 * Math.sin(pitch);
+    const z2 = Y * Math.sin(pitch) + z1 * Math.cos(pitch);
+    const perspective = distance / (distance - z2);
+    return {
+      sx: VIEW_3D_WIDTH / 2 + x1 * perspective * scale,
+      sy: VIEW_3D_HEIGHT / 2 - y2 * perspective * scale,
+      depth: z2,
+      perspective,
+    };
+  };
+  const toPoints = (line) => line.map(p => {
+    const { sx, sy } = project(p);
+    return `${sx.toFixed(1)},${sy.toFixed(1)}`;
+  }).join(' ');
+
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, yaw: view.yaw, pitch: view.pitch };
+  };
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView({
+      ...view,
+      yaw: drag.yaw - (e.clientX - drag.x) * 0.4,
+      pitch: Math.max(-10, Math.min(89, drag.pitch + (e.clientY - drag.y) * 0.4)),
+    });
+  };
+  const onPointerUp = () => { dragRef.current = null; };
+
+  const cells = [];
+  if (floorSlice) {
+    const { slice, colors, at } = floorSlice;
+    const dx = room.length / slice.nx;
+    const dy = room.width / slice.ny;
+    colors.forEach((color, k) => {
+      if (!color) return;
+      const i = Math.floor(k / slice.ny);
+      const j = k % slice.ny;
+      const corners = [[i, j], [i, j + 1], [i + 1, j + 1], [i + 1, j]].map(([a, b]) => ({ x: a * dx, y: b * dy, z: at }));
+      cells.push(<polygon key={k} points={toPoints(corners)} fill={`rgb(${color.map(Math.round).join(',')})`} stroke="none" />);
+    });
+  }
+
+  const projectedMarkers = markers
+    .map(marker => ({ ...marker, screen: project(marker.pos), floor: project({ ...marker.pos, z: 0 }) }))
+    .sort((a, b) => a.screen.depth - b.screen.depth);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <span className="text-xs text-gray-400">Drag to orbit.</span>
+        <button onClick={() => setView({ ...view, zoom: Math.min(4, view.zoom * 1.25) })} className="px-2 py-0.5 bg-gray-700 rounded text-sm hover:bg-gray-600">+</button>
+        <button onClick={() => setView({ ...view, zoom: Math.max(0.5, view.zoom / 1.25) })} className="px-2 py-0.5 bg-gray-700 rounded text-sm hover:bg-gray-600">−</button>
+        <button onClick={() => setView({ yaw: -30, pitch: 25, zoom: 1 })} className="px-2 py-0.5 bg-gray-700 rounded text-xs hover:bg-gray-600">Reset view</button>
+      </div>
+      <svg
+        viewBox={`0 0 ${VIEW_3D_WIDTH} ${VIEW_3D_HEIGHT}`}
+        className="w-full max-w-2xl mx-auto bg-gray-900 rounded cursor-grab active:cursor-grabbing select-none touch-none"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        <g opacity="0.75">{cells}</g>
+        {wireframe.spaces.map((line, i) => (
+          <polyline key={`space-${i}`} points={toPoints(line)} fill="none" stroke="#6b7280" strokeWidth="1" strokeDasharray="4 3" />
+        ))}
+        {wireframe.edges.map((line, i) => (
+          <polyline key={`edge-${i}`} points={toPoints(line)} fill="none" stroke="#9ca3af" strokeWidth="1.5" />
+        ))}
+        {wireframe.openings.map((line, i) => (
+          <polyline key={`opening-${i}`} points={toPoints(line)} fill="rgba(202, 138, 4, 0.15)" stroke="#ca8a04" strokeWidth="2" />
+        ))}
+        {projectedMarkers.map((marker, i) => (
+          <g key={i}>
+            <line
+              x1={marker.screen.sx} y1={marker.screen.sy} x2={marker.floor.sx} y2={marker.floor.sy}
+              stroke={marker.color} strokeWidth="1" strokeDasharray="2 2" opacity="0.6"
+            />
+            <circle cx={marker.screen.sx} cy={marker.screen.sy} r={marker.radius * marker.screen.perspective} fill={marker.color} stroke="white" strokeWidth="1" />
+            {marker.label && (
+              <text x={marker.screen.sx} y={marker.screen.sy + 3.5} textAnchor="middle" fontSize="10" fontWeight="bold" fill="white">
+                {marker.label}
+              </text>
+            )}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
 // ============== MAIN APP ==============
 
 export default function RoomAcousticsApp() {
@@ -463,6 +1385,11 @@ export default function RoomAcousticsApp() {
     height: 9,
   });
   
+  // Dimension search for a new build: [min, max] of each dimension (ft) and the
+  // ranked rooms it found
+  const [dimensionLimits, setDimensionLimits] = useState({ length: [18, 26], width: [12, 18], height: [7.5, 9] });
+  const [dimensionResults, setDimensionResults] = useState(null);
+
   // Wall openings state
   const [wallOpenings, setWallOpenings] = useState({
     front: 0,
@@ -471,6 +1398,9 @@ export default function RoomAcousticsApp() {
     right: 0,
   });
   
+  // Rooms joined to the main room through an opening in one of its walls
+  const [adjoiningSpaces, setAdjoiningSpaces] = useState([]);
+  
   // Listening position state
   const [listener, setListener] = useState({
     x: 11,
@@ -478,6 +1408,11 @@ export default function RoomAcousticsApp() {
     z: 3.5,
   });
   
+  // Seats besides the main listening position, and the template that generates rows of them
+  const [seats, setSeats] = useState([]);
+  const [seatTemplate, setSeatTemplate] = useState(DEFAULT_SEAT_TEMPLATE);
+  const [showSeatTemplate, setShowSeatTemplate] = useState(false);
+  
   // Speakers state
   const [speakers, setSpeakers] = useState([
     { name: 'Front Left', x: 2, y: 2, z: 3, type: 'Small Ported', orientation: 0, powerOffset: 0 },
@@ -492,15 +1427,133 @@ export default function RoomAcousticsApp() {
     sub: true,
   });
 
-  // Crossover frequency
+  // Crossover frequency and filter type (keys into CROSSOVER_FILTERS)
   const [crossoverFreq, setCrossoverFreq] = useState(null);
+  const [crossoverFilter, setCrossoverFilter] = useState('lr4');
+  // Target curve for the in-room response (key into TARGET_CURVES)
+  const [targetCurve, setTargetCurve] = useState('flat');
+  // Auto-EQ limits, used for every channel with EQ available
+  const [autoEQSettings, setAutoEQSettings] = useState({
+    maxFilters: AUTO_EQ_DEFAULTS.maxFilters,
+    maxBoost: AUTO_EQ_DEFAULTS.maxBoost,
+  });
+  // Export format (key into EQ_EXPORT_FORMATS), the sample rate for biquad coefficients
+  // and the output each channel is exported to, per format and channel key
+  const [eqExport, setEqExport] = useState({ format: 'apo', sampleRate: 48000, outputs: {} });
+  // How long a mode may ring: a key into DECAY_LIMITS, and the T60 (s) for 'fixed'
+  const [decayLimit, setDecayLimit] = useState({ limit: 'ebu', maxT60: 0.5 });
+  // Waterfall window length and time span (s)
+  const [waterfallView, setWaterfallView] = useState({ window: WATERFALL_DEFAULTS.window, timeRange: WATERFALL_DEFAULTS.timeRange });
+  // Measured responses ({ name, seat, speaker, offset, fr }), each at the listening
+  // position (seat null) or a seat by name, of all speakers (speaker null) or one by
+  // name, and how they're drawn against the prediction
+  const [measurements, setMeasurements] = useState([]);
+  const [measurementView, setMeasurementView] = useState({ smoothing: 'sixth', align: true });
+  const [measurementError, setMeasurementError] = useState(null);
+  // Fitted model calibration in use (see calibrateModel), or null for the model as entered
+  const [calibration, setCalibration] = useState(null);
+  const calibrationJob = useOptimizerJob();
+  // Position shown on the Predicted Response chart: null for the listening position, or a seat name
+  const [responseSeat, setResponseSeat] = useState(null);
+  // Auralization: what plays (a key into TEST_TRACKS, or 'file'), the layout heard
+  // as B, what happens above the modelled band (key into HIGH_BAND_OPTIONS), which
+  // layout is playing, the volume and the sample rate of downloaded responses
+  const [auralization, setAuralization] = useState({
+    track: 'notes', compareTo: 'saved', highBand: AURALIZATION_DEFAULTS.highBand, listening: 'A', volume: 0.5, exportRate: 48000,
+  });
+  const [auralizationFile, setAuralizationFile] = useState(null);   // { name, buffer: AudioBuffer }
+  const [auralizationError, setAuralizationError] = useState(null);
+  const [auralizationPlaying, setAuralizationPlaying] = useState(false);
+  // The audio output's sample rate, known once playback has started
+  const [audioRate, setAudioRate] = useState(AURALIZATION_DEFAULTS.sampleRate);
+  // Speakers and crossover kept for comparison ({ speakers, settings })
+  const [savedLayout, setSavedLayout] = useState(null);
+
+  // Surface materials (keys into MATERIALS) and furnishings (keys into FURNISHINGS)
+  const [surfaces, setSurfaces] = useState({
+    floor: 'carpetPad',
+    ceiling: 'gypsum',
+    front: 'gypsum',
+    rear: 'gypsum',
+    left: 'gypsum',
+    right: 'gypsum',
+  });
+  const [furnishings, setFurnishings] = useState([
+    { type: 'sofaSeat', count: 3 },
+  ]);
+  // Planned bass traps and panels (see TREATMENTS), part of the room model
+  const [treatments, setTreatments] = useState([]);
+  // Tuned absorber designer: the target mode ("n,m,l" and its frequency, since
+  // numeric modes can share indices; null for the strongest peaking axial mode) and
+  // the construction (see designTunedAbsorber)
+  const [absorberDesign, setAbsorberDesign] = useState({
+    modeKey: null,
+    modeFreq: null,
+    type: 'membrane',
+    material: 'plywood',
+    thickness: 0.25 / 12,
+    size: 0.375 / 12,
+    depth: 4 / 12,
+    fill: 'full',
+    width: 2,
+    height: 4,
+  });
+  const absorberDesignerRef = useRef(null);
+
+  // Display unit system ('ft' or 'm') and air conditions (°C, % RH)
+  const [units, setUnits] = useState('ft');
+  const [air, setAir] = useState({ temperature: 20, humidity: 50 });
+
+  // Floor plan and ceiling profile (anything but a flat rectangle uses the wave solver)
+  const [roomShape, setRoomShape] = useState(DEFAULT_ROOM_SHAPE);
+  const [numericSolution, setNumericSolution] = useState({ status: 'idle' });
+  const solverRef = useRef(null);
+
+  // SBIR reflection coefficient overrides per surface (null = derived from material)
+  const [sbirReflection, setSbirReflection] = useState({
+    floor: null, ceiling: null, front: null, rear: null, left: null, right: null,
+  });
 
   // Subwoofer optimizer state
   const [showSubOptimizer, setShowSubOptimizer] = useState(false);
   const [subOptimizerConfig, setSubOptimizerConfig] = useState({
     numSubs: 2,
+    method: 'fixed',   // 'fixed' (standard positions), 'grid' or 'evolve'
+    spacing: 2,        // ft between grid candidates
   });
   const [expandedStrategies, setExpandedStrategies] = useState(new Set());
+  // Keep-out and allowed zones for subs, and the zone kind being drawn on the layout
+  const [placementZones, setPlacementZones] = useState([]);
+  const [zoneDrawMode, setZoneDrawMode] = useState(null);
+  const [zoneDraft, setZoneDraft] = useState(null);
+  const layoutRef = useRef(null);
+  // Seat heatmap over the layout: grid spacing (ft) and where the listener may sit
+  const [listenerSweep, setListenerSweep] = useState({
+    show: false,
+    spacing: 1,
+    constraints: DEFAULT_LISTENER_CONSTRAINTS,
+  });
+  const listenerSweepJob = useOptimizerJob();
+  // Marker placement on the layout and elevations: the marker picked for keyboard
+  // nudging ({ kind: 'speaker' | 'listener' | 'seat', index }) and snapping
+  const [selectedMarker, setSelectedMarker] = useState(null);
+  const [snap, setSnap] = useState({ toGrid: true, grid: 0.5, toCandidates: true });
+  // Pressure field over the layout: 'off', the combined field at `freq`, or one mode
+  // (by its indices); height null means ear height
+  const [fieldView, setFieldView] = useState({
+    kind: 'off',
+    freq: 40,
+    modeKey: null,
+    modeFreq: null,
+    height: null,
+    animate: false,
+  });
+  // Sub optimizer job, run in workers and cached by its inputs
+  const subOptimizerJob = useOptimizerJob();
+  const optimizerRun = subOptimizerJob.run;
+  // Second stage: per-sub gain/delay/polarity for one position set ({ name, positions, baseline, result })
+  const [msoEq, setMsoEq] = useState(true);
+  const [msoResult, setMsoResult] = useState(null);
 
   const updateSpeaker = (index, newSpeaker) => {
     const newSpeakers = [...speakers];
@@ -524,50 +1577,358 @@ export default function RoomAcousticsApp() {
     }]);
   };
   
+  // Replace the seating with the template; the middle seat of the first row becomes
+  // the main listening position
+  const applySeatTemplate = () => {
+    const grid = generateSeatGrid(seatTemplate, room);
+    const main = grid[Math.floor((seatTemplate.seatsPerRow - 1) / 2)];
+    setListener({ x: main.x, y: main.y, z: main.z });
+    setSeats(grid.filter(seat => seat !== main).map(({ row, ...seat }) => seat));
+  };
+
+  const updateSeat = (index, changes) => setSeats(seats.map((seat, i) => i === index ? { ...seat, ...changes } : seat));
+
   // Calculations
-  const volume = room.length * room.width * room.height;
-  const schroederFreq = calcSchroederFreq(volume);
-  const fundamentalLength = calcModeFreq(1, 0, 0, room.length, room.width, room.height);
-  const fundamentalWidth = calcModeFreq(0, 1, 0, room.length, room.width, room.height);
-  const fundamentalHeight = calcModeFreq(0, 0, 1, room.length, room.width, room.height);
+  const u = UNIT_LABELS[units];
+  const len = (ft, digits = 1) => toUnits(ft, units).toFixed(digits);
+  const speedOfSound = calcSpeedOfSound(air.temperature, air.humidity);
+  // Ratio metrics of the room as entered, treated as a rigid rectangular box
+  const ratioEvaluation = useMemo(() => evaluateRoomRatio(room, { c: speedOfSound }), [room, speedOfSound]);
+  const findDimensions = () => setDimensionResults(optimizeRoomDimensions(dimensionLimits, { c: speedOfSound }));
+  // Every seat, main listening position first
+  const allSeats = useMemo(() => [{ name: 'Main seat', ...listener }, ...seats], [listener, seats]);
+
+  // Area-based furnishings (rugs, shelving) are stored in ft²
+  const isAreaFurnishing = (f) => FURNISHINGS[f.type]?.unit === 'ft²';
+  const furnishingCountLabel = (f) => isAreaFurnishing(f)
+    ? `${roundTo(areaToUnits(f.count, units), 1)} ${u.area}`
+    : `${f.count} ${FURNISHINGS[f.type]?.unit}`;
+
+  // Non-rectangular or coupled rooms: voxelize here, solve their modes in a worker
+  const shapedRoom = isShapedRoom(roomShape);
+  const coupledWalls = new Set(adjoiningSpaces.map(space => space.wall));
+  const useSolver = shapedRoom || adjoiningSpaces.length > 0;
+  const solverGeometry = useMemo(() =>
+    useSolver ? buildSolverGrid(room, roomShape, SOLVER_MAX_FREQ, speedOfSound, adjoiningSpaces) : null,
+    [useSolver, room, roomShape, speedOfSound, adjoiningSpaces]
+  );
+
+  useEffect(() => {
+    if (!solverGeometry) {
+      setNumericSolution({ status: 'idle' });
+      return;
+    }
+    // Keep showing the previous solution until the new one arrives
+    setNumericSolution(prev => ({ ...prev, status: 'solving' }));
+    // Debounce so typing a dimension doesn't start a solve per keystroke
+    const timer = setTimeout(() => {
+      const worker = new Worker(new URL('./waveSolver.worker.js', import.meta.url), { type: 'module' });
+      solverRef.current = worker;
+      worker.onmessage = (e) => {
+        worker.terminate();
+        solverRef.current = null;
+        if (e.data.error) {
+          setNumericSolution({ status: 'error', error: e.data.error });
+          return;
+        }
+        const { grid, active } = solverGeometry;
+        setNumericSolution({
+          status: 'done',
+          cellCount: e.data.cellCount,
+          modes: e.data.modes.map(m => toNumericMode(m, room, grid, active, speedOfSound)),
+        });
+      };
+      worker.postMessage({
+        grid: solverGeometry.grid,
+        active: solverGeometry.active,
+        blocked: solverGeometry.blocked,
+        maxFreq: SOLVER_MAX_FREQ,
+        speedOfSound,
+      });
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      solverRef.current?.terminate();
+      solverRef.current = null;
+    };
+  }, [solverGeometry]);
+
+  const solvedModes = (solverGeometry && numericSolution.modes) || null;
+  const volume = solverGeometry ? solverGeometry.volume : room.length * room.width * room.height;
+  // A calibration replaces the room's dimensions, opening strength and absorption in
+  // every prediction; the layout keeps the geometry as entered
+  const modelRoom = useMemo(() => calibration ? calibrateRoom(room, calibration) : room, [room, calibration]);
+  const numericModes = useMemo(() =>
+    calibration ? calibrateModes(solvedModes, calibration) : solvedModes,
+    [solvedModes, calibration]
+  );
+  // Openings to adjoining spaces still let energy out of the room, but once the
+  // solver's modes include the coupled space they no longer damp the modes
+  const openings = useMemo(() =>
+    calcCoupledOpenings(room, wallOpenings, adjoiningSpaces),
+    [room, wallOpenings, adjoiningSpaces]
+  );
+  const baseModalOpenings = useMemo(() => {
+    if (!numericModes) return openings;
+    const result = { ...openings };
+    adjoiningSpaces.forEach(space => { result[space.wall] = 0; });
+    return result;
+  }, [openings, numericModes, adjoiningSpaces]);
+  const modalOpenings = useMemo(() =>
+    calibration ? calibrateOpenings(baseModalOpenings, calibration) : baseModalOpenings,
+    [baseModalOpenings, calibration]
+  );
+  const baseAbsorption = useMemo(() =>
+    calcSurfaceAbsorption(surfaces, furnishings, openings),
+    [surfaces, furnishings, openings]
+  );
+  const surfaceAbsorption = useMemo(() =>
+    calibration ? calibrateAbsorption(baseAbsorption, calibration) : baseAbsorption,
+    [baseAbsorption, calibration]
+  );
+  // The modes lose energy through the openings they don't already span
+  const modalAbsorption = useMemo(() => {
+    const absorption = calcSurfaceAbsorption(surfaces, furnishings, modalOpenings);
+    return calibration ? calibrateAbsorption(absorption, calibration) : absorption;
+  }, [surfaces, furnishings, modalOpenings, calibration]);
+  // Traps go on the model's walls, so they follow a calibrated room's dimensions
+  const modalDamping = useMemo(() => ({ absorption: modalAbsorption, treatments }), [modalAbsorption, treatments]);
+  const rt60Bands = useMemo(() => calcRT60Bands(room, surfaceAbsorption, volume, treatments), [room, surfaceAbsorption, volume, treatments]);
+  const bassRT60 = calcBassRT60(rt60Bands);
+  const schroederFreq = calcSchroederFreq(volume, bassRT60);
+  const fundamentalLength = calcModeFreq(1, 0, 0, modelRoom.length, modelRoom.width, modelRoom.height, speedOfSound);
+  const fundamentalWidth = calcModeFreq(0, 1, 0, modelRoom.length, modelRoom.width, modelRoom.height, speedOfSound);
+  const fundamentalHeight = calcModeFreq(0, 0, 1, modelRoom.length, modelRoom.width, modelRoom.height, speedOfSound);
   
   const modes = useMemo(() => 
-    generateModes(room.length, room.width, room.height, 200),
-    [room.length, room.width, room.height]
+    numericModes || generateModes(modelRoom.length, modelRoom.width, modelRoom.height, 200, 6, speedOfSound),
+    [numericModes, modelRoom, speedOfSound]
   );
   
   const modesUpToSchroeder = modes.filter(m => m.freq <= schroederFreq);
   
   const modalAnalysis = useMemo(() => {
     return modes.filter(m => m.freq <= 150).map(mode => {
-      const lpPressure = calcPressureAtPosition(
-        listener.x, listener.y, listener.z, mode, room, wallOpenings
+      const lpPressure = calcPressureAtPosition(listener.x, listener.y, listener.z, mode, modelRoom);
+      const seatPressures = seats.map(seat =>
+        calcPressureAtPosition(seat.x, seat.y, seat.z, mode, modelRoom)
       );
       
       const speakerExcitation = speakers.map(speaker => {
         let excitation;
         if (speaker.type === 'Large Dipole') {
-          excitation = calcDipoleExcitation(speaker, mode, room);
+          excitation = calcDipoleExcitation(speaker, mode, modelRoom, speedOfSound);
         } else {
-          excitation = calcPressureAtPosition(speaker.x, speaker.y, speaker.z, mode, room, wallOpenings);
+          excitation = calcPressureAtPosition(speaker.x, speaker.y, speaker.z, mode, modelRoom);
         }
         // Apply power offset
         const powerFactor = Math.pow(10, speaker.powerOffset / 20);
         return { name: speaker.name, excitation, weighted: excitation * powerFactor };
       });
       
-      return { ...mode, lpPressure, speakerExcitation };
+      return { ...mode, lpPressure, seatPressures, speakerExcitation };
     });
-  }, [modes, listener, speakers, room, wallOpenings]);
+  }, [modes, listener, seats, speakers, modelRoom, speedOfSound]);
+  
+  // Shared modal basis for every predicted frequency response. Numeric mode shapes
+  // are normalized over any coupled spaces too.
+  const baseModalVolume = numericModes ? solverGeometry.totalVolume : volume;
+  const modalVolume = calibration ? calibrateVolume(baseModalVolume, calibration) : baseModalVolume;
+  const modalBasis = useMemo(() =>
+    buildModalBasis(modelRoom, {
+      damping: modalDamping,
+      speedOfSound,
+      modes: numericModes,
+      volume: modalVolume,
+    }),
+    [modelRoom, modalDamping, speedOfSound, numericModes, modalVolume]
+  );
   
   const speakerAnalysis = useMemo(() => {
     return speakers.map(speaker => ({
       ...speaker,
-      sbir: calcSBIR(speaker, room),
-      boundaryGain: calcBoundaryGain(speaker, room, wallOpenings),
+      sbir: calcSBIR(speaker, room, listener, { absorption: surfaceAbsorption, reflection: sbirReflection, speedOfSound }),
+      boundaryGain: calcBoundaryGain(speaker, room, openings),
+      fr: calcPredictedFR(
+        [{ ...speaker, gain: Math.pow(10, speaker.powerOffset / 20) }],
+        listener,
+        modalBasis
+      ),
     }));
-  }, [speakers, room, wallOpenings]);
+  }, [speakers, room, openings, listener, modalBasis, surfaceAbsorption, sbirReflection, speedOfSound]);
   
+  // Whole system through its crossover, delays and polarity, up past the crossover region
+  const systemBasis = useMemo(() =>
+    buildModalBasis(modelRoom, {
+      freqRange: [20, 250],
+      maxModeFreq: 400,
+      damping: modalDamping,
+      speedOfSound,
+      modes: numericModes,
+      volume: modalVolume,
+    }),
+    [modelRoom, modalDamping, speedOfSound, numericModes, modalVolume]
+  );
+  const systemResponse = useMemo(() =>
+    calcBassManagedResponse(speakers, listener, systemBasis, { crossoverFreq, crossoverFilter }),
+    [speakers, listener, systemBasis, crossoverFreq, crossoverFilter]
+  );
+  const summationLoss = calcSummationLoss(systemResponse, crossoverFreq);
+  const subAlignment = useMemo(() =>
+    findSubAlignment(systemResponse, crossoverFreq),
+    [systemResponse, crossoverFreq]
+  );
+
+  // Curves for the response charts, at the listening position or a chosen seat.
+  // Modes are marked up to the Schroeder frequency, above which they overlap too
+  // much to matter one by one.
+  const chartSeat = seats.find(seat => seat.name === responseSeat) || null;
+  const chartPosition = chartSeat || listener;
+  const chartResponse = useMemo(() =>
+    chartSeat ? calcBassManagedResponse(speakers, chartSeat, systemBasis, { crossoverFreq, crossoverFilter }) : systemResponse,
+    [chartSeat, systemResponse, speakers, systemBasis, crossoverFreq, crossoverFilter]
+  );
+  const speakerResponses = useMemo(() =>
+    calcSpeakerResponses(speakers, chartPosition, systemBasis, { crossoverFreq, crossoverFilter }),
+    [speakers, chartPosition, systemBasis, crossoverFreq, crossoverFilter]
+  );
+  const combinedFR = useMemo(() => toFR(chartResponse.combined), [chartResponse]);
+
+  // Time response at the chart's position: the system's impulse response from the
+  // modal model on a linear grid, its waterfall, and how long each mode below the
+  // Schroeder frequency rings against the chosen limit
+  const impulseBasis = useMemo(() =>
+    buildModalBasis(modelRoom, {
+      freqs: calcImpulseFrequencies(),
+      maxModeFreq: 1.5 * IMPULSE_DEFAULTS.band[1],
+      damping: modalDamping,
+      speedOfSound,
+      modes: numericModes,
+      volume: modalVolume,
+    }),
+    [modelRoom, modalDamping, speedOfSound, numericModes, modalVolume]
+  );
+  const impulseResponse = useMemo(() =>
+    calcSystemImpulseResponse(speakers, chartPosition, impulseBasis, { crossoverFreq, crossoverFilter }),
+    [speakers, chartPosition, impulseBasis, crossoverFreq, crossoverFilter]
+  );
+  const waterfall = useMemo(() => calcWaterfall(impulseResponse, waterfallView), [impulseResponse, waterfallView]);
+  const modeDecayTimes = useMemo(() =>
+    calcModeDecayTimes(modes, modelRoom, modalDamping, {
+      c: speedOfSound,
+      volume,
+      maxFreq: Math.min(schroederFreq, IMPULSE_DEFAULTS.band[1]),
+      ...decayLimit,
+    }),
+    [modes, modelRoom, modalDamping, speedOfSound, volume, schroederFreq, decayLimit]
+  );
+  const ringingModes = modeDecayTimes.filter(d => d.ringing);
+
+  // Measurements taken at the chart's position, smoothed and optionally moved to
+  // the predicted level (measured SPL and the model's relative dB don't share a scale)
+  const measurementCurves = useMemo(() => measurements
+    .filter(m => (m.seat ?? null) === (chartSeat ? chartSeat.name : null))
+    .map((m, i) => {
+      const smoothed = smoothFR(m.fr, measurementView.smoothing);
+      const playing = speakers.findIndex(speaker => speaker.name === m.speaker);
+      const reference = playing >= 0 ? toFR(speakerResponses[playing]) : combinedFR;
+      const offset = (measurementView.align ? calcLevelOffset(smoothed, reference) : 0) + m.offset;
+      return { fr: shiftFR(smoothed, offset), color: MEASUREMENT_COLORS[i % MEASUREMENT_COLORS.length], label: `Measured: ${m.name}` };
+    }),
+    [measurements, chartSeat, measurementView, speakers, speakerResponses, combinedFR]
+  );
+
+  const updateMeasurement = (index, changes) =>
+    setMeasurements(measurements.map((m, i) => i === index ? { ...m, ...changes } : m));
+
+  // Read measurement files into measurements at the chart's position
+  const importMeasurements = (files) => {
+    Promise.all(Array.from(files).map(file => file.text().then(text => {
+      try {
+        const { name, fr } = parseMeasurement(text);
+        return { measurement: { name: name || file.name.replace(/\.[^.]+$/, ''), seat: chartSeat ? chartSeat.name : null, speaker: null, offset: 0, fr } };
+      } catch (e) {
+        return { error: `${file.name}: ${e.message}` };
+      }
+    }))).then(results => {
+      setMeasurements(list => [...list, ...results.filter(r => r.measurement).map(r => r.measurement)]);
+      const errors = results.filter(r => r.error).map(r => r.error);
+      setMeasurementError(errors.length > 0 ? errors.join('; ') : null);
+    });
+  };
+
+  // Fit the model as entered to every measurement whose seat and speaker still
+  // exist, over the modal region. Measurements are smoothed to 1/6 octave so single
+  // narrow dips don't pull the fit around.
+  const calibrationMeasurements = measurements
+    .map(m => ({
+      ...m,
+      position: m.seat ? seats.find(seat => seat.name === m.seat) : listener,
+      playing: m.speaker ? speakers.findIndex(speaker => speaker.name === m.speaker) : null,
+    }))
+    .filter(m => m.position && m.playing !== -1);
+  const calibrationRange = [20, Math.round(clamp(schroederFreq, [80, 200]))];
+  const runCalibration = () => calibrationJob.start('calibration', null, null, [{
+    kind: 'calibrate',
+    measurements: calibrationMeasurements.map(m => ({
+      name: m.name,
+      position: m.position,
+      speakers: m.playing === null ? null : [m.playing],
+      fr: smoothFR(m.fr, 'sixth'),
+    })),
+    model: {
+      room,
+      surfaces,
+      furnishings,
+      treatments,
+      openings: baseModalOpenings,
+      speedOfSound,
+      modes: solvedModes,
+      volume: baseModalVolume,
+      speakers,
+      settings: { crossoverFreq, crossoverFilter },
+      freqRange: calibrationRange,
+    },
+  }]);
+  const calibrationFit = calibrationJob.run.status === 'done' ? calibrationJob.run.fit : null;
+
+  // Speaker gains go straight into the power offsets, so they stay visible and
+  // editable; the calibration remembers them so removing it takes them back out
+  const applyCalibration = () => {
+    const { gains } = calibrationFit.calibration;
+    setSpeakers(calibrateSpeakers(speakers, calibrationFit.calibration));
+    const previous = calibration?.gains || {};
+    const total = { ...previous };
+    Object.entries(gains).forEach(([name, gain]) => { total[name] = roundTo((previous[name] || 0) + gain, 1); });
+    setCalibration({ ...calibrationFit.calibration, gains: total });
+    calibrationJob.reset();
+  };
+  const removeCalibration = () => {
+    setSpeakers(calibrateSpeakers(speakers, {
+      gains: Object.fromEntries(Object.entries(calibration.gains).map(([name, gain]) => [name, -gain])),
+    }));
+    setCalibration(null);
+  };
+  const responseMarkers = [
+    { freq: schroederFreq, label: `Schroeder ${schroederFreq.toFixed(0)} Hz`, color: '#a78bfa' },
+    crossoverFreq && { freq: crossoverFreq, label: `Crossover ${crossoverFreq} Hz` },
+  ].filter(Boolean);
+  const modeMarks = modesUpToSchroeder.map(m => ({ freq: m.freq, label: `(${m.n},${m.m},${m.l}) ${m.freq.toFixed(1)} Hz ${m.type}` }));
+
+  // Apply the best relative delay and polarity: delay the subs, or the mains if the
+  // subs need to be earlier
+  const applySubAlignment = () => {
+    if (!subAlignment) return;
+    setSpeakers(speakers.map(speaker => getSpeakerRole(speaker) === 'sub'
+      ? {
+        ...speaker,
+        delay: roundTo((speaker.delay || 0) + Math.max(0, subAlignment.delay), 1),
+        invert: subAlignment.invert ? !speaker.invert : !!speaker.invert,
+      }
+      : { ...speaker, delay: roundTo((speaker.delay || 0) + Math.max(0, -subAlignment.delay), 1) }
+    ));
+  };
+
   // Key findings
   const keyFindings = useMemo(() => {
     const nulls = modalAnalysis.filter(m => m.lpPressure < 0.15);
@@ -597,29 +1958,661 @@ export default function RoomAcousticsApp() {
     return { nulls, peaks, problematicBands };
   }, [modalAnalysis]);
 
-  // Subwoofer optimizer results
+  // Treatment planner: the system response at the listening position and the decay
+  // of the peaking modes without the planned traps, against the model with them
+  const untreatedBasis = useMemo(() =>
+    treatments.length > 0
+      ? buildModalBasis(modelRoom, {
+          freqRange: [20, 250],
+          maxModeFreq: 400,
+          damping: { absorption: modalAbsorption },
+          speedOfSound,
+          modes: numericModes,
+          volume: modalVolume,
+        })
+      : null,
+    [treatments.length > 0, modelRoom, modalAbsorption, speedOfSound, numericModes, modalVolume]
+  );
+  const treatmentEffect = useMemo(() => untreatedBasis && {
+    before: toFR(calcBassManagedResponse(speakers, listener, untreatedBasis, { crossoverFreq, crossoverFilter }).combined),
+    after: toFR(systemResponse.combined),
+    // A mode's peak is inversely proportional to its damping, so to its decay time
+    peaks: keyFindings.peaks.map(mode => {
+      const before = calcModeT60(mode, modelRoom, { absorption: modalAbsorption }, speedOfSound);
+      const after = calcModeT60(mode, modelRoom, modalDamping, speedOfSound);
+      return { mode, before, after, change: 20 * Math.log10(after / before) };
+    }),
+  }, [untreatedBasis, speakers, listener, crossoverFreq, crossoverFilter, systemResponse, keyFindings, modelRoom, modalAbsorption, modalDamping, speedOfSound]);
+
+  // Tuned absorber designer: the design for the chosen mode and where a panel of
+  // its size would sit in the most of that mode's pressure
+  const modeKey = (mode) => `${mode.n},${mode.m},${mode.l}`;
+  const absorberModes = modes.filter(m => m.freq <= 120);
+  const absorberMode = (absorberDesign.modeKey && absorberModes
+    .filter(m => modeKey(m) === absorberDesign.modeKey)
+    .sort((a, b) => Math.abs(a.freq - absorberDesign.modeFreq) - Math.abs(b.freq - absorberDesign.modeFreq))[0])
+    || keyFindings.peaks.find(m => m.type === 'axial')
+    || absorberModes.find(m => m.type === 'axial')
+    || null;
+  const absorberResult = absorberMode && designTunedAbsorber({ ...absorberDesign, freq: absorberMode.freq }, speedOfSound);
+  const absorberPlacements = useMemo(() =>
+    absorberMode ? suggestTreatmentPlacements(absorberMode, room, absorberDesign).slice(0, 4) : [],
+    [absorberMode, room, absorberDesign.width, absorberDesign.height]
+  );
+  const absorberModeIndex = absorberMode
+    ? absorberModes.findIndex(m => modeKey(m) === modeKey(absorberMode) && m.freq === absorberMode.freq)
+    : -1;
+  const chooseAbsorberMode = (mode) => setAbsorberDesign({ ...absorberDesign, modeKey: modeKey(mode), modeFreq: mode.freq });
+  const designAbsorberFor = (mode) => {
+    chooseAbsorberMode(mode);
+    absorberDesignerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+  const addDesignedAbsorber = (placement) => {
+    const { type, material, thickness, size, depth, fill, width, height } = absorberDesign;
+    setTreatments([...treatments, placeTreatment({
+      kind: type === 'membrane' ? 'membrane' : 'helmholtz',
+      mount: placement.mount,
+      x: placement.x,
+      y: placement.y,
+      z: placement.z,
+      width,
+      height,
+      tuning: roundTo(absorberResult.freq, 1),
+      q: roundTo(absorberResult.q, 2),
+      peakAlpha: roundTo(absorberResult.peakAlpha, 2),
+      design: {
+        type,
+        freq: roundTo(absorberMode.freq, 1),
+        mode: modeKey(absorberMode),
+        fill,
+        thickness,
+        ...(type === 'membrane' ? { material } : { size, depth }),
+      },
+    }, room)]);
+  };
+
+  // Build sheet for every designed absorber in the treatment plan
+  const generateBuildSheet = () => {
+    const small = (ft) => `${roundTo(smallToUnits(ft, units), units === 'm' ? 0 : 2)} ${u.small}`;
+    const designed = treatments.filter(trap => trap.design);
+    return `# Tuned Absorber Build Sheet
+Room: ${len(room.length, 2)} × ${len(room.width, 2)} × ${len(room.height, 2)} ${u.length} (L × W × H)
+
+${designed.map((trap, i) => {
+  const { design } = trap;
+  const result = designTunedAbsorber(design, speedOfSound);
+  const placed = placeTreatment(trap, room);
+  const { span } = TREATMENT_MOUNTS[trap.mount];
+  const axisNames = { x: 'from the front wall', y: 'from the left wall', z: 'above the floor' };
+  const halfBand = Math.sqrt(1 + 1 / (4 * result.q ** 2));
+  return `## ${i + 1}. ${ABSORBER_TYPES[design.type].name} for mode (${design.mode}) at ${design.freq} Hz
+- Location: ${TREATMENT_MOUNTS[trap.mount].name.toLowerCase()}${span.length > 0 ? `, centred ${span.map(([axis]) => `${len(placed[axis], 2)} ${u.length} ${axisNames[axis]}`).join(', ')}` : ''}
+- Face: ${len(trap.width, 2)} × ${len(trap.height, 2)} ${u.length}
+${design.type === 'membrane'
+  ? `- Panel: ${small(design.thickness)} ${PANEL_MATERIALS[design.material].name.toLowerCase()}, ${surfaceDensityToUnits(result.mass, units).toFixed(2)} ${u.surfaceDensity}, fixed only at its edges and free to flex
+- Cavity depth: ${small(result.depth)}, behind the panel to the wall`
+  : `- Panel: ${small(design.thickness)} thick, ${design.type === 'holes'
+      ? `${small(design.size)} holes on a ${small(result.spacing)} square grid`
+      : `${small(design.size)} slots between ${small(result.slat)} slats`} (${(result.openArea * 100).toFixed(2)}% open area)
+- Cavity depth: ${small(design.depth)}, behind the panel to the wall`}
+- Cavity fill: ${CAVITY_FILLS[design.fill].name.toLowerCase()}${design.fill === 'none' ? '' : ', clear of the panel'}; seal the box airtight
+- Predicted: ${result.freq.toFixed(1)} Hz, Q ${result.q.toFixed(2)} (about ${(result.freq * (halfBand - 1 / (2 * result.q))).toFixed(0)}–${(result.freq * (halfBand + 1 / (2 * result.q))).toFixed(0)} Hz), absorption ${result.peakAlpha.toFixed(2)} at resonance`;
+}).join('\n\n')}
+`;
+  };
+
+  // The sub every candidate position plays: a copy of the current one (else a sealed
+  // sub), and the crossover it plays through
+  const subTemplate = speakers.find(sp => getSpeakerRole(sp) === 'sub') || { type: 'Subwoofer Sealed', orientation: 0 };
+  const subModel = useMemo(() => ({
+    sub: { type: subTemplate.type, response: subTemplate.response },
+    settings: { crossoverFreq, crossoverFilter },
+  }), [subTemplate.type, subTemplate.response, crossoverFreq, crossoverFilter]);
+
+  // Everything the optimizer's results depend on. The modal basis follows from
+  // these once the wave solver (if any) has settled.
+  const optimizerKey = useMemo(() => JSON.stringify({
+    room, roomShape, adjoiningSpaces, wallOpenings, surfaces, furnishings, treatments, air, calibration,
+    seats: allSeats, config: subOptimizerConfig, zones: placementZones, subModel,
+  }), [room, roomShape, adjoiningSpaces, wallOpenings, surfaces, furnishings, treatments, air, calibration, allSeats, subOptimizerConfig, placementZones, subModel]);
+  const solverBusy = numericSolution.status === 'solving';
+
+  const startOptimizer = (tasks) => subOptimizerJob.start(optimizerKey, modalBasis, allSeats, tasks.map(task => ({ ...task, ...subModel })));
+
+  // Standard positions: score ALL combinations for selected numSubs, split across workers
+  const scoreStandardPositions = () => {
+    const configs = generateAllConfigurations(
+      subOptimizerConfig.numSubs, room, pos => isPlacementAllowed(pos, placementZones, p => isInsideRoom(p, room, roomShape))
+    );
+    const size = Math.ceil(configs.length / OPTIMIZER_WORKERS);
+    const tasks = [];
+    for (let i = 0; i < configs.length; i += size) tasks.push({ kind: 'score', configs: configs.slice(i, i + size) });
+    startOptimizer(tasks);
+  };
+
+  const runPositionSearch = () => {
+    startOptimizer([{
+      kind: 'search',
+      numSubs: subOptimizerConfig.numSubs,
+      room,
+      roomShape,
+      zones: placementZones,
+      method: subOptimizerConfig.method,
+      spacing: subOptimizerConfig.spacing,
+    }]);
+  };
+
+  // Reuse a cached result, or rescore the standard positions after edits settle.
+  // Searches wait for the Search button.
+  useEffect(() => {
+    if (!showSubOptimizer) {
+      subOptimizerJob.reset();
+      return;
+    }
+    if (subOptimizerJob.restore(optimizerKey)) return;
+    if (subOptimizerConfig.method !== 'fixed') {
+      subOptimizerJob.reset();
+      return;
+    }
+    if (solverBusy) return;
+    const timer = setTimeout(scoreStandardPositions, 300);
+    return () => clearTimeout(timer);
+  }, [showSubOptimizer, optimizerKey, solverBusy]);
+
+  // Subwoofer optimizer results (partial while a job is running)
   const subOptimizerResults = useMemo(() => {
-    if (!showSubOptimizer) return null;
+    if (!showSubOptimizer || !optimizerRun.configs?.length) return null;
+    return {
+      totalEvaluated: optimizerRun.evaluated,
+      topConfigs: optimizerRun.configs,
+      bestConfig: optimizerRun.configs[0],
+    };
+  }, [showSubOptimizer, optimizerRun]);
+
+  // The optimizer's top configurations (subs alone, unit gain), moved to the level of `reference`
+  const candidateCurves = (reference, shown = 0) => (subOptimizerResults?.topConfigs || []).slice(0, 5).map((config, i) => ({
+    fr: shiftFR(config.score.fr, calcLevelOffset(config.score.fr, reference)),
+    color: CURVE_COLORS[i % CURVE_COLORS.length],
+    label: `#${i + 1} ${config.name}`,
+    dashed: i > 0,
+    hidden: i >= shown,
+  }));
+
+  const predictedCurves = [
+    { fr: combinedFR, color: '#f3f4f6', label: 'Combined' },
+    chartResponse.mains && { fr: toFR(chartResponse.mains), color: '#34d399', label: 'Mains', dashed: true },
+    chartResponse.subs && { fr: toFR(chartResponse.subs), color: '#f59e0b', label: 'Subwoofers', dashed: true },
+    ...speakerResponses.map((response, i) => ({
+      fr: toFR(response),
+      color: CURVE_COLORS[i % CURVE_COLORS.length],
+      label: speakers[i].name,
+      hidden: true,
+    })),
+    ...candidateCurves(chartResponse.subs ? toFR(chartResponse.subs) : combinedFR),
+    { fr: fitTargetCurve(targetCurve, combinedFR), color: TARGET_COLOR, label: 'Target', dashed: true },
+    ...measurementCurves,
+  ].filter(Boolean);
+
+  // Auto EQ: the seat-averaged response of each channel with EQ available and the
+  // filters designed for it. Subs are corrected up to just past the crossover, mains
+  // from the crossover up.
+  const eqChannels = useMemo(() =>
+    calcEQChannels(speakers, allSeats, systemBasis, { crossoverFreq, crossoverFilter })
+      .filter(channel => eqAvailable[channel.role]),
+    [speakers, allSeats, systemBasis, crossoverFreq, crossoverFilter, eqAvailable]
+  );
+  const autoEQ = useMemo(() => eqChannels.map(channel => {
+    const freqRange = channel.role === 'sub'
+      ? [20, crossoverFreq ? Math.min(250, crossoverFreq * 1.5) : 120]
+      : [crossoverFreq || 20, 250];
+    const target = fitTargetCurve(targetCurve, channel.fr, freqRange);
+    return { ...channel, freqRange, target, ...designAutoEQ(channel.fr, target, freqRange, autoEQSettings) };
+  }), [eqChannels, crossoverFreq, targetCurve, autoEQSettings]);
+  // The output a channel is exported to: the user's choice, else the format's guess
+  const eqOutput = (channel) => {
+    const format = EQ_EXPORT_FORMATS[eqExport.format];
+    const chosen = eqExport.outputs[eqExport.format]?.[channel.key];
+    return chosen !== undefined ? chosen : format.defaultOutput?.(channel) ?? null;
+  };
+  const setEqOutput = (channel, value) => {
+    const output = EQ_EXPORT_FORMATS[eqExport.format].outputs.find(o => String(o) === value) ?? null;
+    const outputs = { ...eqExport.outputs[eqExport.format], [channel.key]: output };
+    setEqExport({ ...eqExport, outputs: { ...eqExport.outputs, [eqExport.format]: outputs } });
+  };
+  const eqExportChannels = () => autoEQ.map(channel => ({ ...channel, output: eqOutput(channel) }));
+  const eqExportText = () => EQ_EXPORT_FORMATS[eqExport.format].format(eqExportChannels(), eqExport.sampleRate);
+  // Single-channel formats are saved as one file per channel
+  const downloadEQ = () => {
+    const format = EQ_EXPORT_FORMATS[eqExport.format];
+    const channels = eqExportChannels();
+    const files = format.perChannel
+      ? channels.map(channel => [`room-eq-${channel.key}`, [channel]])
+      : [['room-eq', channels]];
+    files.forEach(([name, channels]) => downloadText(`${name}.${format.extension}`, format.format(channels, eqExport.sampleRate)));
+  };
+
+  // Listening-position sweep: score ear positions over the whole floor for the
+  // current speakers; the constraints only decide which can be recommended
+  const sweepGrid = useMemo(() => listenerGrid(room, listenerSweep.spacing, listener.z), [room, listenerSweep.spacing, listener.z]);
+  const sweepKey = useMemo(() => JSON.stringify({
+    room, roomShape, adjoiningSpaces, wallOpenings, surfaces, furnishings, treatments, air, calibration,
+    speakers, crossoverFreq, crossoverFilter, spacing: listenerSweep.spacing, earHeight: listener.z,
+  }), [room, roomShape, adjoiningSpaces, wallOpenings, surfaces, furnishings, treatments, air, calibration, speakers, crossoverFreq, crossoverFilter, listenerSweep.spacing, listener.z]);
+
+  useEffect(() => {
+    if (!listenerSweep.show) {
+      listenerSweepJob.reset();
+      return;
+    }
+    if (listenerSweepJob.restore(sweepKey) || solverBusy) return;
+    const timer = setTimeout(() => {
+      const points = sweepGrid.points.filter(pos => isInsideRoom(pos, room, roomShape));
+      const size = Math.ceil(points.length / OPTIMIZER_WORKERS);
+      const tasks = [];
+      for (let i = 0; i < points.length; i += size) {
+        tasks.push({ kind: 'sweep', speakers, settings: { crossoverFreq, crossoverFilter }, points: points.slice(i, i + size) });
+      }
+      listenerSweepJob.start(sweepKey, modalBasis, null, tasks);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [listenerSweep.show, sweepKey, solverBusy]);
+
+  // Swept positions marked with whether they meet the constraints, and the best of those
+  const sweepResults = useMemo(() => {
+    const { points = [] } = listenerSweepJob.run;
+    if (!listenerSweep.show || points.length === 0) return null;
+    const marked = points.map(pos => ({ ...pos, allowed: meetsListenerConstraints(pos, room, listenerSweep.constraints, sweepGrid.dy) }));
+    const scores = marked.map(pos => pos.score.overall);
+    return {
+      points: marked,
+      min: Math.min(...scores),
+      max: Math.max(...scores),
+      recommended: recommendListeningPositions(marked),
+    };
+  }, [listenerSweep.show, listenerSweepJob.run, room, listenerSweep.constraints, sweepGrid]);
+
+  const sweepColor = (score) => {
+    const t = sweepResults.max > sweepResults.min ? (score - sweepResults.min) / (sweepResults.max - sweepResults.min) : 1;
+    return `hsl(${t * 120}, 70%, 45%)`;
+  };
+
+  // Pressure-field slice for the layout
+  const fieldHeight = fieldView.height ?? listener.z;
+  const fieldMode = useMemo(() => {
+    if (fieldView.kind !== 'mode') return null;
+    const matches = modes.filter(m => `${m.n},${m.m},${m.l}` === fieldView.modeKey);
+    return matches.sort((a, b) => Math.abs(a.freq - fieldView.modeFreq) - Math.abs(b.freq - fieldView.modeFreq))[0] || null;
+  }, [fieldView, modes]);
+  const fieldBasis = useMemo(() =>
+    fieldView.kind === 'frequency'
+      ? buildModalBasis(modelRoom, {
+          freqRange: [fieldView.freq, fieldView.freq],
+          pointsPerOctave: 1,
+          maxModeFreq: Math.max(2 * fieldView.freq, fieldView.freq + 100),
+          damping: modalDamping,
+          speedOfSound,
+          modes: numericModes,
+          volume: modalVolume,
+        })
+      : null,
+    [fieldView.kind, fieldView.freq, modelRoom, modalDamping, speedOfSound, numericModes, modalVolume]
+  );
+  const calcFieldSlice = (options) => {
+    const sliceOptions = { ...options, isInside: pos => isInsideRoom(pos, room, roomShape) };
+    if (fieldBasis) return calcFrequencySlice(speakers, fieldBasis, { crossoverFreq, crossoverFilter }, sliceOptions);
+    if (fieldMode) return calcModeSlice(fieldMode, room, sliceOptions);
+    return null;
+  };
+  const fieldSlice = useMemo(() =>
+    calcFieldSlice({ plane: 'z', at: fieldHeight }),
+    [fieldBasis, fieldMode, speakers, crossoverFreq, crossoverFilter, room, roomShape, fieldHeight]
+  );
+  const fieldContours = useMemo(() => (fieldMode && fieldSlice ? calcContourSegments(fieldSlice) : []), [fieldMode, fieldSlice]);
+
+  // Elevations and 3D view: the field on sections through the listening position,
+  // and a coarser horizontal slice for the 3D view
+  const [showViewField, setShowViewField] = useState(true);
+  const viewSlices = useMemo(() => {
+    if (!showViewField || !fieldSlice) return null;
+    const side = calcFieldSlice({ plane: 'y', at: listener.y, resolution: 32 });
+    const front = calcFieldSlice({ plane: 'x', at: listener.x, resolution: 32 });
+    const floor = calcFieldSlice({ plane: 'z', at: fieldHeight, resolution: 24 });
+    return {
+      side,
+      front,
+      floor,
+      sideContours: fieldMode ? calcContourSegments(side) : [],
+      frontContours: fieldMode ? calcContourSegments(front) : [],
+    };
+  }, [fieldBasis, fieldMode, speakers, crossoverFreq, crossoverFilter, room, roomShape, showViewField, fieldSlice, listener.x, listener.y, fieldHeight]);
+  const roomWireframe = useMemo(() =>
+    calcRoomWireframe(room, roomShape, wallOpenings, adjoiningSpaces),
+    [room, roomShape, wallOpenings, adjoiningSpaces]
+  );
+  const ceilingProfile = (along, at) => {
+    if (roomShape.ceiling.profile === 'flat') return null;
+    const span = along === 'x' ? room.length : room.width;
+    return Array.from({ length: 25 }, (_, k) => {
+      const h = (span * k) / 24;
+      return [h, along === 'x' ? calcCeilingHeight(h, at, room, roomShape.ceiling) : calcCeilingHeight(at, h, room, roomShape.ceiling)];
+    });
+  };
+  const speakerColor = (speaker) => speaker.type === 'Large Dipole' ? 'bg-purple-600 border-purple-300' : 'bg-green-600 border-green-300';
+
+  // Clicking a mode in the tables shows its shape on the layout
+  const showModeField = (mode) => {
+    setFieldView({ ...fieldView, kind: 'mode', modeKey: `${mode.n},${mode.m},${mode.l}`, modeFreq: mode.freq });
+    layoutRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+  const isFieldMode = (mode) => fieldMode && mode.n === fieldMode.n && mode.m === fieldMode.m && mode.l === fieldMode.l;
+
+  // Dragging and nudging markers. Each view maps the pointer's fraction across (u)
+  // and down (v) its box to room coordinates, and arrow keys to axes.
+  const MARKER_VIEWS = {
+    top: {
+      axes: ['x', 'y'],
+      fromBox: (u, v) => ({ x: v * room.length, y: u * room.width }),
+      keys: { ArrowUp: ['x', -1], ArrowDown: ['x', 1], ArrowLeft: ['y', -1], ArrowRight: ['y', 1], PageUp: ['z', 1], PageDown: ['z', -1] },
+    },
+    side: {
+      axes: ['x', 'z'],
+      fromBox: (u, v) => ({ x: u * room.length, z: (1 - v) * room.height }),
+      keys: { ArrowLeft: ['x', -1], ArrowRight: ['x', 1], ArrowUp: ['z', 1], ArrowDown: ['z', -1] },
+    },
+    front: {
+      axes: ['y', 'z'],
+      fromBox: (u, v) => ({ y: u * room.width, z: (1 - v) * room.height }),
+      keys: { ArrowLeft: ['y', -1], ArrowRight: ['y', 1], ArrowUp: ['z', 1], ArrowDown: ['z', -1] },
+    },
+  };
+  const SNAP_RADIUS = 1; // ft, for snapping to optimizer positions
+  const nudgeStep = snap.toGrid ? snap.grid : fromUnits(units === 'm' ? 0.05 : 0.1, units);
+
+  const markerPosition = ({ kind, index }) =>
+    kind === 'speaker' ? speakers[index] : kind === 'seat' ? seats[index] : listener;
+
+  // Subs snap to the optimizer's standard and best positions; seats to the
+  // recommended listening positions
+  const snapCandidates = ({ kind, index }) => {
+    if (kind === 'speaker') {
+      if (getSpeakerRole(speakers[index]) !== 'sub') return [];
+      return [...getStandardSubPositions(room), ...(subOptimizerResults?.topConfigs.flatMap(config => config.positions) || [])];
+    }
+    return sweepResults?.recommended || [];
+  };
+
+  const snapPosition = (target, pos, axes) => {
+    if (snap.toCandidates && axes.includes('x') && axes.includes('y')) {
+      const near = snapCandidates(target).find(c => Math.hypot(c.x - pos.x, c.y - pos.y) < SNAP_RADIUS);
+      if (near) return { ...pos, x: near.x, y: near.y };
+    }
+    if (!snap.toGrid || snap.grid <= 0) return pos;
+    const snapped = { ...pos };
+    axes.forEach(axis => { snapped[axis] = roundTo(Math.round(pos[axis] / snap.grid) * snap.grid, 3); });
+    return snapped;
+  };
+
+  const moveMarker = (target, changes) => {
+    const current = markerPosition(target);
+    const pos = {
+      x: clamp(changes.x ?? current.x, [0, room.length]),
+      y: clamp(changes.y ?? current.y, [0, room.width]),
+      z: clamp(changes.z ?? current.z, [0, room.height]),
+    };
+    if (target.kind === 'speaker') updateSpeaker(target.index, { ...current, ...pos });
+    else if (target.kind === 'seat') updateSeat(target.index, pos);
+    else setListener({ ...listener, ...pos });
+  };
+
+  // Speakers, seats and listener on an elevation, `along` being the axis across the view
+  const elevationMarkers = (viewName, along) => {
+    const marker = (target, pos, fields) => ({
+      h: pos[along],
+      z: pos.z,
+      kind: target.kind,
+      handlers: markerHandlers(target, viewName),
+      className: markerClass(target),
+      ...fields,
+    });
+    return [
+      ...speakers.map((speaker, i) => marker({ kind: 'speaker', index: i }, speaker, { label: i + 1, color: speakerColor(speaker), title: speaker.name })),
+      ...seats.map((seat, i) => marker({ kind: 'seat', index: i }, seat, { title: seat.name })),
+      marker({ kind: 'listener' }, listener, { label: '👤', title: 'Listener' }),
+    ];
+  };
+
+  const markerClass = (target) =>
+    `cursor-move focus:outline-none ${selectedMarker?.kind === target.kind && selectedMarker?.index === target.index ? 'ring-2 ring-yellow-400' : ''}`;
+
+  // Props for a draggable marker: its box is the parent element
+  const markerHandlers = (target, viewName) => {
+    const view = MARKER_VIEWS[viewName];
+    return {
+      tabIndex: 0,
+      onPointerDown: (e) => {
+        if (zoneDrawMode) return;
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        e.currentTarget.focus();
+        setSelectedMarker(target);
+      },
+      onPointerMove: (e) => {
+        if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+        const box = e.currentTarget.parentElement.getBoundingClientRect();
+        const pos = { ...markerPosition(target), ...view.fromBox((e.clientX - box.left) / box.width, (e.clientY - box.top) / box.height) };
+        moveMarker(target, snapPosition(target, pos, view.axes));
+      },
+      onPointerUp: (e) => e.currentTarget.releasePointerCapture(e.pointerId),
+      onKeyDown: (e) => {
+        const key = view.keys[e.key];
+        if (!key) return;
+        e.preventDefault();
+        const [axis, direction] = key;
+        moveMarker(target, { [axis]: roundTo(markerPosition(target)[axis] + direction * nudgeStep * (e.shiftKey ? 10 : 1), 3) });
+      },
+    };
+  };
+
+  // Drawing zones on the layout: drag a rectangle in top-view coordinates
+  const layoutPoint = (e) => {
+    const rect = layoutRef.current.getBoundingClientRect();
+    return {
+      x: clamp(((e.clientY - rect.top) / rect.height) * room.length, [0, room.length]),
+      y: clamp(((e.clientX - rect.left) / rect.width) * room.width, [0, room.width]),
+    };
+  };
+  const startZoneDraw = (e) => {
+    if (!zoneDrawMode) return;
+    const start = layoutPoint(e);
+    setZoneDraft({ start, end: start });
+  };
+  const moveZoneDraw = (e) => {
+    if (zoneDraft) setZoneDraft({ ...zoneDraft, end: layoutPoint(e) });
+  };
+  const finishZoneDraw = () => {
+    if (!zoneDraft) return;
+    const { start, end } = zoneDraft;
+    setZoneDraft(null);
+    setZoneDrawMode(null);
+    if (Math.abs(end.x - start.x) < 0.25 || Math.abs(end.y - start.y) < 0.25) return;
+    setPlacementZones([...placementZones, {
+      kind: zoneDrawMode,
+      x: [roundTo(Math.min(start.x, end.x), 2), roundTo(Math.max(start.x, end.x), 2)],
+      y: [roundTo(Math.min(start.y, end.y), 2), roundTo(Math.max(start.y, end.y), 2)],
+      // Keep-out zones cover the full height; allowed zones start on the floor
+      z: zoneDrawMode === 'keepOut' ? [0, room.height] : [0, 0],
+    }]);
+  };
 
-    const modesForOptimization = modes.filter(m => m.freq <= 120);
+  // Settings from a previous multi-sub run no longer apply once the room, seats or sub model change
+  useEffect(() => setMsoResult(null), [modalBasis, allSeats, subModel]);
 
-    // Generate and score ALL combinations for selected numSubs
-    const allConfigs = generateAllConfigurations(subOptimizerConfig.numSubs, room);
+  const runMultiSubOptimizer = (config) => {
+    setMsoResult({
+      name: config.name,
+      positions: config.positions,
+      baseline: config.score,
+      result: optimizeMultiSub(config.positions, allSeats, modalBasis, { eq: msoEq, ...subModel }),
+    });
+  };
+  // Peak-to-peak change from the optimization, negative when it helped
+  const msoPeakChange = msoResult && msoResult.result.peakToPeak - msoResult.baseline.peakToPeak;
 
-    const scoredConfigs = allConfigs.map(config => ({
-      ...config,
-      score: scoreSubConfig(config.positions, modesForOptimization, room, listener),
+  // The current speakers with the subwoofers replaced by a set at `positions`, each
+  // with the multi-sub optimizer's { gain, delay, invert } when given
+  const withSubsAt = (positions, subSettings) => {
+    const subs = positions.map((pos, i) => ({
+      ...subTemplate,
+      name: `Sub ${i + 1}`,
+      x: pos.x, y: pos.y, z: pos.z,
+      ...(subSettings ? { powerOffset: subSettings[i].gain, delay: subSettings[i].delay, invert: subSettings[i].invert } : {}),
     }));
+    return [...speakers.filter(sp => getSpeakerRole(sp) !== 'sub'), ...subs];
+  };
+
+  // Replace the current subwoofers with the optimized set
+  const applyMultiSubResult = () => {
+    if (!msoResult) return;
+    setSpeakers(withSubsAt(msoResult.positions, msoResult.result.settings));
+  };
 
-    // Sort by score, take top 20
-    scoredConfigs.sort((a, b) => b.score.overall - a.score.overall);
+  // Auralization. Layouts to compare against the current one (A): a saved layout,
+  // the optimizer's top configurations and the multi-sub optimizer's result.
+  const auralizationLayouts = useMemo(() => {
+    const settings = { crossoverFreq, crossoverFilter };
+    return [
+      savedLayout && { key: 'saved', name: 'Saved layout', ...savedLayout },
+      ...(subOptimizerResults?.topConfigs || []).slice(0, 5).map((config, i) => ({
+        key: `optimizer-${i}`, name: `Optimizer #${i + 1}: ${config.name}`, speakers: withSubsAt(config.positions), settings,
+      })),
+      msoResult && {
+        key: 'mso', name: 'Multi-sub optimizer result', speakers: withSubsAt(msoResult.positions, msoResult.result.settings), settings,
+      },
+    ].filter(Boolean);
+  }, [savedLayout, subOptimizerResults, msoResult, speakers, crossoverFreq, crossoverFilter]);
+  const compareLayout = auralizationLayouts.find(layout => layout.key === auralization.compareTo) || auralizationLayouts[0] || null;
 
-    return {
-      totalEvaluated: allConfigs.length,
-      topConfigs: scoredConfigs.slice(0, 20),
-      bestConfig: scoredConfigs[0],
-    };
-  }, [showSubOptimizer, subOptimizerConfig, room, listener, modes]);
+  const saveLayoutForComparison = () => {
+    setSavedLayout({ speakers, settings: { crossoverFreq, crossoverFilter } });
+    setAuralization({ ...auralization, compareTo: 'saved' });
+  };
+
+  // Impulse responses for A and B at the output's sample rate, B on A's level
+  // reference so a louder layout sounds louder. Only worked out while playing.
+  const calcLayoutIRs = (sampleRate) => {
+    const options = { sampleRate, highBand: auralization.highBand };
+    const a = calcAuralizationIR(speakers, chartPosition, impulseBasis, { crossoverFreq, crossoverFilter }, options);
+    const b = compareLayout
+      ? calcAuralizationIR(compareLayout.speakers, chartPosition, impulseBasis, compareLayout.settings, { ...options, reference: a.reference })
+      : null;
+    return { a, b };
+  };
+  const auralizationIRs = useMemo(() =>
+    auralizationPlaying && speakers.length > 0 ? calcLayoutIRs(audioRate) : null,
+    [auralizationPlaying, speakers, chartPosition, impulseBasis, crossoverFreq, crossoverFilter, compareLayout, audioRate, auralization.highBand]
+  );
+
+  // Web Audio graph: one looping source through a convolver per layout, each behind
+  // its own gain, so switching A/B is a short crossfade rather than a restart
+  const audioRef = useRef(null);
+  const getAudio = () => {
+    if (!audioRef.current) {
+      const context = new (window.AudioContext || window.webkitAudioContext)();
+      const master = context.createGain();
+      master.connect(context.destination);
+      const channels = ['A', 'B'].map(() => {
+        const convolver = context.createConvolver();
+        const gain = context.createGain();
+        convolver.connect(gain).connect(master);
+        return { convolver, gain };
+      });
+      audioRef.current = { context, master, channels, source: null };
+      setAudioRate(context.sampleRate);
+    }
+    return audioRef.current;
+  };
+  useEffect(() => () => audioRef.current?.context.close(), []);
+
+  // A convolver's response can't always be swapped in place, so a new one replaces it
+  const setChannelIR = (audio, channel, ir) => {
+    const convolver = audio.context.createConvolver();
+    convolver.normalize = false;
+    if (ir) {
+      const buffer = audio.context.createBuffer(1, ir.samples.length, ir.sampleRate);
+      buffer.copyToChannel(ir.samples, 0);
+      convolver.buffer = buffer;
+    }
+    convolver.connect(channel.gain);
+    if (audio.source) {
+      audio.source.disconnect(channel.convolver);
+      audio.source.connect(convolver);
+    }
+    channel.convolver.disconnect();
+    channel.convolver = convolver;
+  };
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !auralizationIRs || auralizationIRs.a.sampleRate !== audio.context.sampleRate) return;
+    setChannelIR(audio, audio.channels[0], auralizationIRs.a);
+    setChannelIR(audio, audio.channels[1], auralizationIRs.b);
+  }, [auralizationIRs]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    const now = audio.context.currentTime;
+    audio.channels.forEach((channel, i) => channel.gain.gain.setTargetAtTime(['A', 'B'][i] === auralization.listening ? 1 : 0, now, 0.01));
+    audio.master.gain.setTargetAtTime(auralization.volume, now, 0.01);
+  }, [auralization.listening, auralization.volume, auralizationPlaying]);
+
+  const playAuralization = (track = auralization.track) => {
+    const audio = getAudio();
+    audio.context.resume();
+    let buffer = track === 'file' ? auralizationFile?.buffer : null;
+    if (!buffer) {
+      const samples = TEST_TRACKS[track === 'file' ? 'notes' : track].generate(audio.context.sampleRate);
+      buffer = audio.context.createBuffer(1, samples.length, audio.context.sampleRate);
+      buffer.copyToChannel(samples, 0);
+    }
+    audio.source?.stop();
+    const source = audio.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    audio.channels.forEach(channel => source.connect(channel.convolver));
+    source.start();
+    audio.source = source;
+    setAuralizationPlaying(true);
+  };
+
+  const stopAuralization = () => {
+    const audio = audioRef.current;
+    audio?.source?.stop();
+    if (audio) audio.source = null;
+    setAuralizationPlaying(false);
+  };
+
+  const chooseTrack = (track) => {
+    setAuralization({ ...auralization, track });
+    if (auralizationPlaying) playAuralization(track);
+  };
+
+  const loadAuralizationFile = (file) => {
+    file.arrayBuffer()
+      .then(data => getAudio().context.decodeAudioData(data))
+      .then(buffer => {
+        setAuralizationFile({ name: file.name, buffer });
+        setAuralization(current => ({ ...current, track: 'file' }));
+        setAuralizationError(null);
+      })
+      .catch(() => setAuralizationError(`${file.name}: not an audio file this browser can decode`));
+  };
+
+  const downloadImpulseResponse = (layout) => {
+    const rate = auralization.exportRate;
+    const ir = calcLayoutIRs(rate)[layout];
+    downloadBlob(`room-ir-${layout}-${rate / 1000}k.wav`, new Blob([encodeWAV(ir.samples, rate)], { type: 'audio/wav' }));
+  };
 
   // Generate LLM prompt
   const generateLLMPrompt = () => {
@@ -640,17 +2633,31 @@ Analyze this room acoustics data and provide recommendations for:
 **Complex interactions:** Room acoustics involve complex, non-linear interactions between room modes, speaker radiation patterns, boundary effects, and listener position. A change that improves one frequency may worsen another. Factor these interactions into your recommendations — avoid tunnel vision on single problems, and consider how proposed changes affect the overall system behavior. Where trade-offs exist, make them explicit.
 
 ## Room Dimensions
-- Length: ${room.length.toFixed(2)} ft (front to back)
-- Width: ${room.width.toFixed(2)} ft (left to right)  
-- Height: ${room.height.toFixed(2)} ft
-- Volume: ${volume.toFixed(0)} ft³
-- Schroeder Frequency: ${schroederFreq.toFixed(0)} Hz
+- Length: ${len(room.length, 2)} ${u.length} (front to back)
+- Width: ${len(room.width, 2)} ${u.length} (left to right)  
+- Height: ${len(room.height, 2)} ${u.length}
+- Volume: ${volumeToUnits(volume, units).toFixed(units === 'm' ? 1 : 0)} ${u.volume}
+- Shape: ${FLOOR_PLANS[roomShape.plan]} floor plan, ${CEILING_PROFILES[roomShape.ceiling.profile].toLowerCase()} ceiling${roomShape.ceiling.profile !== 'flat' ? ` (${len(roomShape.ceiling.low)}–${len(room.height)} ${u.length})` : ''}${shapedRoom ? `\n- Floor plan vertices (from front, from left): ${(solverGeometry?.polygon || []).map(([x, y]) => `(${len(x)}, ${len(y)})`).join(' ')}\n- Room modes are from a numerical wave solver (mode indices are equivalent estimates)` : ''}
+- Air: ${tempToUnits(air.temperature, units).toFixed(0)}${u.temperature}, ${air.humidity}% RH → speed of sound ${toUnits(speedOfSound, units).toFixed(1)} ${u.speed}
+${calibration ? `- Model calibrated to measurements: effective ${len(modelRoom.length, 2)} × ${len(modelRoom.width, 2)} × ${len(modelRoom.height, 2)} ${u.length}, wall openings ×${calibration.openings.toFixed(2)}, absorption ${SURFACES.map(surface => `${surface} ×${calibration.damping[surface].toFixed(2)}`).join(', ')}
+` : ''}- Schroeder Frequency: ${schroederFreq.toFixed(0)} Hz (RT60 ${bassRT60.toFixed(2)} s at 125–250 Hz)
 
 ## Wall Openings (% open)
-- Front: ${wallOpenings.front}%
-- Rear: ${wallOpenings.rear}%
-- Left: ${wallOpenings.left}%
-- Right: ${wallOpenings.right}%
+- Front: ${roundTo(openings.front, 1)}%
+- Rear: ${roundTo(openings.rear, 1)}%
+- Left: ${roundTo(openings.left, 1)}%
+- Right: ${roundTo(openings.right, 1)}%
+${adjoiningSpaces.length > 0 ? `
+## Adjoining Spaces (modeled as coupled to the room by the wave solver)
+${adjoiningSpaces.map(space => `- Behind the ${space.wall} wall: ${len(space.depth)} × ${len(space.width)} × ${len(space.height)} ${u.length} (depth × width × height), ${len(space.offset)} ${u.length} along the wall; opening ${len(space.openingWidth)} × ${len(space.openingHeight)} ${u.length} at ${len(space.openingOffset)} ${u.length} along the wall`).join('\n')}
+` : ''}
+## Surfaces & Reverberation
+${SURFACES.map(surface => `- ${surface[0].toUpperCase() + surface.slice(1)}: ${MATERIALS[surfaces[surface]]?.name}`).join('\n')}
+- Furnishings: ${furnishings.length > 0 ? furnishings.map(f => `${furnishingCountLabel(f)} ${FURNISHINGS[f.type]?.name.toLowerCase()}`).join(', ') : 'none'}
+${treatments.map(trap => `- Planned trap: ${TREATMENTS[trap.kind].name.toLowerCase()}${TREATMENTS[trap.kind].tuned ? ` tuned to ${trap.tuning} Hz` : ''}${trap.design ? ` (designed for mode (${trap.design.mode}) at ${trap.design.freq} Hz)` : ''}, ${len(trap.width)} × ${len(trap.height)} ${u.length}, ${TREATMENT_MOUNTS[trap.mount].name.toLowerCase()}\n`).join('')}${treatmentEffect ? `- Planned traps' effect on the peaking modes: ${treatmentEffect.peaks.map(p => `${p.mode.freq.toFixed(1)} Hz T60 ${p.before.toFixed(2)} → ${p.after.toFixed(2)} s (${p.change.toFixed(1)} dB)`).join(', ') || 'no peaking modes'}\n` : ''}
+| Band | Sabine RT60 | Eyring RT60 |
+|------|-------------|-------------|
+${rt60Bands.map(b => `| ${b.freq} Hz | ${b.sabine.toFixed(2)} s | ${b.eyring.toFixed(2)} s |`).join('\n')}
 
 ## Fundamental Modes
 - Length (1,0,0): ${fundamentalLength.toFixed(1)} Hz
@@ -659,28 +2666,53 @@ Analyze this room acoustics data and provide recommendations for:
 
 ## Room Ratios (normalized to height)
 - H:W:L = 1 : ${(room.width/room.height).toFixed(2)} : ${(room.length/room.height).toFixed(2)}
+- Bolt area: ${ratioEvaluation.bolt ? 'inside' : 'outside'}; Walker criterion: ${ratioEvaluation.walker ? 'met' : 'not met'}; Bonello criterion: ${ratioEvaluation.bonello.pass ? 'met' : 'not met'}
+- Axial and tangential modes up to ${RATIO_MAX_FREQ} Hz: mean spacing ${ratioEvaluation.spacing.mean.toFixed(1)} Hz, largest gap ${ratioEvaluation.spacing.maxGap.toFixed(1)} Hz, evenness ${ratioEvaluation.spacing.evenness.toFixed(2)} (std dev / mean)
+${ratioEvaluation.degenerate.map(group => `- Coincident axial modes: ${group.map(m => `(${m.n},${m.m},${m.l}) ${m.freq.toFixed(1)} Hz`).join(' + ')}`).join('\n')}
 
 ## Listening Position
-- From front wall: ${listener.x.toFixed(1)} ft (${(listener.x/room.length*100).toFixed(0)}% of length)
-- From left wall: ${listener.y.toFixed(1)} ft (${(listener.y/room.width*100).toFixed(0)}% of width)
-- Ear height: ${listener.z.toFixed(1)} ft (${(listener.z/room.height*100).toFixed(0)}% of height)
-
+- From front wall: ${len(listener.x)} ${u.length} (${(listener.x/room.length*100).toFixed(0)}% of length)
+- From left wall: ${len(listener.y)} ${u.length} (${(listener.y/room.width*100).toFixed(0)}% of width)
+- Ear height: ${len(listener.z)} ${u.length} (${(listener.z/room.height*100).toFixed(0)}% of height)
+${seats.length > 0 ? `
+## Other Seats (from front, from left, ear height)
+${seats.map(seat => `- ${seat.name}: (${len(seat.x)}, ${len(seat.y)}, ${len(seat.z)}) ${u.length}`).join('\n')}
+- Modal pressure per seat (% of maximum): ${modalAnalysis.filter(m => m.freq <= 80).map(m => `${m.freq.toFixed(0)} Hz [${[m.lpPressure, ...m.seatPressures].map(p => (p * 100).toFixed(0)).join('/')}]`).join(', ')}
+` : ''}
 ## Speakers/Subwoofers
 ${speakers.map(s => `### ${s.name}
-- Position: (${s.x.toFixed(1)}', ${s.y.toFixed(1)}', ${s.z.toFixed(1)}')
+- Position: (${len(s.x)}, ${len(s.y)}, ${len(s.z)}) ${u.length}
 - Type: ${s.type}
+- Low-frequency response: ${describeSpeakerResponse(getSpeakerResponse(s), units)}${s.response ? '' : ' (type default)'}
 - Power offset: ${s.powerOffset} dB
 - Boundary gain: +${speakerAnalysis.find(sa => sa.name === s.name)?.boundaryGain.toFixed(1) || 0} dB
 ${s.type === 'Large Dipole' ? `- Orientation: ${s.orientation}°` : ''}`).join('\n\n')}
-
+${sweepResults?.recommended.length > 0 ? `
+## Listening Position Sweep (bass flatness at ${len(listener.z)} ${u.length} ear height, current speakers)
+- Constraints: at least ${len(listenerSweep.constraints.front)} ${u.length} from the front wall, ${len(listenerSweep.constraints.rear)} ${u.length} from the rear wall, ${len(listenerSweep.constraints.side)} ${u.length} from the side walls${listenerSweep.constraints.centerLine ? ', on the center line' : ''}
+${sweepResults.recommended.map((pos, i) => `- #${i + 1}: (${len(pos.x)}, ${len(pos.y)}) ${u.length}, ±${(pos.score.peakToPeak / 2).toFixed(1)} dB, score ${pos.score.overall.toFixed(0)}/100`).join('\n')}
+` : ''}
+${placementZones.length > 0 ? `
+## Subwoofer Placement Constraints (from front, from left, height)
+${placementZones.map(zone => `- ${zone.kind === 'keepOut' ? 'Keep-out' : 'Allowed'}: ${['x', 'y', 'z'].map(axis => `${len(zone[axis][0])}–${len(zone[axis][1])}`).join(', ')} ${u.length}`).join('\n')}
+${placementZones.some(zone => zone.kind === 'allowed') ? '- Subwoofers may only be placed inside an allowed zone' : ''}
+` : ''}
 ## EQ / Room Correction Availability
 - Main speakers: ${eqAvailable.main ? 'YES - DSP/room correction available' : 'NO - positioning and acoustic treatment only'}
 - Subwoofers: ${eqAvailable.sub ? 'YES - DSP/room correction available' : 'NO - positioning and acoustic treatment only'}
 ${!eqAvailable.main && !eqAvailable.sub ? '\n**Note:** With no EQ available, recommendations should focus entirely on positioning, speaker selection, and acoustic treatment.' : ''}
 ${eqAvailable.sub && !eqAvailable.main ? '\n**Note:** Since only subwoofer EQ is available, main speaker issues must be addressed through positioning. Consider crossover frequency carefully — problems in the crossover region may be difficult to address.' : ''}
-
+${autoEQ.length > 0 ? `
+## Proposed Parametric EQ (${TARGET_CURVES[targetCurve].name} target, averaged over all seats)
+${autoEQ.map(channel => `### ${channel.name} (${channel.freqRange[0].toFixed(0)}–${channel.freqRange[1].toFixed(0)} Hz)
+- Deviation from target: ${channel.before.toFixed(1)} dB RMS before, ${channel.after.toFixed(1)} dB RMS after
+${channel.filters.map(band => `- PK ${band.freq.toFixed(1)} Hz, ${band.gain.toFixed(1)} dB, Q ${band.q.toFixed(2)}`).join('\n')}${channel.nulls.length > 0 ? `
+- Nulls left alone: ${channel.nulls.map(f => f.toFixed(0)).join(', ')} Hz` : ''}`).join('\n\n')}
+` : ''}
 ## Crossover Frequency
-- Crossover between small speakers and subwoofers: ${crossoverFreq ? `${crossoverFreq} Hz` : 'Not specified'}
+- Crossover between small speakers and subwoofers: ${crossoverFreq ? `${crossoverFreq} Hz, ${CROSSOVER_FILTERS[crossoverFilter].name}` : 'Not specified'}
+${speakers.filter(s => s.delay || s.invert).map(s => `- ${s.name}: ${s.delay || 0} ms delay${s.invert ? ', polarity inverted' : ''}`).join('\n')}${summationLoss ? `
+- Predicted mains/sub summation through the crossover region: ${summationLoss.mean.toFixed(1)} dB average, ${summationLoss.worst.toFixed(1)} dB worst (0 dB = no cancellation)` : ''}
 - Note: Large speakers are assumed to be full-range (no high-pass filter applied)
 
 ## Modal Analysis at Listening Position (modes up to 150 Hz)
@@ -700,6 +2732,11 @@ ${keyFindings.problematicBands.length > 0
   ? keyFindings.problematicBands.map(b => `- ${b.name} (${b.low}-${b.high} Hz): ${b.issue}, avg ${(b.avgPressure*100).toFixed(0)}% pressure`).join('\n')
   : 'None identified'}
 
+## Mode Decay (limit: ${decayLimit.limit === 'ebu' ? `EBU Tech 3276, nominal ${calcNominalRT60(volume).toFixed(2)} s + 0.3 s at 63 Hz to + 0.05 s at 200 Hz` : `T60 ${decayLimit.maxT60} s`})
+${ringingModes.length > 0
+  ? ringingModes.map(d => `- (${d.mode.n},${d.mode.m},${d.mode.l}) ${d.mode.freq.toFixed(1)} Hz ${d.mode.type}: T60 ${d.t60.toFixed(2)} s, limit ${d.limit.toFixed(2)} s`).join('\n')
+  : `- All ${modeDecayTimes.length} modes below ${Math.min(schroederFreq, IMPULSE_DEFAULTS.band[1]).toFixed(0)} Hz decay within the limit`}
+
 ## Full Modal Data (first 30 modes)
 | Mode | Freq | Type | Listening Position | ${speakers.map(s => s.name.substring(0,10)).join(' | ')} |
 |------|------|------|-------------|${speakers.map(() => '------').join('|')}|
@@ -708,8 +2745,11 @@ ${modalAnalysis.slice(0, 30).map(m =>
 ).join('\n')}
 
 ## SBIR Analysis by Speaker
+Image-source model (first- and second-order reflections from all six boundaries) at the listening position, relative to the direct sound.
 ${speakerAnalysis.map(s => `### ${s.name}
-${s.sbir.map(sb => `- ${sb.boundary}: ${sb.distance.toFixed(1)} ft → ${sb.freq.toFixed(0)} Hz null`).join('\n')}`).join('\n\n')}
+${s.sbir.notches.length > 0
+  ? s.sbir.notches.map(n => `- ${n.freq.toFixed(0)} Hz notch: ${n.depth.toFixed(1)} dB`).join('\n')
+  : '- No notches deeper than 3 dB (20–500 Hz)'}`).join('\n\n')}
 
 ## Analysis Request
 Based on this data, please provide:
@@ -728,42 +2768,155 @@ Based on this data, please provide:
   const [importText, setImportText] = useState('');
   const [showImportExport, setShowImportExport] = useState(false);
   
+  // Exported lengths, areas and temperatures are in the selected unit system (state stays in feet)
+  const exportLength = (ft) => roundTo(toUnits(ft, units), 4);
+  const exportFurnishingCount = (f) => isAreaFurnishing(f) ? roundTo(areaToUnits(f.count, units), 4) : f.count;
+  const importFurnishing = (type, count, fileUnits) => ({
+    type,
+    count: FURNISHINGS[type]?.unit === 'ft²' ? areaFromUnits(count, fileUnits) : count,
+  });
+
+  const importResponse = (model, params, fileUnits) =>
+    mapResponseVolumes({ ...params, model }, v => boxVolumeFromUnits(v, fileUnits));
+
   const serializeState = () => {
     return JSON.stringify({
       version: 1,
-      room,
+      units,
+      room: { length: exportLength(room.length), width: exportLength(room.width), height: exportLength(room.height) },
       wallOpenings,
-      listener,
-      speakers,
+      listener: { x: exportLength(listener.x), y: exportLength(listener.y), z: exportLength(listener.z) },
+      seats: seats.map(seat => ({ ...seat, x: exportLength(seat.x), y: exportLength(seat.y), z: exportLength(seat.z) })),
+      speakers: speakers.map(s => ({
+        ...s,
+        x: exportLength(s.x), y: exportLength(s.y), z: exportLength(s.z),
+        response: mapResponseVolumes(s.response, ft3 => roundTo(boxVolumeToUnits(ft3, units), 4)),
+      })),
       eqAvailable,
       crossoverFreq,
+      crossoverFilter,
+      targetCurve,
+      autoEQ: autoEQSettings,
+      decayLimit,
+      surfaces,
+      furnishings: furnishings.map(f => ({ ...f, count: exportFurnishingCount(f) })),
+      treatments: treatments.map(trap => mapTreatmentLengths(trap, exportLength)),
+      sbirReflection,
+      roomShape: mapShapeLengths(roomShape, exportLength),
+      adjoiningSpaces: adjoiningSpaces.map(space => mapAdjoiningLengths(space, exportLength)),
+      placementZones: placementZones.map(zone => mapZoneLengths(zone, exportLength)),
+      listenerConstraints: {
+        ...listenerSweep.constraints,
+        ...Object.fromEntries(['front', 'rear', 'side'].map(key => [key, exportLength(listenerSweep.constraints[key])])),
+      },
+      air: { temperature: roundTo(tempToUnits(air.temperature, units), 2), humidity: air.humidity },
+      calibration,
+      // Measurements as text, in the layout they are imported from
+      measurements: measurements.map(({ fr, ...m }) => ({
+        ...m,
+        data: fr.map(p => [p.freq, p.dB, p.phase].filter(v => v !== undefined).join(' ')).join('\n'),
+      })),
     }, null, 2);
   };
   
+  // Measurements are left out of the compact form: they would make links too long
   const serializeCompact = () => {
     return JSON.stringify({
       v: 1,
-      r: [room.length, room.width, room.height],
+      u: units,
+      r: [exportLength(room.length), exportLength(room.width), exportLength(room.height)],
       w: [wallOpenings.front, wallOpenings.rear, wallOpenings.left, wallOpenings.right],
-      l: [listener.x, listener.y, listener.z],
-      s: speakers.map(s => [s.name, s.x, s.y, s.z, s.type, s.orientation || 0, s.powerOffset || 0]),
+      l: [exportLength(listener.x), exportLength(listener.y), exportLength(listener.z)],
+      p: seats.map(seat => [seat.name, exportLength(seat.x), exportLength(seat.y), exportLength(seat.z)]),
+      s: speakers.map(s => [
+        s.name, exportLength(s.x), exportLength(s.y), exportLength(s.z), s.type, s.orientation || 0, s.powerOffset || 0,
+        s.response ? [s.response.model, ...RESPONSE_MODELS[s.response.model].params.map(p =>
+          p === 'vas' || p === 'vb' ? roundTo(boxVolumeToUnits(s.response[p], units), 4) : s.response[p]
+        )] : null,
+        s.delay || 0,
+        s.invert ? 1 : 0,
+      ]),
       e: [eqAvailable.main ? 1 : 0, eqAvailable.sub ? 1 : 0],
       c: crossoverFreq,
+      x: crossoverFilter,
+      t: targetCurve,
+      o: [autoEQSettings.maxFilters, autoEQSettings.maxBoost],
+      d: [decayLimit.limit, decayLimit.maxT60],
+      m: SURFACES.map(surface => surfaces[surface]),
+      f: furnishings.map(f => [f.type, exportFurnishingCount(f)]),
+      // Absorber designs (the build details) stay out of the compact form; their tuning is kept
+      h: treatments.map(trap => [
+        trap.kind, trap.mount, ...TREATMENT_LENGTHS.map(key => exportLength(trap[key])),
+        trap.tuning ?? null, trap.q ?? null, trap.peakAlpha ?? null,
+      ]),
+      b: SURFACES.map(surface => sbirReflection[surface]),
+      a: [roundTo(tempToUnits(air.temperature, units), 2), air.humidity],
+      g: mapShapeLengths(roomShape, exportLength),
+      j: adjoiningSpaces.map(space => [space.wall, ...ADJOINING_LENGTHS.map(key => exportLength(space[key]))]),
+      k: placementZones.map(zone => [zone.kind, ...[zone.x, zone.y, zone.z].flat().map(exportLength)]),
+      q: [...['front', 'rear', 'side'].map(key => exportLength(listenerSweep.constraints[key])), listenerSweep.constraints.centerLine ? 1 : 0],
+      z: calibration && [
+        calibration.scale.length, calibration.scale.width, calibration.scale.height, calibration.openings,
+        ...SURFACES.map(surface => calibration.damping[surface]),
+        Object.entries(calibration.gains),
+      ],
     });
   };
   
+  // Configs without a unit field predate metric support and are in feet
   const deserializeCompact = (data) => {
-    if (data.r) setRoom({ length: data.r[0], width: data.r[1], height: data.r[2] });
+    const fileUnits = data.u || 'ft';
+    const L = (v) => fromUnits(v, fileUnits);
+    setUnits(fileUnits);
+    if (data.r) setRoom({ length: L(data.r[0]), width: L(data.r[1]), height: L(data.r[2]) });
     if (data.w) setWallOpenings({ front: data.w[0], rear: data.w[1], left: data.w[2], right: data.w[3] });
-    if (data.l) setListener({ x: data.l[0], y: data.l[1], z: data.l[2] });
+    if (data.l) setListener({ x: L(data.l[0]), y: L(data.l[1]), z: L(data.l[2]) });
+    if (data.p) setSeats(data.p.map(([name, x, y, z]) => ({ name, x: L(x), y: L(y), z: L(z) })));
     if (data.s) setSpeakers(data.s.map(s => ({
-      name: s[0], x: s[1], y: s[2], z: s[3],
+      name: s[0], x: L(s[1]), y: L(s[2]), z: L(s[3]),
       type: s[4],
       orientation: s[5] || 0,
       powerOffset: s[6] || 0,
+      response: s[7] ? importResponse(s[7][0], Object.fromEntries(
+        RESPONSE_MODELS[s[7][0]].params.map((p, i) => [p, s[7][i + 1]])
+      ), fileUnits) : null,
+      delay: s[8] || 0,
+      invert: s[9] === 1,
     })));
     if (data.e) setEqAvailable({ main: data.e[0] === 1, sub: data.e[1] === 1 });
     if (data.c) setCrossoverFreq(data.c);
+    if (data.x) setCrossoverFilter(data.x);
+    if (data.t) setTargetCurve(data.t);
+    if (data.o) setAutoEQSettings({ maxFilters: data.o[0], maxBoost: data.o[1] });
+    if (data.d) setDecayLimit({ limit: data.d[0], maxT60: data.d[1] });
+    if (data.m) setSurfaces(Object.fromEntries(SURFACES.map((surface, i) => [surface, data.m[i]])));
+    if (data.f) setFurnishings(data.f.map(f => importFurnishing(f[0], f[1], fileUnits)));
+    if (data.h) setTreatments(data.h.map(([kind, mount, ...values]) => ({
+      kind,
+      mount,
+      ...Object.fromEntries(TREATMENT_LENGTHS.map((key, i) => [key, L(values[i])])),
+      ...(TREATMENTS[kind]?.tuned ? { tuning: values[5], q: values[6] } : {}),
+      ...(values[7] != null ? { peakAlpha: values[7] } : {}),
+    })));
+    if (data.b) setSbirReflection(Object.fromEntries(SURFACES.map((surface, i) => [surface, data.b[i]])));
+    if (data.a) setAir({ temperature: tempFromUnits(data.a[0], fileUnits), humidity: data.a[1] });
+    if (data.g) setRoomShape(mapShapeLengths({ ...DEFAULT_ROOM_SHAPE, ...data.g }, L));
+    if (data.j) setAdjoiningSpaces(data.j.map(([wall, ...lengths]) =>
+      mapAdjoiningLengths({ wall, ...Object.fromEntries(ADJOINING_LENGTHS.map((key, i) => [key, lengths[i]])) }, L)
+    ));
+    if (data.k) setPlacementZones(data.k.map(([kind, x0, x1, y0, y1, z0, z1]) =>
+      mapZoneLengths({ kind, x: [x0, x1], y: [y0, y1], z: [z0, z1] }, L)
+    ));
+    if (data.z) setCalibration({
+      scale: { length: data.z[0], width: data.z[1], height: data.z[2] },
+      openings: data.z[3],
+      damping: Object.fromEntries(SURFACES.map((surface, i) => [surface, data.z[4 + i]])),
+      gains: Object.fromEntries(data.z[10] || []),
+    });
+    if (data.q) setListenerSweep(sweep => ({
+      ...sweep,
+      constraints: { front: L(data.q[0]), rear: L(data.q[1]), side: L(data.q[2]), centerLine: data.q[3] === 1 },
+    }));
   };
   
   // URL-safe base64
@@ -802,7 +2955,7 @@ Based on this data, please provide:
     const url = new URL(window.location.href.split('?')[0]);
     url.searchParams.set('c', compressed);
     window.history.replaceState(null, '', url.toString());
-  }, [room, wallOpenings, listener, speakers, eqAvailable, crossoverFreq]);
+  }, [room, wallOpenings, listener, seats, speakers, eqAvailable, crossoverFreq, crossoverFilter, targetCurve, autoEQSettings, decayLimit, surfaces, furnishings, treatments, sbirReflection, units, air, roomShape, adjoiningSpaces, placementZones, listenerSweep.constraints, calibration]);
 
   const deserializeState = (jsonStr) => {
     try {
@@ -815,12 +2968,38 @@ Based on this data, please provide:
         return true;
       }
       // Handle verbose format
-      if (data.room) setRoom(data.room);
+      const fileUnits = data.units || 'ft';
+      const L = (v) => fromUnits(v, fileUnits);
+      setUnits(fileUnits);
+      if (data.room) setRoom({ length: L(data.room.length), width: L(data.room.width), height: L(data.room.height) });
       if (data.wallOpenings) setWallOpenings(data.wallOpenings);
-      if (data.listener) setListener(data.listener);
-      if (data.speakers) setSpeakers(data.speakers);
+      if (data.listener) setListener({ x: L(data.listener.x), y: L(data.listener.y), z: L(data.listener.z) });
+      if (data.seats) setSeats(data.seats.map(seat => ({ ...seat, x: L(seat.x), y: L(seat.y), z: L(seat.z) })));
+      if (data.speakers) setSpeakers(data.speakers.map(s => ({
+        ...s,
+        x: L(s.x), y: L(s.y), z: L(s.z),
+        response: s.response ? importResponse(s.response.model, s.response, fileUnits) : null,
+      })));
       if (data.eqAvailable) setEqAvailable(data.eqAvailable);
       if (data.crossoverFreq) setCrossoverFreq(data.crossoverFreq);
+      if (data.crossoverFilter) setCrossoverFilter(data.crossoverFilter);
+      if (data.targetCurve) setTargetCurve(data.targetCurve);
+      if (data.autoEQ) setAutoEQSettings(data.autoEQ);
+      if (data.decayLimit) setDecayLimit(data.decayLimit);
+      if (data.surfaces) setSurfaces(data.surfaces);
+      if (data.furnishings) setFurnishings(data.furnishings.map(f => importFurnishing(f.type, f.count, fileUnits)));
+      if (data.treatments) setTreatments(data.treatments.map(trap => mapTreatmentLengths(trap, L)));
+      if (data.sbirReflection) setSbirReflection(data.sbirReflection);
+      if (data.air) setAir({ temperature: tempFromUnits(data.air.temperature, fileUnits), humidity: data.air.humidity });
+      if (data.roomShape) setRoomShape(mapShapeLengths({ ...DEFAULT_ROOM_SHAPE, ...data.roomShape }, L));
+      if (data.adjoiningSpaces) setAdjoiningSpaces(data.adjoiningSpaces.map(space => mapAdjoiningLengths(space, L)));
+      if (data.calibration) setCalibration(data.calibration);
+      if (data.measurements) setMeasurements(data.measurements.map(({ data: text, ...m }) => ({ ...m, fr: parseMeasurement(text).fr })));
+      if (data.placementZones) setPlacementZones(data.placementZones.map(zone => mapZoneLengths(zone, L)));
+      if (data.listenerConstraints) setListenerSweep(sweep => ({
+        ...sweep,
+        constraints: { ...data.listenerConstraints, ...Object.fromEntries(['front', 'rear', 'side'].map(key => [key, L(data.listenerConstraints[key])])) },
+      }));
       setImportText('');
       setShowImportExport(false);
       return true;
@@ -896,36 +3075,481 @@ Based on this data, please provide:
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Room Dimensions */}
           <div className="bg-gray-800 rounded-lg p-4 space-y-4">
-            <h2 className="text-xl font-semibold">Room Dimensions</h2>
+            <div className="flex justify-between items-center">
+              <h2 className="text-xl font-semibold">Room Dimensions</h2>
+              <div className="flex rounded overflow-hidden text-sm">
+                {['ft', 'm'].map(system => (
+                  <button
+                    key={system}
+                    onClick={() => setUnits(system)}
+                    className={`px-3 py-1 ${units === system ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                  >
+                    {system === 'ft' ? 'Feet' : 'Meters'}
+                  </button>
+                ))}
+              </div>
+            </div>
             <div className="grid grid-cols-3 gap-4">
-              <NumberInput label="Length" value={room.length} onChange={v => setRoom({...room, length: v})} unit="ft" />
-              <NumberInput label="Width" value={room.width} onChange={v => setRoom({...room, width: v})} unit="ft" />
-              <NumberInput label="Height" value={room.height} onChange={v => setRoom({...room, height: v})} unit="ft" />
+              <LengthInput label="Length" value={room.length} onChange={v => setRoom({...room, length: v})} units={units} />
+              <LengthInput label="Width" value={room.width} onChange={v => setRoom({...room, width: v})} units={units} />
+              <LengthInput label="Height" value={room.height} onChange={v => setRoom({...room, height: v})} units={units} />
+            </div>
+            <h3 className="text-lg font-medium mt-4">Room Shape</h3>
+            <p className="text-sm text-gray-400">Length, width and height above are the outer bounds (height is the highest point of the ceiling). Non-rectangular rooms are solved numerically up to {SOLVER_MAX_FREQ} Hz.</p>
+            <div className="flex flex-wrap gap-4 items-start">
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Floor plan</label>
+                <select
+                  value={roomShape.plan}
+                  onChange={e => setRoomShape({
+                    ...roomShape,
+                    plan: e.target.value,
+                    vertices: e.target.value === 'custom' ? calcFloorPlan(room, roomShape) : roomShape.vertices,
+                  })}
+                  className="bg-gray-700 px-2 py-1 rounded text-white"
+                >
+                  {Object.entries(FLOOR_PLANS).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+                </select>
+              </div>
+              {roomShape.plan === 'lShape' && (
+                <>
+                  <LengthInput label="Notch length" value={roomShape.lCutout.length} onChange={v => setRoomShape({ ...roomShape, lCutout: { ...roomShape.lCutout, length: v } })} units={units} />
+                  <LengthInput label="Notch width" value={roomShape.lCutout.width} onChange={v => setRoomShape({ ...roomShape, lCutout: { ...roomShape.lCutout, width: v } })} units={units} />
+                </>
+              )}
+              {roomShape.plan === 'bay' && (
+                <>
+                  <LengthInput label="Bay width" value={roomShape.bay.width} onChange={v => setRoomShape({ ...roomShape, bay: { ...roomShape.bay, width: v } })} units={units} />
+                  <LengthInput label="Bay depth" value={roomShape.bay.depth} onChange={v => setRoomShape({ ...roomShape, bay: { ...roomShape.bay, depth: v } })} units={units} />
+                </>
+              )}
+              {roomShape.plan === 'custom' && (
+                <VertexEditor vertices={roomShape.vertices} onChange={v => setRoomShape({ ...roomShape, vertices: v })} units={units} />
+              )}
+            </div>
+            <div className="flex flex-wrap gap-4 items-start">
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Ceiling</label>
+                <select
+                  value={roomShape.ceiling.profile}
+                  onChange={e => setRoomShape({ ...roomShape, ceiling: { ...roomShape.ceiling, profile: e.target.value } })}
+                  className="bg-gray-700 px-2 py-1 rounded text-white"
+                >
+                  {Object.entries(CEILING_PROFILES).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+                </select>
+              </div>
+              {roomShape.ceiling.profile !== 'flat' && (
+                <>
+                  <LengthInput label="Lowest height" value={roomShape.ceiling.low} onChange={v => setRoomShape({ ...roomShape, ceiling: { ...roomShape.ceiling, low: Math.min(v, room.height) } })} units={units} />
+                  <div className="flex flex-col gap-1">
+                    <label className="text-sm text-gray-400">{roomShape.ceiling.profile === 'shed' ? 'Rises from' : 'Ridge runs'}</label>
+                    <select
+                      value={roomShape.ceiling.axis}
+                      onChange={e => setRoomShape({ ...roomShape, ceiling: { ...roomShape.ceiling, axis: e.target.value } })}
+                      className="bg-gray-700 px-2 py-1 rounded text-white"
+                    >
+                      <option value="length">{roomShape.ceiling.profile === 'shed' ? 'Front to rear' : 'Across the width (peak mid-length)'}</option>
+                      <option value="width">{roomShape.ceiling.profile === 'shed' ? 'Left to right' : 'Along the length (peak mid-width)'}</option>
+                    </select>
+                  </div>
+                </>
+              )}
+            </div>
+            {useSolver && (
+              <div className="text-sm text-gray-400">
+                {numericSolution.status === 'solving' && 'Solving room modes…'}
+                {numericSolution.status === 'done' && `Wave solver: ${numericSolution.modes.length} modes up to ${SOLVER_MAX_FREQ} Hz from ${numericSolution.cellCount} cells`}
+                {numericSolution.status === 'error' && <span className="text-red-400">Wave solver failed: {numericSolution.error}</span>}
+              </div>
+            )}
+            <h3 className="text-lg font-medium mt-4">Air</h3>
+            <div className="grid grid-cols-3 gap-4 items-end">
+              <NumberInput
+                label="Temperature"
+                value={roundTo(tempToUnits(air.temperature, units), 1)}
+                onChange={v => setAir({ ...air, temperature: tempFromUnits(v, units) })}
+                step={1}
+                unit={u.temperature}
+              />
+              <NumberInput
+                label="Humidity"
+                value={air.humidity}
+                onChange={v => setAir({ ...air, humidity: Math.max(0, Math.min(100, v)) })}
+                step={5}
+                min={0}
+                max={100}
+                unit="% RH"
+              />
+              <div className="text-sm text-gray-400 pb-1">
+                Speed of sound: <span className="text-white">{toUnits(speedOfSound, units).toFixed(1)} {u.speed}</span>
+              </div>
             </div>
             <h3 className="text-lg font-medium mt-4">Wall Openings</h3>
-            <p className="text-sm text-gray-400 mb-2">If this wall is open to another room, measure the total area that is open, and divide that by the area of the wall to get a %.</p>
+            <p className="text-sm text-gray-400 mb-2">If this wall is open to another room, measure the total area that is open, and divide that by the area of the wall to get a %. For a wall with an adjoining space below, the % comes from its opening.</p>
             <div className="grid grid-cols-4 gap-4">
-              <NumberInput label="Front" value={wallOpenings.front} onChange={v => setWallOpenings({...wallOpenings, front: v})} unit="%" step={5} />
-              <NumberInput label="Rear" value={wallOpenings.rear} onChange={v => setWallOpenings({...wallOpenings, rear: v})} unit="%" step={5} />
-              <NumberInput label="Left" value={wallOpenings.left} onChange={v => setWallOpenings({...wallOpenings, left: v})} unit="%" step={5} />
-              <NumberInput label="Right" value={wallOpenings.right} onChange={v => setWallOpenings({...wallOpenings, right: v})} unit="%" step={5} />
+              {['front', 'rear', 'left', 'right'].map(wall => adjoiningSpaces.some(space => space.wall === wall) ? (
+                <div key={wall} className="flex flex-col gap-1">
+                  <label className="text-sm text-gray-400">{wall[0].toUpperCase() + wall.slice(1)}</label>
+                  <span className="py-1 text-white">{openings[wall].toFixed(0)}% <span className="text-xs text-gray-400">(coupled)</span></span>
+                </div>
+              ) : (
+                <NumberInput key={wall} label={wall[0].toUpperCase() + wall.slice(1)} value={wallOpenings[wall]} onChange={v => setWallOpenings({ ...wallOpenings, [wall]: v })} unit="%" step={5} />
+              ))}
+            </div>
+            <div className="flex justify-between items-center mt-4">
+              <h3 className="text-lg font-medium">Adjoining Spaces</h3>
+              <button
+                onClick={() => setAdjoiningSpaces([...adjoiningSpaces, newAdjoiningSpace('rear', room)])}
+                className="px-3 py-1 bg-blue-600 rounded hover:bg-blue-500 text-sm"
+              >
+                + Add Space
+              </button>
             </div>
+            <p className="text-sm text-gray-400">A room, hallway or alcove open to this one. Its air is included in the wave solver, so modes shift and spread into it instead of just weakening.</p>
+            {adjoiningSpaces.map((space, i) => (
+              <AdjoiningSpaceInput
+                key={i}
+                space={space}
+                onChange={updated => setAdjoiningSpaces(adjoiningSpaces.map((s, j) => j === i ? updated : s))}
+                onRemove={() => setAdjoiningSpaces(adjoiningSpaces.filter((_, j) => j !== i))}
+                units={units}
+              />
+            ))}
           </div>
           
           {/* Listening Position */}
           <div className="bg-gray-800 rounded-lg p-4 space-y-4">
             <h2 className="text-xl font-semibold">Listening Position</h2>
             <div className="grid grid-cols-3 gap-4">
-              <NumberInput label="From front wall" value={listener.x} onChange={v => setListener({...listener, x: v})} unit="ft" />
-              <NumberInput label="From left wall" value={listener.y} onChange={v => setListener({...listener, y: v})} unit="ft" />
-              <NumberInput label="Ear height" value={listener.z} onChange={v => setListener({...listener, z: v})} unit="ft" />
+              <LengthInput label="From front wall" value={listener.x} onChange={v => setListener({...listener, x: v})} units={units} />
+              <LengthInput label="From left wall" value={listener.y} onChange={v => setListener({...listener, y: v})} units={units} />
+              <LengthInput label="Ear height" value={listener.z} onChange={v => setListener({...listener, z: v})} units={units} />
             </div>
             <div className="text-sm text-gray-400 mt-2">
               Position: {(listener.x/room.length*100).toFixed(0)}% from front, {(listener.y/room.width*100).toFixed(0)}% from left, {(listener.z/room.height*100).toFixed(0)}% height
             </div>
+            <div className="flex justify-between items-center mt-4">
+              <h3 className="text-lg font-medium">Other Seats</h3>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setShowSeatTemplate(!showSeatTemplate)}
+                  className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 text-sm"
+                >
+                  {showSeatTemplate ? 'Hide Template' : 'Rows Template'}
+                </button>
+                <button
+                  onClick={() => setSeats([...seats, { name: `Seat ${seats.length + 2}`, x: listener.x, y: Math.min(room.width, listener.y + 2), z: listener.z }])}
+                  className="px-3 py-1 bg-blue-600 rounded hover:bg-blue-500 text-sm"
+                >
+                  + Add Seat
+                </button>
+              </div>
+            </div>
+            <p className="text-sm text-gray-400">The main position above is one seat. With more seats, the optimizer scores the seat-averaged response and the variation between seats.</p>
+            {showSeatTemplate && (
+              <div className="bg-gray-700 rounded p-3 space-y-2">
+                <div className="grid grid-cols-4 gap-2">
+                  <NumberInput label="Rows" value={seatTemplate.rows} onChange={v => setSeatTemplate({ ...seatTemplate, rows: Math.max(1, Math.round(v)) })} step={1} min={1} />
+                  <NumberInput label="Seats per row" value={seatTemplate.seatsPerRow} onChange={v => setSeatTemplate({ ...seatTemplate, seatsPerRow: Math.max(1, Math.round(v)) })} step={1} min={1} />
+                  <LengthInput label="Seat spacing" value={seatTemplate.seatSpacing} onChange={v => setSeatTemplate({ ...seatTemplate, seatSpacing: v })} units={units} />
+                  <LengthInput label="Row spacing" value={seatTemplate.rowSpacing} onChange={v => setSeatTemplate({ ...seatTemplate, rowSpacing: v })} units={units} />
+                  <LengthInput label="First row from front" value={seatTemplate.firstRow} onChange={v => setSeatTemplate({ ...seatTemplate, firstRow: v })} units={units} />
+                  <LengthInput label="Ear height" value={seatTemplate.earHeight} onChange={v => setSeatTemplate({ ...seatTemplate, earHeight: v })} units={units} />
+                  <LengthInput label="Riser per row" value={seatTemplate.riser} onChange={v => setSeatTemplate({ ...seatTemplate, riser: v })} units={units} />
+                </div>
+                <button onClick={applySeatTemplate} className="px-3 py-1 bg-blue-600 rounded hover:bg-blue-500 text-sm">
+                  Generate {seatTemplate.rows * seatTemplate.seatsPerRow} seats
+                </button>
+                <p className="text-xs text-gray-500">Replaces the seats. The middle seat of the first row becomes the main listening position.</p>
+              </div>
+            )}
+            {seats.map((seat, i) => (
+              <div key={i} className="flex flex-wrap gap-2 items-end">
+                <input
+                  value={seat.name}
+                  onChange={e => updateSeat(i, { name: e.target.value })}
+                  className="bg-gray-700 px-2 py-1 rounded text-white w-36"
+                />
+                <LengthInput label="From front" value={seat.x} onChange={v => updateSeat(i, { x: v })} units={units} />
+                <LengthInput label="From left" value={seat.y} onChange={v => updateSeat(i, { y: v })} units={units} />
+                <LengthInput label="Ear height" value={seat.z} onChange={v => updateSeat(i, { z: v })} units={units} />
+                <button onClick={() => setSeats(seats.filter((_, j) => j !== i))} className="text-red-400 hover:text-red-300 text-sm pb-1">
+                  Remove
+                </button>
+              </div>
+            ))}
           </div>
         </div>
         
+        {/* Surfaces & Furnishings */}
+        <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+          <h2 className="text-xl font-semibold">Surfaces &amp; Furnishings</h2>
+          <p className="text-sm text-gray-400">Choose the closest material for each surface. These set the reverberation time, the Schroeder frequency and how strongly each room mode is damped.</p>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            {SURFACES.map(surface => (
+              <div key={surface} className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400 capitalize">{surface === 'front' || surface === 'rear' || surface === 'left' || surface === 'right' ? `${surface} wall` : surface}</label>
+                <select
+                  value={surfaces[surface]}
+                  onChange={e => setSurfaces({ ...surfaces, [surface]: e.target.value })}
+                  className="bg-gray-700 px-2 py-1 rounded text-white"
+                >
+                  {Object.entries(MATERIALS).map(([key, material]) => (
+                    <option key={key} value={key}>{material.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-lg font-medium">Furnishings</h3>
+              <button
+                onClick={() => setFurnishings([...furnishings, { type: 'sofaSeat', count: 1 }])}
+                className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 text-sm"
+              >
+                Add Furnishing
+              </button>
+            </div>
+            <div className="space-y-2">
+              {furnishings.map((f, i) => (
+                <div key={i} className="flex gap-3 items-center">
+                  <select
+                    value={f.type}
+                    onChange={e => setFurnishings(furnishings.map((g, j) => j === i ? { ...g, type: e.target.value } : g))}
+                    className="bg-gray-700 px-2 py-1 rounded text-white"
+                  >
+                    {Object.entries(FURNISHINGS).map(([key, item]) => (
+                      <option key={key} value={key}>{item.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={isAreaFurnishing(f) ? roundTo(areaToUnits(f.count, units), 2) : f.count}
+                    onChange={e => {
+                      const value = parseFloat(e.target.value) || 0;
+                      const count = isAreaFurnishing(f) ? areaFromUnits(value, units) : value;
+                      setFurnishings(furnishings.map((g, j) => j === i ? { ...g, count } : g));
+                    }}
+                    min={0}
+                    className="w-20 px-2 py-1 bg-gray-700 rounded text-white"
+                  />
+                  <span className="text-gray-400 text-sm">{isAreaFurnishing(f) ? u.area : FURNISHINGS[f.type]?.unit}</span>
+                  <button
+                    onClick={() => setFurnishings(furnishings.filter((_, j) => j !== i))}
+                    className="text-red-400 hover:text-red-300 text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              {furnishings.length === 0 && <p className="text-sm text-gray-500">No furnishings</p>}
+            </div>
+            <p className="text-sm text-gray-400 mt-2">Wall openings count as fully absorbing area.</p>
+          </div>
+        </div>
+
+        {/* Bass Traps & Treatment */}
+        <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold">Bass Traps &amp; Treatment</h2>
+            <button
+              onClick={() => setTreatments([...treatments, newTreatment(room)])}
+              className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-500"
+            >
+              Add Trap
+            </button>
+          </div>
+          <p className="text-sm text-gray-400">
+            Plan porous panels, corner traps and tuned membrane traps. Each one damps a mode by how much of the mode's pressure it sits in:
+            corners are pressure maxima for every mode, a wall centre is a null for the odd modes across that wall. Planned traps are part of
+            every prediction; the comparison below shows what they change.
+          </p>
+          <div className="space-y-2">
+            {treatments.map((trap, i) => (
+              <TreatmentInput
+                key={i}
+                trap={trap}
+                room={room}
+                onChange={t => setTreatments(treatments.map((old, j) => j === i ? t : old))}
+                onRemove={() => setTreatments(treatments.filter((_, j) => j !== i))}
+                units={units}
+              />
+            ))}
+            {treatments.length === 0 && <p className="text-sm text-gray-500">No traps planned</p>}
+          </div>
+          {treatmentEffect && (
+            <div className="space-y-3">
+              <div className="text-sm text-gray-400">
+                {areaToUnits(treatments.reduce((sum, trap) => sum + calcTreatmentArea(trap), 0), units).toFixed(units === 'm' ? 1 : 0)} {u.area} of treatment.
+                {' '}Predicted response at the listening position:
+              </div>
+              <FRChart
+                height={220}
+                freqRange={[20, 250]}
+                markers={responseMarkers}
+                curves={[
+                  { fr: treatmentEffect.before, color: '#9ca3af', label: 'Untreated', dashed: true },
+                  { fr: treatmentEffect.after, color: '#22d3ee', label: 'With traps' },
+                ]}
+              />
+              <h3 className="font-medium">Decay of the peaking modes</h3>
+              {treatmentEffect.peaks.length === 0 ? (
+                <p className="text-sm text-gray-400">No mode peaks at the listening position.</p>
+              ) : (
+                <table className="text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400 border-b border-gray-700">
+                      <th className="p-1 pr-4">Mode</th>
+                      <th className="p-1 pr-4">Freq</th>
+                      <th className="p-1 pr-4">T60 untreated</th>
+                      <th className="p-1 pr-4">T60 with traps</th>
+                      <th className="p-1">Peak level</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {treatmentEffect.peaks.map(({ mode, before, after, change }, i) => (
+                      <tr key={i} className="border-b border-gray-700">
+                        <td className="p-1 pr-4 font-mono">({mode.n},{mode.m},{mode.l})</td>
+                        <td className="p-1 pr-4">{mode.freq.toFixed(1)} Hz</td>
+                        <td className="p-1 pr-4">{before.toFixed(2)} s</td>
+                        <td className="p-1 pr-4">{after.toFixed(2)} s</td>
+                        <td className={`p-1 ${change < -1 ? 'text-green-400' : ''}`}>{change.toFixed(1)} dB</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          <div ref={absorberDesignerRef} className="bg-gray-700 rounded p-3 space-y-3">
+            <h3 className="font-medium">Tuned Absorber Designer</h3>
+            <p className="text-sm text-gray-400">
+              Sizes a membrane or Helmholtz absorber for one mode (pick it here or with Design absorber in the mode table) and finds where it
+              sits in the most of that mode's pressure. The fill sets the trade-off: more damping widens the absorber (lower Q) and, up to a point,
+              absorbs more at resonance.
+            </p>
+            <div className="flex flex-wrap items-end gap-4">
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Mode</label>
+                <select
+                  value={absorberModeIndex}
+                  onChange={e => chooseAbsorberMode(absorberModes[e.target.value])}
+                  className="bg-gray-600 px-2 py-1 rounded text-white"
+                >
+                  {absorberModeIndex < 0 && <option value={-1}>{absorberMode ? `(${modeKey(absorberMode)}) ${absorberMode.freq.toFixed(1)} Hz` : 'No modes below 120 Hz'}</option>}
+                  {absorberModes.map((m, i) => (
+                    <option key={i} value={i}>({m.n},{m.m},{m.l}) {m.freq.toFixed(1)} Hz {m.type}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Type</label>
+                <select
+                  value={absorberDesign.type}
+                  onChange={e => setAbsorberDesign({ ...absorberDesign, type: e.target.value })}
+                  className="bg-gray-600 px-2 py-1 rounded text-white"
+                >
+                  {Object.entries(ABSORBER_TYPES).map(([key, type]) => <option key={key} value={key}>{type.name}</option>)}
+                </select>
+              </div>
+              {absorberDesign.type === 'membrane' && (
+                <div className="flex flex-col gap-1">
+                  <label className="text-sm text-gray-400">Panel</label>
+                  <select
+                    value={absorberDesign.material}
+                    onChange={e => setAbsorberDesign({ ...absorberDesign, material: e.target.value })}
+                    className="bg-gray-600 px-2 py-1 rounded text-white"
+                  >
+                    {Object.entries(PANEL_MATERIALS).map(([key, material]) => <option key={key} value={key}>{material.name}</option>)}
+                  </select>
+                </div>
+              )}
+              <SmallLengthInput label="Panel thickness" value={absorberDesign.thickness} onChange={v => setAbsorberDesign({ ...absorberDesign, thickness: v })} units={units} />
+              {absorberDesign.type !== 'membrane' && (
+                <>
+                  <SmallLengthInput
+                    label={absorberDesign.type === 'holes' ? 'Hole diameter' : 'Slot width'}
+                    value={absorberDesign.size}
+                    onChange={v => setAbsorberDesign({ ...absorberDesign, size: v })}
+                    units={units}
+                  />
+                  <SmallLengthInput label="Cavity depth" value={absorberDesign.depth} onChange={v => setAbsorberDesign({ ...absorberDesign, depth: v })} units={units} />
+                </>
+              )}
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Cavity fill</label>
+                <select
+                  value={absorberDesign.fill}
+                  onChange={e => setAbsorberDesign({ ...absorberDesign, fill: e.target.value })}
+                  className="bg-gray-600 px-2 py-1 rounded text-white"
+                >
+                  {Object.entries(CAVITY_FILLS).map(([key, fill]) => <option key={key} value={key}>{fill.name}</option>)}
+                </select>
+              </div>
+              <LengthInput label="Face width" value={absorberDesign.width} onChange={v => setAbsorberDesign({ ...absorberDesign, width: Math.max(0.5, v) })} units={units} />
+              <LengthInput label="Face height" value={absorberDesign.height} onChange={v => setAbsorberDesign({ ...absorberDesign, height: Math.max(0.5, v) })} units={units} />
+            </div>
+            {absorberResult && (
+              <>
+                <div className="text-sm space-y-1">
+                  {absorberDesign.type === 'membrane' ? (
+                    <div>
+                      Panel {surfaceDensityToUnits(absorberResult.mass, units).toFixed(2)} {u.surfaceDensity}, cavity depth{' '}
+                      <strong>{roundTo(smallToUnits(absorberResult.depth, units), units === 'm' ? 0 : 2)} {u.small}</strong>
+                      {absorberResult.depth > 1.5 && <span className="text-yellow-400"> — deep; a heavier panel needs less</span>}
+                    </div>
+                  ) : (
+                    <div>
+                      Open area <strong>{(absorberResult.openArea * 100).toFixed(2)}%</strong>:{' '}
+                      {absorberDesign.type === 'holes'
+                        ? <>holes on a <strong>{roundTo(smallToUnits(absorberResult.spacing, units), units === 'm' ? 0 : 2)} {u.small}</strong> square grid</>
+                        : <>slats <strong>{roundTo(smallToUnits(absorberResult.slat, units), units === 'm' ? 0 : 2)} {u.small}</strong> wide</>}
+                      <span className="text-gray-400"> (effective neck {roundTo(smallToUnits(absorberResult.neck, units), units === 'm' ? 0 : 2)} {u.small})</span>
+                    </div>
+                  )}
+                  <div>
+                    Tuned to {absorberResult.freq.toFixed(1)} Hz for mode ({absorberMode.n},{absorberMode.m},{absorberMode.l}),
+                    Q {absorberResult.q.toFixed(2)}, absorption {absorberResult.peakAlpha.toFixed(2)} at resonance
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  <div className="text-sm text-gray-400">Best places (pressure over the face relative to the room average):</div>
+                  {absorberPlacements.map((placement, i) => (
+                    <div key={i} className="flex flex-wrap items-center gap-3 text-sm">
+                      <span className="w-40">{TREATMENT_MOUNTS[placement.mount].name}</span>
+                      <span className="text-gray-400">
+                        centre {TREATMENT_MOUNTS[placement.mount].span.map(([axis]) => `${axis} ${len(placement[axis], 2)}`).join(', ')} {u.length}
+                      </span>
+                      <span>×{placement.coupling.toFixed(2)}</span>
+                      <button onClick={() => addDesignedAbsorber(placement)} className="px-3 py-1 bg-gray-600 rounded hover:bg-gray-500">
+                        Add to treatment
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+            {treatments.some(trap => trap.design) && (
+              <div className="flex gap-2">
+                <button
+                  onClick={() => navigator.clipboard.writeText(generateBuildSheet())}
+                  className="px-4 py-2 bg-gray-600 rounded hover:bg-gray-500"
+                >
+                  Copy build sheet
+                </button>
+                <button
+                  onClick={() => downloadText('absorber-build-sheet.md', generateBuildSheet())}
+                  className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-500"
+                >
+                  Download build sheet
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
         {/* Speakers */}
         <div className="bg-gray-800 rounded-lg p-4 space-y-4">
           <div className="flex justify-between items-center">
@@ -943,6 +3567,7 @@ Based on this data, please provide:
                 index={i}
                 onChange={updateSpeaker}
                 onRemove={removeSpeaker}
+                units={units}
               />
             ))}
           </div>
@@ -967,6 +3592,17 @@ Based on this data, please provide:
                 <span className="text-gray-400 text-sm">Hz</span>
               </div>
             </div>
+            <div className="flex flex-col gap-1 mt-3">
+              <label className="text-sm text-gray-400">Filter</label>
+              <select
+                value={crossoverFilter}
+                onChange={e => setCrossoverFilter(e.target.value)}
+                className="bg-gray-700 px-2 py-1 rounded text-white w-72"
+              >
+                {Object.entries(CROSSOVER_FILTERS).map(([key, { name }]) => <option key={key} value={key}>{name}</option>)}
+              </select>
+              <p className="text-xs text-gray-500">High-pass on small speakers, low-pass on subwoofers. Set per-speaker delay and polarity above.</p>
+            </div>
           </div>
 
           {/* EQ Availability */}
@@ -1001,7 +3637,7 @@ Based on this data, please provide:
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div className="bg-gray-700 rounded p-3">
               <div className="text-sm text-gray-400">Volume</div>
-              <div className="text-xl font-bold">{volume.toFixed(0)} ft³</div>
+              <div className="text-xl font-bold">{volumeToUnits(volume, units).toFixed(units === 'm' ? 1 : 0)} {u.volume}</div>
             </div>
             <div className="bg-gray-700 rounded p-3">
               <div className="text-sm text-gray-400">Schroeder Frequency</div>
@@ -1032,6 +3668,40 @@ Based on this data, please provide:
             </div>
           </div>
           
+          <div className="flex flex-wrap gap-6 items-start">
+            <div>
+              <h3 className="font-medium mb-2">Reverberation Time (RT60)</h3>
+              <RT60Chart bands={rt60Bands} />
+              <div className="flex gap-4 text-xs mt-1">
+                <span className="text-blue-400">— Sabine</span>
+                <span className="text-amber-400">- - Eyring</span>
+              </div>
+            </div>
+            <table className="text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="p-1 pr-4">Band</th>
+                  <th className="p-1 pr-4">Absorption</th>
+                  <th className="p-1 pr-4">Sabine</th>
+                  <th className="p-1">Eyring</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rt60Bands.map(b => (
+                  <tr key={b.freq} className="border-b border-gray-700">
+                    <td className="p-1 pr-4">{b.freq} Hz</td>
+                    <td className="p-1 pr-4">{areaToUnits(b.sabins, units).toFixed(units === 'm' ? 1 : 0)} {u.area} sabins (ᾱ {b.meanAlpha.toFixed(2)})</td>
+                    <td className="p-1 pr-4">{b.sabine.toFixed(2)} s</td>
+                    <td className="p-1">{b.eyring.toFixed(2)} s</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-sm text-gray-400">
+            Schroeder frequency uses the 125–250 Hz Eyring RT60 ({bassRT60.toFixed(2)} s).
+          </div>
+
           <div>
             <h3 className="font-medium mb-2">Modes up to Schroeder ({schroederFreq.toFixed(0)} Hz)</h3>
             <div className="flex gap-4 text-sm">
@@ -1055,6 +3725,78 @@ Based on this data, please provide:
               ))}
             </div>
           </div>
+
+          <div className="space-y-3">
+            <h3 className="font-medium">Room Ratio</h3>
+            <p className="text-sm text-gray-400">
+              How the proportions alone spread the modes up to {RATIO_MAX_FREQ} Hz, for a rectangular room with rigid walls
+              {isShapedRoom(roomShape) ? ' (the shaped room is judged by its bounding box)' : ''}.
+            </p>
+            <RatioCriteria evaluation={ratioEvaluation} />
+            <ModeSpectrum modes={ratioEvaluation.modes} degenerate={ratioEvaluation.degenerate} maxFreq={RATIO_MAX_FREQ} width={560} />
+            <div className="flex gap-4 text-xs">
+              <span className="text-red-400">Axial</span>
+              <span className="text-yellow-400">Tangential</span>
+              <span className="text-blue-400">Oblique</span>
+              <span className="text-gray-400">○ coincident axial modes</span>
+            </div>
+            <div className="text-xs text-gray-400">
+              Modes per 1/3 octave (Bonello): {ratioEvaluation.bonello.bands.map(b => `${b.center.toFixed(0)} Hz: ${b.count}`).join(', ')}
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-medium">Dimension Optimizer</h3>
+            <p className="text-sm text-gray-400">
+              For a new build: searches the allowed range of each dimension for the room with the most even modes, coincident axial
+              modes and failed Walker or Bonello criteria counting against it.
+            </p>
+            <div className="flex flex-wrap gap-4">
+              {['length', 'width', 'height'].map(dim => (
+                <div key={dim} className="flex gap-2">
+                  {[0, 1].map(k => (
+                    <LengthInput
+                      key={k}
+                      label={`${dim[0].toUpperCase()}${dim.slice(1)} ${k === 0 ? 'min' : 'max'}`}
+                      value={dimensionLimits[dim][k]}
+                      onChange={v => setDimensionLimits({
+                        ...dimensionLimits,
+                        [dim]: k === 0 ? [v, Math.max(v, dimensionLimits[dim][1])] : [Math.min(v, dimensionLimits[dim][0]), v],
+                      })}
+                      units={units}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+            <button onClick={findDimensions} className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-500">
+              Find dimensions
+            </button>
+            {dimensionResults && (
+              <div className="space-y-2">
+                <div className="text-xs text-gray-400">
+                  {dimensionResults.evaluated} rooms evaluated on a {toUnits(dimensionResults.step, units).toFixed(2)} {u.length} grid
+                </div>
+                {dimensionResults.candidates.map((candidate, i) => (
+                  <div key={i} className="bg-gray-700 rounded p-3 flex flex-wrap items-center gap-4">
+                    <div className="space-y-1">
+                      <div className="font-medium">
+                        #{i + 1}: {['length', 'width', 'height'].map(dim => toUnits(candidate.room[dim], units).toFixed(2)).join(' × ')} {u.length}
+                      </div>
+                      <RatioCriteria evaluation={candidate.evaluation} />
+                      <button
+                        onClick={() => setRoom({ ...room, ...candidate.room })}
+                        className="px-3 py-1 bg-gray-600 rounded hover:bg-gray-500 text-sm"
+                      >
+                        Use these dimensions
+                      </button>
+                    </div>
+                    <ModeSpectrum modes={candidate.evaluation.modes} degenerate={candidate.evaluation.degenerate} maxFreq={RATIO_MAX_FREQ} />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
         
         {/* OUTPUT SECTION 2: Listening Position */}
@@ -1069,11 +3811,22 @@ Based on this data, please provide:
                   <th className="p-2">Type</th>
                   <th className="p-2">Level</th>
                   <th className="p-2">Pressure at listening position</th>
+                  {seats.map((seat, i) => (
+                    <th key={i} className="p-2">{seat.name.substring(0, 14)}</th>
+                  ))}
+                  <th className="p-2"></th>
                 </tr>
               </thead>
               <tbody>
                 {modalAnalysis.filter(m => m.freq <= 120).map((m, i) => (
-                  <tr key={i} className={`border-b border-gray-700 ${m.lpPressure < 0.15 ? 'bg-red-900/20' : m.lpPressure > 0.85 ? 'bg-purple-900/20' : ''}`}>
+                  <tr
+                    key={i}
+                    onClick={() => showModeField(m)}
+                    title="Show this mode on the room layout"
+                    className={`border-b border-gray-700 cursor-pointer hover:bg-gray-700/50 ${
+                      isFieldMode(m) ? 'bg-blue-900/30' : m.lpPressure < 0.15 ? 'bg-red-900/20' : m.lpPressure > 0.85 ? 'bg-purple-900/20' : ''
+                    }`}
+                  >
                     <td className="p-2 font-mono">({m.n},{m.m},{m.l})</td>
                     <td className="p-2">{m.freq.toFixed(1)} Hz</td>
                     <td className="p-2">
@@ -1084,6 +3837,23 @@ Based on this data, please provide:
                     </td>
                     <td className="p-2">{m.level} dB</td>
                     <td className="p-2"><ModeBar pressure={m.lpPressure} /></td>
+                    {m.seatPressures.map((pressure, j) => (
+                      <td key={j} className="p-2">
+                        <span className={`px-2 py-0.5 rounded ${
+                          pressure < 0.15 ? 'bg-red-700' : pressure > 0.85 ? 'bg-purple-700' : 'bg-gray-600'
+                        }`}>
+                          {(pressure * 100).toFixed(0)}%
+                        </span>
+                      </td>
+                    ))}
+                    <td className="p-2">
+                      <button
+                        onClick={e => { e.stopPropagation(); designAbsorberFor(m); }}
+                        className="px-2 py-0.5 bg-gray-700 rounded hover:bg-gray-600 text-xs whitespace-nowrap"
+                      >
+                        Design absorber
+                      </button>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -1094,6 +3864,29 @@ Based on this data, please provide:
         {/* OUTPUT SECTION 3: Speaker Analysis */}
         <div className="bg-gray-800 rounded-lg p-4 space-y-4">
           <h2 className="text-xl font-semibold">3. Speaker Position Analysis</h2>
+          <div>
+            <h3 className="text-sm text-gray-400 mb-2">SBIR reflection coefficients (blank = from surface material)</h3>
+            <div className="flex flex-wrap gap-4">
+              {SURFACES.map(surface => (
+                <div key={surface} className="flex flex-col gap-1">
+                  <label className="text-xs text-gray-400 capitalize">{surface}</label>
+                  <input
+                    type="number"
+                    value={sbirReflection[surface] ?? ''}
+                    onChange={e => setSbirReflection({
+                      ...sbirReflection,
+                      [surface]: e.target.value === '' ? null : Math.max(0, Math.min(1, parseFloat(e.target.value) || 0)),
+                    })}
+                    min={0}
+                    max={1}
+                    step={0.1}
+                    placeholder="auto"
+                    className="w-20 px-2 py-1 bg-gray-700 rounded text-white"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
             {speakerAnalysis.map((speaker, i) => {
               const modeExcitations = modalAnalysis
@@ -1116,14 +3909,23 @@ Based on this data, please provide:
                   <span className="text-gray-400">Boundary gain:</span> +{speaker.boundaryGain.toFixed(1)} dB
                 </div>
                 <div>
-                  <h4 className="text-sm text-gray-400 mb-1">SBIR Cancellation Frequencies</h4>
-                  <div className="space-y-1">
-                    {speaker.sbir.map((sb, j) => (
+                  <h4 className="text-sm text-gray-400 mb-1">Predicted Response at Listening Position (20–120 Hz)</h4>
+                  <FRCurvePreview fr={speaker.fr} width={240} height={60} />
+                </div>
+                <div>
+                  <h4 className="text-sm text-gray-400 mb-1">SBIR Response at Listening Position</h4>
+                  <SBIRChart fr={speaker.sbir.fr} notches={speaker.sbir.notches} />
+                  <div className="space-y-1 mt-2">
+                    {speaker.sbir.notches.slice(0, 6).map((n, j) => (
                       <div key={j} className="flex justify-between text-sm">
-                        <span>{sb.boundary}</span>
-                        <span>{sb.distance.toFixed(1)} ft → <strong>{sb.freq.toFixed(0)} Hz</strong></span>
+                        <span>Notch</span>
+                        <span><strong>{n.freq.toFixed(0)} Hz</strong> → <span className={n.depth < -10 ? 'text-red-400' : 'text-yellow-400'}>{n.depth.toFixed(1)} dB</span></span>
                       </div>
                     ))}
+                    {speaker.sbir.notches.length === 0 && <div className="text-sm text-gray-500">No notches deeper than 3 dB</div>}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Nearest reflections: {speaker.sbir.boundaries.slice(0, 3).map(b => `${b.boundary} (+${len(b.extraPath)} ${u.length})`).join(', ')}
                   </div>
                 </div>
                 <div>
@@ -1163,7 +3965,7 @@ Based on this data, please provide:
         {/* OUTPUT SECTION 4: Combined Picture */}
         <div className="bg-gray-800 rounded-lg p-4 space-y-4">
           <h2 className="text-xl font-semibold">4. Combined Analysis</h2>
-          
+
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
               <thead>
@@ -1179,7 +3981,12 @@ Based on this data, please provide:
               </thead>
               <tbody>
                 {modalAnalysis.filter(m => m.freq <= 120).map((m, i) => (
-                  <tr key={i} className="border-b border-gray-700">
+                  <tr
+                    key={i}
+                    onClick={() => showModeField(m)}
+                    title="Show this mode on the room layout"
+                    className={`border-b border-gray-700 cursor-pointer hover:bg-gray-700/50 ${isFieldMode(m) ? 'bg-blue-900/30' : ''}`}
+                  >
                     <td className="p-2 font-mono">({m.n},{m.m},{m.l})</td>
                     <td className="p-2">{m.freq.toFixed(1)} Hz</td>
                     <td className="p-2">
@@ -1227,27 +4034,616 @@ Based on this data, please provide:
                 <p className="text-sm text-gray-400">No critical nulls identified</p>
               )}
             </div>
-            <div className="bg-purple-900/30 border border-purple-700 rounded p-4">
-              <h3 className="font-medium text-purple-300 mb-2">📈 Peaks at Listening Position</h3>
-              {keyFindings.peaks.length > 0 ? (
-                <ul className="space-y-1 text-sm">
-                  {keyFindings.peaks.map((m, i) => (
-                    <li key={i}>
-                      <strong>{m.freq.toFixed(1)} Hz</strong> ({m.n},{m.m},{m.l}): {(m.lpPressure*100).toFixed(0)}% pressure
-                    </li>
+            <div className="bg-purple-900/30 border border-purple-700 rounded p-4">
+              <h3 className="font-medium text-purple-300 mb-2">📈 Peaks at Listening Position</h3>
+              {keyFindings.peaks.length > 0 ? (
+                <ul className="space-y-1 text-sm">
+                  {keyFindings.peaks.map((m, i) => (
+                    <li key={i}>
+                      <strong>{m.freq.toFixed(1)} Hz</strong> ({m.n},{m.m},{m.l}): {(m.lpPressure*100).toFixed(0)}% pressure
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-400">No critical peaks identified</p>
+              )}
+            </div>
+          </div>
+        </div>
+        
+        {/* OUTPUT SECTION 5: Predicted Response */}
+        <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+          <h2 className="text-xl font-semibold">5. Predicted Response</h2>
+          <div>
+            <p className="text-sm text-gray-400 mb-2">
+              All speakers summed as complex pressure through their crossover filters, delays and polarity
+              {crossoverFreq ? ` (${CROSSOVER_FILTERS[crossoverFilter].name} at ${crossoverFreq} Hz).` : ' (no crossover set, so every speaker runs full range).'}
+              {' '}Switch on single speakers{subOptimizerResults ? ' and the optimizer\'s top configurations' : ''} in the legend. Red ticks along the top are room modes below the Schroeder frequency.
+            </p>
+            <div className="flex flex-wrap items-end gap-4 mb-3">
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Position</label>
+                <select
+                  value={chartSeat ? chartSeat.name : ''}
+                  onChange={e => setResponseSeat(e.target.value || null)}
+                  className="bg-gray-700 px-2 py-1 rounded text-white"
+                >
+                  <option value="">Listening position</option>
+                  {seats.map((seat, i) => <option key={i} value={seat.name}>{seat.name}</option>)}
+                </select>
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Target curve</label>
+                <select
+                  value={targetCurve}
+                  onChange={e => setTargetCurve(e.target.value)}
+                  className="bg-gray-700 px-2 py-1 rounded text-white"
+                >
+                  {Object.entries(TARGET_CURVES).map(([key, target]) => (
+                    <option key={key} value={key}>{target.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Measurement smoothing</label>
+                <select
+                  value={measurementView.smoothing}
+                  onChange={e => setMeasurementView({ ...measurementView, smoothing: e.target.value })}
+                  className="bg-gray-700 px-2 py-1 rounded text-white"
+                >
+                  {Object.entries(SMOOTHING_OPTIONS).map(([key, option]) => (
+                    <option key={key} value={key}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center gap-2 cursor-pointer text-sm pb-2">
+                <input
+                  type="checkbox"
+                  checked={measurementView.align}
+                  onChange={e => setMeasurementView({ ...measurementView, align: e.target.checked })}
+                  className="w-4 h-4 rounded"
+                />
+                Align measurements to the prediction
+              </label>
+            </div>
+            <FRChart curves={predictedCurves} markers={responseMarkers} modes={modeMarks} height={320} freqRange={[20, 250]} />
+            {summationLoss && !chartSeat && (
+              <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+                <span>
+                  <span className="text-gray-400">Summation through the crossover region:</span>{' '}
+                  <span className={summationLoss.mean < -3 ? 'text-red-400' : summationLoss.mean < -1 ? 'text-yellow-400' : 'text-green-400'}>
+                    {summationLoss.mean.toFixed(1)} dB average, {summationLoss.worst.toFixed(1)} dB worst
+                  </span>
+                </span>
+                {subAlignment && (Math.abs(subAlignment.delay) > 0 || subAlignment.invert) && (
+                  <button onClick={applySubAlignment} className="px-3 py-1 bg-blue-600 rounded hover:bg-blue-500 text-sm">
+                    Align: {subAlignment.delay >= 0 ? `delay subs ${subAlignment.delay} ms` : `delay mains ${-subAlignment.delay} ms`}
+                    {subAlignment.invert ? ', invert subs' : ''}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <h3 className="font-medium">Measurements</h3>
+            <p className="text-sm text-gray-400">
+              Import REW text exports (File → Export → Measurement as text), .frd/.txt files or CSV with frequency, SPL and optional phase columns.
+              New measurements are attached to the position selected above and shown when it is.
+            </p>
+            <input
+              type="file"
+              accept=".txt,.frd,.csv"
+              multiple
+              onChange={e => {
+                importMeasurements(e.target.files);
+                e.target.value = '';
+              }}
+              className="text-sm text-gray-300 file:mr-3 file:px-3 file:py-1 file:rounded file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-500"
+            />
+            {measurementError && <div className="text-sm text-red-400">{measurementError}</div>}
+            {measurements.map((m, i) => (
+              <div key={i} className="flex flex-wrap items-end gap-3 bg-gray-700 rounded p-2">
+                <div className="flex flex-col gap-1">
+                  <label className="text-xs text-gray-400">Name</label>
+                  <input
+                    type="text"
+                    value={m.name}
+                    onChange={e => updateMeasurement(i, { name: e.target.value })}
+                    className="bg-gray-600 px-2 py-1 rounded text-white text-sm"
+                  />
+                </div>
+                <div className="flex flex-col gap-1">
+                  <label className="text-xs text-gray-400">Position</label>
+                  <select
+                    value={m.seat ?? ''}
+                    onChange={e => updateMeasurement(i, { seat: e.target.value || null })}
+                    className="bg-gray-600 px-2 py-1 rounded text-white text-sm"
+                  >
+                    <option value="">Listening position</option>
+                    {seats.map((seat, j) => <option key={j} value={seat.name}>{seat.name}</option>)}
+                    {m.seat !== null && !seats.some(seat => seat.name === m.seat) && <option value={m.seat}>{m.seat} (removed)</option>}
+                  </select>
+                </div>
+                <div className="flex flex-col gap-1">
+                  <label className="text-xs text-gray-400">Playing</label>
+                  <select
+                    value={m.speaker ?? ''}
+                    onChange={e => updateMeasurement(i, { speaker: e.target.value || null })}
+                    className="bg-gray-600 px-2 py-1 rounded text-white text-sm"
+                  >
+                    <option value="">All speakers</option>
+                    {speakers.map((speaker, j) => <option key={j} value={speaker.name}>{speaker.name}</option>)}
+                  </select>
+                </div>
+                <NumberInput
+                  label="Level offset"
+                  value={m.offset}
+                  onChange={v => updateMeasurement(i, { offset: v })}
+                  step={0.5}
+                  unit="dB"
+                />
+                <span className="text-xs text-gray-400 pb-2">
+                  {m.fr.length} points, {m.fr[0].freq.toFixed(0)}–{m.fr[m.fr.length - 1].freq.toFixed(0)} Hz
+                </span>
+                <button onClick={() => setMeasurements(measurements.filter((_, j) => j !== i))} className="text-red-400 hover:text-red-300 text-sm pb-2">
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            <h3 className="font-medium">Model Calibration</h3>
+            <p className="text-sm text-gray-400">
+              Fits effective room dimensions, wall-opening strength, absorption per surface and speaker levels so the model matches
+              the measurements from {calibrationRange[0]} to {calibrationRange[1]} Hz. Set which speaker played in each measurement;
+              measurements of single speakers pin down their levels. An applied calibration is used for every prediction and optimization.
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                onClick={runCalibration}
+                disabled={calibrationMeasurements.length === 0 || calibrationJob.run.status === 'running' || solverBusy}
+                className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Calibrate model
+              </button>
+              {calibrationJob.run.status === 'running' && (
+                <>
+                  <span className="text-sm text-gray-400">Fitting… {(calibrationJob.run.fraction * 100).toFixed(0)}%</span>
+                  <button onClick={calibrationJob.stop} className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 text-sm">Cancel</button>
+                </>
+              )}
+              {calibrationJob.run.status === 'error' && (
+                <span className="text-sm text-red-400">Calibration failed: {calibrationJob.run.error}</span>
+              )}
+              {calibration && (
+                <>
+                  <span className="text-sm text-green-400">Calibrated model in use</span>
+                  <button onClick={removeCalibration} className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 text-sm">Remove calibration</button>
+                </>
+              )}
+            </div>
+            {calibrationFit && (
+              <div className="bg-gray-700 rounded p-3 space-y-3">
+                <div className="text-sm">
+                  <span className="text-gray-400">Residual:</span>{' '}
+                  {calibrationFit.residual.before.toFixed(1)} dB RMS → <strong>{calibrationFit.residual.after.toFixed(1)} dB RMS</strong>
+                  <span className="text-gray-400"> over {calibrationFit.evaluated} model evaluations</span>
+                </div>
+                <div className="text-xs text-gray-400">
+                  {calibrationFit.perMeasurement.map((m, k) => m.after != null && (
+                    <span key={k} className="mr-4">
+                      {m.name}: {m.before.toFixed(1)} → {m.after.toFixed(1)} dB
+                    </span>
                   ))}
-                </ul>
-              ) : (
-                <p className="text-sm text-gray-400">No critical peaks identified</p>
+                </div>
+                <CalibrationDetails calibration={calibrationFit.calibration} room={room} units={units} />
+                <button onClick={applyCalibration} className="px-3 py-1 bg-green-700 rounded hover:bg-green-600 text-sm">
+                  Apply calibration
+                </button>
+              </div>
+            )}
+            {calibration && !calibrationFit && <CalibrationDetails calibration={calibration} room={room} units={units} />}
+          </div>
+        </div>
+
+        {/* OUTPUT SECTION 6: Decay & Ringing */}
+        <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+          <h2 className="text-xl font-semibold">6. Decay &amp; Ringing</h2>
+          <p className="text-sm text-gray-400">
+            How the bass dies away at {chartSeat ? chartSeat.name : 'the listening position'} (the position chosen in section 5): an impulse
+            response synthesized from the modal model, {IMPULSE_DEFAULTS.band[0]}–{IMPULSE_DEFAULTS.band[1]} Hz, and its waterfall. A ridge that
+            stays up while the rest has fallen away is a mode ringing on after the note has stopped, heard as boom or one-note bass even where
+            the steady-state response looks flat.
+          </p>
+          {speakers.length === 0 ? (
+            <p className="text-sm text-gray-400">Add a speaker to see the decay.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-end gap-4">
+                <NumberInput
+                  label="Window"
+                  value={Math.round(waterfallView.window * 1000)}
+                  onChange={v => setWaterfallView({ ...waterfallView, window: clamp(v, [100, 1000]) / 1000 })}
+                  min={100}
+                  max={1000}
+                  step={50}
+                  unit="ms"
+                />
+                <NumberInput
+                  label="Time span"
+                  value={Math.round(waterfallView.timeRange * 1000)}
+                  onChange={v => setWaterfallView({ ...waterfallView, timeRange: clamp(v, [100, 1500]) / 1000 })}
+                  min={100}
+                  max={1500}
+                  step={50}
+                  unit="ms"
+                />
+                <span className="text-xs text-gray-400 pb-2">A shorter window shows the decay more sharply and smears frequency.</span>
+              </div>
+              <WaterfallChart waterfall={waterfall} />
+              <div className="space-y-1">
+                <h3 className="font-medium">Impulse Response</h3>
+                <p className="text-xs text-gray-400">Envelope in dB against time (ms), relative to its peak.</p>
+                <ImpulseChart ir={impulseResponse} />
+              </div>
+            </>
+          )}
+          <div className="space-y-2">
+            <h3 className="font-medium">Mode Decay Times</h3>
+            <div className="flex flex-wrap items-end gap-4">
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Limit</label>
+                <select
+                  value={decayLimit.limit}
+                  onChange={e => setDecayLimit({ ...decayLimit, limit: e.target.value })}
+                  className="bg-gray-700 px-2 py-1 rounded text-white"
+                >
+                  {Object.entries(DECAY_LIMITS).map(([key, option]) => <option key={key} value={key}>{option.name}</option>)}
+                </select>
+              </div>
+              {decayLimit.limit === 'fixed' && (
+                <NumberInput
+                  label="Longest T60"
+                  value={decayLimit.maxT60}
+                  onChange={v => setDecayLimit({ ...decayLimit, maxT60: clamp(v, [0.1, 3]) })}
+                  min={0.1}
+                  max={3}
+                  step={0.05}
+                  unit="s"
+                />
               )}
             </div>
+            <p className="text-sm text-gray-400">
+              {decayLimit.limit === 'ebu'
+                ? `EBU Tech 3276 sets a nominal reverberation time of ${calcNominalRT60(volume).toFixed(2)} s for this volume and allows it to rise toward low frequencies: up to 0.3 s longer at 63 Hz and below, 0.05 s longer from 200 Hz.`
+                : `Every mode should die away by 60 dB within ${decayLimit.maxT60} s.`}
+              {' '}Decay times include the surfaces, furnishings and planned traps.
+            </p>
+            {modeDecayTimes.length > 0 && (
+              <div className={`text-sm ${ringingModes.length > 0 ? 'text-red-300' : 'text-green-400'}`}>
+                {ringingModes.length > 0
+                  ? `${ringingModes.length} of ${modeDecayTimes.length} modes ring longer than the limit`
+                  : `All ${modeDecayTimes.length} modes decay within the limit`}
+              </div>
+            )}
+            <div className="overflow-x-auto max-h-72 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="sticky top-0 bg-gray-800">
+                  <tr className="text-left text-gray-400">
+                    <th className="p-1">Mode</th>
+                    <th className="p-1">Freq</th>
+                    <th className="p-1">Type</th>
+                    <th className="p-1">T60</th>
+                    <th className="p-1">Limit</th>
+                    <th className="p-1">Over by</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {modeDecayTimes.map(({ mode, t60, limit, excess, ringing }, i) => (
+                    <tr key={i} className={`border-t border-gray-700 ${ringing ? 'text-red-300' : ''}`}>
+                      <td className="p-1">({mode.n},{mode.m},{mode.l})</td>
+                      <td className="p-1">{mode.freq.toFixed(1)} Hz</td>
+                      <td className="p-1">{mode.type}</td>
+                      <td className="p-1">{t60.toFixed(2)} s</td>
+                      <td className="p-1">{limit.toFixed(2)} s</td>
+                      <td className="p-1">{ringing ? `${(excess * 1000).toFixed(0)} ms` : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
           </div>
         </div>
-        
-        {/* OUTPUT SECTION 5: LLM Prompt */}
+
+        {/* OUTPUT SECTION 7: Listen */}
+        <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+          <h2 className="text-xl font-semibold">7. Listen</h2>
+          <p className="text-sm text-gray-400">
+            Hear the predicted bass at {chartSeat ? chartSeat.name : 'the listening position'}: the track is convolved with the impulse
+            response of the current layout (A) or another one (B), and switching between them is instant. Below {IMPULSE_DEFAULTS.band[1]} Hz
+            it is the room model; above, the track plays dry or not at all. Use headphones or play it somewhere else: through speakers in
+            this room, its modes are added a second time.
+          </p>
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="flex flex-col gap-1">
+              <label className="text-sm text-gray-400">Track</label>
+              <select
+                value={auralization.track}
+                onChange={e => chooseTrack(e.target.value)}
+                className="bg-gray-700 px-2 py-1 rounded text-white"
+              >
+                {Object.entries(TEST_TRACKS).map(([key, track]) => <option key={key} value={key}>{track.name}</option>)}
+                {auralizationFile && <option value="file">{auralizationFile.name}</option>}
+              </select>
+            </div>
+            <input
+              type="file"
+              accept="audio/*"
+              onChange={e => {
+                if (e.target.files[0]) loadAuralizationFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+              className="text-sm text-gray-300 file:mr-3 file:px-3 file:py-1 file:rounded file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-500"
+            />
+            <div className="flex flex-col gap-1">
+              <label className="text-sm text-gray-400">Above {IMPULSE_DEFAULTS.band[1]} Hz</label>
+              <select
+                value={auralization.highBand}
+                onChange={e => setAuralization({ ...auralization, highBand: e.target.value })}
+                className="bg-gray-700 px-2 py-1 rounded text-white"
+              >
+                {Object.entries(HIGH_BAND_OPTIONS).map(([key, option]) => <option key={key} value={key}>{option.name}</option>)}
+              </select>
+            </div>
+          </div>
+          {auralizationError && <div className="text-sm text-red-400">{auralizationError}</div>}
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="flex flex-col gap-1">
+              <label className="text-sm text-gray-400">B</label>
+              <select
+                value={compareLayout ? compareLayout.key : ''}
+                onChange={e => setAuralization({ ...auralization, compareTo: e.target.value })}
+                disabled={auralizationLayouts.length === 0}
+                className="bg-gray-700 px-2 py-1 rounded text-white disabled:text-gray-500"
+              >
+                {auralizationLayouts.length === 0 && <option value="">Nothing to compare yet</option>}
+                {auralizationLayouts.map(layout => <option key={layout.key} value={layout.key}>{layout.name}</option>)}
+              </select>
+            </div>
+            <button onClick={saveLayoutForComparison} className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 text-sm">
+              Keep current layout as B
+            </button>
+            <span className="text-xs text-gray-400 pb-1">
+              Save the layout, then change it; or run the optimizer to compare its configurations.
+            </span>
+          </div>
+          <div className="flex flex-wrap items-center gap-4">
+            {auralizationPlaying ? (
+              <button onClick={stopAuralization} className="px-4 py-2 bg-red-600 rounded hover:bg-red-500">Stop</button>
+            ) : (
+              <button
+                onClick={() => playAuralization()}
+                disabled={speakers.length === 0}
+                className="px-4 py-2 bg-green-600 rounded hover:bg-green-500 disabled:bg-gray-600"
+              >
+                Play
+              </button>
+            )}
+            <div className="flex rounded overflow-hidden">
+              {['A', 'B'].map(key => (
+                <button
+                  key={key}
+                  onClick={() => setAuralization({ ...auralization, listening: key })}
+                  disabled={key === 'B' && !compareLayout}
+                  className={`px-5 py-2 font-semibold ${auralization.listening === key ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'} disabled:text-gray-500 disabled:bg-gray-700`}
+                >
+                  {key}
+                </button>
+              ))}
+            </div>
+            <span className="text-sm text-gray-400">
+              {auralization.listening === 'B' && compareLayout ? compareLayout.name : 'Current layout'}
+            </span>
+            <label className="flex items-center gap-2 text-sm text-gray-400">
+              Volume
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                value={auralization.volume}
+                onChange={e => setAuralization({ ...auralization, volume: parseFloat(e.target.value) })}
+              />
+            </label>
+          </div>
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="flex flex-col gap-1">
+              <label className="text-sm text-gray-400">Impulse response sample rate</label>
+              <select
+                value={auralization.exportRate}
+                onChange={e => setAuralization({ ...auralization, exportRate: parseInt(e.target.value) })}
+                className="bg-gray-700 px-2 py-1 rounded text-white"
+              >
+                {[44100, 48000, 96000].map(rate => <option key={rate} value={rate}>{rate} Hz</option>)}
+              </select>
+            </div>
+            <button
+              onClick={() => downloadImpulseResponse('a')}
+              disabled={speakers.length === 0}
+              className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-500 disabled:bg-gray-600"
+            >
+              Download A (WAV)
+            </button>
+            {compareLayout && (
+              <button onClick={() => downloadImpulseResponse('b')} className="px-4 py-2 bg-gray-700 rounded hover:bg-gray-600">
+                Download B (WAV)
+              </button>
+            )}
+            <span className="text-xs text-gray-400 pb-2">
+              Mono 32-bit float, {AURALIZATION_DEFAULTS.duration} s, for a convolution engine.
+            </span>
+          </div>
+        </div>
+
+        {/* OUTPUT SECTION 8: Auto EQ */}
+        <div className="bg-gray-800 rounded-lg p-4 space-y-4">
+          <h2 className="text-xl font-semibold">8. Auto EQ</h2>
+          <p className="text-sm text-gray-400">
+            Parametric filters that bring each channel with EQ available toward the {TARGET_CURVES[targetCurve].name.toLowerCase()} target,
+            averaged over all seats. Cuts are preferred; boosts are limited and never aimed at nulls, which are cancellations
+            that more power cannot fill.
+          </p>
+          {autoEQ.length === 0 ? (
+            <p className="text-sm text-gray-400">No channel has EQ available. Enable it for the mains or subwoofers under Speakers &amp; Subwoofers.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-end gap-4">
+                <NumberInput
+                  label="Filters per channel"
+                  value={autoEQSettings.maxFilters}
+                  onChange={v => setAutoEQSettings({ ...autoEQSettings, maxFilters: clamp(Math.round(v), [1, 10]) })}
+                  min={1}
+                  max={10}
+                  step={1}
+                />
+                <NumberInput
+                  label="Max boost"
+                  value={autoEQSettings.maxBoost}
+                  onChange={v => setAutoEQSettings({ ...autoEQSettings, maxBoost: clamp(v, [0, 6]) })}
+                  min={0}
+                  max={6}
+                  step={0.5}
+                  unit="dB"
+                />
+                <div className="flex flex-col gap-1">
+                  <label className="text-sm text-gray-400">Export format</label>
+                  <select
+                    value={eqExport.format}
+                    onChange={e => setEqExport({ ...eqExport, format: e.target.value })}
+                    className="bg-gray-700 px-2 py-1 rounded text-white"
+                  >
+                    {Object.entries(EQ_EXPORT_FORMATS).map(([key, format]) => (
+                      <option key={key} value={key}>{format.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {eqExport.format === 'minidsp' && (
+                  <div className="flex flex-col gap-1">
+                    <label className="text-sm text-gray-400">Sample rate</label>
+                    <select
+                      value={eqExport.sampleRate}
+                      onChange={e => setEqExport({ ...eqExport, sampleRate: parseInt(e.target.value) })}
+                      className="bg-gray-700 px-2 py-1 rounded text-white"
+                    >
+                      <option value={48000}>48 kHz</option>
+                      <option value={96000}>96 kHz</option>
+                    </select>
+                  </div>
+                )}
+                <button
+                  onClick={() => navigator.clipboard.writeText(eqExportText())}
+                  className="px-4 py-2 bg-gray-700 rounded hover:bg-gray-600"
+                >
+                  Copy
+                </button>
+                <button
+                  onClick={downloadEQ}
+                  className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-500"
+                >
+                  Download
+                </button>
+              </div>
+              {EQ_EXPORT_FORMATS[eqExport.format].perChannel && autoEQ.length > 1 && (
+                <p className="text-xs text-gray-400">
+                  REW imports one equaliser per file, so Download saves a file for each channel; Copy gives them all, one block per channel.
+                </p>
+              )}
+              {EQ_EXPORT_FORMATS[eqExport.format].outputs && autoEQ.some(channel => eqOutput(channel) === null) && (
+                <p className="text-xs text-yellow-400">
+                  {eqExport.format === 'apo'
+                    ? 'Channels without an output are left out of the export.'
+                    : 'Channels without an output are exported with a placeholder to replace before the file will load.'}
+                </p>
+              )}
+              {autoEQ.map(channel => (
+                <div key={channel.key} className="bg-gray-700 rounded p-3 space-y-2">
+                  <div className="flex flex-wrap justify-between gap-2">
+                    <div className="flex items-center gap-3">
+                      <h3 className="font-medium">{channel.name}</h3>
+                      {EQ_EXPORT_FORMATS[eqExport.format].outputs && (
+                        <label className="text-sm text-gray-400 flex items-center gap-1">
+                          Output
+                          <select
+                            value={eqOutput(channel) ?? ''}
+                            onChange={e => setEqOutput(channel, e.target.value)}
+                            className={`bg-gray-600 px-2 py-0.5 rounded ${eqOutput(channel) === null ? 'text-yellow-400' : 'text-white'}`}
+                          >
+                            <option value="">Not set</option>
+                            {EQ_EXPORT_FORMATS[eqExport.format].outputs.map(o => <option key={o} value={o}>{o}</option>)}
+                          </select>
+                        </label>
+                      )}
+                    </div>
+                    <span className="text-sm text-gray-400">
+                      {channel.freqRange[0].toFixed(0)}–{channel.freqRange[1].toFixed(0)} Hz:{' '}
+                      {channel.before.toFixed(1)} dB RMS → <strong className="text-white">{channel.after.toFixed(1)} dB RMS</strong> from target
+                    </span>
+                  </div>
+                  {channel.filters.length === 0 ? (
+                    <p className="text-sm text-gray-400">Already within reach of the target; no filters needed.</p>
+                  ) : (
+                    <table className="text-sm">
+                      <thead>
+                        <tr className="text-gray-400 text-left">
+                          <th className="pr-6 font-normal">#</th>
+                          <th className="pr-6 font-normal">Type</th>
+                          <th className="pr-6 font-normal">Frequency</th>
+                          <th className="pr-6 font-normal">Gain</th>
+                          <th className="font-normal">Q</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {channel.filters.map((band, i) => (
+                          <tr key={i}>
+                            <td className="pr-6">{i + 1}</td>
+                            <td className="pr-6">PK</td>
+                            <td className="pr-6">{band.freq.toFixed(1)} Hz</td>
+                            <td className={`pr-6 ${band.gain > 0 ? 'text-yellow-400' : ''}`}>{band.gain > 0 ? '+' : ''}{band.gain.toFixed(1)} dB</td>
+                            <td>{band.q.toFixed(2)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {channel.nulls.length > 0 && (
+                    <p className="text-xs text-gray-400">
+                      Left alone (nulls): {channel.nulls.map(f => f.toFixed(0)).join(', ')} Hz. Move the seat or speaker to fix these.
+                    </p>
+                  )}
+                  <FRChart
+                    height={200}
+                    freqRange={[20, 250]}
+                    markers={channel.freqRange
+                      .map((freq, i) => ({ freq, label: `EQ ${i === 0 ? 'from' : 'to'} ${freq.toFixed(0)} Hz` }))
+                      .filter(m => m.freq > 20 && m.freq < 250)}
+                    curves={[
+                      { fr: channel.fr, color: '#9ca3af', label: 'Before', dashed: true },
+                      { fr: applyEQ(channel.fr, channel.filters), color: '#f3f4f6', label: 'After EQ' },
+                      { fr: channel.target, color: TARGET_COLOR, label: 'Target', dashed: true },
+                    ]}
+                  />
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+
+        {/* OUTPUT SECTION 9: LLM Prompt */}
         <div className="bg-gray-800 rounded-lg p-4 space-y-4">
           <div className="flex justify-between items-center">
-            <h2 className="text-xl font-semibold">5. LLM Analysis Prompt</h2>
+            <h2 className="text-xl font-semibold">9. LLM Analysis Prompt</h2>
             <div className="flex gap-2">
               <button
                 onClick={() => setShowPrompt(!showPrompt)}
@@ -1270,10 +4666,10 @@ Based on this data, please provide:
           )}
         </div>
 
-        {/* OUTPUT SECTION 6: Subwoofer Placement Optimizer */}
+        {/* OUTPUT SECTION 10: Subwoofer Placement Optimizer */}
         <div className="bg-gray-800 rounded-lg p-4 space-y-4">
           <div className="flex justify-between items-center">
-            <h2 className="text-xl font-semibold">6. Subwoofer Placement Optimizer</h2>
+            <h2 className="text-xl font-semibold">10. Subwoofer Placement Optimizer</h2>
             <button
               onClick={() => setShowSubOptimizer(!showSubOptimizer)}
               className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-500"
@@ -1308,16 +4704,120 @@ Based on this data, please provide:
                     </div>
                   </div>
 
+                  <div className="flex flex-col gap-2">
+                    <label className="text-sm text-gray-400">Positions</label>
+                    <select
+                      value={subOptimizerConfig.method}
+                      onChange={e => setSubOptimizerConfig({ ...subOptimizerConfig, method: e.target.value })}
+                      className="bg-gray-600 px-3 py-2 rounded text-white"
+                    >
+                      <option value="fixed">Standard positions</option>
+                      <option value="grid">Grid search</option>
+                      <option value="evolve">Evolutionary search</option>
+                    </select>
+                  </div>
+
+                  {subOptimizerConfig.method !== 'fixed' && (
+                    <div className="flex items-end gap-2">
+                      <LengthInput
+                        label="Grid spacing"
+                        value={subOptimizerConfig.spacing}
+                        onChange={v => setSubOptimizerConfig({ ...subOptimizerConfig, spacing: Math.max(0.5, v) })}
+                        units={units}
+                      />
+                      <button
+                        onClick={runPositionSearch}
+                        disabled={solverBusy || optimizerRun.status === 'running'}
+                        className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-500 disabled:opacity-50"
+                      >
+                        Search
+                      </button>
+                    </div>
+                  )}
+
+                  <div className="flex flex-col gap-2">
+                    <label className="text-sm text-gray-400">Multi-sub optimization</label>
+                    <label className="flex items-center gap-2 cursor-pointer text-sm">
+                      <input
+                        type="checkbox"
+                        checked={msoEq}
+                        onChange={e => setMsoEq(e.target.checked)}
+                        className="w-4 h-4 rounded"
+                      />
+                      Include one shared parametric EQ band
+                    </label>
+                  </div>
+                </div>
+
+                {/* Placement zones */}
+                <div className="space-y-2">
+                  <div className="flex flex-wrap justify-between items-center gap-2">
+                    <div className="text-sm text-gray-400">
+                      Placement zones: subs stay out of keep-out zones and, if any allowed zones exist, inside one of them.
+                      Raise an allowed zone's height to place subs on a shelf or riser.
+                    </div>
+                    <div className="flex gap-2">
+                      {[['keepOut', 'Draw keep-out'], ['allowed', 'Draw allowed zone']].map(([kind, label]) => (
+                        <button
+                          key={kind}
+                          onClick={() => setZoneDrawMode(zoneDrawMode === kind ? null : kind)}
+                          className={`px-3 py-1 rounded text-sm ${zoneDrawMode === kind ? 'bg-blue-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  {zoneDrawMode && (
+                    <div className="text-xs text-blue-300">Drag a rectangle on the room layout below to add the zone.</div>
+                  )}
+                  {placementZones.map((zone, i) => (
+                    <PlacementZoneInput
+                      key={i}
+                      zone={zone}
+                      onChange={z => setPlacementZones(placementZones.map((old, j) => j === i ? z : old))}
+                      onRemove={() => setPlacementZones(placementZones.filter((_, j) => j !== i))}
+                      units={units}
+                    />
+                  ))}
                 </div>
               </div>
 
+              {optimizerRun.status === 'idle' && subOptimizerConfig.method !== 'fixed' && (
+                <div className="text-sm text-gray-400">Press Search to look for the best positions anywhere in the allowed space.</div>
+              )}
+              {optimizerRun.status === 'running' && (
+                <div className="flex items-center gap-3">
+                  <div className="flex-1 h-2 bg-gray-700 rounded overflow-hidden">
+                    <div className="h-full bg-blue-500 transition-all" style={{ width: `${optimizerRun.fraction * 100}%` }} />
+                  </div>
+                  <span className="text-sm text-gray-400">
+                    {(optimizerRun.fraction * 100).toFixed(0)}% · {optimizerRun.evaluated} evaluated
+                  </span>
+                  <button onClick={subOptimizerJob.stop} className="px-3 py-1 rounded text-sm bg-gray-600 hover:bg-gray-500">
+                    Cancel
+                  </button>
+                </div>
+              )}
+              {optimizerRun.status === 'cancelled' && (
+                <div className="text-sm text-yellow-400">Stopped early: showing the best of the configurations evaluated so far.</div>
+              )}
+              {optimizerRun.status === 'error' && (
+                <div className="text-sm text-red-400">Optimizer failed: {optimizerRun.error}</div>
+              )}
+              {optimizerRun.status === 'done' && optimizerRun.configs.length === 0 && (
+                <div className="text-sm text-yellow-400">No sub positions satisfy the placement zones.</div>
+              )}
+
               {/* Results */}
               {subOptimizerResults && (
                 <div className="space-y-4">
                   {/* Strategy Comparison Table */}
                   <h3 className="font-medium">
                     Top {subOptimizerConfig.numSubs}-Sub Configurations
-                    <span className="text-gray-400 font-normal ml-2">(evaluated {subOptimizerResults.totalEvaluated} combinations)</span>
+                    <span className="text-gray-400 font-normal ml-2">
+                      ({optimizerRun.status === 'running' ? 'best so far, ' : ''}evaluated {subOptimizerResults.totalEvaluated} combinations)
+                    </span>
                   </h3>
                   <div className="overflow-x-auto">
                     <table className="w-full text-sm">
@@ -1327,6 +4827,7 @@ Based on this data, please provide:
                           <th className="p-2">Configuration</th>
                           <th className="p-2">FR Preview</th>
                           <th className="p-2">Peak-to-Peak</th>
+                          {seats.length > 0 && <th className="p-2">Seat-to-Seat</th>}
                           <th className="p-2">Score</th>
                           <th className="p-2">Coordinates</th>
                         </tr>
@@ -1360,18 +4861,19 @@ Based on this data, please provide:
                                 <FRCurvePreview fr={result.score.fr} />
                               </td>
                               <td className="p-2">±{(result.score.peakToPeak / 2).toFixed(1)} dB</td>
+                              {seats.length > 0 && <td className="p-2">{result.score.seatStd.toFixed(1)} dB</td>}
                               <td className="p-2">
                                 <ScoreBar score={result.score.overall} />
                               </td>
                               <td className="p-2 font-mono text-xs">
                                 {result.positions.map((p, j) => (
-                                  <div key={j}>({p.x.toFixed(1)}, {p.y.toFixed(1)})</div>
+                                  <div key={j}>({len(p.x)}, {len(p.y)}{p.z > 0 ? `, ${len(p.z)}` : ''})</div>
                                 ))}
                               </td>
                             </tr>
                             {isExpanded && (
                               <tr className="bg-gray-900">
-                                <td colSpan={6} className="p-4">
+                                <td colSpan={seats.length > 0 ? 7 : 6} className="p-4">
                                   <div className="text-sm font-medium mb-2">Mode-by-Mode Impact</div>
                                   <div className="overflow-x-auto">
                                     <table className="w-full text-xs">
@@ -1381,13 +4883,14 @@ Based on this data, please provide:
                                           <th className="p-1">Freq</th>
                                           <th className="p-1">Type</th>
                                           <th className="p-1">LP Pressure</th>
+                                          {seats.length > 0 && <th className="p-1">All Seats</th>}
                                           <th className="p-1">Net Excitation</th>
                                           <th className="p-1">Impact</th>
                                           <th className="p-1">Status</th>
                                         </tr>
                                       </thead>
                                       <tbody>
-                                        {result.score.modeDetails.slice(0, 15).map((detail, k) => (
+                                        {calcSubModeDetails(result.positions, modalBasis, allSeats).slice(0, 15).map((detail, k) => (
                                           <tr key={k} className="border-b border-gray-700">
                                             <td className="p-1 font-mono">({detail.mode.n},{detail.mode.m},{detail.mode.l})</td>
                                             <td className="p-1">{detail.mode.freq.toFixed(1)} Hz</td>
@@ -1398,6 +4901,11 @@ Based on this data, please provide:
                                               }`}>{detail.mode.type.substring(0, 3)}</span>
                                             </td>
                                             <td className="p-1">{(detail.lpPressure * 100).toFixed(0)}%</td>
+                                            {seats.length > 0 && (
+                                              <td className="p-1">
+                                                {(Math.min(...detail.seatPressures) * 100).toFixed(0)}–{(Math.max(...detail.seatPressures) * 100).toFixed(0)}%
+                                              </td>
+                                            )}
                                             <td className="p-1">
                                               <span className={detail.isCancelled ? 'text-green-400' : ''}>
                                                 {(detail.absExcitation * 100).toFixed(0)}%
@@ -1424,6 +4932,14 @@ Based on this data, please provide:
                                   <div className="mt-2 text-xs text-gray-400">
                                     Showing first 15 modes. Green = cancelled by multi-sub configuration, Purple = strong impact at LP.
                                   </div>
+                                  {result.positions.length > 1 && (
+                                    <button
+                                      onClick={() => runMultiSubOptimizer(result)}
+                                      className="mt-3 px-3 py-1 bg-blue-600 rounded hover:bg-blue-500 text-sm"
+                                    >
+                                      Optimize gain, delay &amp; polarity for this set
+                                    </button>
+                                  )}
                                 </td>
                               </tr>
                             )}
@@ -1439,32 +4955,125 @@ Based on this data, please provide:
                       <h4 className="font-medium text-green-300 mb-2">
                         Best Configuration: {subOptimizerResults.bestConfig.name}
                       </h4>
+                      <div className="space-y-2 text-sm">
+                        <div>
+                          <span className="text-gray-400">Score:</span>{' '}
+                          <strong>{subOptimizerResults.bestConfig.score.overall.toFixed(0)}/100</strong>
+                        </div>
+                        <div>
+                          <span className="text-gray-400">Peak-to-Peak:</span>{' '}
+                          ±{(subOptimizerResults.bestConfig.score.peakToPeak / 2).toFixed(1)} dB
+                        </div>
+                        {seats.length > 0 && (
+                          <div>
+                            <span className="text-gray-400">Seat-to-seat deviation:</span>{' '}
+                            {subOptimizerResults.bestConfig.score.seatStd.toFixed(1)} dB over {allSeats.length} seats
+                          </div>
+                        )}
+                        <div>
+                          <span className="text-gray-400">Positions:</span>
+                          <ul className="mt-1 font-mono text-xs">
+                            {subOptimizerResults.bestConfig.positions.map((pos, i) => (
+                              <li key={i}>
+                                Sub {i + 1}: {len(pos.x)} {u.length} from front, {len(pos.y)} {u.length} from left
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      </div>
+                      <div className="mt-3">
+                        <h5 className="text-sm text-gray-400 mb-1">Predicted response of the top configurations (subs only{allSeats.length > 1 ? ', averaged over the seats' : ''})</h5>
+                        <FRChart
+                          curves={[
+                            ...candidateCurves(subOptimizerResults.bestConfig.score.fr, 3),
+                            { fr: fitTargetCurve(targetCurve, subOptimizerResults.bestConfig.score.fr), color: TARGET_COLOR, label: 'Target', dashed: true },
+                          ]}
+                          markers={responseMarkers}
+                          modes={modeMarks}
+                          height={220}
+                        />
+                      </div>
+                      {subOptimizerResults.bestConfig.positions.length > 1 && (
+                        <button
+                          onClick={() => runMultiSubOptimizer(subOptimizerResults.bestConfig)}
+                          className="mt-3 px-3 py-1 bg-blue-600 rounded hover:bg-blue-500 text-sm"
+                        >
+                          Optimize gain, delay &amp; polarity
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Multi-sub optimization (second stage) */}
+                  {msoResult && (
+                    <div className="bg-blue-900/30 border border-blue-700 rounded p-4 space-y-3">
+                      <div className="flex justify-between items-center">
+                        <h4 className="font-medium text-blue-300">Multi-Sub Optimization: {msoResult.name}</h4>
+                        <button onClick={applyMultiSubResult} className="px-3 py-1 bg-blue-600 rounded hover:bg-blue-500 text-sm">
+                          Use as subwoofers
+                        </button>
+                      </div>
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <table className="text-sm">
+                          <thead>
+                            <tr className="text-left text-gray-400 border-b border-gray-700">
+                              <th className="p-1">Sub</th>
+                              <th className="p-1">Position</th>
+                              <th className="p-1">Gain</th>
+                              <th className="p-1">Delay</th>
+                              <th className="p-1">Polarity</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {msoResult.result.settings.map((st, i) => (
+                              <tr key={i} className="border-b border-gray-700">
+                                <td className="p-1">{i + 1}</td>
+                                <td className="p-1 font-mono text-xs">({len(msoResult.positions[i].x)}, {len(msoResult.positions[i].y)})</td>
+                                <td className="p-1">{st.gain > 0 ? '+' : ''}{st.gain.toFixed(1)} dB</td>
+                                <td className="p-1">{st.delay.toFixed(2)} ms</td>
+                                <td className="p-1">{st.invert ? <span className="text-yellow-400">Inverted</span> : 'Normal'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
                         <div className="space-y-2 text-sm">
                           <div>
-                            <span className="text-gray-400">Score:</span>{' '}
-                            <strong>{subOptimizerResults.bestConfig.score.overall.toFixed(0)}/100</strong>
+                            <span className="text-gray-400">Peak-to-peak:</span>{' '}
+                            ±{(msoResult.baseline.peakToPeak / 2).toFixed(1)} dB → <strong>±{(msoResult.result.peakToPeak / 2).toFixed(1)} dB</strong>
+                            <span className={`ml-2 ${msoPeakChange < -0.05 ? 'text-green-400' : msoPeakChange > 0.05 ? 'text-red-400' : 'text-gray-400'}`}>
+                              ({msoPeakChange > 0.05 ? '+' : ''}{msoPeakChange.toFixed(1)} dB)
+                            </span>
                           </div>
                           <div>
-                            <span className="text-gray-400">Peak-to-Peak:</span>{' '}
-                            ±{(subOptimizerResults.bestConfig.score.peakToPeak / 2).toFixed(1)} dB
+                            <span className="text-gray-400">Standard deviation:</span>{' '}
+                            {msoResult.baseline.stdDev.toFixed(1)} dB → <strong>{msoResult.result.stdDev.toFixed(1)} dB</strong>
                           </div>
+                          {seats.length > 0 && (
+                            <div>
+                              <span className="text-gray-400">Seat-to-seat deviation:</span>{' '}
+                              {msoResult.baseline.seatStd.toFixed(1)} dB → <strong>{msoResult.result.seatStd.toFixed(1)} dB</strong>
+                            </div>
+                          )}
                           <div>
-                            <span className="text-gray-400">Positions:</span>
-                            <ul className="mt-1 font-mono text-xs">
-                              {subOptimizerResults.bestConfig.positions.map((pos, i) => (
-                                <li key={i}>
-                                  Sub {i + 1}: {pos.x.toFixed(1)}' from front, {pos.y.toFixed(1)}' from left
-                                </li>
-                              ))}
-                            </ul>
+                            <span className="text-gray-400">Score:</span>{' '}
+                            {msoResult.baseline.overall.toFixed(0)} → <strong>{msoResult.result.overall.toFixed(0)}/100</strong>
                           </div>
-                        </div>
-                        <div>
-                          <span className="text-gray-400 text-sm">Predicted FR:</span>
-                          <FRCurvePreview fr={subOptimizerResults.bestConfig.score.fr} width={200} height={60} />
+                          {msoResult.result.eq && (
+                            <div>
+                              <span className="text-gray-400">Shared EQ:</span>{' '}
+                              {msoResult.result.eq.freq.toFixed(1)} Hz, {msoResult.result.eq.gain.toFixed(1)} dB, Q {msoResult.result.eq.q.toFixed(2)}
+                            </div>
+                          )}
                         </div>
                       </div>
+                      <FRChart
+                        curves={[
+                          { fr: msoResult.baseline.fr, color: '#9ca3af', label: 'Positions only', dashed: true },
+                          { fr: msoResult.result.fr, color: '#60a5fa', label: 'Optimized' },
+                        ]}
+                        modes={modeMarks}
+                        height={200}
+                      />
                     </div>
                   )}
 
@@ -1474,12 +5083,14 @@ Based on this data, please provide:
                     <p className="text-sm text-gray-300">
                       The optimizer predicts the frequency response at your listening position for each subwoofer configuration.
                       It scores configurations based on <strong>flatness</strong> — lower peak-to-peak variation means more even bass response.
+                      With several seats it scores the seat-averaged response and subtracts {SEAT_VARIANCE_WEIGHT} points per dB of seat-to-seat deviation, as in Welti and Devantier's multi-seat method.
                     </p>
                     <ul className="mt-2 text-sm text-gray-400 list-disc list-inside space-y-1">
                       <li>Multi-sub setups can <strong>cancel</strong> problematic room modes via phase opposition</li>
                       <li>Opposite corners cancel modes where n+m+l is odd (e.g., the fundamental modes)</li>
                       <li>Midwall placements sit at nulls for odd modes in that dimension</li>
                       <li>Positions are scored by the predicted frequency response at your listening position</li>
+                      <li>The second stage keeps the positions and searches per-sub gain, delay and polarity (and optionally one EQ band) with a Nelder–Mead simplex</li>
                     </ul>
                   </div>
                 </div>
@@ -1491,30 +5102,267 @@ Based on this data, please provide:
         {/* Room Visualization */}
         <div className="bg-gray-800 rounded-lg p-4">
           <h2 className="text-xl font-semibold mb-4">Room Layout (Top View)</h2>
+          <div className="flex flex-wrap items-end gap-4 mb-4">
+            <label className="flex items-center gap-2 cursor-pointer text-sm pb-2">
+              <input
+                type="checkbox"
+                checked={snap.toGrid}
+                onChange={e => setSnap({ ...snap, toGrid: e.target.checked })}
+                className="w-4 h-4 rounded"
+              />
+              Snap to grid
+            </label>
+            {snap.toGrid && (
+              <LengthInput
+                label="Grid"
+                value={snap.grid}
+                onChange={v => setSnap({ ...snap, grid: Math.max(0.05, v) })}
+                units={units}
+              />
+            )}
+            <label className="flex items-center gap-2 cursor-pointer text-sm pb-2">
+              <input
+                type="checkbox"
+                checked={snap.toCandidates}
+                onChange={e => setSnap({ ...snap, toCandidates: e.target.checked })}
+                className="w-4 h-4 rounded"
+              />
+              Snap to optimizer positions
+            </label>
+            <span className="text-xs text-gray-400 pb-2 max-w-sm">
+              Drag speakers, seats and the listener here or on the elevations. Click one, then use the arrow keys to nudge it (Page Up/Down for height, Shift for 10×).
+            </span>
+          </div>
+          <div className="flex flex-wrap items-end gap-4 mb-8">
+            <label className="flex items-center gap-2 cursor-pointer text-sm pb-2">
+              <input
+                type="checkbox"
+                checked={listenerSweep.show}
+                onChange={e => setListenerSweep({ ...listenerSweep, show: e.target.checked })}
+                className="w-4 h-4 rounded"
+              />
+              Seat heatmap (bass flatness at ear height)
+            </label>
+            {listenerSweep.show && (
+              <>
+                <LengthInput
+                  label="Grid spacing"
+                  value={listenerSweep.spacing}
+                  onChange={v => setListenerSweep({ ...listenerSweep, spacing: Math.max(0.5, v) })}
+                  units={units}
+                />
+                {[['front', 'Min from front'], ['rear', 'Min from rear'], ['side', 'Min from sides']].map(([key, label]) => (
+                  <LengthInput
+                    key={key}
+                    label={label}
+                    value={listenerSweep.constraints[key]}
+                    onChange={v => setListenerSweep({ ...listenerSweep, constraints: { ...listenerSweep.constraints, [key]: Math.max(0, v) } })}
+                    units={units}
+                  />
+                ))}
+                <label className="flex items-center gap-2 cursor-pointer text-sm pb-2">
+                  <input
+                    type="checkbox"
+                    checked={listenerSweep.constraints.centerLine}
+                    onChange={e => setListenerSweep({ ...listenerSweep, constraints: { ...listenerSweep.constraints, centerLine: e.target.checked } })}
+                    className="w-4 h-4 rounded"
+                  />
+                  On center line
+                </label>
+                {listenerSweepJob.run.status === 'running' && (
+                  <span className="text-sm text-gray-400 pb-2">Sweeping… {(listenerSweepJob.run.fraction * 100).toFixed(0)}%</span>
+                )}
+                {listenerSweepJob.run.status === 'error' && (
+                  <span className="text-sm text-red-400 pb-2">Sweep failed: {listenerSweepJob.run.error}</span>
+                )}
+              </>
+            )}
+          </div>
+          <div className="flex flex-wrap items-end gap-4 mb-8">
+            <div className="flex flex-col gap-1">
+              <label className="text-sm text-gray-400">Pressure field</label>
+              <select
+                value={fieldView.kind}
+                onChange={e => setFieldView({ ...fieldView, kind: e.target.value })}
+                className="bg-gray-700 px-2 py-1 rounded text-white"
+              >
+                <option value="off">Off</option>
+                <option value="frequency">All speakers at a frequency</option>
+                <option value="mode">Single mode shape</option>
+              </select>
+            </div>
+            {fieldView.kind === 'frequency' && (
+              <NumberInput
+                label="Frequency"
+                value={fieldView.freq}
+                onChange={v => setFieldView({ ...fieldView, freq: Math.min(300, Math.max(10, v)) })}
+                min={10}
+                max={300}
+                step={1}
+                unit="Hz"
+              />
+            )}
+            {fieldView.kind === 'mode' && (
+              <div className="flex flex-col gap-1">
+                <label className="text-sm text-gray-400">Mode (or click one in the mode tables)</label>
+                <select
+                  value={fieldMode ? modes.indexOf(fieldMode) : ''}
+                  onChange={e => showModeField(modes[e.target.value])}
+                  className="bg-gray-700 px-2 py-1 rounded text-white"
+                >
+                  {!fieldMode && <option value="">Choose a mode</option>}
+                  {modes.filter(m => m.freq <= 120).map(m => (
+                    <option key={modes.indexOf(m)} value={modes.indexOf(m)}>
+                      ({m.n},{m.m},{m.l}) {m.freq.toFixed(1)} Hz {m.type}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {fieldView.kind !== 'off' && (
+              <>
+                <LengthInput
+                  label="Slice height"
+                  value={fieldHeight}
+                  onChange={v => setFieldView({ ...fieldView, height: Math.min(room.height, Math.max(0, v)) })}
+                  units={units}
+                />
+                <label className="flex items-center gap-2 cursor-pointer text-sm pb-2">
+                  <input
+                    type="checkbox"
+                    checked={fieldView.animate}
+                    onChange={e => setFieldView({ ...fieldView, animate: e.target.checked })}
+                    className="w-4 h-4 rounded"
+                  />
+                  Animate phase
+                </label>
+                <span className="text-xs text-gray-400 pb-2 max-w-xs">
+                  {fieldView.kind === 'mode'
+                    ? 'Red and blue are opposite phase; white lines are nodal lines, where the mode has no pressure.'
+                    : fieldView.animate
+                      ? 'Pressure through one cycle: red and blue are opposite phase, spots that stay dark are nulls.'
+                      : 'Level from the loudest point (bright) down 30 dB (dark).'}
+                </span>
+              </>
+            )}
+          </div>
           <div 
-            className="relative bg-gray-900 rounded mx-auto"
+            ref={layoutRef}
+            className={`relative bg-gray-900 rounded mx-auto ${zoneDrawMode ? 'cursor-crosshair select-none' : ''}`}
             style={{ 
               width: '100%',
               maxWidth: '500px',
               aspectRatio: `${room.width} / ${room.length}`
             }}
+            onMouseDown={startZoneDraw}
+            onMouseMove={moveZoneDraw}
+            onMouseUp={finishZoneDraw}
+            onMouseLeave={finishZoneDraw}
           >
             {/* Wall labels */}
             <div className="absolute -top-6 left-1/2 -translate-x-1/2 text-sm text-gray-400">
-              FRONT {wallOpenings.front > 0 && `(${wallOpenings.front}% open)`}
+              FRONT {openings.front > 0 && `(${openings.front.toFixed(0)}% open)`}
             </div>
             <div className="absolute -bottom-6 left-1/2 -translate-x-1/2 text-sm text-gray-400">
-              REAR {wallOpenings.rear > 0 && `(${wallOpenings.rear}% open)`}
+              REAR {openings.rear > 0 && `(${openings.rear.toFixed(0)}% open)`}
             </div>
             <div className="absolute -left-8 top-1/2 -translate-y-1/2 -rotate-90 text-sm text-gray-400">
-              LEFT {wallOpenings.left > 0 && `(${wallOpenings.left}% open)`}
+              LEFT {openings.left > 0 && `(${openings.left.toFixed(0)}% open)`}
             </div>
             <div className="absolute -right-8 top-1/2 -translate-y-1/2 rotate-90 text-sm text-gray-400">
-              RIGHT {wallOpenings.right > 0 && `(${wallOpenings.right}% open)`}
+              RIGHT {openings.right > 0 && `(${openings.right.toFixed(0)}% open)`}
             </div>
             
-            {/* Open wall indicators - centered on each wall */}
-            {wallOpenings.front > 0 && (
+            {/* Pressure field */}
+            {fieldSlice && (
+              <PressureFieldOverlay
+                slice={fieldSlice}
+                signed={fieldView.kind === 'mode' || fieldView.animate}
+                animate={fieldView.animate}
+                contours={fieldContours}
+              />
+            )}
+
+            {/* Seat heatmap: cells outside the constraints are dimmed */}
+            {sweepResults && sweepResults.points.map((pos, i) => (
+              <div
+                key={`sweep-${i}`}
+                className="absolute pointer-events-none"
+                style={{
+                  top: `${((pos.x - sweepGrid.dx / 2) / room.length) * 100}%`,
+                  left: `${((pos.y - sweepGrid.dy / 2) / room.width) * 100}%`,
+                  height: `${(sweepGrid.dx / room.length) * 100}%`,
+                  width: `${(sweepGrid.dy / room.width) * 100}%`,
+                  backgroundColor: sweepColor(pos.score.overall),
+                  opacity: pos.allowed ? 0.55 : 0.15,
+                }}
+                title={`${len(pos.x)}, ${len(pos.y)} ${u.length}: ±${(pos.score.peakToPeak / 2).toFixed(1)} dB`}
+              />
+            ))}
+            {sweepResults && sweepResults.recommended.map((pos, i) => (
+              <div
+                key={`best-${i}`}
+                className="absolute w-5 h-5 rounded-full border-2 border-white bg-gray-900/80 flex items-center justify-center text-[10px] font-bold pointer-events-none transform -translate-x-1/2 -translate-y-1/2"
+                style={{
+                  left: `${(pos.y / room.width) * 100}%`,
+                  top: `${(pos.x / room.length) * 100}%`,
+                }}
+              >
+                {i + 1}
+              </div>
+            ))}
+
+            {/* Sub placement zones, and the one being drawn */}
+            {[...placementZones, ...(zoneDraft ? [{
+              kind: zoneDrawMode,
+              x: [Math.min(zoneDraft.start.x, zoneDraft.end.x), Math.max(zoneDraft.start.x, zoneDraft.end.x)],
+              y: [Math.min(zoneDraft.start.y, zoneDraft.end.y), Math.max(zoneDraft.start.y, zoneDraft.end.y)],
+            }] : [])].map((zone, i) => (
+              <div
+                key={`zone-${i}`}
+                className={`absolute pointer-events-none border ${
+                  zone.kind === 'keepOut' ? 'bg-red-600/20 border-red-500/60' : 'bg-green-600/20 border-green-500/60'
+                }`}
+                style={{
+                  top: `${(zone.x[0] / room.length) * 100}%`,
+                  height: `${((zone.x[1] - zone.x[0]) / room.length) * 100}%`,
+                  left: `${(zone.y[0] / room.width) * 100}%`,
+                  width: `${((zone.y[1] - zone.y[0]) / room.width) * 100}%`,
+                }}
+              />
+            ))}
+
+            {/* Planned traps: strips on the walls and edges, squares in the corners, dashed on the ceiling */}
+            {treatments.map(trap => placeTreatment(trap, room)).map((trap, i) => {
+              const { fixed, span } = TREATMENT_MOUNTS[trap.mount];
+              // Trap dimension along each axis of the plan it spans
+              const sizes = Object.fromEntries(span.filter(([axis]) => axis !== 'z'));
+              const corner = Object.keys(sizes).length === 0;
+              const depth = corner ? Math.min(trap.width, room.width / 4) : 0.5;
+              const extent = (axis) => (sizes[axis] ? trap[sizes[axis]] : depth) / 2;
+              const box = {
+                x: [trap.x - extent('x'), trap.x + extent('x')],
+                y: [trap.y - extent('y'), trap.y + extent('y')],
+              };
+              const x0 = clamp(box.x[0], [0, room.length]);
+              const y0 = clamp(box.y[0], [0, room.width]);
+              return (
+                <div
+                  key={`trap-${i}`}
+                  className={`absolute pointer-events-none bg-cyan-500/40 border border-cyan-300/70 ${fixed.z === 'height' ? 'border-dashed bg-cyan-500/10' : ''}`}
+                  style={{
+                    top: `${(x0 / room.length) * 100}%`,
+                    height: `${((clamp(box.x[1], [0, room.length]) - x0) / room.length) * 100}%`,
+                    left: `${(y0 / room.width) * 100}%`,
+                    width: `${((clamp(box.y[1], [0, room.width]) - y0) / room.width) * 100}%`,
+                  }}
+                  title={`${TREATMENTS[trap.kind].name}, ${TREATMENT_MOUNTS[trap.mount].name.toLowerCase()}`}
+                />
+              );
+            })}
+
+            {/* Open wall indicators - centered on walls without an adjoining space */}
+            {wallOpenings.front > 0 && !coupledWalls.has('front') && (
               <div 
                 className="absolute top-0 h-2 bg-yellow-600/50" 
                 style={{ 
@@ -1523,7 +5371,7 @@ Based on this data, please provide:
                 }} 
               />
             )}
-            {wallOpenings.rear > 0 && (
+            {wallOpenings.rear > 0 && !coupledWalls.has('rear') && (
               <div 
                 className="absolute bottom-0 h-2 bg-yellow-600/50" 
                 style={{ 
@@ -1532,7 +5380,7 @@ Based on this data, please provide:
                 }} 
               />
             )}
-            {wallOpenings.left > 0 && (
+            {wallOpenings.left > 0 && !coupledWalls.has('left') && (
               <div 
                 className="absolute left-0 w-2 bg-yellow-600/50" 
                 style={{ 
@@ -1541,7 +5389,7 @@ Based on this data, please provide:
                 }} 
               />
             )}
-            {wallOpenings.right > 0 && (
+            {wallOpenings.right > 0 && !coupledWalls.has('right') && (
               <div 
                 className="absolute right-0 w-2 bg-yellow-600/50" 
                 style={{ 
@@ -1551,30 +5399,105 @@ Based on this data, please provide:
               />
             )}
             
+            {/* Non-rectangular floor plan: shade the area outside the room */}
+            {solverGeometry && (
+              <svg
+                className="absolute inset-0 w-full h-full pointer-events-none"
+                viewBox={`0 0 ${room.width} ${room.length}`}
+                preserveAspectRatio="none"
+              >
+                <path
+                  d={`M0,0 H${room.width} V${room.length} H0 Z M${solverGeometry.polygon.map(([x, y]) => `${y},${x}`).join(' L')} Z`}
+                  fill="#374151"
+                  fillRule="evenodd"
+                />
+                <polygon
+                  points={solverGeometry.polygon.map(([x, y]) => `${y},${x}`).join(' ')}
+                  fill="none"
+                  stroke="#9ca3af"
+                  strokeWidth="2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              </svg>
+            )}
+
+            {/* Adjoining spaces (dashed, outside the room) and their openings */}
+            {adjoiningSpaces.length > 0 && (
+              <svg
+                className="absolute inset-0 w-full h-full pointer-events-none overflow-visible"
+                viewBox={`0 0 ${room.width} ${room.length}`}
+                preserveAspectRatio="none"
+              >
+                {adjoiningSpaces.map((space, i) => {
+                  const box = calcAdjoiningBox(space, room);
+                  const acrossWidth = space.wall === 'front' || space.wall === 'rear';
+                  const wallPos = { front: 0, rear: room.length, left: 0, right: room.width }[space.wall];
+                  const opening = [space.openingOffset, space.openingOffset + space.openingWidth];
+                  return (
+                    <g key={i}>
+                      <rect
+                        x={box.y[0]} y={box.x[0]}
+                        width={box.y[1] - box.y[0]} height={box.x[1] - box.x[0]}
+                        fill="#1f2937"
+                        stroke="#6b7280"
+                        strokeWidth="1.5"
+                        strokeDasharray="4 3"
+                        vectorEffect="non-scaling-stroke"
+                      />
+                      <line
+                        x1={acrossWidth ? opening[0] : wallPos} y1={acrossWidth ? wallPos : opening[0]}
+                        x2={acrossWidth ? opening[1] : wallPos} y2={acrossWidth ? wallPos : opening[1]}
+                        stroke="#ca8a04"
+                        strokeWidth="6"
+                        vectorEffect="non-scaling-stroke"
+                      />
+                    </g>
+                  );
+                })}
+              </svg>
+            )}
+
             {/* Speakers */}
             {speakers.map((speaker, i) => (
               <div
                 key={i}
-                className={`absolute w-6 h-6 rounded-full border-2 flex items-center justify-center text-xs font-bold transform -translate-x-1/2 -translate-y-1/2 ${
+                {...markerHandlers({ kind: 'speaker', index: i }, 'top')}
+                className={`absolute w-6 h-6 rounded-full border-2 flex items-center justify-center text-xs font-bold transform -translate-x-1/2 -translate-y-1/2 ${markerClass({ kind: 'speaker', index: i })} ${
                   speaker.type === 'Large Dipole' ? 'bg-purple-600 border-purple-300' : 'bg-green-600 border-green-300'
                 }`}
                 style={{
                   left: `${(speaker.y / room.width) * 100}%`,
                   top: `${(speaker.x / room.length) * 100}%`,
                 }}
-                title={speaker.name}
+                title={`${speaker.name}: drag to move, arrow keys to nudge`}
               >
                 {i + 1}
               </div>
             ))}
             
+            {/* Other seats */}
+            {seats.map((seat, i) => (
+              <div
+                key={i}
+                {...markerHandlers({ kind: 'seat', index: i }, 'top')}
+                className={`absolute w-5 h-5 bg-blue-800 rounded-full border border-blue-300 transform -translate-x-1/2 -translate-y-1/2 ${markerClass({ kind: 'seat', index: i })}`}
+                style={{
+                  left: `${(seat.y / room.width) * 100}%`,
+                  top: `${(seat.x / room.length) * 100}%`,
+                }}
+                title={`${seat.name}: drag to move, arrow keys to nudge`}
+              />
+            ))}
+
             {/* Listener */}
             <div
-              className="absolute w-8 h-8 bg-blue-500 rounded-full border-2 border-white flex items-center justify-center transform -translate-x-1/2 -translate-y-1/2"
+              {...markerHandlers({ kind: 'listener' }, 'top')}
+              className={`absolute w-8 h-8 bg-blue-500 rounded-full border-2 border-white flex items-center justify-center transform -translate-x-1/2 -translate-y-1/2 ${markerClass({ kind: 'listener' })}`}
               style={{
                 left: `${(listener.y / room.width) * 100}%`,
                 top: `${(listener.x / room.length) * 100}%`,
               }}
+              title="Listening position: drag to move, arrow keys to nudge"
             >
               👤
             </div>
@@ -1595,6 +5518,120 @@ Based on this data, please provide:
               </div>
             </div>
           </div>
+
+          {sweepResults && (
+            <div className="mt-10 space-y-2 max-w-xl mx-auto">
+              <div className="flex items-center gap-2 text-xs text-gray-400">
+                <span>Score {sweepResults.min.toFixed(0)}</span>
+                <div className="flex-1 h-2 rounded" style={{ background: 'linear-gradient(to right, hsl(0, 70%, 45%), hsl(60, 70%, 45%), hsl(120, 70%, 45%))' }} />
+                <span>{sweepResults.max.toFixed(0)}</span>
+              </div>
+              <h3 className="font-medium">Recommended Listening Positions</h3>
+              {sweepResults.recommended.length === 0 ? (
+                <div className="text-sm text-yellow-400">No swept position meets the constraints.</div>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400 border-b border-gray-700">
+                      <th className="p-2">#</th>
+                      <th className="p-2">Position (from front, from left)</th>
+                      <th className="p-2">Flatness</th>
+                      <th className="p-2">Score</th>
+                      <th className="p-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sweepResults.recommended.map((pos, i) => (
+                      <tr key={i} className="border-b border-gray-700">
+                        <td className="p-2">{i + 1}</td>
+                        <td className="p-2 font-mono text-xs">({len(pos.x)}, {len(pos.y)}) {u.length}</td>
+                        <td className="p-2">±{(pos.score.peakToPeak / 2).toFixed(1)} dB</td>
+                        <td className="p-2"><ScoreBar score={pos.score.overall} /></td>
+                        <td className="p-2">
+                          <button
+                            onClick={() => setListener({ ...listener, x: roundTo(pos.x, 2), y: roundTo(pos.y, 2) })}
+                            className="px-3 py-1 bg-blue-600 rounded hover:bg-blue-500 text-xs"
+                          >
+                            Move listener here
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Elevations & 3D */}
+        <div className="bg-gray-800 rounded-lg p-4 space-y-6">
+          <div className="flex flex-wrap justify-between items-center gap-2">
+            <h2 className="text-xl font-semibold">Elevations &amp; 3D View</h2>
+            <label className="flex items-center gap-2 cursor-pointer text-sm">
+              <input
+                type="checkbox"
+                checked={showViewField}
+                onChange={e => setShowViewField(e.target.checked)}
+                className="w-4 h-4 rounded"
+              />
+              Overlay the pressure field {fieldView.kind === 'off' && <span className="text-gray-400">(choose a field or mode on the room layout)</span>}
+            </label>
+          </div>
+          <div className="grid md:grid-cols-2 gap-6">
+            <ElevationView
+              title={`Side Elevation (section ${len(listener.y)} ${u.length} from the left wall)`}
+              span={room.length}
+              height={room.height}
+              startLabel="FRONT"
+              endLabel="REAR"
+              ceiling={ceilingProfile('x', listener.y)}
+              field={viewSlices && {
+                slice: viewSlices.side,
+                signed: fieldView.kind === 'mode' || fieldView.animate,
+                animate: fieldView.animate,
+                contours: viewSlices.sideContours,
+              }}
+              markers={elevationMarkers('side', 'x')}
+            />
+            <ElevationView
+              title={`Front Elevation (section ${len(listener.x)} ${u.length} from the front wall)`}
+              span={room.width}
+              height={room.height}
+              startLabel="LEFT"
+              endLabel="RIGHT"
+              ceiling={ceilingProfile('y', listener.x)}
+              field={viewSlices && {
+                slice: viewSlices.front,
+                signed: fieldView.kind === 'mode' || fieldView.animate,
+                animate: fieldView.animate,
+                contours: viewSlices.frontContours,
+              }}
+              markers={elevationMarkers('front', 'y')}
+            />
+          </div>
+          <div className="space-y-2">
+            <h3 className="font-medium text-sm">3D View</h3>
+            <RoomView3D
+              room={room}
+              wireframe={roomWireframe}
+              floorSlice={viewSlices && {
+                slice: viewSlices.floor,
+                at: fieldHeight,
+                colors: sliceColors(viewSlices.floor, { signed: fieldView.kind === 'mode' }),
+              }}
+              markers={[
+                ...speakers.map((speaker, i) => ({
+                  pos: speaker,
+                  color: speaker.type === 'Large Dipole' ? '#9333ea' : '#16a34a',
+                  radius: 8,
+                  label: i + 1,
+                })),
+                ...seats.map(seat => ({ pos: seat, color: '#1e40af', radius: 5 })),
+                { pos: listener, color: '#3b82f6', radius: 9, label: 'LP' },
+              ]}
+            />
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,3156 @@
+// Room acoustics engine: modes, modal frequency response, loudspeaker and bass
+// management models, materials and acoustic treatment, measurements, model
+// calibration and the subwoofer optimizers. Pure functions with
+// no React, shared by the UI and the optimizer worker.
+//
+// All lengths are in feet and temperatures in °C; the UI converts at its edges.
+
+const SPEED_OF_SOUND = 1130; // ft/s, in air at about 21 °C
+const DEFAULT_RT60 = 0.4; // s, assumed when no surface data is available (typical furnished room)
+
+// ============== UNITS & AIR ==============
+
+// All state and calculations are in feet (and °C); values are converted only at the
+// UI, export and prompt boundaries
+const M_PER_FT = 0.3048;
+
+export const UNIT_LABELS = {
+  ft: { length: 'ft', area: 'ft²', volume: 'ft³', boxVolume: 'ft³', temperature: '°F', speed: 'ft/s', small: 'in', surfaceDensity: 'lb/ft²' },
+  m:  { length: 'm',  area: 'm²',  volume: 'm³',  boxVolume: 'L',   temperature: '°C', speed: 'm/s',  small: 'mm', surfaceDensity: 'kg/m²' },
+};
+
+export const toUnits = (ft, units) => units === 'm' ? ft * M_PER_FT : ft;
+export const fromUnits = (value, units) => units === 'm' ? value / M_PER_FT : value;
+export const areaToUnits = (ft2, units) => units === 'm' ? ft2 * M_PER_FT ** 2 : ft2;
+export const areaFromUnits = (value, units) => units === 'm' ? value / M_PER_FT ** 2 : value;
+export const volumeToUnits = (ft3, units) => units === 'm' ? ft3 * M_PER_FT ** 3 : ft3;
+// Loudspeaker box volumes are quoted in liters in metric
+export const boxVolumeToUnits = (ft3, units) => units === 'm' ? ft3 * M_PER_FT ** 3 * 1000 : ft3;
+export const boxVolumeFromUnits = (value, units) => units === 'm' ? value / 1000 / M_PER_FT ** 3 : value;
+// Panel thicknesses, holes and cavity depths are quoted in inches or millimetres
+export const smallToUnits = (ft, units) => units === 'm' ? ft * M_PER_FT * 1000 : ft * 12;
+export const smallFromUnits = (value, units) => units === 'm' ? value / 1000 / M_PER_FT : value / 12;
+// Surface density from kg/m²
+export const surfaceDensityToUnits = (kgPerM2, units) => units === 'm' ? kgPerM2 : kgPerM2 * M_PER_FT ** 2 / 0.45359237;
+export const tempToUnits = (celsius, units) => units === 'm' ? celsius : celsius * 9 / 5 + 32;
+export const tempFromUnits = (value, units) => units === 'm' ? value : (value - 32) * 5 / 9;
+
+// Round for display so unit round-trips don't show float noise
+export const roundTo = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export const clamp = (value, [lo, hi]) => Math.max(lo, Math.min(hi, value));
+
+// Speed of sound (ft/s) from air temperature (°C) and relative humidity (%)
+export const calcSpeedOfSound = (temperature, humidity) =>
+  (331.4 + 0.6 * temperature + 0.0124 * humidity) / M_PER_FT;
+
+// ============== ACOUSTIC CALCULATIONS ==============
+
+export const calcModeFreq = (n, m, l, length, width, height, c = SPEED_OF_SOUND) => {
+  const termL = n > 0 ? (n / length) ** 2 : 0;
+  const termW = m > 0 ? (m / width) ** 2 : 0;
+  const termH = l > 0 ? (l / height) ** 2 : 0;
+  if (termL + termW + termH === 0) return 0;
+  return (c / 2) * Math.sqrt(termL + termW + termH);
+};
+
+const getModeType = (n, m, l) => {
+  const nonZero = [n, m, l].filter(x => x > 0).length;
+  if (nonZero === 1) return { type: 'axial', level: 0 };
+  if (nonZero === 2) return { type: 'tangential', level: -3 };
+  return { type: 'oblique', level: -6 };
+};
+
+export const generateModes = (length, width, height, maxFreq, maxOrder = 6, c = SPEED_OF_SOUND) => {
+  const modes = [];
+  for (let n = 0; n <= maxOrder; n++) {
+    for (let m = 0; m <= maxOrder; m++) {
+      for (let l = 0; l <= maxOrder; l++) {
+        if (n === 0 && m === 0 && l === 0) continue;
+        const freq = calcModeFreq(n, m, l, length, width, height, c);
+        if (freq > 0 && freq <= maxFreq) {
+          const { type, level } = getModeType(n, m, l);
+          modes.push({ n, m, l, freq, type, level });
+        }
+      }
+    }
+  }
+  return modes.sort((a, b) => a.freq - b.freq);
+};
+
+// Relative modal pressure at a position: 0 at a node, 1 where the mode peaks.
+// Wall openings don't flatten the shape; they only damp the mode (see buildModalBasis).
+export const calcPressureAtPosition = (x, y, z, mode, room) =>
+  Math.abs(calcPressureWithSign({ x, y, z }, mode, room));
+
+export const calcDipoleExcitation = (speaker, mode, room, c = SPEED_OF_SOUND) => {
+  // Base pressure at position
+  let basePressure = Math.abs(calcPressureWithSign(speaker, mode, room));
+  
+  return basePressure * calcDipoleCancellation(speaker, mode, c);
+};
+
+// How strongly a dipole's front/back cancellation suppresses a mode (1 = no suppression)
+const calcDipoleCancellation = (speaker, mode, c = SPEED_OF_SOUND) => {
+  const { orientation } = speaker;
+  const { n, m, l, freq } = mode;
+  if (!freq) return 1;
+  
+  // Dipole cancellation based on orientation
+  const wavelength = c / freq;
+  const dipoleDepth = 1.5; // ft, approximate
+  const phaseDiff = (dipoleDepth / wavelength) * 360;
+  
+  let cancellationFactor = 1;
+  
+  // orientation: 0 = facing listener (along length), 90 = facing sideways
+  const orientRad = (orientation || 0) * Math.PI / 180;
+  
+  // Length modes affected when facing along length
+  if (n > 0) {
+    const lengthEffect = Math.abs(Math.cos(orientRad));
+    cancellationFactor *= 1 - lengthEffect * (1 - Math.abs(Math.cos(phaseDiff * Math.PI / 360)));
+  }
+  
+  // Width modes affected when facing sideways
+  if (m > 0) {
+    const widthEffect = Math.abs(Math.sin(orientRad));
+    cancellationFactor *= 1 - widthEffect * (1 - Math.abs(Math.cos(phaseDiff * Math.PI / 360)));
+  }
+  
+  // Height modes less affected
+  if (l > 0) {
+    cancellationFactor *= 0.9;
+  }
+  
+  return cancellationFactor;
+};
+
+// First- and second-order image sources of a speaker in the six room boundaries.
+// Each image records the surfaces it reflected from and whether its dipole
+// orientation is mirrored along each axis.
+const calcImageSources = (speaker, room) => {
+  const axes = [
+    { key: 'x', size: room.length, low: 'front', high: 'rear' },
+    { key: 'y', size: room.width, low: 'left', high: 'right' },
+    { key: 'z', size: room.height, low: 'floor', high: 'ceiling' },
+  ];
+  const options = axes.map(({ key, size, low, high }) => {
+    const p = speaker[key];
+    return [
+      { pos: p, hits: [], flip: 1 },
+      { pos: -p, hits: [low], flip: -1 },
+      { pos: 2 * size - p, hits: [high], flip: -1 },
+      { pos: 2 * size + p, hits: [low, high], flip: 1 },
+      { pos: p - 2 * size, hits: [high, low], flip: 1 },
+    ];
+  });
+
+  const images = [];
+  options[0].forEach(ox => options[1].forEach(oy => options[2].forEach(oz => {
+    const hits = [...ox.hits, ...oy.hits, ...oz.hits];
+    if (hits.length === 0 || hits.length > 2) return;
+    images.push({
+      x: ox.pos, y: oy.pos, z: oz.pos,
+      hits,
+      order: hits.length,
+      flip: { x: ox.flip, y: oy.flip },
+    });
+  })));
+  return images;
+};
+
+// Reflection coefficient of a surface at a frequency: an explicit override, else
+// derived from the surface's absorption (β = √(1 − α)), else a rigid boundary
+const calcReflection = (surface, freq, { absorption, reflection } = {}) => {
+  if (reflection && reflection[surface] != null) return reflection[surface];
+  if (absorption) return Math.sqrt(Math.max(0, 1 - interpolateBands(absorption[surface], freq)));
+  return 1;
+};
+
+// Speaker boundary interference at the listening position from the image-source model.
+// Returns the comb-filtered response relative to the direct sound alone, and the
+// notches (local minima at least 3 dB deep) it produces.
+export const calcSBIR = (speaker, room, listener, options = {}) => {
+  const { freqRange = [20, 500], pointsPerOctave = 48, speedOfSound = SPEED_OF_SOUND } = options;
+  const freqs = logFrequencyGrid(freqRange[0], freqRange[1], pointsPerOctave);
+  const isDipole = speaker.type === 'Large Dipole';
+  const orientRad = (speaker.orientation || 0) * Math.PI / 180;
+
+  // Path length and directivity (signed for a dipole's inverted rear wave)
+  const path = (src, flip = { x: 1, y: 1 }) => {
+    const dx = listener.x - src.x;
+    const dy = listener.y - src.y;
+    const dz = listener.z - src.z;
+    const r = Math.max(0.1, Math.hypot(dx, dy, dz));
+    const directivity = isDipole
+      ? (flip.x * Math.cos(orientRad) * dx + flip.y * Math.sin(orientRad) * dy) / r
+      : 1;
+    return { r, directivity };
+  };
+
+  const direct = path(speaker);
+  const images = calcImageSources(speaker, room).map(img => ({ ...img, ...path(img, img.flip) }));
+
+  const fr = freqs.map(freq => {
+    const k = 2 * Math.PI * freq / speedOfSound;
+    let re = direct.directivity * Math.cos(k * direct.r) / direct.r;
+    let im = -direct.directivity * Math.sin(k * direct.r) / direct.r;
+    images.forEach(img => {
+      const beta = img.hits.reduce((prod, surface) => prod * calcReflection(surface, freq, options), 1);
+      const amp = beta * img.directivity / img.r;
+      re += amp * Math.cos(k * img.r);
+      im -= amp * Math.sin(k * img.r);
+    });
+    // Relative to the omnidirectional direct sound, so a dipole's own null is visible
+    const dB = Math.max(-40, 20 * Math.log10(Math.hypot(re, im) * direct.r || 1e-12));
+    return { freq, dB };
+  });
+
+  const notches = fr
+    .filter((p, i) => i > 0 && i < fr.length - 1 && p.dB < fr[i - 1].dB && p.dB <= fr[i + 1].dB && p.dB < -3)
+    .map(p => ({ freq: p.freq, depth: p.dB }));
+
+  const boundaries = images
+    .filter(img => img.order === 1)
+    .map(img => ({ boundary: img.hits[0], extraPath: img.r - direct.r }))
+    .sort((a, b) => a.extraPath - b.extraPath);
+
+  return { fr, notches, boundaries };
+};
+
+export const calcBoundaryGain = (speaker, room, wallOpenings) => {
+  const { x, y, z, type } = speaker;
+  const { length, width, height } = room;
+  const threshold = 2;
+  
+  let gain = 0;
+  const isMonopole = type !== 'Large Dipole';
+  const gainPerBoundary = isMonopole ? 3 : 1.5;
+  
+  if (z < threshold) gain += gainPerBoundary; // floor
+  if (height - z < threshold) gain += gainPerBoundary; // ceiling
+  if (x < threshold) gain += gainPerBoundary * (1 - wallOpenings.front / 100);
+  if (length - x < threshold) gain += gainPerBoundary * (1 - wallOpenings.rear / 100);
+  if (y < threshold) gain += gainPerBoundary * (1 - wallOpenings.left / 100);
+  if (width - y < threshold) gain += gainPerBoundary * (1 - wallOpenings.right / 100);
+  
+  return gain;
+};
+
+export const calcSchroederFreq = (volume, rt60 = DEFAULT_RT60) => {
+  const volumeM3 = volume * 0.0283168; // ft³ to m³
+  return 2000 * Math.sqrt(rt60 / volumeM3);
+};
+
+// ============== ROOM RATIOS ==============
+
+// Ratio criteria, mode statistics and a dimension search for rectangular rooms
+// with rigid walls: what the proportions alone do to the modes.
+
+export const RATIO_MAX_FREQ = 200; // Hz, modes considered by the ratio metrics
+// Modes closer than this fraction of their frequency count as coincident
+const DEGENERATE_TOLERANCE = 0.02;
+
+// Bolt's (1946) region of smooth ratios, as 1 : W/H : L/H, traced approximately
+// from his chart
+const BOLT_AREA = [
+  [1.08, 1.30], [1.30, 1.50], [1.50, 1.80], [1.70, 2.15], [1.90, 2.60],
+  [1.75, 2.95], [1.55, 2.75], [1.40, 2.40], [1.25, 1.95], [1.12, 1.50],
+];
+
+// Dimensions as 1 : y : z, smallest first
+const toRatio = (room) => {
+  const [h, w, l] = [room.length, room.width, room.height].sort((a, b) => a - b);
+  return { y: w / h, z: l / h };
+};
+
+export const isInBoltArea = ({ y, z }) => isInsidePolygon(y, z, BOLT_AREA);
+
+// Walker's criterion (adopted by ITU-R BS.1116 and EBU Tech 3276)
+export const meetsWalkerCriterion = ({ y, z }) => 1.1 * y <= z && z <= 4.5 * y - 4 && z < 3 && y < 3;
+
+// Modes up to maxFreq, of every order that fits below it
+const listRoomModes = (room, maxFreq, c) => {
+  const orders = [room.length, room.width, room.height].map(d => Math.floor(2 * d * maxFreq / c));
+  const modes = [];
+  for (let n = 0; n <= orders[0]; n++) {
+    for (let m = 0; m <= orders[1]; m++) {
+      for (let l = 0; l <= orders[2]; l++) {
+        const freq = calcModeFreq(n, m, l, room.length, room.width, room.height, c);
+        if (freq > 0 && freq <= maxFreq) modes.push({ n, m, l, freq, ...getModeType(n, m, l) });
+      }
+    }
+  }
+  return modes.sort((a, b) => a.freq - b.freq);
+};
+
+// Runs of modes each within DEGENERATE_TOLERANCE of the previous one
+export const findDegenerateModes = (modes) => {
+  const groups = [];
+  let group = [];
+  modes.forEach((mode, i) => {
+    if (i > 0 && mode.freq - modes[i - 1].freq <= DEGENERATE_TOLERANCE * mode.freq) {
+      if (group.length === 0) group.push(modes[i - 1]);
+      group.push(mode);
+    } else {
+      if (group.length > 0) groups.push(group);
+      group = [];
+    }
+  });
+  if (group.length > 0) groups.push(group);
+  return groups;
+};
+
+// Bonello's criterion: the mode count per 1/3-octave band never falls going up in
+// frequency, and no band has coincident modes unless it holds five or more. Only
+// bands wholly below maxFreq are counted.
+export const calcBonelloCriterion = (modes, maxFreq = RATIO_MAX_FREQ) => {
+  const bands = [];
+  for (let k = -17; 1000 * 2 ** (k / 3 + 1 / 6) <= maxFreq; k++) {
+    const center = 1000 * 2 ** (k / 3);
+    const inBand = modes.filter(m => m.freq >= center * 2 ** (-1 / 6) && m.freq < center * 2 ** (1 / 6));
+    bands.push({ center, count: inBand.length, coincident: findDegenerateModes(inBand).length > 0 });
+  }
+  const firstUsed = bands.findIndex(b => b.count > 0);
+  const used = firstUsed < 0 ? [] : bands.slice(firstUsed);
+  const increasing = used.every((b, i) => i === 0 || b.count >= used[i - 1].count);
+  const noCoincidence = used.every(b => !b.coincident || b.count >= 5);
+  return { bands: used, increasing, noCoincidence, pass: increasing && noCoincidence };
+};
+
+// Spacing between successive modes: mean, standard deviation, largest gap and
+// evenness (standard deviation over mean; 0 for perfectly even spacing)
+export const calcModeSpacing = (modes) => {
+  const gaps = modes.slice(1).map((m, i) => m.freq - modes[i].freq);
+  if (gaps.length === 0) return { mean: 0, stdDev: 0, maxGap: 0, evenness: Infinity };
+  const mean = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+  const stdDev = Math.sqrt(gaps.reduce((sum, g) => sum + (g - mean) ** 2, 0) / gaps.length);
+  return { mean, stdDev, maxGap: Math.max(...gaps), evenness: stdDev / mean };
+};
+
+// The ratio metrics of a room. Spacing uses the axial and tangential modes, which
+// dominate the response; coincidences the axial modes, where stacking does the most
+// harm (a cube stacks all three); Bonello counts every mode.
+export const evaluateRoomRatio = (room, { maxFreq = RATIO_MAX_FREQ, c = SPEED_OF_SOUND } = {}) => {
+  const modes = listRoomModes(room, maxFreq, c);
+  const ratio = toRatio(room);
+  const spacing = calcModeSpacing(modes.filter(m => m.type !== 'oblique'));
+  const degenerate = findDegenerateModes(modes.filter(m => m.type === 'axial'));
+  const bonello = calcBonelloCriterion(modes, maxFreq);
+  const bolt = isInBoltArea(ratio);
+  const walker = meetsWalkerCriterion(ratio);
+  // Lower is better: uneven spacing, coincident strong modes and failed criteria
+  const cost = spacing.evenness + 0.1 * degenerate.length + (bonello.pass ? 0 : 0.15) + (walker ? 0 : 0.1);
+  return { ratio, modes, spacing, degenerate, bonello, bolt, walker, cost };
+};
+
+// Grid search for the dimensions within limits ({ length, width, height }, each
+// [min, max]) with the most even modes. step is chosen so the grid stays under
+// maxCandidates rooms; the best `keep` are returned, skipping rooms within two
+// steps of a better one in every dimension.
+export const optimizeRoomDimensions = (limits, { maxFreq = RATIO_MAX_FREQ, c = SPEED_OF_SOUND, maxCandidates = 4000, keep = 8 } = {}) => {
+  const dims = ['length', 'width', 'height'];
+  const volume = dims.reduce((v, dim) => v * Math.max(limits[dim][1] - limits[dim][0], 0.01), 1);
+  const step = Math.max(0.05, Math.cbrt(volume / maxCandidates));
+  const axes = dims.map(dim => {
+    const [lo, hi] = limits[dim];
+    const count = Math.max(1, Math.floor((hi - lo) / step + 1e-9) + 1);
+    return Array.from({ length: count }, (_, i) => roundTo(lo + i * step, 3));
+  });
+
+  const scored = [];
+  axes[0].forEach(length => axes[1].forEach(width => axes[2].forEach(height => {
+    const room = { length, width, height };
+    scored.push({ room, evaluation: evaluateRoomRatio(room, { maxFreq, c }) });
+  })));
+  scored.sort((a, b) => a.evaluation.cost - b.evaluation.cost);
+
+  const best = [];
+  for (const candidate of scored) {
+    if (best.length >= keep) break;
+    const similar = best.some(b => dims.every(dim => Math.abs(b.room[dim] - candidate.room[dim]) <= 2 * step + 1e-9));
+    if (!similar) best.push(candidate);
+  }
+  return { candidates: best, evaluated: scored.length, step };
+};
+
+// ============== SURFACE MATERIALS & RT60 ==============
+
+// Octave-band centre frequencies (Hz) for all absorption data
+const OCTAVE_BANDS = [63, 125, 250, 500, 1000, 2000, 4000];
+
+// Random-incidence absorption coefficients per octave band (63 Hz values extrapolated)
+export const MATERIALS = {
+  concrete:     { name: 'Concrete / brick (painted)',   alpha: [0.01, 0.01, 0.01, 0.02, 0.02, 0.02, 0.03] },
+  gypsum:       { name: 'Gypsum board on studs',        alpha: [0.30, 0.29, 0.10, 0.05, 0.04, 0.07, 0.09] },
+  gypsumDouble: { name: 'Gypsum board, double layer',   alpha: [0.20, 0.15, 0.08, 0.05, 0.04, 0.05, 0.05] },
+  plaster:      { name: 'Plaster on lath',              alpha: [0.15, 0.14, 0.10, 0.06, 0.05, 0.04, 0.03] },
+  woodPanel:    { name: 'Wood paneling on battens',     alpha: [0.30, 0.28, 0.22, 0.17, 0.09, 0.10, 0.11] },
+  glass:        { name: 'Glass, large pane',            alpha: [0.20, 0.18, 0.06, 0.04, 0.03, 0.02, 0.02] },
+  woodFloor:    { name: 'Wood floor on joists',         alpha: [0.18, 0.15, 0.11, 0.10, 0.07, 0.06, 0.07] },
+  slab:         { name: 'Concrete slab / tile floor',   alpha: [0.01, 0.01, 0.01, 0.02, 0.02, 0.02, 0.02] },
+  carpetSlab:   { name: 'Carpet on concrete',           alpha: [0.02, 0.02, 0.06, 0.14, 0.37, 0.60, 0.65] },
+  carpetPad:    { name: 'Carpet on pad',                alpha: [0.05, 0.08, 0.24, 0.57, 0.69, 0.71, 0.73] },
+  ceilingTile:  { name: 'Acoustic ceiling tile',        alpha: [0.35, 0.50, 0.60, 0.70, 0.85, 0.85, 0.80] },
+  drapes:       { name: 'Heavy drapes',                 alpha: [0.05, 0.14, 0.35, 0.55, 0.72, 0.70, 0.65] },
+  fiberglass:   { name: '2" fiberglass panels',         alpha: [0.05, 0.18, 0.70, 1.00, 1.00, 1.00, 1.00] },
+};
+
+// Absorption per item in sabins (ft²) per octave band
+export const FURNISHINGS = {
+  sofaSeat:  { name: 'Upholstered seat',        unit: 'seats', sabins: [0.5, 1.5, 3.0, 4.0, 4.5, 4.5, 4.5] },
+  person:    { name: 'Person, seated',          unit: 'people', sabins: [0.5, 2.5, 3.5, 4.5, 5.5, 5.5, 5.0] },
+  bookshelf: { name: 'Filled bookshelf',        unit: 'ft²',   sabins: [0.05, 0.10, 0.15, 0.20, 0.25, 0.25, 0.25] },
+  rug:       { name: 'Area rug',                unit: 'ft²',   sabins: [0.01, 0.02, 0.06, 0.14, 0.37, 0.60, 0.65] },
+  bed:       { name: 'Bed / mattress',          unit: 'items', sabins: [2.0, 5.0, 10.0, 15.0, 18.0, 18.0, 18.0] },
+};
+
+export const SURFACES = ['floor', 'ceiling', 'front', 'rear', 'left', 'right'];
+
+// Linear interpolation of octave-band values on a log-frequency axis, clamped at the ends
+const interpolateBands = (values, freq) => {
+  if (freq <= OCTAVE_BANDS[0]) return values[0];
+  const last = OCTAVE_BANDS.length - 1;
+  if (freq >= OCTAVE_BANDS[last]) return values[last];
+  const pos = Math.log2(freq / OCTAVE_BANDS[0]);
+  const i = Math.floor(pos);
+  return values[i] + (values[i + 1] - values[i]) * (pos - i);
+};
+
+const calcSurfaceAreas = (room) => ({
+  floor: room.length * room.width,
+  ceiling: room.length * room.width,
+  front: room.width * room.height,
+  rear: room.width * room.height,
+  left: room.length * room.height,
+  right: room.length * room.height,
+});
+
+// Effective absorption coefficient bands for each surface (an open part of a wall
+// lets sound out of the room, so it counts as fully absorbing), plus the total
+// furnishing absorption in sabins per band
+export const calcSurfaceAbsorption = (surfaces, furnishings, wallOpenings) => {
+  const absorption = {};
+  SURFACES.forEach(surface => {
+    const material = MATERIALS[surfaces[surface]] || MATERIALS.gypsum;
+    const open = (wallOpenings[surface] || 0) / 100;
+    absorption[surface] = material.alpha.map(a => (1 - open) * a + open);
+  });
+  absorption.furnishings = OCTAVE_BANDS.map((_, b) =>
+    furnishings.reduce((sum, f) => sum + (FURNISHINGS[f.type]?.sabins[b] || 0) * (f.count || 0), 0)
+  );
+  return absorption;
+};
+
+// Reverberation time per octave band by Sabine and Eyring (imperial: T = 0.049 V / A),
+// with any traps (see TREATMENTS) on top of the surfaces and furnishings
+export const calcRT60Bands = (room, absorption, volume = room.length * room.width * room.height, treatments = []) => {
+  const areas = calcSurfaceAreas(room);
+  const totalArea = SURFACES.reduce((sum, s) => sum + areas[s], 0);
+  const trapSabins = calcTreatmentSabins(treatments);
+
+  return OCTAVE_BANDS.map((freq, b) => {
+    const surfaceSabins = SURFACES.reduce((sum, s) => sum + areas[s] * absorption[s][b], 0);
+    const sabins = surfaceSabins + absorption.furnishings[b] + trapSabins[b];
+    const meanAlpha = Math.min(0.99, sabins / totalArea);
+    return {
+      freq,
+      sabins,
+      meanAlpha,
+      sabine: 0.049 * volume / sabins,
+      eyring: 0.049 * volume / (-totalArea * Math.log(1 - meanAlpha)),
+    };
+  });
+};
+
+// RT60 near the transition region, used for the Schroeder frequency
+export const calcBassRT60 = (rt60Bands) => {
+  const bands = rt60Bands.filter(b => b.freq === 125 || b.freq === 250);
+  return bands.reduce((sum, b) => sum + b.eyring, 0) / bands.length;
+};
+
+// ============== ACOUSTIC TREATMENT ==============
+
+// Bass traps and panels placed in the room. Each adds damping to a mode in
+// proportion to the mode's squared pressure over the trap, against its mean over
+// the room: a trap at a mode's pressure maximum damps it twice as hard as the
+// same absorption spread evenly, one on a nodal line not at all.
+
+// Random-incidence absorption per octave band (as MATERIALS) for porous traps;
+// tuned traps absorb peakAlpha at `tuning` Hz falling off with quality factor `q`
+export const TREATMENTS = {
+  porous2:  { name: '2" porous panel',                alpha: [0.05, 0.17, 0.86, 1.00, 1.00, 1.00, 1.00] },
+  porous4:  { name: '4" porous panel',                alpha: [0.25, 0.84, 1.00, 1.00, 1.00, 1.00, 1.00] },
+  porousGap: { name: '4" porous panel, 4" air gap',   alpha: [0.45, 0.95, 1.00, 1.00, 1.00, 1.00, 1.00] },
+  corner:   { name: 'Corner trap (floor to ceiling)', alpha: [0.60, 1.00, 1.00, 1.00, 1.00, 1.00, 1.00] },
+  membrane: { name: 'Membrane / tuned trap',          tuned: true, peakAlpha: 0.8, tuning: 60, q: 1.5 },
+  helmholtz: { name: 'Helmholtz resonator',           tuned: true, peakAlpha: 0.8, tuning: 60, q: 2 },
+};
+
+// Where a trap can go: the coordinates its mount fixes (a number, or a room
+// dimension for the far wall) and the axes its face spans, each with the trap
+// dimension that sets its extent. Edges run along the wall at the floor or
+// ceiling; tri-corners fix all three coordinates.
+export const TREATMENT_MOUNTS = {
+  front:             { name: 'Front wall',                     fixed: { x: 0 },                                 span: [['y', 'width'], ['z', 'height']] },
+  rear:              { name: 'Rear wall',                      fixed: { x: 'length' },                          span: [['y', 'width'], ['z', 'height']] },
+  left:              { name: 'Left wall',                      fixed: { y: 0 },                                 span: [['x', 'width'], ['z', 'height']] },
+  right:             { name: 'Right wall',                     fixed: { y: 'width' },                           span: [['x', 'width'], ['z', 'height']] },
+  floor:             { name: 'Floor',                          fixed: { z: 0 },                                 span: [['x', 'height'], ['y', 'width']] },
+  ceiling:           { name: 'Ceiling',                        fixed: { z: 'height' },                          span: [['x', 'height'], ['y', 'width']] },
+  frontLeft:         { name: 'Front-left corner',              fixed: { x: 0, y: 0 },                           span: [['z', 'height']] },
+  frontRight:        { name: 'Front-right corner',             fixed: { x: 0, y: 'width' },                     span: [['z', 'height']] },
+  rearLeft:          { name: 'Rear-left corner',               fixed: { x: 'length', y: 0 },                    span: [['z', 'height']] },
+  rearRight:         { name: 'Rear-right corner',              fixed: { x: 'length', y: 'width' },              span: [['z', 'height']] },
+  frontFloor:        { name: 'Front floor edge',               fixed: { x: 0, z: 0 },                           span: [['y', 'width']] },
+  rearFloor:         { name: 'Rear floor edge',                fixed: { x: 'length', z: 0 },                    span: [['y', 'width']] },
+  leftFloor:         { name: 'Left floor edge',                fixed: { y: 0, z: 0 },                           span: [['x', 'width']] },
+  rightFloor:        { name: 'Right floor edge',               fixed: { y: 'width', z: 0 },                     span: [['x', 'width']] },
+  frontCeiling:      { name: 'Front ceiling edge',             fixed: { x: 0, z: 'height' },                    span: [['y', 'width']] },
+  rearCeiling:       { name: 'Rear ceiling edge',              fixed: { x: 'length', z: 'height' },             span: [['y', 'width']] },
+  leftCeiling:       { name: 'Left ceiling edge',              fixed: { y: 0, z: 'height' },                    span: [['x', 'width']] },
+  rightCeiling:      { name: 'Right ceiling edge',             fixed: { y: 'width', z: 'height' },              span: [['x', 'width']] },
+  frontLeftFloor:    { name: 'Front-left floor tri-corner',    fixed: { x: 0, y: 0, z: 0 },                     span: [] },
+  frontRightFloor:   { name: 'Front-right floor tri-corner',   fixed: { x: 0, y: 'width', z: 0 },               span: [] },
+  rearLeftFloor:     { name: 'Rear-left floor tri-corner',     fixed: { x: 'length', y: 0, z: 0 },              span: [] },
+  rearRightFloor:    { name: 'Rear-right floor tri-corner',    fixed: { x: 'length', y: 'width', z: 0 },        span: [] },
+  frontLeftCeiling:  { name: 'Front-left ceiling tri-corner',  fixed: { x: 0, y: 0, z: 'height' },              span: [] },
+  frontRightCeiling: { name: 'Front-right ceiling tri-corner', fixed: { x: 0, y: 'width', z: 'height' },        span: [] },
+  rearLeftCeiling:   { name: 'Rear-left ceiling tri-corner',   fixed: { x: 'length', y: 0, z: 'height' },       span: [] },
+  rearRightCeiling:  { name: 'Rear-right ceiling tri-corner',  fixed: { x: 'length', y: 'width', z: 'height' }, span: [] },
+};
+
+export const newTreatment = (room, kind = 'porous4', mount = 'rear') => placeTreatment({
+  kind,
+  mount,
+  x: room.length / 2,
+  y: room.width / 2,
+  z: room.height / 2,
+  width: 2,
+  height: kind === 'corner' ? room.height : 4,
+  ...(TREATMENTS[kind].tuned ? { tuning: TREATMENTS[kind].tuning, q: TREATMENTS[kind].q } : {}),
+}, room);
+
+// The trap with its mount's coordinates set and its face kept inside the room
+export const placeTreatment = (trap, room) => {
+  const { fixed, span } = TREATMENT_MOUNTS[trap.mount];
+  const dims = { x: room.length, y: room.width, z: room.height };
+  const placed = { ...trap };
+  Object.entries(fixed).forEach(([axis, value]) => { placed[axis] = typeof value === 'string' ? room[value] : value; });
+  span.forEach(([axis, size]) => {
+    const half = Math.min(trap[size], dims[axis]) / 2;
+    placed[axis] = clamp(trap[axis], [half, dims[axis] - half]);
+  });
+  return placed;
+};
+
+// Fields of a trap (and of its absorber design, if any) that are lengths, for unit conversion
+export const TREATMENT_LENGTHS = ['x', 'y', 'z', 'width', 'height'];
+const DESIGN_LENGTHS = ['thickness', 'size', 'depth'];
+export const mapTreatmentLengths = (trap, fn) => ({
+  ...trap,
+  ...Object.fromEntries(TREATMENT_LENGTHS.map(key => [key, fn(trap[key])])),
+  ...(trap.design ? {
+    design: {
+      ...trap.design,
+      ...Object.fromEntries(DESIGN_LENGTHS.filter(key => trap.design[key] != null).map(key => [key, fn(trap.design[key])])),
+    },
+  } : {}),
+});
+
+export const calcTreatmentArea = (trap) => trap.width * trap.height;
+
+export const calcTreatmentAlpha = (trap, freq) => {
+  const treatment = TREATMENTS[trap.kind];
+  if (!treatment.tuned) return interpolateBands(treatment.alpha, freq);
+  const f0 = trap.tuning ?? treatment.tuning;
+  const q = trap.q ?? treatment.q;
+  const detune = freq / f0 - f0 / freq;
+  return (trap.peakAlpha ?? treatment.peakAlpha) / (1 + q * q * detune * detune);
+};
+
+// Absorption of all traps in sabins per octave band, for the RT60
+export const calcTreatmentSabins = (treatments) => OCTAVE_BANDS.map(freq =>
+  treatments.reduce((sum, trap) => sum + calcTreatmentArea(trap) * calcTreatmentAlpha(trap, freq), 0)
+);
+
+// Squared mode shape over a trap's face, relative to its mean over the room,
+// sampled at the centre and a third of the way to each edge
+export const calcTreatmentCoupling = (trap, mode, room) => {
+  const placed = placeTreatment(trap, room);
+  let points = [placed];
+  TREATMENT_MOUNTS[trap.mount].span.forEach(([axis, size]) => {
+    points = points.flatMap(p => [-1, 0, 1].map(k => ({ ...p, [axis]: p[axis] + k * placed[size] / 3 })));
+  });
+  const meanSquare = points.reduce((sum, p) => sum + calcPressureWithSign(p, mode, room) ** 2, 0) / points.length;
+  return meanSquare / calcModeNorm(mode);
+};
+
+// Decay constant (1/s) the traps add to a mode, on the same footing as the
+// surface absorption in calcModeDecay
+const calcTreatmentDecay = (mode, room, treatments = [], c = SPEED_OF_SOUND) => {
+  if (treatments.length === 0) return 0;
+  const volume = room.length * room.width * room.height;
+  const freq = mode.freq || OCTAVE_BANDS[0];
+  const sabins = treatments.reduce((sum, trap) =>
+    sum + calcTreatmentArea(trap) * calcTreatmentAlpha(trap, freq) * calcTreatmentCoupling(trap, mode, room), 0);
+  return (c / (16 * volume)) * sabins;
+};
+
+// ============== TUNED ABSORBER DESIGN ==============
+
+// Membrane and Helmholtz absorbers as mass–spring resonators per unit panel area:
+// the panel (or the air in its holes or slots) is the mass, the sealed cavity the
+// spring, and any fill in the cavity plus radiation into the room the resistance.
+// Computed in SI; lengths in and out are in feet, surface densities in kg/m².
+
+const AIR_DENSITY = 1.2; // kg/m³
+
+// Densities (kg/m³) of panel stock
+export const PANEL_MATERIALS = {
+  plywood:   { name: 'Plywood',      density: 600 },
+  mdf:       { name: 'MDF',          density: 750 },
+  hardboard: { name: 'Hardboard',    density: 950 },
+  gypsum:    { name: 'Gypsum board', density: 700 },
+};
+
+// Flow resistance (Pa·s/m) of porous fill in the cavity, behind the panel
+export const CAVITY_FILLS = {
+  none:    { name: 'Empty',             resistance: 0 },
+  partial: { name: '1" mineral wool',   resistance: 500 },
+  full:    { name: '2" mineral wool',   resistance: 1000 },
+};
+// Losses in a membrane panel itself (Pa·s/m), so an empty cavity still has a finite Q
+const PANEL_RESISTANCE = 100;
+
+export const ABSORBER_TYPES = {
+  membrane: { name: 'Membrane (panel) absorber' },
+  holes:    { name: 'Helmholtz, perforated panel' },
+  slots:    { name: 'Helmholtz, slotted panel' },
+};
+
+// Centre frequency, Q and absorption at resonance of a resonator with mass m
+// (kg/m²), cavity depth d (m) and internal resistance r (Pa·s/m). The radiation
+// resistance ρc loads it: the match r = ρc absorbs everything at resonance.
+const resonatorResponse = (m, d, r, cSI) => {
+  const stiffness = AIR_DENSITY * cSI * cSI / d;
+  const freq = Math.sqrt(stiffness / m) / (2 * Math.PI);
+  const impedance = AIR_DENSITY * cSI;
+  return {
+    freq,
+    q: Math.sqrt(stiffness * m) / (r + impedance),
+    peakAlpha: 4 * r * impedance / (r + impedance) ** 2,
+  };
+};
+
+// design: { type, freq (target Hz), fill, and
+//   membrane: material, thickness (ft): solves the cavity depth
+//   holes / slots: thickness (ft), size (hole diameter or slot width, ft), depth
+//   (cavity, ft): solves the open area and the hole spacing or slat width }
+// Returns the solved dimensions with the resulting freq, q and peakAlpha.
+export const designTunedAbsorber = (design, c = SPEED_OF_SOUND) => {
+  const cSI = c * M_PER_FT;
+  const omega = 2 * Math.PI * design.freq;
+  const resistance = CAVITY_FILLS[design.fill].resistance;
+  const thickness = design.thickness * M_PER_FT;
+
+  if (design.type === 'membrane') {
+    const mass = PANEL_MATERIALS[design.material].density * thickness;
+    const depth = AIR_DENSITY * cSI * cSI / (mass * omega * omega);
+    return { mass, depth: depth / M_PER_FT, ...resonatorResponse(mass, depth, resistance + PANEL_RESISTANCE, cSI) };
+  }
+
+  // Open area ε from f = (c / 2π) √(ε / (d t')), where the effective neck length t'
+  // adds end corrections that shrink as ε grows, so iterate
+  const depth = design.depth * M_PER_FT;
+  const size = design.size * M_PER_FT;
+  const neckLength = (openArea) => design.type === 'holes'
+    ? thickness + 0.85 * size * (1 - 1.47 * Math.sqrt(openArea) + 0.47 * openArea ** 1.5)
+    : thickness - (2 * size / Math.PI) * Math.log(Math.sin(Math.PI * openArea / 2));
+  let openArea = 0.05;
+  for (let i = 0; i < 50; i++) {
+    openArea = clamp((omega / cSI) ** 2 * depth * neckLength(openArea), [1e-4, 0.5]);
+  }
+  const neck = neckLength(openArea);
+  const mass = AIR_DENSITY * neck / openArea;
+  // Square grid of holes, or slots between slats
+  const spacing = design.type === 'holes'
+    ? size * Math.sqrt(Math.PI / 4 / openArea)
+    : size / openArea;
+  return {
+    openArea,
+    spacing: spacing / M_PER_FT,
+    slat: design.type === 'slots' ? (spacing - size) / M_PER_FT : null,
+    neck: neck / M_PER_FT,
+    mass,
+    depth: design.depth,
+    ...resonatorResponse(mass, depth, resistance, cSI),
+  };
+};
+
+// Best places for a trap of the given size to damp a mode: on each wall, edge and
+// corner, the floor and the ceiling, the centre (on a grid along the surface) where
+// the trap sits in the most of the mode's pressure. Tri-corners are left out: only
+// a small trap fits there, and as a single point they would top every list.
+// Returns [{ mount, x, y, z, coupling }], best first.
+export const suggestTreatmentPlacements = (mode, room, { width, height }, steps = 9) => {
+  const dims = { x: room.length, y: room.width, z: room.height };
+  return Object.entries(TREATMENT_MOUNTS).filter(([, { span }]) => span.length > 0).map(([mount, { span }]) => {
+    let best = null;
+    let centres = [{ x: dims.x / 2, y: dims.y / 2, z: dims.z / 2 }];
+    span.forEach(([axis]) => {
+      centres = centres.flatMap(c => Array.from({ length: steps }, (_, i) => ({ ...c, [axis]: (dims[axis] * i) / (steps - 1) })));
+    });
+    // Within 1% of the best, the spot nearest the middle of the surface wins
+    const offCentre = (p) => span.reduce((sum, [axis]) => sum + Math.abs(p[axis] - dims[axis] / 2), 0);
+    centres.forEach(centre => {
+      const trap = placeTreatment({ kind: 'membrane', mount, ...centre, width, height }, room);
+      const coupling = calcTreatmentCoupling(trap, mode, room);
+      const better = !best || coupling > best.coupling * 1.01 ||
+        (coupling > best.coupling * 0.99 && offCentre(trap) < offCentre(best));
+      if (better) best = { mount, x: trap.x, y: trap.y, z: trap.z, coupling };
+    });
+    return best;
+  }).sort((a, b) => b.coupling - a.coupling);
+};
+
+// ============== LOUDSPEAKER RESPONSE ==============
+
+// Low-frequency models, each a high-pass transfer function normalized to 1 in the
+// passband. A speaker's `response` overrides the default for its type.
+//   sealed: { f3, qtc }                  second-order (closed box)
+//   ported: { f3, fb }                   fourth-order (vented box)
+//   ts:     { fs, qts, vas, vb, fb }     Thiele-Small driver in a box (fb 0 = sealed), volumes in ft³
+export const SPEAKER_RESPONSES = {
+  'Small Sealed':     { model: 'sealed', f3: 70, qtc: 0.707 },
+  'Small Ported':     { model: 'ported', f3: 55, fb: 55 },
+  'Large Sealed':     { model: 'sealed', f3: 40, qtc: 0.707 },
+  'Large Ported':     { model: 'ported', f3: 35, fb: 35 },
+  'Large Dipole':     { model: 'sealed', f3: 35, qtc: 0.5 },
+  'Subwoofer Sealed': { model: 'sealed', f3: 25, qtc: 0.707 },
+  'Subwoofer Ported': { model: 'ported', f3: 18, fb: 20 },
+};
+
+export const RESPONSE_MODELS = {
+  sealed: { name: 'Sealed (F3, Qtc)', params: ['f3', 'qtc'] },
+  ported: { name: 'Ported (F3, tuning)', params: ['f3', 'fb'] },
+  ts: { name: 'Thiele-Small', params: ['fs', 'qts', 'vas', 'vb', 'fb'] },
+};
+
+// Starting values when switching a speaker to a model (a 12" woofer for Thiele-Small)
+export const RESPONSE_DEFAULTS = {
+  sealed: { model: 'sealed', f3: 40, qtc: 0.707 },
+  ported: { model: 'ported', f3: 35, fb: 35 },
+  ts: { model: 'ts', fs: 25, qts: 0.4, vas: 3, vb: 2, fb: 0 },
+};
+
+// Box leakage losses assumed for vented boxes
+const BOX_QL = 7;
+
+export const getSpeakerResponse = (speaker) => speaker.response || SPEAKER_RESPONSES[speaker.type] || null;
+
+// Box volumes are the only parameters with units
+export const mapResponseVolumes = (response, fn) =>
+  response && response.model === 'ts' ? { ...response, vas: fn(response.vas), vb: fn(response.vb) } : response;
+
+// H(jω) = (jωT)^N / Σ coeffs[k] (jωT)^k, with coeffs in ascending powers
+const evalHighPass = (coeffs, T, freq) => {
+  const x = 2 * Math.PI * freq * T;
+  const order = coeffs.length - 1;
+  // j^k cycles 1, j, -1, -j
+  const power = (k) => {
+    const mag = x ** k;
+    return [[mag, 0], [0, mag], [-mag, 0], [0, -mag]][k % 4];
+  };
+  let dRe = 0;
+  let dIm = 0;
+  coeffs.forEach((a, k) => {
+    const [pRe, pIm] = power(k);
+    dRe += a * pRe;
+    dIm += a * pIm;
+  });
+  const [nRe, nIm] = power(order);
+  const mag2 = dRe * dRe + dIm * dIm || 1e-30;
+  return { re: (nRe * dRe + nIm * dIm) / mag2, im: (nIm * dRe - nRe * dIm) / mag2 };
+};
+
+// Second-order high-pass whose -3 dB point is f3 for the given Q
+const sealedFromF3 = (f3, qtc) => {
+  const b = 1 / (qtc * qtc) - 2;
+  const ratio = Math.sqrt((b + Math.sqrt(b * b + 4)) / 2);
+  return { coeffs: [1, 1 / qtc, 1], T: ratio / (2 * Math.PI * f3) };
+};
+
+// Vented box with the driver resonance at the tuning frequency (h = 1), so
+// a1 = a3, and a2 = a1²/2 as in the B4 alignment. The damping a1 is solved so the
+// -3 dB point lands on f3: below fb gives a peakier, extended alignment, above
+// fb an overdamped one. The hump is kept under 2 dB, so F3 can't go much below
+// about 0.86 fb.
+const portedFromF3 = (f3, fb) => {
+  const T = 1 / (2 * Math.PI * fb);
+  const coeffsFor = (a) => [1, a, a * a / 2, a, 1];
+  const level = (a) => {
+    const { re, im } = evalHighPass(coeffsFor(a), T, f3);
+    return re * re + im * im;
+  };
+  let lo = 2.4;
+  let hi = 8;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (level(mid) > 0.5) lo = mid;
+    else hi = mid;
+  }
+  return { coeffs: coeffsFor((lo + hi) / 2), T };
+};
+
+// Small's closed and vented box transfer functions from driver parameters
+const thieleSmallBox = ({ fs, qts, vas, vb, fb }) => {
+  const alpha = vas / Math.max(vb, 1e-6);
+  if (!fb) {
+    const fc = fs * Math.sqrt(1 + alpha);
+    const qtc = qts * Math.sqrt(1 + alpha);
+    return { coeffs: [1, 1 / qtc, 1], T: 1 / (2 * Math.PI * fc) };
+  }
+  const h = fb / fs;
+  const qlqt = BOX_QL * qts;
+  const a1 = (BOX_QL + h * qts) / (Math.sqrt(h) * qlqt);
+  const a2 = (h + (alpha + 1 + h * h) * qlqt) / (h * qlqt);
+  const a3 = (h * BOX_QL + qts) / (Math.sqrt(h) * qlqt);
+  return { coeffs: [1, a3, a2, a1, 1], T: 1 / (2 * Math.PI * Math.sqrt(fs * fb)) };
+};
+
+const responseFilter = (response) => {
+  if (response.model === 'ts') return thieleSmallBox(response);
+  if (response.model === 'ported') return portedFromF3(response.f3, response.fb);
+  return sealedFromF3(response.f3, response.qtc);
+};
+
+// Complex transfer function of a low-frequency model on a frequency grid
+const calcSpeakerTransfer = (response, freqs) => {
+  const { coeffs, T } = responseFilter(response);
+  const re = new Float64Array(freqs.length);
+  const im = new Float64Array(freqs.length);
+  freqs.forEach((f, i) => {
+    const h = evalHighPass(coeffs, T, f);
+    re[i] = h.re;
+    im[i] = h.im;
+  });
+  return { re, im };
+};
+
+// Frequency where the model first falls 3 dB below the passband, scanning down
+const calcResponseF3 = (response) => {
+  const { coeffs, T } = responseFilter(response);
+  const level = (f) => {
+    const { re, im } = evalHighPass(coeffs, T, f);
+    return 10 * Math.log10(re * re + im * im);
+  };
+  for (let f = 500; f > 5; f /= 1.01) {
+    if (level(f) < -3) return f * 1.01;
+  }
+  return 5;
+};
+
+// One-line description for the prompt and the speaker card
+export const describeSpeakerResponse = (response, units) => {
+  if (!response) return 'flat';
+  const f3 = calcResponseF3(response).toFixed(0);
+  if (response.model === 'sealed') return `sealed, F3 ${f3} Hz, Qtc ${response.qtc}`;
+  if (response.model === 'ported') return `ported, F3 ${f3} Hz, tuned to ${response.fb} Hz`;
+  const box = (ft3) => `${roundTo(boxVolumeToUnits(ft3, units), 2)} ${UNIT_LABELS[units].boxVolume}`;
+  return `Thiele-Small: fs ${response.fs} Hz, Qts ${response.qts}, Vas ${box(response.vas)} in ${box(response.vb)} ` +
+    `${response.fb ? `vented at ${response.fb} Hz` : 'sealed'} (F3 ${f3} Hz)`;
+};
+
+// ============== BASS MANAGEMENT ==============
+
+export const CROSSOVER_FILTERS = {
+  lr4: { name: 'Linkwitz-Riley 24 dB/oct (LR4)', qs: [Math.SQRT1_2, Math.SQRT1_2] },
+  bw2: { name: 'Butterworth 12 dB/oct (BW2)', qs: [Math.SQRT1_2] },
+  bw4: { name: 'Butterworth 24 dB/oct (BW4)', qs: [0.5412, 1.3066] },
+};
+
+// Small speakers are high-passed and subwoofers low-passed at the crossover;
+// large speakers run full range
+export const getSpeakerRole = (speaker) => {
+  if (speaker.type?.startsWith('Subwoofer')) return 'sub';
+  if (speaker.type?.startsWith('Small')) return 'small';
+  return 'full';
+};
+
+// Processing applied to one speaker's channel: { pass: 'high' | 'low' | null,
+// filter, crossover (Hz), delay (ms), invert }
+const getSpeakerChannel = (speaker, { crossoverFreq, crossoverFilter = 'lr4' } = {}) => {
+  const role = getSpeakerRole(speaker);
+  const pass = !crossoverFreq ? null : role === 'small' ? 'high' : role === 'sub' ? 'low' : null;
+  return {
+    pass,
+    filter: crossoverFilter,
+    crossover: crossoverFreq || null,
+    delay: speaker.delay || 0,
+    invert: !!speaker.invert,
+  };
+};
+
+// Complex response of a channel's crossover filter, delay and polarity on a frequency grid
+const calcChannelTransfer = (channel, freqs) => {
+  const re = new Float64Array(freqs.length);
+  const im = new Float64Array(freqs.length);
+  const sections = channel.pass ? CROSSOVER_FILTERS[channel.filter].qs : [];
+  const T = channel.crossover ? 1 / (2 * Math.PI * channel.crossover) : 0;
+  freqs.forEach((f, i) => {
+    let hRe = channel.invert ? -1 : 1;
+    let hIm = 0;
+    sections.forEach(q => {
+      // High-pass s²/(s² + s/Q + 1); low-pass is the same divided by s²
+      const hp = evalHighPass([1, 1 / q, 1], T, f);
+      let sRe = hp.re;
+      let sIm = hp.im;
+      if (channel.pass === 'low') {
+        const x2 = (2 * Math.PI * f * T) ** 2;
+        sRe = -hp.re / x2;
+        sIm = -hp.im / x2;
+      }
+      [hRe, hIm] = [hRe * sRe - hIm * sIm, hRe * sIm + hIm * sRe];
+    });
+    const phase = -2 * Math.PI * f * channel.delay / 1000;
+    re[i] = hRe * Math.cos(phase) - hIm * Math.sin(phase);
+    im[i] = hRe * Math.sin(phase) + hIm * Math.cos(phase);
+  });
+  return { re, im };
+};
+
+// Shared parametric EQ band (analog peaking prototype): { freq, gain (dB), q }
+const evalPeakingEQ = ({ freq: f0, gain, q }, freq) => {
+  const A = Math.pow(10, gain / 40);
+  const x = freq / f0;
+  // (1 - x² + jx·A/Q) / (1 - x² + jx/(A·Q))
+  const nRe = 1 - x * x;
+  const nIm = x * A / q;
+  const dRe = 1 - x * x;
+  const dIm = x / (A * q);
+  const mag2 = dRe * dRe + dIm * dIm || 1e-30;
+  return { re: (nRe * dRe + nIm * dIm) / mag2, im: (nIm * dRe - nRe * dIm) / mag2 };
+};
+
+const isNeutralChannel = (channel) => !channel.pass && !channel.delay && !channel.invert;
+
+// Speakers as sources with their level and bass-management channel
+const toManagedSources = (speakers, settings) => speakers.map(speaker => ({
+  ...speaker,
+  gain: Math.pow(10, (speaker.powerOffset || 0) / 20),
+  channel: getSpeakerChannel(speaker, settings),
+}));
+
+// In-room response with bass management: each speaker through its channel, summed
+// as complex pressure. Returns the combined, mains-only and subs-only responses.
+export const calcBassManagedResponse = (speakers, listener, basis, settings) => {
+  const sources = toManagedSources(speakers, settings);
+  const subs = sources.filter(src => getSpeakerRole(src) === 'sub');
+  const mains = sources.filter(src => getSpeakerRole(src) !== 'sub');
+  const combined = calcComplexResponse(sources, listener, basis);
+  return {
+    freqs: basis.freqs,
+    combined,
+    mains: mains.length > 0 ? calcComplexResponse(mains, listener, basis) : null,
+    subs: subs.length > 0 ? calcComplexResponse(subs, listener, basis) : null,
+  };
+};
+
+// Crossover region: an octave either side of the crossover frequency
+const crossoverRegion = (freqs, crossover) =>
+  freqs.map((f, i) => i).filter(i => freqs[i] >= crossover / 2 && freqs[i] <= crossover * 2);
+
+// How much the mains and subs lose to cancellation through the crossover region:
+// mean of 20·log(|mains + subs| / (|mains| + |subs|)), 0 dB for perfect summation
+export const calcSummationLoss = (managed, crossover) => {
+  const { combined, mains, subs, freqs } = managed;
+  if (!mains || !subs || !crossover) return null;
+  const region = crossoverRegion(freqs, crossover);
+  if (region.length === 0) return null;
+  const losses = region.map(i => {
+    const sum = Math.hypot(combined.re[i], combined.im[i]);
+    const parts = Math.hypot(mains.re[i], mains.im[i]) + Math.hypot(subs.re[i], subs.im[i]);
+    return 20 * Math.log10((sum || 1e-12) / (parts || 1e-12));
+  });
+  return { mean: losses.reduce((a, b) => a + b, 0) / losses.length, worst: Math.min(...losses) };
+};
+
+// Sub delay relative to the mains and sub polarity that give the most level through
+// the crossover region. Negative delays mean the mains should be delayed instead.
+export const findSubAlignment = (managed, crossover, maxDelay = 20) => {
+  const { mains, subs, freqs } = managed;
+  if (!mains || !subs || !crossover) return null;
+  const region = crossoverRegion(freqs, crossover);
+  let best = null;
+  [1, -1].forEach(polarity => {
+    for (let delay = -maxDelay; delay <= maxDelay + 1e-9; delay += 0.1) {
+      const level = region.reduce((sum, i) => {
+        const phase = -2 * Math.PI * freqs[i] * delay / 1000;
+        const cos = Math.cos(phase);
+        const sin = Math.sin(phase);
+        const sRe = polarity * (subs.re[i] * cos - subs.im[i] * sin);
+        const sIm = polarity * (subs.re[i] * sin + subs.im[i] * cos);
+        return sum + 20 * Math.log10(Math.hypot(mains.re[i] + sRe, mains.im[i] + sIm) || 1e-12);
+      }, 0) / region.length;
+      if (!best || level > best.level + 1e-9) best = { delay: roundTo(delay, 1), invert: polarity < 0, level };
+    }
+  });
+  return best;
+};
+
+// ============== MODAL FREQUENCY RESPONSE ==============
+
+// The (0,0,0) "pressure chamber" mode: uniform pressure, gives room gain below the first mode
+const PRESSURE_MODE = { n: 0, m: 0, l: 0, freq: 0, type: 'pressure', level: 0 };
+
+// Log-spaced analysis frequencies (Hz)
+const logFrequencyGrid = (fMin, fMax, pointsPerOctave = 24) => {
+  const count = Math.max(2, Math.round(Math.log2(fMax / fMin) * pointsPerOctave) + 1);
+  const ratio = Math.log(fMax / fMin) / (count - 1);
+  return Array.from({ length: count }, (_, i) => fMin * Math.exp(i * ratio));
+};
+
+// Pressure with sign preserved (for phase cancellation calculations)
+const calcPressureWithSign = (pos, mode, room) => {
+  if (mode.shape) return sampleModeShape(mode, pos);
+  const pX = mode.n > 0 ? Math.cos(mode.n * Math.PI * pos.x / room.length) : 1;
+  const pY = mode.m > 0 ? Math.cos(mode.m * Math.PI * pos.y / room.width) : 1;
+  const pZ = mode.l > 0 ? Math.cos(mode.l * Math.PI * pos.z / room.height) : 1;
+  return pX * pY * pZ; // Signed value for phase relationships
+};
+
+// Mean of the squared mode shape over the room volume (1/2 per non-zero index)
+const calcModeNorm = (mode) => mode.norm ??
+  (mode.n > 0 ? 0.5 : 1) * (mode.m > 0 ? 0.5 : 1) * (mode.l > 0 ? 0.5 : 1);
+
+// Modal decay constant δ (1/s), where the mode's amplitude decays as e^(-δt).
+// With surface absorption, walls perpendicular to an axis the mode travels along
+// count double, so axial modes are damped mostly by their own pair of walls and
+// ring longer than oblique modes. Furnishings act on every mode like the diffuse
+// field. Otherwise every mode decays at the room's RT60. Traps (damping.treatments)
+// add to either, weighted by where they sit in the mode.
+const calcModeDecay = (mode, room, damping = {}, c = SPEED_OF_SOUND) => {
+  const { absorption } = damping;
+  const treated = calcTreatmentDecay(mode, room, damping.treatments, c);
+  if (!absorption) return 6.91 / (damping.rt60 || DEFAULT_RT60) + treated;
+
+  const { length, width, height } = room;
+  const volume = length * width * height;
+  const at = (bands) => interpolateBands(bands, mode.freq || OCTAVE_BANDS[0]);
+  const sabins = [
+    { index: mode.n, area: width * height, alpha: at(absorption.front) + at(absorption.rear) },
+    { index: mode.m, area: length * height, alpha: at(absorption.left) + at(absorption.right) },
+    { index: mode.l, area: length * width, alpha: at(absorption.floor) + at(absorption.ceiling) },
+  ].reduce((sum, pair) => sum + (pair.index > 0 ? 2 : 1) * pair.area * pair.alpha, 0);
+  const furnishings = absorption.furnishings ? 2 * at(absorption.furnishings) : 0;
+
+  return (c / (16 * volume)) * (sabins + furnishings) + treated;
+};
+
+// Time (s) for a mode to decay by 60 dB
+export const calcModeT60 = (mode, room, damping, c = SPEED_OF_SOUND) => 6.91 / calcModeDecay(mode, room, damping, c);
+
+// Precompute everything about the room's modal response that does not depend on
+// source or listener position: the analysis grid and each mode's complex resonance
+// 1 / (ωₙ² − ω² + 2jδₙω) on that grid. Sources are assumed to have a flat anechoic
+// response (constant volume acceleration), so pressure below the first mode rises
+// as room gain and each mode is a second-order resonance with its own damping.
+// Wall openings act only through that damping (see calcSurfaceAbsorption).
+// A freqs grid replaces the log-spaced one over freqRange.
+export const buildModalBasis = (room, {
+  freqRange = [20, 120],
+  pointsPerOctave = 24,
+  maxModeFreq,
+  damping = {},
+  speedOfSound = SPEED_OF_SOUND,
+  modes: roomModes,
+  volume = room.length * room.width * room.height,
+  freqs: grid,
+} = {}) => {
+  const c = speedOfSound;
+  const freqs = grid || logFrequencyGrid(freqRange[0], freqRange[1], pointsPerOctave);
+  const modeLimit = maxModeFreq || Math.max(2 * freqRange[1], freqRange[1] + 100);
+  const maxOrder = Math.ceil(2 * modeLimit * Math.max(room.length, room.width, room.height) / c);
+  // Numerically solved modes (non-rectangular rooms) replace the analytic set
+  const modes = [
+    PRESSURE_MODE,
+    ...(roomModes
+      ? roomModes.filter(m => m.freq <= modeLimit)
+      : generateModes(room.length, room.width, room.height, modeLimit, maxOrder, c)),
+  ];
+  const modalScale = (c ** 2) / volume;
+
+  const terms = modes.map(mode => {
+    const omegaN = 2 * Math.PI * mode.freq;
+    const decay = calcModeDecay(mode, room, damping, c);
+    const gain = modalScale / calcModeNorm(mode);
+    const re = new Float64Array(freqs.length);
+    const im = new Float64Array(freqs.length);
+    freqs.forEach((f, i) => {
+      const omega = 2 * Math.PI * f;
+      const dRe = omegaN * omegaN - omega * omega;
+      const dIm = 2 * decay * omega;
+      const mag2 = dRe * dRe + dIm * dIm;
+      re[i] = gain * dRe / mag2;
+      im[i] = -gain * dIm / mag2;
+    });
+    return { mode, decay, re, im };
+  });
+
+  return { room, freqs, modes, terms, c };
+};
+
+// Complex pressure at the listener from sources with a flat response, summed mode
+// by mode plus the free-field direct sound of each source
+const calcSourceField = (sources, listener, basis) => {
+  const { room, freqs, terms, c } = basis;
+  const re = new Float64Array(freqs.length);
+  const im = new Float64Array(freqs.length);
+
+  terms.forEach(({ mode, re: tRe, im: tIm }) => {
+    const lpCoupling = calcPressureWithSign(listener, mode, room);
+    if (lpCoupling === 0) return;
+    const excitation = sources.reduce((sum, src) => {
+      const dipole = src.type === 'Large Dipole' ? calcDipoleCancellation(src, mode, c) : 1;
+      return sum + (src.gain ?? 1) * dipole * calcPressureWithSign(src, mode, room);
+    }, 0);
+    const coupling = excitation * lpCoupling;
+    for (let i = 0; i < freqs.length; i++) {
+      re[i] += coupling * tRe[i];
+      im[i] += coupling * tIm[i];
+    }
+  });
+
+  // Direct sound: e^(-jkr) / 4πr, in the same units as the modal sum
+  sources.forEach(src => {
+    const dx = listener.x - src.x;
+    const dy = listener.y - src.y;
+    const dz = listener.z - src.z;
+    const r = Math.max(0.5, Math.hypot(dx, dy, dz));
+    let directivity = 1;
+    if (src.type === 'Large Dipole') {
+      const orientRad = (src.orientation || 0) * Math.PI / 180;
+      directivity = Math.abs((dx * Math.cos(orientRad) + dy * Math.sin(orientRad)) / Math.hypot(dx, dy, dz || 1e-9));
+    }
+    const amp = (src.gain ?? 1) * directivity / (4 * Math.PI * r);
+    for (let i = 0; i < freqs.length; i++) {
+      const k = 2 * Math.PI * freqs[i] / c;
+      re[i] += amp * Math.cos(k * r);
+      im[i] -= amp * Math.sin(k * r);
+    }
+  });
+
+  return { freqs, re, im };
+};
+
+// Product of two optional complex transfer functions on the same grid
+const combineTransfers = (a, b) => {
+  if (!a || !b) return a || b;
+  const re = a.re.map((aRe, i) => aRe * b.re[i] - a.im[i] * b.im[i]);
+  const im = a.re.map((aRe, i) => aRe * b.im[i] + a.im[i] * b.re[i]);
+  return { re, im };
+};
+
+// Complex pressure at the listener from one or more sources. Sources are { x, y, z }
+// with optional gain (linear), the speaker type/orientation for dipoles, the
+// low-frequency model from getSpeakerResponse (sources without one are flat) and
+// an optional channel (crossover, delay, polarity) from getSpeakerChannel.
+const calcComplexResponse = (sources, listener, basis) => {
+  const { freqs } = basis;
+  const re = new Float64Array(freqs.length);
+  const im = new Float64Array(freqs.length);
+
+  // Sources sharing a model and channel are summed before their transfer function is applied
+  const groups = new Map();
+  sources.forEach(src => {
+    const response = getSpeakerResponse(src);
+    const channel = src.channel && !isNeutralChannel(src.channel) ? src.channel : null;
+    const key = JSON.stringify([response, channel]);
+    if (!groups.has(key)) groups.set(key, { response, channel, members: [] });
+    groups.get(key).members.push(src);
+  });
+
+  groups.forEach(({ response, channel, members }) => {
+    const field = calcSourceField(members, listener, basis);
+    const h = combineTransfers(
+      response ? calcSpeakerTransfer(response, freqs) : null,
+      channel ? calcChannelTransfer(channel, freqs) : null
+    );
+    for (let i = 0; i < freqs.length; i++) {
+      if (!h) {
+        re[i] += field.re[i];
+        im[i] += field.im[i];
+        continue;
+      }
+      re[i] += field.re[i] * h.re[i] - field.im[i] * h.im[i];
+      im[i] += field.re[i] * h.im[i] + field.im[i] * h.re[i];
+    }
+  });
+
+  return { freqs, re, im };
+};
+
+// Complex response to { freq, dB, phase, re, im } per grid point. dB is relative
+// (1 Pa·ft³/s² reference), so compare curves rather than absolute levels.
+export const toFR = ({ freqs, re, im }) => freqs.map((freq, i) => ({
+  freq,
+  dB: 20 * Math.log10(Math.hypot(re[i], im[i]) || 1e-12),
+  phase: Math.atan2(im[i], re[i]) * 180 / Math.PI,
+  re: re[i],
+  im: im[i],
+}));
+
+// Transfer function shared by every candidate sub in the optimizers: the sub's
+// low-frequency model and the low-pass of its bass-management channel (null if flat).
+// Delay and polarity are left to the optimizers.
+const calcSubTransfer = (sub, settings, freqs) => {
+  if (!sub) return null;
+  const response = getSpeakerResponse(sub);
+  const channel = getSpeakerChannel({ ...sub, delay: 0, invert: false }, settings);
+  return combineTransfers(
+    response ? calcSpeakerTransfer(response, freqs) : null,
+    isNeutralChannel(channel) ? null : calcChannelTransfer(channel, freqs)
+  );
+};
+
+// One sub's field at a listener through the shared sub transfer, if any
+const calcSubField = (pos, listener, basis, transfer) => {
+  const field = calcSourceField([pos], listener, basis);
+  return transfer ? combineTransfers(field, transfer) : field;
+};
+
+// Predicted frequency response at the listener
+export const calcPredictedFR = (sources, listener, basis) => toFR(calcComplexResponse(sources, listener, basis));
+
+// Each speaker alone through its bass-management channel
+export const calcSpeakerResponses = (speakers, listener, basis, settings) =>
+  toManagedSources(speakers, settings).map(src => calcComplexResponse([src], listener, basis));
+
+// dB of a response at any frequency, interpolated on a log frequency axis (null
+// outside the curve)
+export const interpolateDB = (fr, freq) => {
+  if (fr.length < 2 || freq < fr[0].freq || freq > fr[fr.length - 1].freq) return null;
+  const k = Math.max(1, fr.findIndex(p => p.freq >= freq));
+  const a = fr[k - 1];
+  const b = fr[k];
+  const t = Math.log(freq / a.freq) / Math.log(b.freq / a.freq || 1) || 0;
+  return a.dB + t * (b.dB - a.dB);
+};
+
+// Median level difference of a curve from a reference where they overlap, so
+// curves on different scales can share a chart (the median ignores deep nulls)
+export const calcLevelOffset = (fr, reference) => {
+  const diffs = fr
+    .map(p => [p.dB, interpolateDB(reference, p.freq)])
+    .filter(([, ref]) => ref !== null)
+    .map(([dB, ref]) => ref - dB)
+    .sort((a, b) => a - b);
+  return diffs.length > 0 ? diffs[Math.floor(diffs.length / 2)] : 0;
+};
+
+export const shiftFR = (fr, offset) => fr.map(p => ({ ...p, dB: p.dB + offset }));
+
+// Target curves for the in-room bass response: a low shelf of `shelf` dB below
+// `corner` Hz and a tilt in dB per octave about 100 Hz
+export const TARGET_CURVES = {
+  flat: { name: 'Flat', shelf: 0, corner: 100, tilt: 0 },
+  harman: { name: 'Harman-style (+6 dB bass shelf)', shelf: 6, corner: 105, tilt: 0 },
+  house: { name: 'House curve (−1 dB/octave)', shelf: 0, corner: 100, tilt: -1 },
+};
+
+export const calcTargetCurve = (target, freqs) => {
+  const { shelf, corner, tilt } = TARGET_CURVES[target] || TARGET_CURVES.flat;
+  return freqs.map(freq => ({ freq, dB: shelf / (1 + (freq / corner) ** 2) + tilt * Math.log2(freq / 100) }));
+};
+
+// The target at the level of a response, matched over freqRange when given
+export const fitTargetCurve = (target, fr, freqRange) => {
+  const curve = calcTargetCurve(target, fr.map(p => p.freq));
+  const band = freqRange ? fr.filter(p => p.freq >= freqRange[0] && p.freq <= freqRange[1]) : fr;
+  return shiftFR(curve, calcLevelOffset(curve, band.length >= 2 ? band : fr));
+};
+
+// ============== MODAL DECAY ==============
+
+// The model's time response: an impulse response synthesized from the complex
+// response on a linear frequency grid, its cumulative spectral decay (waterfall)
+// and each mode's decay time against a limit.
+//   sampleRate (Hz), duration (s; longer than the slowest decay, or it wraps
+//   around), band [high-pass, low-pass] (Hz) it is limited to
+export const IMPULSE_DEFAULTS = { sampleRate: 1024, duration: 4, band: [10, 200] };
+
+// Linear analysis grid for an impulse response: every FFT bin above DC
+export const calcImpulseFrequencies = ({ sampleRate, duration } = IMPULSE_DEFAULTS) => {
+  const size = 2 ** Math.round(Math.log2(sampleRate * duration));
+  return Array.from({ length: size / 2 }, (_, i) => (i + 1) * sampleRate / size);
+};
+
+// In-place radix-2 FFT (inverse without the 1/N scale)
+const fft = (re, im, inverse = false) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size *= 2) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wRe = Math.cos(angle * k);
+        const wIm = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+};
+
+// Impulse response from a complex response on the calcImpulseFrequencies grid.
+// The model only holds at low frequencies and rises without limit toward DC for
+// flat sources, so the band is limited by causal filters (an LR4 low-pass and a
+// second-order high-pass) rather than a window that would ring before the arrival.
+// What the low-pass leaves above twice its corner is faded out before Nyquist so
+// the cut there doesn't ring either.
+// Returns { sampleRate, samples } with the samples scaled to a peak of 1, or so
+// that a response of level `reference` (linear) would be 1.
+export const calcImpulseResponse = ({ freqs, re, im }, {
+  sampleRate = IMPULSE_DEFAULTS.sampleRate,
+  band = IMPULSE_DEFAULTS.band,
+  reference,
+} = {}) => {
+  const size = 2 * freqs.length;
+  const nyquist = sampleRate / 2;
+  const lowPass = calcChannelTransfer({ pass: 'low', filter: 'lr4', crossover: band[1], delay: 0, invert: false }, freqs);
+  const highPass = calcChannelTransfer({ pass: 'high', filter: 'bw2', crossover: band[0], delay: 0, invert: false }, freqs);
+  const h = combineTransfers(lowPass, highPass);
+  const fadeStart = Math.min(2 * band[1], nyquist / 2);
+  const fade = (f) => f <= fadeStart ? 1 : 0.5 * (1 + Math.cos(Math.PI * (f - fadeStart) / (nyquist - fadeStart)));
+  const specRe = new Float64Array(size);
+  const specIm = new Float64Array(size);
+  // Bin k + 1 holds freqs[k]; the negative frequencies are its conjugate
+  freqs.forEach((f, k) => {
+    const i = k + 1;
+    const bRe = fade(f) * (re[k] * h.re[k] - im[k] * h.im[k]);
+    const bIm = fade(f) * (re[k] * h.im[k] + im[k] * h.re[k]);
+    specRe[i] = bRe;
+    specIm[i] = bIm;
+    if (i < size / 2) {
+      specRe[size - i] = bRe;
+      specIm[size - i] = -bIm;
+    }
+  });
+  fft(specRe, specIm, true);
+  // The inverse FFT sums size bins, so a flat spectrum at the reference level is an impulse of size × reference
+  const scale = reference ? size * reference : specRe.reduce((max, x) => Math.max(max, Math.abs(x)), 0) || 1;
+  return { sampleRate, samples: specRe.map(x => x / scale) };
+};
+
+// Impulse response of the whole system at the listener: every speaker through its
+// bass-management channel, on a basis built over calcImpulseFrequencies
+export const calcSystemImpulseResponse = (speakers, listener, basis, settings, options = {}) =>
+  calcImpulseResponse(calcComplexResponse(toManagedSources(speakers, settings), listener, basis), options);
+
+// Cumulative spectral decay: the spectrum of what is left of the impulse response
+// after each slice time, over a window of fixed length that tapers to zero in its
+// second half (a shorter window resolves decay better and frequency worse).
+// Levels are dB relative to the loudest point of the first slice.
+export const WATERFALL_DEFAULTS = { freqRange: [15, 200], pointsPerOctave: 24, timeRange: 0.5, slices: 26, window: 0.3 };
+
+export const calcWaterfall = ({ sampleRate, samples }, options = {}) => {
+  const { freqRange, pointsPerOctave, timeRange, slices, window } = { ...WATERFALL_DEFAULTS, ...options };
+  const freqs = logFrequencyGrid(freqRange[0], freqRange[1], pointsPerOctave);
+  const length = Math.round(window * sampleRate);
+  const taper = Array.from({ length }, (_, n) =>
+    n < length / 2 ? 1 : 0.5 * (1 + Math.cos(Math.PI * (n - length / 2) / (length / 2))));
+
+  const spectra = Array.from({ length: slices }, (_, s) => {
+    const time = s * timeRange / (slices - 1);
+    const start = Math.round(time * sampleRate);
+    const dB = freqs.map(f => {
+      const step = 2 * Math.PI * f / sampleRate;
+      let sumRe = 0;
+      let sumIm = 0;
+      for (let n = 0; n < length && start + n < samples.length; n++) {
+        const x = samples[start + n] * taper[n];
+        sumRe += x * Math.cos(step * n);
+        sumIm -= x * Math.sin(step * n);
+      }
+      return 20 * Math.log10(Math.hypot(sumRe, sumIm) || 1e-12);
+    });
+    return { time, dB };
+  });
+
+  const top = Math.max(...spectra[0].dB);
+  return { freqs, slices: spectra.map(({ time, dB }) => ({ time, dB: dB.map(x => x - top) })) };
+};
+
+// Limits on how long a mode may ring.
+//   ebu:   the upper tolerance of EBU Tech 3276 (and ITU-R BS.1116) about the
+//          nominal reverberation time of a listening room of this volume:
+//          +0.05 s from 200 Hz up, rising to +0.3 s at 63 Hz and held below
+//   fixed: one T60 (s) for every mode
+export const DECAY_LIMITS = {
+  ebu: { name: 'EBU Tech 3276 tolerance' },
+  fixed: { name: 'Fixed T60' },
+};
+
+// EBU Tech 3276 nominal reverberation time Tm = 0.25 (V / 100 m³)^⅓ s
+export const calcNominalRT60 = (volume) => 0.25 * Math.cbrt(volume * M_PER_FT ** 3 / 100);
+
+export const calcDecayLimit = (freq, volume, { limit = 'ebu', maxT60 = 0.5 } = {}) => {
+  if (limit === 'fixed') return maxT60;
+  const position = Math.min(1, Math.max(0, Math.log(freq / 63) / Math.log(200 / 63)));
+  return calcNominalRT60(volume) + 0.3 - 0.25 * position;
+};
+
+// Decay time of each mode up to maxFreq against the limit, flagging the ones that
+// ring longer: [{ mode, t60, limit, excess (s), ringing }]
+export const calcModeDecayTimes = (modes, room, damping, {
+  c = SPEED_OF_SOUND,
+  volume = room.length * room.width * room.height,
+  maxFreq = 200,
+  ...settings
+} = {}) => modes
+  .filter(mode => mode.freq > 0 && mode.freq <= maxFreq)
+  .map(mode => {
+    const t60 = calcModeT60(mode, room, damping, c);
+    const limit = calcDecayLimit(mode.freq, volume, settings);
+    return { mode, t60, limit, excess: t60 - limit, ringing: t60 > limit };
+  });
+
+// ============== MEASUREMENTS ==============
+
+// Measured responses from REW text exports, .frd/.txt files and CSV: one
+// frequency, SPL and optional phase per line, in any of these separators. Lines
+// that don't start with a number (headers, REW's `*` comments) are skipped, except
+// that REW's "* Measurement: name" line names the result.
+export const parseMeasurement = (text) => {
+  let name = null;
+  const fr = [];
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    const title = line.match(/^\*\s*Measurement:\s*(.+)$/i);
+    if (title) name = title[1].trim();
+    // Semicolon-separated files may use decimal commas
+    // and a trailing delimiter leaves an empty field, which Number() would read as 0
+    const fields = (line.includes(';')
+      ? line.split(';').map(f => f.trim().replace(',', '.'))
+      : line.split(/[\s,]+/)).filter(f => f !== '');
+    const [freq, dB, phase] = fields.map(Number);
+    if (fields.length < 2 || !Number.isFinite(freq) || !Number.isFinite(dB) || freq <= 0) return;
+    fr.push({ freq, dB, ...(Number.isFinite(phase) && fields.length > 2 ? { phase } : {}) });
+  });
+  if (fr.length < 2) throw new Error('No frequency and level data found');
+  fr.sort((a, b) => a.freq - b.freq);
+  return { name, fr };
+};
+
+export const SMOOTHING_OPTIONS = {
+  none: { name: 'None' },
+  third: { name: '1/3 octave', fraction: 3 },
+  sixth: { name: '1/6 octave', fraction: 6 },
+  twelfth: { name: '1/12 octave', fraction: 12 },
+  psychoacoustic: { name: 'Psychoacoustic' },
+};
+
+// Psychoacoustic smoothing widens from 1/6 octave at 1 kHz to 1/3 octave at 100 Hz
+// and below, roughly following the ear's resolution
+const psychoacousticFraction = (freq) => 3 + 3 * clamp(Math.log10(freq / 100), [0, 1]);
+
+// Fractional-octave smoothing: power average over a window of 1/N octave centred
+// on each point
+export const smoothFR = (fr, smoothing) => {
+  const option = SMOOTHING_OPTIONS[smoothing];
+  if (!option || smoothing === 'none') return fr;
+  const power = fr.map(p => 10 ** (p.dB / 10));
+  let lo = 0;
+  let hi = 0;
+  let sum = 0;
+  return fr.map((point, i) => {
+    const fraction = option.fraction || psychoacousticFraction(point.freq);
+    const half = 2 ** (1 / (2 * fraction));
+    while (hi < fr.length && fr[hi].freq <= point.freq * half) sum += power[hi++];
+    while (fr[lo].freq < point.freq / half && lo < i) sum -= power[lo++];
+    return { ...point, dB: 10 * Math.log10(Math.max(sum, 1e-30) / (hi - lo)) };
+  });
+};
+
+// ============== ROOM SHAPE & WAVE SOLVER ==============
+
+// Modes above this are not solved numerically; the direct-sound term covers the rest
+export const SOLVER_MAX_FREQ = 180; // Hz
+
+export const FLOOR_PLANS = {
+  rectangle: 'Rectangle',
+  lShape: 'L-shape (rear-right notch)',
+  bay: 'Bay window (rear wall)',
+  custom: 'Custom polygon',
+};
+
+export const CEILING_PROFILES = {
+  flat: 'Flat',
+  shed: 'Sloped (shed)',
+  cathedral: 'Vaulted (cathedral)',
+};
+
+export const DEFAULT_ROOM_SHAPE = {
+  plan: 'rectangle',
+  lCutout: { length: 6, width: 5 },
+  bay: { width: 8, depth: 2 },
+  vertices: [],
+  ceiling: { profile: 'flat', low: 7, axis: 'length' },
+};
+
+// Apply fn to every length in a room shape (for unit conversion on export/import)
+export const mapShapeLengths = (shape, fn) => ({
+  ...shape,
+  lCutout: { length: fn(shape.lCutout.length), width: fn(shape.lCutout.width) },
+  bay: { width: fn(shape.bay.width), depth: fn(shape.bay.depth) },
+  vertices: shape.vertices.map(([x, y]) => [fn(x), fn(y)]),
+  ceiling: { ...shape.ceiling, low: fn(shape.ceiling.low) },
+});
+
+export const isShapedRoom = (shape) => shape.plan !== 'rectangle' || shape.ceiling.profile !== 'flat';
+
+// Floor plan polygon [[x, y], ...] (x from front wall, y from left wall), always inside
+// the room's length × width bounding box
+export const calcFloorPlan = (room, shape) => {
+  const { length: L, width: W } = room;
+  if (shape.plan === 'lShape') {
+    const a = Math.min(shape.lCutout.length, L - 1);
+    const b = Math.min(shape.lCutout.width, W - 1);
+    return [[0, 0], [L, 0], [L, W - b], [L - a, W - b], [L - a, W], [0, W]];
+  }
+  if (shape.plan === 'bay') {
+    const d = Math.min(shape.bay.depth, L - 1);
+    const w = Math.min(shape.bay.width, W);
+    const inset = Math.min(d, w / 2 - 0.5); // 45° sides
+    const y0 = (W - w) / 2;
+    return [
+      [0, 0], [L - d, 0], [L - d, y0], [L, y0 + inset],
+      [L, W - y0 - inset], [L - d, W - y0], [L - d, W], [0, W],
+    ];
+  }
+  if (shape.plan === 'custom' && shape.vertices.length >= 3) return shape.vertices;
+  return [[0, 0], [L, 0], [L, W], [0, W]];
+};
+
+// Ray-casting point-in-polygon test
+const isInsidePolygon = (x, y, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// Ceiling height at a floor position. room.height is the highest point; a shed
+// ceiling rises from `low` at the front (or left) wall, a cathedral ceiling peaks
+// along the room's centre line.
+export const calcCeilingHeight = (x, y, room, ceiling) => {
+  const { profile, low, axis } = ceiling;
+  if (profile === 'flat') return room.height;
+  const t = axis === 'length' ? x / room.length : y / room.width;
+  const rise = profile === 'shed' ? t : 1 - Math.abs(2 * t - 1);
+  return low + (room.height - low) * Math.max(0, Math.min(1, rise));
+};
+
+export const isInsideRoom = (pos, room, shape, polygon = calcFloorPlan(room, shape)) =>
+  pos.x >= 0 && pos.y >= 0 && pos.z >= 0 &&
+  isInsidePolygon(pos.x, pos.y, polygon) &&
+  pos.z <= calcCeilingHeight(pos.x, pos.y, room, shape.ceiling);
+
+// Box occupied by an adjoining space, in room coordinates. Offsets and widths run
+// along the shared wall: from the left wall for front/rear, from the front wall
+// for left/right.
+export const calcAdjoiningBox = (space, room) => {
+  const along = [space.offset, space.offset + space.width];
+  const z = [0, space.height];
+  switch (space.wall) {
+    case 'front': return { x: [-space.depth, 0], y: along, z };
+    case 'rear':  return { x: [room.length, room.length + space.depth], y: along, z };
+    case 'left':  return { x: along, y: [-space.depth, 0], z };
+    default:      return { x: along, y: [room.width, room.width + space.depth], z };
+  }
+};
+
+// Whether a point on a shared wall lies inside that wall's opening
+const isInOpening = (space, pos) => {
+  const along = space.wall === 'front' || space.wall === 'rear' ? pos.y : pos.x;
+  return along >= space.openingOffset && along <= space.openingOffset + space.openingWidth &&
+    pos.z <= space.openingHeight;
+};
+
+// A new adjoining space: a room behind the wall joined by a doorway-sized opening
+export const newAdjoiningSpace = (wall, room) => {
+  const wallLength = wall === 'front' || wall === 'rear' ? room.width : room.length;
+  const width = Math.min(12, wallLength);
+  return {
+    wall,
+    depth: 12,
+    offset: 0,
+    width,
+    height: room.height,
+    openingOffset: Math.max(0, (width - 3) / 2),
+    openingWidth: Math.min(3, width),
+    openingHeight: Math.min(7, room.height),
+  };
+};
+
+// Length fields of an adjoining space, for unit conversion on export/import
+export const ADJOINING_LENGTHS = ['depth', 'offset', 'width', 'height', 'openingOffset', 'openingWidth', 'openingHeight'];
+export const mapAdjoiningLengths = (space, fn) => ({
+  ...space,
+  ...Object.fromEntries(ADJOINING_LENGTHS.map(key => [key, fn(space[key])])),
+});
+
+// Walls shared with an adjoining space are open over the opening's area; other
+// walls keep their entered percentage
+export const calcCoupledOpenings = (room, wallOpenings, adjoining) => {
+  const openings = { ...wallOpenings };
+  SURFACES.filter(wall => adjoining.some(space => space.wall === wall)).forEach(wall => {
+    const wallArea = (wall === 'front' || wall === 'rear' ? room.width : room.length) * room.height;
+    const openArea = adjoining
+      .filter(space => space.wall === wall)
+      .reduce((sum, space) => sum + space.openingWidth * Math.min(space.openingHeight, room.height), 0);
+    openings[wall] = Math.min(100, 100 * openArea / wallArea);
+  });
+  return openings;
+};
+
+// Voxel grid over the room and any adjoining spaces, with cells marked active
+// inside them. The main room's walls fall on cell faces; faces on a shared wall
+// are blocked except inside its opening. Spacing gives about six cells per
+// wavelength at maxFreq, capped for speed.
+export const buildSolverGrid = (room, shape, maxFreq, c, adjoining = []) => {
+  const polygon = calcFloorPlan(room, shape);
+  const boxes = adjoining.map(space => calcAdjoiningBox(space, room));
+  const extent = (axis, low, high) => [
+    Math.min(low, ...boxes.map(b => b[axis][0])),
+    Math.max(high, ...boxes.map(b => b[axis][1])),
+  ];
+  const span = { x: extent('x', 0, room.length), y: extent('y', 0, room.width), z: extent('z', 0, room.height) };
+
+  let h = c / maxFreq / 6;
+  const cellsAt = (spacing) =>
+    Math.ceil((span.x[1] - span.x[0]) / (room.length / Math.max(4, Math.round(room.length / spacing)))) *
+    Math.ceil((span.y[1] - span.y[0]) / (room.width / Math.max(4, Math.round(room.width / spacing)))) *
+    Math.ceil((span.z[1] - span.z[0]) / (room.height / Math.max(3, Math.round(room.height / spacing))));
+  while (cellsAt(h) > 20000) h *= 1.1;
+
+  const hx = room.length / Math.max(4, Math.round(room.length / h));
+  const hy = room.width / Math.max(4, Math.round(room.width / h));
+  const hz = room.height / Math.max(3, Math.round(room.height / h));
+  // Whole cells outside the main room, so its walls stay on cell faces
+  const origin = {
+    x: -Math.round(-span.x[0] / hx) * hx,
+    y: -Math.round(-span.y[0] / hy) * hy,
+    z: 0,
+  };
+  const nx = Math.round((span.x[1] - origin.x) / hx);
+  const ny = Math.round((span.y[1] - origin.y) / hy);
+  const nz = Math.round(span.z[1] / hz);
+  const grid = { nx, ny, nz, hx, hy, hz, origin };
+
+  // Region per cell: 0 outside, 1 main room, 2 + i adjoining space i
+  const region = new Uint8Array(nx * ny * nz);
+  const cellPos = (ix, iy, iz) => ({
+    x: origin.x + (ix + 0.5) * hx, y: origin.y + (iy + 0.5) * hy, z: origin.z + (iz + 0.5) * hz,
+  });
+  const inBox = (pos, b) => pos.x > b.x[0] && pos.x < b.x[1] && pos.y > b.y[0] && pos.y < b.y[1] && pos.z < b.z[1];
+  let mainCells = 0;
+  for (let iz = 0; iz < nz; iz++) {
+    for (let iy = 0; iy < ny; iy++) {
+      for (let ix = 0; ix < nx; ix++) {
+        const pos = cellPos(ix, iy, iz);
+        const flat = ix + nx * (iy + ny * iz);
+        if (isInsideRoom(pos, room, shape, polygon)) {
+          region[flat] = 1;
+          mainCells++;
+        } else {
+          const i = boxes.findIndex(b => inBox(pos, b));
+          if (i >= 0) region[flat] = 2 + i;
+        }
+      }
+    }
+  }
+
+  const active = new Uint8Array(nx * ny * nz);
+  const blocked = new Uint8Array(nx * ny * nz);
+  const strides = [1, nx, nx * ny];
+  const sizes = [nx, ny, nz];
+  let cellCount = 0;
+  for (let iz = 0; iz < nz; iz++) {
+    for (let iy = 0; iy < ny; iy++) {
+      for (let ix = 0; ix < nx; ix++) {
+        const flat = ix + nx * (iy + ny * iz);
+        if (!region[flat]) continue;
+        active[flat] = 1;
+        cellCount++;
+        [ix, iy, iz].forEach((index, axis) => {
+          if (index + 1 >= sizes[axis]) return;
+          const other = region[flat + strides[axis]];
+          if (!other || other === region[flat]) return;
+          // Faces between regions are wall unless inside the adjoining space's opening
+          const space = adjoining[Math.max(region[flat], other) - 2];
+          const face = cellPos(ix, iy, iz);
+          face[['x', 'y', 'z'][axis]] += [hx, hy, hz][axis] / 2;
+          if (Math.min(region[flat], other) !== 1 || !isInOpening(space, face)) blocked[flat] |= 1 << axis;
+        });
+      }
+    }
+  }
+
+  return {
+    grid,
+    active,
+    blocked,
+    polygon,
+    boxes,
+    volume: mainCells * hx * hy * hz,
+    totalVolume: cellCount * hx * hy * hz,
+  };
+};
+
+// Turn a solver eigenvector into a mode usable everywhere analytic modes are.
+// Equivalent (n, m, l) indices come from the share of the mode's gradient energy
+// along each axis, so labels, mode types and wall-opening effects still apply.
+export const toNumericMode = (solved, room, grid, active, c = SPEED_OF_SOUND) => {
+  const k = 2 * Math.PI * solved.freq / c;
+  const [n, m, l] = [room.length, room.width, room.height].map((size, axis) =>
+    Math.round(Math.sqrt(solved.fraction[axis]) * k * size / Math.PI)
+  );
+  const indices = n + m + l > 0 ? [n, m, l] : [1, 0, 0];
+  const { type, level } = getModeType(...indices);
+  let sumSquares = 0;
+  let cells = 0;
+  solved.shape.forEach((value, i) => {
+    if (active[i]) {
+      sumSquares += value * value;
+      cells++;
+    }
+  });
+  return {
+    n: indices[0], m: indices[1], l: indices[2],
+    freq: solved.freq, type, level,
+    numeric: true,
+    fraction: solved.fraction,
+    shape: solved.shape,
+    grid,
+    norm: sumSquares / cells,
+  };
+};
+
+// Trilinear interpolation of a numeric mode shape, using only cells inside the room
+const sampleModeShape = (mode, pos) => {
+  const { shape, grid } = mode;
+  const { nx, ny, nz, hx, hy, hz } = grid;
+  const origin = grid.origin || { x: 0, y: 0, z: 0 };
+  const fx = Math.max(0, Math.min(nx - 1, (pos.x - origin.x) / hx - 0.5));
+  const fy = Math.max(0, Math.min(ny - 1, (pos.y - origin.y) / hy - 0.5));
+  const fz = Math.max(0, Math.min(nz - 1, (pos.z - origin.z) / hz - 0.5));
+  const x0 = Math.floor(fx), y0 = Math.floor(fy), z0 = Math.floor(fz);
+  let sum = 0;
+  let weight = 0;
+  for (let dz = 0; dz <= 1; dz++) {
+    for (let dy = 0; dy <= 1; dy++) {
+      for (let dx = 0; dx <= 1; dx++) {
+        const ix = Math.min(nx - 1, x0 + dx);
+        const iy = Math.min(ny - 1, y0 + dy);
+        const iz = Math.min(nz - 1, z0 + dz);
+        const value = shape[ix + nx * (iy + ny * iz)];
+        if (value === 0) continue; // outside the room
+        const w = (dx ? fx - x0 : 1 - (fx - x0)) * (dy ? fy - y0 : 1 - (fy - y0)) * (dz ? fz - z0 : 1 - (fz - z0));
+        sum += w * value;
+        weight += w;
+      }
+    }
+  }
+  return weight > 0 ? sum / weight : 0;
+};
+
+// ============== PRESSURE FIELD ==============
+
+// Planes a slice can lie in, at `at` along the remaining axis. Rows and columns run
+// as the views show them: the top view ('z') has rows front to rear and columns left
+// to right; the side ('y') and front ('x') elevations have rows ceiling to floor.
+const SLICE_PLANES = {
+  z: { rows: 'length', cols: 'width', pos: (r, c, at) => ({ x: r, y: c, z: at }) },
+  y: { rows: 'height', cols: 'length', flipRows: true, pos: (r, c, at) => ({ x: c, y: at, z: r }) },
+  x: { rows: 'height', cols: 'width', flipRows: true, pos: (r, c, at) => ({ x: at, y: c, z: r }) },
+};
+
+// Sample a plane through the room on a grid with about `resolution` cells along
+// its longer side. valueAt(pos) returns [re, im]; cells outside the room are NaN.
+// Cell (i, j) is row i, column j, stored at i * ny + j (nx rows, ny columns).
+const sampleSlice = (room, { plane = 'z', at, resolution = 48, isInside = () => true }, valueAt) => {
+  const { rows, cols, flipRows, pos: toPos } = SLICE_PLANES[plane];
+  const scale = resolution / Math.max(room[rows], room[cols]);
+  const nx = Math.max(2, Math.round(room[rows] * scale));
+  const ny = Math.max(2, Math.round(room[cols] * scale));
+  const re = new Float32Array(nx * ny);
+  const im = new Float32Array(nx * ny);
+  for (let i = 0; i < nx; i++) {
+    const row = ((flipRows ? nx - i - 0.5 : i + 0.5) * room[rows]) / nx;
+    for (let j = 0; j < ny; j++) {
+      const pos = toPos(row, ((j + 0.5) * room[cols]) / ny, at);
+      const index = i * ny + j;
+      if (!isInside(pos)) {
+        re[index] = NaN;
+        im[index] = NaN;
+        continue;
+      }
+      [re[index], im[index]] = valueAt(pos);
+    }
+  }
+  return { nx, ny, re, im };
+};
+
+// Complex pressure from every speaker (through bass management) over a slice, at
+// the first frequency of the basis
+export const calcFrequencySlice = (speakers, basis, settings, options) => {
+  const sources = toManagedSources(speakers, settings);
+  return sampleSlice(basis.room, options, pos => {
+    const { re, im } = calcComplexResponse(sources, pos, basis);
+    return [re[0], im[0]];
+  });
+};
+
+// One mode's shape over a slice (real, from −1 to +1)
+export const calcModeSlice = (mode, room, options) =>
+  sampleSlice(room, options, pos => [calcPressureWithSign(pos, mode, room), 0]);
+
+// Contour lines of a sampled slice at `level` (marching squares between cell
+// centers). Returns segments [i1, j1, i2, j2] in cell units; with level 0 on a
+// mode shape these are its nodal lines.
+export const calcContourSegments = ({ nx, ny, re }, level = 0) => {
+  const segments = [];
+  const at = (i, j) => re[i * ny + j] - level;
+  // Point on the edge between two corners where the value crosses the level
+  const cross = (i1, j1, v1, i2, j2, v2) => {
+    const t = v1 / (v1 - v2);
+    return [i1 + t * (i2 - i1), j1 + t * (j2 - j1)];
+  };
+  for (let i = 0; i < nx - 1; i++) {
+    for (let j = 0; j < ny - 1; j++) {
+      const v = [at(i, j), at(i, j + 1), at(i + 1, j + 1), at(i + 1, j)];
+      if (v.some(Number.isNaN)) continue;
+      const corners = [[i, j], [i, j + 1], [i + 1, j + 1], [i + 1, j]];
+      const points = [];
+      for (let k = 0; k < 4; k++) {
+        const a = v[k];
+        const b = v[(k + 1) % 4];
+        if ((a < 0) !== (b < 0)) points.push(cross(...corners[k], a, ...corners[(k + 1) % 4], b));
+      }
+      // Two crossings: one segment; four (a saddle): pair them up in order
+      for (let k = 0; k + 1 < points.length; k += 2) segments.push([...points[k], ...points[k + 1]]);
+    }
+  }
+  return segments;
+};
+
+// Outline of the room for 3D views, as polylines of { x, y, z } points: the floor
+// plan, the ceiling following its profile, the corners, the wall openings (centered,
+// full height, as wide as the entered percentage; or an adjoining space's real
+// opening) and the adjoining spaces' boxes
+export const calcRoomWireframe = (room, shape, wallOpenings, adjoining = []) => {
+  const polygon = calcFloorPlan(room, shape);
+  const ceilingAt = (x, y) => calcCeilingHeight(x, y, room, shape.ceiling);
+  const steps = shape.ceiling.profile === 'flat' ? 1 : 12;
+  const edges = [];
+  const ceiling = [];
+  polygon.forEach(([x1, y1], i) => {
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    edges.push([{ x: x1, y: y1, z: 0 }, { x: x2, y: y2, z: 0 }]);
+    edges.push([{ x: x1, y: y1, z: 0 }, { x: x1, y: y1, z: ceilingAt(x1, y1) }]);
+    for (let k = 0; k < steps; k++) {
+      const x = x1 + ((x2 - x1) * k) / steps;
+      const y = y1 + ((y2 - y1) * k) / steps;
+      ceiling.push({ x, y, z: ceilingAt(x, y) });
+    }
+  });
+  edges.push([...ceiling, ceiling[0]]);
+  if (shape.ceiling.profile === 'cathedral') {
+    const ridge = Array.from({ length: 21 }, (_, k) => (shape.ceiling.axis === 'length'
+      ? { x: room.length / 2, y: (room.width * k) / 20 }
+      : { x: (room.length * k) / 20, y: room.width / 2 }))
+      .filter(p => isInsidePolygon(p.x, p.y, polygon))
+      .map(p => ({ ...p, z: room.height }));
+    if (ridge.length > 1) edges.push(ridge);
+  }
+
+  // Rectangle on a wall: `along` from the left (front/rear) or front (left/right) wall
+  const wallRect = (wall, [a1, a2], z2) => {
+    const fixed = { front: 0, rear: room.length, left: 0, right: room.width }[wall];
+    const at = (along, z) => (wall === 'front' || wall === 'rear' ? { x: fixed, y: along, z } : { x: along, y: fixed, z });
+    return [at(a1, 0), at(a2, 0), at(a2, z2), at(a1, z2), at(a1, 0)];
+  };
+  const openings = [];
+  ['front', 'rear', 'left', 'right'].forEach(wall => {
+    const spaces = adjoining.filter(space => space.wall === wall);
+    if (spaces.length > 0) {
+      spaces.forEach(space => openings.push(wallRect(wall, [space.openingOffset, space.openingOffset + space.openingWidth], Math.min(space.openingHeight, room.height))));
+      return;
+    }
+    const percent = wallOpenings[wall] || 0;
+    if (percent <= 0) return;
+    const wallLength = wall === 'front' || wall === 'rear' ? room.width : room.length;
+    const width = (wallLength * percent) / 100;
+    openings.push(wallRect(wall, [(wallLength - width) / 2, (wallLength + width) / 2], room.height));
+  });
+
+  const spaces = adjoining.map(space => {
+    const box = calcAdjoiningBox(space, room);
+    const corner = (i, j, k) => ({ x: box.x[i], y: box.y[j], z: box.z[k] });
+    return [
+      [corner(0, 0, 0), corner(1, 0, 0), corner(1, 1, 0), corner(0, 1, 0), corner(0, 0, 0)],
+      [corner(0, 0, 1), corner(1, 0, 1), corner(1, 1, 1), corner(0, 1, 1), corner(0, 0, 1)],
+      ...[[0, 0], [1, 0], [1, 1], [0, 1]].map(([i, j]) => [corner(i, j, 0), corner(i, j, 1)]),
+    ];
+  }).flat();
+
+  return { edges, openings, spaces };
+};
+
+// ============== SEATING ==============
+
+export const DEFAULT_SEAT_TEMPLATE = {
+  rows: 2,
+  seatsPerRow: 3,
+  seatSpacing: 2.0,   // ft, center to center across the room
+  rowSpacing: 3.5,    // ft, front row to back row
+  firstRow: 9,        // ft from front wall
+  earHeight: 3.5,     // ft, first row
+  riser: 0.6,         // ft added to ear height per row behind the first
+};
+
+// Rows of seats centered across the room's width, first row nearest the front
+export const generateSeatGrid = (template, room) => {
+  const seats = [];
+  for (let row = 0; row < template.rows; row++) {
+    for (let col = 0; col < template.seatsPerRow; col++) {
+      seats.push({
+        name: `Row ${row + 1} Seat ${col + 1}`,
+        x: template.firstRow + row * template.rowSpacing,
+        y: room.width / 2 + (col - (template.seatsPerRow - 1) / 2) * template.seatSpacing,
+        z: template.earHeight + row * template.riser,
+        row,
+      });
+    }
+  }
+  return seats;
+};
+
+// ============== SUBWOOFER OPTIMIZER ==============
+
+// Standard deviation helper
+const standardDeviation = (arr) => {
+  const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
+  const variance = arr.reduce((sum, val) => sum + (val - mean) ** 2, 0) / arr.length;
+  return Math.sqrt(variance);
+};
+
+// Score points lost per dB of seat-to-seat standard deviation
+export const SEAT_VARIANCE_WEIGHT = 4;
+
+// Welti/Devantier-style statistics over seats: flatness of the seat-averaged
+// response (dB averaged across seats) and the mean standard deviation between
+// seats at each frequency. dBBySeat is one dB array per seat on the same grid.
+const calcSeatStatistics = (dBBySeat) => {
+  const meanDB = dBBySeat[0].map((_, i) => dBBySeat.reduce((sum, seat) => sum + seat[i], 0) / dBBySeat.length);
+  const seatStd = dBBySeat.length > 1
+    ? meanDB.reduce((sum, _, i) => sum + standardDeviation(dBBySeat.map(seat => seat[i])), 0) / meanDB.length
+    : 0;
+  const peakToPeak = Math.max(...meanDB) - Math.min(...meanDB);
+  return {
+    meanDB,
+    peakToPeak,
+    stdDev: standardDeviation(meanDB),
+    seatStd,
+    // Lower peak-to-peak = better (scaled so ±15dB → ~50 score), less for seat variance
+    overall: Math.max(0, 100 - peakToPeak * 3 - seatStd * SEAT_VARIANCE_WEIGHT),
+  };
+};
+
+// Score a subwoofer configuration on FR flatness across the seats (seats[0] is the
+// main listening position). Each sub plays through the sub model (a speaker like
+// the current sub) and the crossover settings, when given.
+export const scoreSubConfig = (subPositions, basis, seats, { sub, settings } = {}) => {
+  const transfer = calcSubTransfer(sub, settings, basis.freqs);
+  const seatFRs = seats.map(seat => {
+    const fields = subPositions.map(pos => calcSubField(pos, seat, basis, transfer));
+    return basis.freqs.map((_, i) => 20 * Math.log10(Math.hypot(
+      fields.reduce((sum, field) => sum + field.re[i], 0),
+      fields.reduce((sum, field) => sum + field.im[i], 0)
+    ) || 1e-12));
+  });
+  const stats = calcSeatStatistics(seatFRs);
+
+  return {
+    overall: stats.overall,
+    peakToPeak: stats.peakToPeak,
+    stdDev: stats.stdDev,
+    seatStd: stats.seatStd,
+    fr: basis.freqs.map((freq, i) => ({ freq, dB: stats.meanDB[i] })),
+  };
+};
+
+// Mode-by-mode details of a configuration (for the expanded view): how strongly the
+// subs together drive each mode and how much of it reaches each seat
+export const calcSubModeDetails = (subPositions, basis, seats) => {
+  const { room } = basis;
+  const maxFreq = basis.freqs[basis.freqs.length - 1];
+  return basis.modes.filter(m => m.freq > 0 && m.freq <= maxFreq).map(mode => {
+    const lpCoupling = calcPressureWithSign(seats[0], mode, room);
+    const netSubExcitation = subPositions.reduce((sum, sub) => {
+      return sum + calcPressureWithSign(sub, mode, room);
+    }, 0);
+    const effectiveImpact = Math.abs(netSubExcitation * lpCoupling);
+
+    return {
+      mode,
+      lpPressure: Math.abs(lpCoupling),
+      seatPressures: seats.map(seat => Math.abs(calcPressureWithSign(seat, mode, room))),
+      netExcitation: netSubExcitation,
+      absExcitation: Math.abs(netSubExcitation),
+      effectiveImpact,
+      isCancelled: Math.abs(netSubExcitation) < 0.2 && subPositions.length > 1,
+    };
+  });
+};
+
+const FLOOR_POSITIONS = {
+  // Corners (4)
+  FL:   { name: 'Front-Left Corner',           getPos: (r) => ({ x: 0.5, y: 0.5, z: 0 }) },
+  FR:   { name: 'Front-Right Corner',          getPos: (r) => ({ x: 0.5, y: r.width - 0.5, z: 0 }) },
+  RL:   { name: 'Rear-Left Corner',            getPos: (r) => ({ x: r.length - 0.5, y: 0.5, z: 0 }) },
+  RR:   { name: 'Rear-Right Corner',           getPos: (r) => ({ x: r.length - 0.5, y: r.width - 0.5, z: 0 }) },
+  // Front Wall (3)
+  F14:  { name: 'Front Wall 1/4 from Left',    getPos: (r) => ({ x: 0.5, y: r.width * 0.25, z: 0 }) },
+  FM:   { name: 'Front Wall Center',           getPos: (r) => ({ x: 0.5, y: r.width * 0.5, z: 0 }) },
+  F34:  { name: 'Front Wall 3/4 from Left',    getPos: (r) => ({ x: 0.5, y: r.width * 0.75, z: 0 }) },
+  // Rear Wall (3)
+  R14:  { name: 'Rear Wall 1/4 from Left',     getPos: (r) => ({ x: r.length - 0.5, y: r.width * 0.25, z: 0 }) },
+  RM:   { name: 'Rear Wall Center',            getPos: (r) => ({ x: r.length - 0.5, y: r.width * 0.5, z: 0 }) },
+  R34:  { name: 'Rear Wall 3/4 from Left',     getPos: (r) => ({ x: r.length - 0.5, y: r.width * 0.75, z: 0 }) },
+  // Left Wall (3)
+  L14:  { name: 'Left Wall 1/4 from Front',    getPos: (r) => ({ x: r.length * 0.25, y: 0.5, z: 0 }) },
+  LM:   { name: 'Left Wall Center',            getPos: (r) => ({ x: r.length * 0.5, y: 0.5, z: 0 }) },
+  L34:  { name: 'Left Wall 3/4 from Front',    getPos: (r) => ({ x: r.length * 0.75, y: 0.5, z: 0 }) },
+  // Right Wall (3)
+  Ri14: { name: 'Right Wall 1/4 from Front',   getPos: (r) => ({ x: r.length * 0.25, y: r.width - 0.5, z: 0 }) },
+  RiM:  { name: 'Right Wall Center',           getPos: (r) => ({ x: r.length * 0.5, y: r.width - 0.5, z: 0 }) },
+  Ri34: { name: 'Right Wall 3/4 from Front',   getPos: (r) => ({ x: r.length * 0.75, y: r.width - 0.5, z: 0 }) },
+};
+
+// Every standard sub position in the room (also snap targets when placing subs)
+export const getStandardSubPositions = (room) => Object.values(FLOOR_POSITIONS).map(p => p.getPos(room));
+
+// Generate all k-combinations from an array
+const combinations = (arr, k) => {
+  if (k === 1) return arr.map(x => [x]);
+  if (k === arr.length) return [arr];
+  const result = [];
+  for (let i = 0; i <= arr.length - k; i++) {
+    const head = arr[i];
+    const tailCombos = combinations(arr.slice(i + 1), k - 1);
+    for (const tail of tailCombos) {
+      result.push([head, ...tail]);
+    }
+  }
+  return result;
+};
+
+// Generate all configurations for N subs, skipping positions that fail isAllowed
+// (e.g. outside a non-rectangular floor plan)
+export const generateAllConfigurations = (numSubs, room, isAllowed = () => true) => {
+  const positionKeys = Object.keys(FLOOR_POSITIONS).filter(k => isAllowed(FLOOR_POSITIONS[k].getPos(room)));
+  if (positionKeys.length < numSubs) return [];
+  const combos = combinations(positionKeys, numSubs);
+
+  return combos.map(keys => ({
+    keys,
+    name: keys.map(k => FLOOR_POSITIONS[k].name).join(' + '),
+    positions: keys.map(k => FLOOR_POSITIONS[k].getPos(room)),
+  }));
+};
+
+// ============== POSITION SEARCH ==============
+
+// Placement zones in ft: { kind: 'keepOut' | 'allowed', x: [min, max], y: [min, max],
+// z: [min, max] }. Keep-out zones (doors, cabinets, seating) exclude subs; if any
+// allowed zones exist, subs must sit in one of them, at any height in its z range
+// (e.g. on a shelf or behind the couch).
+const isInZone = (pos, zone) =>
+  pos.x >= zone.x[0] && pos.x <= zone.x[1] &&
+  pos.y >= zone.y[0] && pos.y <= zone.y[1] &&
+  pos.z >= zone.z[0] && pos.z <= zone.z[1];
+
+export const mapZoneLengths = (zone, fn) => ({ ...zone, x: zone.x.map(fn), y: zone.y.map(fn), z: zone.z.map(fn) });
+
+export const isPlacementAllowed = (pos, zones, isInside = () => true) => {
+  if (!isInside(pos)) return false;
+  if (zones.some(zone => zone.kind === 'keepOut' && isInZone(pos, zone))) return false;
+  const allowed = zones.filter(zone => zone.kind === 'allowed');
+  return allowed.length === 0 || allowed.some(zone => isInZone(pos, zone));
+};
+
+// Without allowed zones, subs go on the floor anywhere at least WALL_INSET from the walls
+const WALL_INSET = 0.5; // ft
+
+const searchRegions = (room, zones) => {
+  const allowed = zones.filter(zone => zone.kind === 'allowed');
+  return allowed.length > 0 ? allowed : [{
+    x: [WALL_INSET, room.length - WALL_INSET],
+    y: [WALL_INSET, room.width - WALL_INSET],
+    z: [0, 0],
+  }];
+};
+
+// Evenly spaced values from min to max, both ends included, about `spacing` apart
+const spacedValues = ([min, max], spacing) => {
+  const count = Math.max(1, Math.round((max - min) / spacing)) + 1;
+  return max - min < 1e-9 ? [min] : Array.from({ length: count }, (_, i) => min + (i * (max - min)) / (count - 1));
+};
+
+// Grid of candidate positions over the search regions
+const generateCandidatePositions = (room, zones, spacing, isInside) => {
+  const seen = new Set();
+  const candidates = [];
+  searchRegions(room, zones).forEach(region => {
+    spacedValues(region.x, spacing).forEach(x => {
+      spacedValues(region.y, spacing).forEach(y => {
+        spacedValues(region.z, spacing).forEach(z => {
+          const pos = { x: roundTo(x, 2), y: roundTo(y, 2), z: roundTo(z, 2) };
+          const key = `${pos.x},${pos.y},${pos.z}`;
+          if (seen.has(key) || !isPlacementAllowed(pos, zones, isInside)) return;
+          seen.add(key);
+          candidates.push(pos);
+        });
+      });
+    });
+  });
+  return candidates;
+};
+
+// Deterministic PRNG (mulberry32) so searches repeat for the same inputs
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Fast score for a set of sub positions: the optimizer's seat statistics without
+// the mode-by-mode details. Per-position fields can be cached (grid search).
+const createPositionScorer = (basis, seats, { cache = false, sub, settings } = {}) => {
+  const transfer = calcSubTransfer(sub, settings, basis.freqs);
+  const fields = new Map();
+  const fieldsAt = (pos) => {
+    const key = `${pos.x},${pos.y},${pos.z}`;
+    if (cache && fields.has(key)) return fields.get(key);
+    const value = seats.map(seat => calcSubField(pos, seat, basis, transfer));
+    if (cache) fields.set(key, value);
+    return value;
+  };
+  let evaluated = 0;
+  const score = (positions) => {
+    evaluated++;
+    const perSub = positions.map(fieldsAt);
+    const dBBySeat = seats.map((_, s) => basis.freqs.map((_, i) => {
+      let re = 0;
+      let im = 0;
+      perSub.forEach(sub => {
+        re += sub[s].re[i];
+        im += sub[s].im[i];
+      });
+      return 20 * Math.log10(Math.hypot(re, im) || 1e-12);
+    }));
+    return calcSeatStatistics(dBBySeat).overall;
+  };
+  return { score, evaluated: () => evaluated };
+};
+
+// Where in the room a position is, by thirds of length and width (e.g. "Front-Left")
+const describePosition = (pos, room) => {
+  const third = (value, size, names) => names[Math.min(2, Math.floor((3 * value) / size))];
+  const depth = third(pos.x, room.length, ['Front', 'Mid', 'Rear']);
+  const side = third(pos.y, room.width, ['Left', 'Center', 'Right']);
+  const name = depth === 'Mid' && side === 'Center' ? 'Mid-Room' : `${depth}-${side}`;
+  return pos.z > 1 ? `${name} (raised)` : name;
+};
+
+// Canonical order so the same set of positions is recognized however it was found
+const toConfiguration = (positions, room) => {
+  const sorted = [...positions].sort((a, b) => a.x - b.x || a.y - b.y || a.z - b.z);
+  const keys = sorted.map(pos => `${roundTo(pos.x, 2)},${roundTo(pos.y, 2)},${roundTo(pos.z, 2)}`);
+  return { keys, name: sorted.map(pos => describePosition(pos, room)).join(' + '), positions: sorted };
+};
+
+// Arbitrary sub positions within the zones, by grid or evolutionary search.
+//   grid:   candidates every `spacing` ft; every combination when there are few
+//           enough, otherwise coordinate descent from several random starts
+//   evolve: continuous positions, genetic search (tournament selection, uniform
+//           crossover, Gaussian mutation that narrows over the generations)
+// Returns the best `keep` configurations (unscored) and how many were evaluated.
+// onProgress(fraction, partial) is called as the search goes; partial() returns the
+// same shape as the final result, for the configurations found so far. sub and
+// settings are the sub model and crossover, as in scoreSubConfig.
+export const searchSubPositions = (numSubs, basis, seats, {
+  room,
+  zones = [],
+  isInside = () => true,
+  method = 'grid',
+  spacing = 2,
+  keep = 20,
+  seed = 1,
+  sub,
+  settings,
+  onProgress = () => {},
+} = {}) => {
+  const random = createRandom(seed);
+  const visited = new Map();
+  const record = (positions, score) => {
+    const config = toConfiguration(positions, room);
+    const key = config.keys.join('+');
+    if (!visited.has(key)) visited.set(key, { ...config, fitness: score });
+  };
+  const finish = (evaluated) => ({
+    configs: [...visited.values()].sort((a, b) => b.fitness - a.fitness).slice(0, keep),
+    totalEvaluated: evaluated,
+  });
+
+  if (method === 'grid') {
+    const candidates = generateCandidatePositions(room, zones, spacing, isInside);
+    if (candidates.length < numSubs) return { configs: [], totalEvaluated: 0 };
+    const scorer = createPositionScorer(basis, seats, { cache: true, sub, settings });
+    const evaluate = (indices) => {
+      const positions = indices.map(i => candidates[i]);
+      const score = scorer.score(positions);
+      record(positions, score);
+      return score;
+    };
+
+    let comboCount = 1;
+    for (let i = 0; i < numSubs; i++) comboCount = comboCount * (candidates.length - i) / (i + 1);
+    const partial = () => finish(scorer.evaluated());
+    if (comboCount <= 3000) {
+      combinations(candidates.map((_, i) => i), numSubs).forEach((indices, n) => {
+        evaluate(indices);
+        if (n % 50 === 49) onProgress((n + 1) / comboCount, partial);
+      });
+      return partial();
+    }
+
+    // Coordinate descent: move one sub at a time to its best candidate until stable
+    const starts = 6;
+    for (let start = 0; start < starts; start++) {
+      const indices = [];
+      while (indices.length < numSubs) {
+        const i = Math.floor(random() * candidates.length);
+        if (!indices.includes(i)) indices.push(i);
+      }
+      let current = evaluate(indices);
+      for (let pass = 0, improved = true; improved && pass < 10; pass++) {
+        improved = false;
+        for (let slot = 0; slot < numSubs; slot++) {
+          candidates.forEach((_, i) => {
+            if (indices.includes(i)) return;
+            const trial = indices.map((j, k) => (k === slot ? i : j));
+            const score = evaluate(trial);
+            if (score > current + 1e-9) {
+              current = score;
+              indices[slot] = i;
+              improved = true;
+            }
+          });
+          onProgress((start + (pass + (slot + 1) / numSubs) / 10) / starts, partial);
+        }
+      }
+      onProgress((start + 1) / starts, partial);
+    }
+    return partial();
+  }
+
+  // Evolutionary search over continuous positions
+  const regions = searchRegions(room, zones);
+  const volumeOf = (r) => Math.max(0.1, r.x[1] - r.x[0]) * Math.max(0.1, r.y[1] - r.y[0]) * Math.max(0.1, r.z[1] - r.z[0]);
+  const totalVolume = regions.reduce((sum, r) => sum + volumeOf(r), 0);
+  const samplePosition = () => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      let pick = random() * totalVolume;
+      const region = regions.find(r => (pick -= volumeOf(r)) <= 0) || regions[regions.length - 1];
+      const pos = {
+        x: region.x[0] + random() * (region.x[1] - region.x[0]),
+        y: region.y[0] + random() * (region.y[1] - region.y[0]),
+        z: region.z[0] + random() * (region.z[1] - region.z[0]),
+      };
+      if (isPlacementAllowed(pos, zones, isInside)) return pos;
+    }
+    return null;
+  };
+  const gaussian = () => Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+
+  const scorer = createPositionScorer(basis, seats, { sub, settings });
+  const evaluate = (positions) => {
+    const fitness = scorer.score(positions);
+    record(positions, fitness);
+    return { positions, fitness };
+  };
+
+  const populationSize = 32;
+  const generations = 40;
+  let population = [];
+  for (let i = 0; i < populationSize; i++) {
+    const positions = Array.from({ length: numSubs }, samplePosition);
+    if (positions.some(pos => !pos)) return { configs: [], totalEvaluated: 0 };
+    population.push(evaluate(positions));
+  }
+  const tournament = () => {
+    const a = population[Math.floor(random() * population.length)];
+    const b = population[Math.floor(random() * population.length)];
+    return a.fitness > b.fitness ? a : b;
+  };
+
+  for (let gen = 0; gen < generations; gen++) {
+    const sigma = Math.max(0.25, spacing * (1 - gen / generations));
+    population.sort((a, b) => b.fitness - a.fitness);
+    const next = population.slice(0, 4);
+    while (next.length < populationSize) {
+      const [a, b] = [tournament(), tournament()];
+      const child = a.positions.map((pos, i) => {
+        const parent = random() < 0.5 ? pos : b.positions[i];
+        if (random() > 0.5) return parent;
+        const x = parent.x + gaussian() * sigma;
+        const y = parent.y + gaussian() * sigma;
+        // Keep the height within the range of the region the sub moved into
+        const region = regions.find(r => x >= r.x[0] && x <= r.x[1] && y >= r.y[0] && y <= r.y[1]);
+        if (!region) return parent;
+        const mutated = { x, y, z: clamp(parent.z + gaussian() * sigma * 0.5, region.z) };
+        return isPlacementAllowed(mutated, zones, isInside) ? mutated : parent;
+      });
+      next.push(evaluate(child));
+    }
+    population = next;
+    onProgress((gen + 1) / generations, () => finish(scorer.evaluated()));
+  }
+  return finish(scorer.evaluated());
+};
+
+// ============== LISTENING POSITION SWEEP ==============
+
+// Where the listener may sit: minimum distances (ft) from the front, rear and side
+// walls, and optionally only on the left-right center line
+export const DEFAULT_LISTENER_CONSTRAINTS = { front: 4, rear: 1, side: 1, centerLine: false };
+
+// Regular grid of ear positions over the floor plan. The column count is odd so one
+// column lies on the center line.
+export const listenerGrid = (room, spacing, earHeight) => {
+  const nx = Math.max(2, Math.round(room.length / spacing));
+  let ny = Math.max(3, Math.round(room.width / spacing));
+  if (ny % 2 === 0) ny++;
+  const dx = room.length / nx;
+  const dy = room.width / ny;
+  const points = [];
+  for (let i = 0; i < nx; i++) {
+    for (let j = 0; j < ny; j++) points.push({ x: (i + 0.5) * dx, y: (j + 0.5) * dy, z: earHeight });
+  }
+  return { nx, ny, dx, dy, points };
+};
+
+export const meetsListenerConstraints = (pos, room, constraints, dy = 0) =>
+  pos.x >= constraints.front && room.length - pos.x >= constraints.rear &&
+  pos.y >= constraints.side && room.width - pos.y >= constraints.side &&
+  (!constraints.centerLine || Math.abs(pos.y - room.width / 2) <= dy / 2 + 1e-9);
+
+// Bass response flatness of the current speakers (through bass management) at one
+// ear position, on the same scale as the subwoofer optimizer
+export const scoreListeningPosition = (speakers, pos, basis, settings) => {
+  const fr = toFR(calcComplexResponse(toManagedSources(speakers, settings), pos, basis));
+  const stats = calcSeatStatistics([fr.map(r => r.dB)]);
+  return {
+    overall: stats.overall,
+    peakToPeak: stats.peakToPeak,
+    stdDev: stats.stdDev,
+    level: fr.reduce((sum, r) => sum + r.dB, 0) / fr.length,
+  };
+};
+
+// Best allowed positions from a sweep, at least minSeparation ft apart so the list
+// is not one hot spot several times
+export const recommendListeningPositions = (points, count = 5, minSeparation = 2) => {
+  const ranked = points.filter(p => p.allowed).sort((a, b) => b.score.overall - a.score.overall);
+  const picks = [];
+  for (const point of ranked) {
+    if (picks.length >= count) break;
+    if (picks.every(p => Math.hypot(p.x - point.x, p.y - point.y) >= minSeparation)) picks.push(point);
+  }
+  return picks;
+};
+
+// ============== MULTI-SUB OPTIMIZER ==============
+
+// Nelder–Mead simplex minimization of f from x0 (unconstrained; clamp inside f)
+const nelderMead = (f, x0, { step = 1, maxIterations = 400, tolerance = 1e-6 } = {}) => {
+  const n = x0.length;
+  const steps = Array.isArray(step) ? step : x0.map(() => step);
+  let simplex = [x0, ...x0.map((_, i) => x0.map((v, j) => (i === j ? v + steps[i] : v)))]
+    .map(x => ({ x, value: f(x) }));
+
+  const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+  for (let iter = 0; iter < maxIterations; iter++) {
+    simplex.sort((a, b) => a.value - b.value);
+    if (Math.abs(simplex[n].value - simplex[0].value) < tolerance) break;
+
+    const centroid = x0.map((_, i) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[i], 0) / n);
+    const worst = simplex[n];
+    const reflected = combine(centroid, worst.x, -1);
+    const fr = f(reflected);
+
+    if (fr < simplex[0].value) {
+      const expanded = combine(centroid, worst.x, -2);
+      const fe = f(expanded);
+      simplex[n] = fe < fr ? { x: expanded, value: fe } : { x: reflected, value: fr };
+    } else if (fr < simplex[n - 1].value) {
+      simplex[n] = { x: reflected, value: fr };
+    } else {
+      const contracted = combine(centroid, worst.x, fr < worst.value ? -0.5 : 0.5);
+      const fc = f(contracted);
+      if (fc < Math.min(fr, worst.value)) {
+        simplex[n] = { x: contracted, value: fc };
+      } else {
+        // Shrink toward the best point
+        simplex = simplex.map((p, i) => (i === 0 ? p : { x: combine(simplex[0].x, p.x, 0.5), value: NaN }));
+        simplex.forEach(p => { if (Number.isNaN(p.value)) p.value = f(p.x); });
+      }
+    }
+  }
+  simplex.sort((a, b) => a.value - b.value);
+  return simplex[0];
+};
+
+// Search ranges for per-sub settings and the shared EQ
+const MSO_LIMITS = {
+  gain: [-12, 6],      // dB
+  delay: [-15, 15],    // ms, relative to sub 1
+  eqGain: [-15, 3],    // dB
+  eqQ: [0.5, 10],
+};
+
+// Per-sub gain, delay and polarity (and optionally one shared PEQ band) for a fixed
+// set of positions, minimizing the spread of the seat-averaged response over the
+// basis's range and the variation between seats. Each polarity combination is searched with Nelder–Mead from a few starts;
+// sub 1 is the reference (0 dB, 0 ms, normal polarity) and delays are shifted so the
+// earliest sub has none. The EQ band is then added, starting on the worst peak.
+// Every sub plays through the sub model and crossover, as in scoreSubConfig.
+export const optimizeMultiSub = (positions, seats, basis, { eq = false, sub, settings: crossover } = {}) => {
+  const { freqs } = basis;
+  const transfer = calcSubTransfer(sub, crossover, freqs);
+  // fields[seat][sub]
+  const fields = seats.map(seat => positions.map(pos => calcSubField(pos, seat, basis, transfer)));
+  const [fMin, fMax] = [freqs[0], freqs[freqs.length - 1]];
+  const octaves = Math.log2(fMax / fMin);
+  const others = positions.length - 1;
+
+  // x = [gain₂, delay₂, gain₃, delay₃, …, (eq octaves above fMin, eq gain, eq Q)]
+  const decode = (x, polarities) => ({
+    settings: positions.map((_, i) => i === 0
+      ? { gain: 0, delay: 0, invert: false }
+      : {
+        gain: clamp(x[2 * (i - 1)], MSO_LIMITS.gain),
+        delay: clamp(x[2 * (i - 1) + 1], MSO_LIMITS.delay),
+        invert: polarities[i],
+      }),
+    eq: x.length > 2 * others ? {
+      freq: fMin * Math.pow(2, clamp(x[2 * others], [0, octaves])),
+      gain: clamp(x[2 * others + 1], MSO_LIMITS.eqGain),
+      q: clamp(x[2 * others + 2], MSO_LIMITS.eqQ),
+    } : null,
+  });
+
+  const seatResponse = (seatFields, { settings, eq: band }) => freqs.map((f, k) => {
+    let re = 0;
+    let im = 0;
+    settings.forEach(({ gain, delay, invert }, i) => {
+      const amp = (invert ? -1 : 1) * Math.pow(10, gain / 20);
+      const phase = -2 * Math.PI * f * delay / 1000;
+      const c = Math.cos(phase);
+      const s = Math.sin(phase);
+      re += amp * (seatFields[i].re[k] * c - seatFields[i].im[k] * s);
+      im += amp * (seatFields[i].re[k] * s + seatFields[i].im[k] * c);
+    });
+    const h = band ? evalPeakingEQ(band, f) : { re: 1, im: 0 };
+    return 20 * Math.log10(Math.hypot(h.re, h.im) * Math.hypot(re, im) || 1e-12);
+  });
+  const response = (decoded) => calcSeatStatistics(fields.map(seatFields => seatResponse(seatFields, decoded)));
+
+  // Spread around the mean plus a little peak-to-peak, so single deep notches still
+  // count, plus the variation between seats
+  const cost = ({ stdDev, peakToPeak, seatStd }) => stdDev + 0.1 * peakToPeak + seatStd;
+  const search = (x0, step, polarities) => x0.length === 0
+    ? { x: x0, value: cost(response(decode(x0, polarities))) }
+    : nelderMead(x => cost(response(decode(x, polarities))), x0, { step });
+
+  let best = null;
+  const subSteps = Array.from({ length: others }, () => [3, 3]).flat();
+  for (let mask = 0; mask < 2 ** others; mask++) {
+    const polarities = positions.map((_, i) => i > 0 && ((mask >> (i - 1)) & 1) === 1);
+    [0, 5, -5].forEach(delay => {
+      const x0 = Array.from({ length: others }, () => [0, delay]).flat();
+      const result = search(x0, subSteps, polarities);
+      if (!best || result.value < best.value) best = { ...result, polarities };
+    });
+  }
+
+  if (eq) {
+    const dB = response(decode(best.x, best.polarities)).meanDB;
+    const mean = dB.reduce((a, b) => a + b, 0) / dB.length;
+    const peak = dB.indexOf(Math.max(...dB));
+    const starts = [
+      [Math.log2(freqs[peak] / fMin), -(dB[peak] - mean), 4],
+      [octaves / 2, 0, 2],
+    ];
+    starts.forEach(eqStart => {
+      const result = search([...best.x, ...eqStart], [...subSteps, 0.3, 3, 1], best.polarities);
+      if (result.value < best.value) best = { ...result, polarities: best.polarities };
+    });
+  }
+
+  const decoded = decode(best.x, best.polarities);
+  const earliest = Math.min(...decoded.settings.map(st => st.delay));
+  const settings = decoded.settings.map(st => ({
+    gain: roundTo(st.gain, 1),
+    delay: roundTo(st.delay - earliest, 2),
+    invert: st.invert,
+  }));
+  const eqBand = decoded.eq && {
+    freq: roundTo(decoded.eq.freq, 1),
+    gain: roundTo(decoded.eq.gain, 1),
+    q: roundTo(decoded.eq.q, 2),
+  };
+  const stats = response({ settings, eq: eqBand });
+  return {
+    settings,
+    eq: eqBand,
+    fr: freqs.map((freq, i) => ({ freq, dB: stats.meanDB[i] })),
+    peakToPeak: stats.peakToPeak,
+    stdDev: stats.stdDev,
+    seatStd: stats.seatStd,
+    overall: stats.overall,
+  };
+};
+
+// ============== MODEL CALIBRATION ==============
+
+// Corrections fitted to measurements: effective room dimensions (factors on the
+// entered ones), strength of the wall openings (factor), absorption per surface
+// (factors) and speaker gains (dB, by speaker name)
+export const NEUTRAL_CALIBRATION = {
+  scale: { length: 1, width: 1, height: 1 },
+  openings: 1,
+  damping: Object.fromEntries(SURFACES.map(surface => [surface, 1])),
+  gains: {},
+};
+
+const CALIBRATION_LIMITS = {
+  scale: [0.85, 1.15],
+  openings: [0, 2],
+  damping: [0.25, 4],
+  gain: [-15, 15],   // dB
+};
+
+const DIMENSIONS = ['length', 'width', 'height'];
+
+export const calibrateRoom = (room, { scale }) =>
+  Object.fromEntries(DIMENSIONS.map(dim => [dim, room[dim] * scale[dim]]));
+
+export const calibrateVolume = (volume, { scale }) => volume * scale.length * scale.width * scale.height;
+
+// Numerically solved modes move by their share of energy along each axis
+export const calibrateModes = (modes, { scale }) => modes && modes.map(mode => mode.fraction
+  ? { ...mode, freq: mode.freq * Math.sqrt(DIMENSIONS.reduce((sum, dim, axis) => sum + mode.fraction[axis] / scale[dim] ** 2, 0)) }
+  : mode);
+
+export const calibrateOpenings = (openings, calibration) =>
+  Object.fromEntries(Object.entries(openings).map(([wall, percent]) => [wall, clamp(percent * calibration.openings, [0, 95])]));
+
+export const calibrateAbsorption = (absorption, { damping }) => ({
+  ...absorption,
+  ...Object.fromEntries(SURFACES.map(surface => [surface, absorption[surface].map(a => Math.min(1, a * damping[surface]))])),
+});
+
+export const calibrateSpeakers = (speakers, { gains }) =>
+  speakers.map(speaker => ({ ...speaker, powerOffset: (speaker.powerOffset || 0) + (gains[speaker.name] || 0) }));
+
+// Misfit beyond this (dB) counts no more, so a null a few Hz off doesn't dominate
+const CALIBRATION_CLIP = 12;
+// Analysis resolution for fitting (points per octave)
+const CALIBRATION_RESOLUTION = 12;
+
+// Fit the calibration to measurements [{ name, position, speakers, fr }] (speakers: indices
+// of the speakers playing, or null for all; fr smoothed) by Nelder–Mead on the RMS
+// dB error over freqRange, after removing the one level offset between measured SPL
+// and the model's relative dB. The dimensions start from the best of a coarse grid.
+// model: { room, surfaces, furnishings, treatments, openings, speedOfSound, modes
+// (numeric or null), volume, speakers, settings (crossover), freqRange }
+export const calibrateModel = (measurements, model, { onProgress } = {}) => {
+  const { room, speakers, settings, freqRange } = model;
+  const freqs = logFrequencyGrid(freqRange[0], freqRange[1], CALIBRATION_RESOLUTION);
+  const targets = measurements.map(m => freqs.map(f => interpolateDB(m.fr, f)));
+  if (targets.every(target => target.every(dB => dB === null))) {
+    throw new Error(`No measurement covers ${freqRange[0]}–${freqRange[1]} Hz`);
+  }
+  const playing = measurements.map(m => m.speakers || speakers.map((_, i) => i));
+  const fitted = speakers.map((_, i) => playing.some(list => list.includes(i)));
+  const gainIndices = speakers.map((_, i) => i).filter(i => fitted[i]);
+
+  // x = [ln scale × 3, openings, ln damping × 6, gain per fitted speaker]
+  const decode = (x) => ({
+    scale: Object.fromEntries(DIMENSIONS.map((dim, i) => [dim, clamp(Math.exp(x[i]), CALIBRATION_LIMITS.scale)])),
+    openings: clamp(x[3], CALIBRATION_LIMITS.openings),
+    damping: Object.fromEntries(SURFACES.map((surface, i) => [surface, clamp(Math.exp(x[4 + i]), CALIBRATION_LIMITS.damping)])),
+    gains: Object.fromEntries(gainIndices.map((index, i) => [speakers[index].name, clamp(x[10 + i], CALIBRATION_LIMITS.gain)])),
+  });
+
+  const predict = (calibration) => {
+    const basis = buildModalBasis(calibrateRoom(room, calibration), {
+      freqRange,
+      pointsPerOctave: CALIBRATION_RESOLUTION,
+      damping: {
+        absorption: calibrateAbsorption(calcSurfaceAbsorption(model.surfaces, model.furnishings, calibrateOpenings(model.openings, calibration)), calibration),
+        treatments: model.treatments,
+      },
+      speedOfSound: model.speedOfSound,
+      modes: calibrateModes(model.modes, calibration),
+      volume: calibrateVolume(model.volume, calibration),
+    });
+    const sources = toManagedSources(calibrateSpeakers(speakers, calibration), settings);
+    return measurements.map((m, k) =>
+      toFR(calcComplexResponse(playing[k].map(i => sources[i]), m.position, basis)).map(p => p.dB)
+    );
+  };
+
+  const evaluate = (calibration) => {
+    const predicted = predict(calibration);
+    const diffs = targets.map((target, k) => target.map((dB, i) => (dB === null ? null : dB - predicted[k][i])));
+    const all = diffs.flat().filter(d => d !== null);
+    const offset = all.reduce((a, b) => a + b, 0) / all.length;
+    const rms = (list) => {
+      const valid = list.filter(d => d !== null);
+      if (valid.length === 0) return null;
+      return Math.sqrt(valid.reduce((sum, d) => sum + clamp(d - offset, [-CALIBRATION_CLIP, CALIBRATION_CLIP]) ** 2, 0) / valid.length);
+    };
+    return { residual: rms(all), perMeasurement: diffs.map(rms), offset };
+  };
+
+  // Small pull toward the entered model for parameters the data can't pin down
+  const x0 = [0, 0, 0, 1, ...SURFACES.map(() => 0), ...gainIndices.map(() => 0)];
+  const penalty = (x) =>
+    20 * (x[0] ** 2 + x[1] ** 2 + x[2] ** 2) + 0.5 * (x[3] - 1) ** 2 +
+    0.05 * x.slice(4, 10).reduce((sum, v) => sum + v * v, 0) +
+    0.002 * x.slice(10).reduce((sum, v) => sum + v * v, 0);
+
+  const budget = 27 + 2 * 60 * x0.length;
+  let evaluated = 0;
+  const cost = (x) => {
+    evaluated++;
+    if (onProgress && evaluated % 10 === 0) onProgress(Math.min(0.99, evaluated / budget), evaluated);
+    return evaluate(decode(x)).residual + penalty(x);
+  };
+
+  let start = { x: x0, value: cost(x0) };
+  [-0.05, 0, 0.05].forEach(l => [-0.05, 0, 0.05].forEach(w => [-0.05, 0, 0.05].forEach(h => {
+    const x = [l, w, h, ...x0.slice(3)];
+    const value = cost(x);
+    if (value < start.value) start = { x, value };
+  })));
+  const steps = [0.03, 0.03, 0.03, 0.3, ...SURFACES.map(() => 0.4), ...gainIndices.map(() => 2)];
+  let best = nelderMead(cost, start.x, { step: steps, maxIterations: 60 * x0.length, tolerance: 1e-4 });
+  // Restart once: Nelder–Mead often stalls in this many dimensions
+  best = nelderMead(cost, best.x, { step: steps.map(v => v / 2), maxIterations: 60 * x0.length, tolerance: 1e-4 });
+
+  const raw = decode(best.x);
+  const calibration = {
+    scale: Object.fromEntries(DIMENSIONS.map(dim => [dim, roundTo(raw.scale[dim], 4)])),
+    openings: roundTo(raw.openings, 3),
+    damping: Object.fromEntries(SURFACES.map(surface => [surface, roundTo(raw.damping[surface], 3)])),
+    gains: Object.fromEntries(Object.entries(raw.gains).map(([name, gain]) => [name, roundTo(gain, 1)])),
+  };
+  const before = evaluate(NEUTRAL_CALIBRATION);
+  const after = evaluate(calibration);
+  return {
+    calibration,
+    evaluated,
+    residual: { before: before.residual, after: after.residual },
+    perMeasurement: after.perMeasurement.map((residual, k) => ({ name: measurements[k].name, before: before.perMeasurement[k], after: residual })),
+    offset: after.offset,
+  };
+};
+
+// ============== AUTO EQ ==============
+
+// EQ channels and their seat-averaged responses (mean dB over the seats): the subs
+// share one channel, each main speaker has its own
+export const calcEQChannels = (speakers, seats, basis, settings) => {
+  const sources = toManagedSources(speakers, settings);
+  const average = (group) => {
+    const bySeat = seats.map(seat => toFR(calcComplexResponse(group, seat, basis)).map(p => p.dB));
+    return basis.freqs.map((freq, i) => ({ freq, dB: bySeat.reduce((sum, dB) => sum + dB[i], 0) / bySeat.length }));
+  };
+  const subs = sources.filter(src => getSpeakerRole(src) === 'sub');
+  return [
+    ...(subs.length > 0 ? [{ key: 'sub', name: 'Subwoofers', role: 'sub', fr: average(subs) }] : []),
+    ...sources
+      .map((src, i) => ({ src, i }))
+      .filter(({ src }) => getSpeakerRole(src) !== 'sub')
+      .map(({ src, i }) => ({ key: `main-${i}`, name: src.name, role: 'main', fr: average([src]) })),
+  ];
+};
+
+export const AUTO_EQ_DEFAULTS = {
+  maxFilters: 6,
+  maxBoost: 3,     // dB
+  maxCut: -15,     // dB
+  minQ: 0.5,
+  maxQ: 10,
+  nullDepth: 6,    // dB below the 1/3-octave smoothed response counts as a null
+};
+
+// Weights, against the squared error, on any cut that lands on a null and on
+// overlapping boosts that add up past maxBoost
+const NULL_CUT_WEIGHT = 10;
+const EXCESS_BOOST_WEIGHT = 10;
+
+// Summed gain (dB) of peaking filters at a frequency
+const eqGainAt = (filters, freq) => filters.reduce((sum, band) => {
+  const h = evalPeakingEQ(band, freq);
+  return sum + 10 * Math.log10(h.re * h.re + h.im * h.im);
+}, 0);
+
+export const applyEQ = (fr, filters) => fr.map(p => ({ ...p, dB: p.dB + eqGainAt(filters, p.freq) }));
+
+// Parametric EQ for one channel against a target (both on the same grid), within
+// freqRange. Filters are added one at a time on the largest remaining deviation,
+// peaks first, each tuned by Nelder–Mead (a deviation one filter can't improve is
+// passed over for the next), then all are tuned together. Boosts are capped at
+// maxBoost and never aimed at nulls: narrow dips that are cancellation,
+// which no amount of gain fills. A cut that reaches into a null only deepens it,
+// so the misfit charges for every dB a null is lowered. Before and after are the
+// RMS deviation over every point in range, nulls included.
+export const designAutoEQ = (fr, target, freqRange, options = {}) => {
+  const { maxFilters, maxBoost, maxCut, minQ, maxQ, nullDepth } = { ...AUTO_EQ_DEFAULTS, ...options };
+  const inRange = fr.map(p => p.freq >= freqRange[0] && p.freq <= freqRange[1]);
+  const smoothed = smoothFR(fr, 'third');
+  const isNull = fr.map((p, i) => p.dB < smoothed[i].dB - nullDepth);
+  const used = fr.map((_, i) => inRange[i] && !isNull[i]);
+  const count = inRange.filter(Boolean).length;
+  if (used.filter(Boolean).length < 3) return { filters: [], before: 0, after: 0, nulls: [] };
+
+  const gainsWith = (filters) => fr.map(p => eqGainAt(filters, p.freq));
+  // Misfit over the points in range: the error from the target away from nulls,
+  // where what sits above the target counts more so the design leans on cuts, any
+  // cut at a null and any total boost past maxBoost
+  const misfit = (filters) => {
+    const gains = gainsWith(filters);
+    const sum = fr.reduce((acc, p, i) => {
+      if (!inRange[i]) return acc;
+      const excess = EXCESS_BOOST_WEIGHT * Math.max(0, gains[i] - maxBoost) ** 2;
+      if (isNull[i]) return acc + excess + NULL_CUT_WEIGHT * Math.min(0, gains[i]) ** 2;
+      const e = p.dB + gains[i] - target[i].dB;
+      return acc + excess + (e > 0 ? 1.5 : 1) * e * e;
+    }, 0);
+    return Math.sqrt(sum / count);
+  };
+  const rms = (filters) => {
+    const gains = gainsWith(filters);
+    return Math.sqrt(fr.reduce((acc, p, i) => (inRange[i] ? acc + (p.dB + gains[i] - target[i].dB) ** 2 : acc), 0) / count);
+  };
+  const errorWith = (filters) => {
+    const gains = gainsWith(filters);
+    return fr.map((p, i) => p.dB + gains[i] - target[i].dB);
+  };
+
+  const [fLo, fHi] = [Math.max(freqRange[0], fr[0].freq), Math.min(freqRange[1], fr[fr.length - 1].freq)];
+  // x = [log2(freq / fLo), gain, ln Q] per filter, kept continuous while tuning
+  const decodeBand = (x, k) => ({
+    freq: fLo * 2 ** clamp(x[3 * k], [0, Math.log2(fHi / fLo)]),
+    gain: clamp(x[3 * k + 1], [maxCut, maxBoost]),
+    q: clamp(Math.exp(x[3 * k + 2]), [minQ, maxQ]),
+  });
+  const decode = (x) => Array.from({ length: x.length / 3 }, (_, k) => decodeBand(x, k));
+  const encode = (band) => [Math.log2(band.freq / fLo), band.gain, Math.log(band.q)];
+
+  let filters = [];
+  let current = misfit(filters);
+  // Points around deviations a filter didn't help, left out of later picks
+  const tried = fr.map(() => false);
+  while (filters.length < maxFilters) {
+    const error = errorWith(filters);
+    const open = (i) => used[i] && !tried[i];
+    // Largest peak above the target, else the deepest fillable dip below it
+    let pick = -1;
+    error.forEach((e, i) => { if (open(i) && e > 1 && (pick < 0 || e > error[pick])) pick = i; });
+    if (pick < 0) {
+      error.forEach((e, i) => { if (open(i) && e < -2 && (pick < 0 || e < error[pick])) pick = i; });
+    }
+    if (pick < 0) break;
+
+    // Starting Q from where the deviation falls to half on either side
+    const half = error[pick] / 2;
+    let lo = pick;
+    let hi = pick;
+    while (lo > 0 && Math.sign(error[lo - 1] - half) === Math.sign(error[pick] - half)) lo--;
+    while (hi < fr.length - 1 && Math.sign(error[hi + 1] - half) === Math.sign(error[pick] - half)) hi++;
+    const bandwidth = Math.max(fr[hi].freq - fr[lo].freq, fr[pick].freq / 20);
+    const start = encode({
+      freq: fr[pick].freq,
+      gain: clamp(-error[pick], [maxCut, maxBoost]),
+      q: clamp(fr[pick].freq / bandwidth, [minQ, maxQ]),
+    });
+    const tuned = nelderMead(x => misfit([...filters, decodeBand(x, 0)]), start, { step: [0.1, 2, 0.3], maxIterations: 200 });
+    const candidate = [...filters, decodeBand(tuned.x, 0)];
+    const value = misfit(candidate);
+    if (current - value < 0.1) {
+      for (let i = lo; i <= hi; i++) tried[i] = true;
+      continue;
+    }
+    filters = candidate;
+    current = value;
+  }
+
+  if (filters.length > 1) {
+    const joint = nelderMead(x => misfit(decode(x)), filters.flatMap(encode), {
+      step: filters.flatMap(() => [0.05, 1, 0.15]),
+      maxIterations: 100 * filters.length,
+    });
+    if (misfit(decode(joint.x)) < current) filters = decode(joint.x);
+  }
+
+  filters = filters
+    .map(band => ({ freq: roundTo(band.freq, 1), gain: roundTo(band.gain, 1), q: roundTo(band.q, 2) }))
+    .filter(band => Math.abs(band.gain) >= 0.5)
+    .sort((a, b) => a.freq - b.freq);
+  return {
+    filters,
+    before: rms([]),
+    after: rms(filters),
+    nulls: fr.filter((p, i) => inRange[i] && isNull[i]).map(p => p.freq),
+  };
+};
+
+// ---- Export ----
+
+// RBJ cookbook peaking biquad, normalized to a0 = 1
+export const peakingBiquad = ({ freq, gain, q }, sampleRate) => {
+  const A = Math.pow(10, gain / 40);
+  const w0 = 2 * Math.PI * freq / sampleRate;
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = 1 + alpha / A;
+  return {
+    b0: (1 + alpha * A) / a0,
+    b1: (-2 * Math.cos(w0)) / a0,
+    b2: (1 - alpha * A) / a0,
+    a1: (-2 * Math.cos(w0)) / a0,
+    a2: (1 - alpha / A) / a0,
+  };
+};
+
+// Headroom for the largest boost of a channel's filters
+const calcPreamp = (filters) => {
+  let peak = 0;
+  for (let f = 10; f <= 20000; f *= 1.02) peak = Math.max(peak, eqGainAt(filters, f));
+  return -roundTo(peak, 1);
+};
+
+// Equalizer APO channel guessed from the speaker name, or null when it could be any
+const apoChannel = (channel) => {
+  if (channel.role === 'sub') return 'LFE';
+  const name = channel.name.toLowerCase();
+  if (name.includes('center')) return 'C';
+  if (name.includes('surround')) return name.includes('left') ? 'SL' : name.includes('right') ? 'SR' : null;
+  if (name.includes('left')) return 'L';
+  if (name.includes('right')) return 'R';
+  return null;
+};
+
+const fixed = (value, digits) => value.toFixed(digits);
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'channel';
+
+// Formats that address outputs list them (outputs) and may guess one per channel
+// (defaultOutput); format() then reads each channel's output, null when unassigned
+export const EQ_EXPORT_FORMATS = {
+  apo: {
+    name: 'Equalizer APO',
+    extension: 'txt',
+    outputs: ['L', 'R', 'C', 'LFE', 'SL', 'SR', 'RL', 'RR'],
+    defaultOutput: apoChannel,
+    // A channel without an output is left out: "Channel: all" would stack its
+    // filters on every other channel's
+    format: (channels) => channels.map(channel => channel.output === null ? `# ${channel.name}: no output chosen, not exported` : [
+      `# ${channel.name}`,
+      `Channel: ${channel.output}`,
+      `Preamp: ${fixed(calcPreamp(channel.filters), 1)} dB`,
+      ...channel.filters.map((band, i) =>
+        `Filter ${i + 1}: ON PK Fc ${fixed(band.freq, 1)} Hz Gain ${fixed(band.gain, 1)} dB Q ${fixed(band.q, 2)}`),
+    ].join('\n')).join('\n\n') + '\n',
+  },
+  minidsp: {
+    name: 'miniDSP biquads',
+    extension: 'txt',
+    // miniDSP's advanced biquad entry takes a1 and a2 with the opposite sign
+    format: (channels, sampleRate) => channels.map(channel => [
+      `# ${channel.name} (${sampleRate} Hz)`,
+      ...channel.filters.map((band, i) => {
+        const c = peakingBiquad(band, sampleRate);
+        return [`biquad${i + 1},`, `b0=${c.b0.toPrecision(15)},`, `b1=${c.b1.toPrecision(15)},`, `b2=${c.b2.toPrecision(15)},`,
+          `a1=${(-c.a1).toPrecision(15)},`, `a2=${(-c.a2).toPrecision(15)}${i < channel.filters.length - 1 ? ',' : ''}`].join('\n');
+      }),
+    ].join('\n')).join('\n\n') + '\n',
+  },
+  camilla: {
+    name: 'CamillaDSP YAML',
+    extension: 'yml',
+    outputs: [0, 1, 2, 3, 4, 5, 6, 7],
+    // A channel without an output gets a placeholder, so the file won't load until it is set
+    format: (channels) => {
+      const named = channels.map(channel => ({ ...channel, names: channel.filters.map((_, i) => `${slug(channel.name)}_peq${i + 1}`) }));
+      return [
+        'filters:',
+        ...named.flatMap(channel => channel.filters.flatMap((band, i) => [
+          `  ${channel.names[i]}:`,
+          '    type: Biquad',
+          '    parameters:',
+          '      type: Peaking',
+          `      freq: ${fixed(band.freq, 1)}`,
+          `      gain: ${fixed(band.gain, 1)}`,
+          `      q: ${fixed(band.q, 2)}`,
+        ])),
+        '',
+        'pipeline:',
+        ...named.filter(channel => channel.names.length > 0).flatMap(channel => [
+          `  - type: Filter  # ${channel.name}`,
+          channel.output === null
+            ? '    channels: [OUTPUT]  # replace with the index of the output this channel feeds'
+            : `    channels: [${channel.output}]`,
+          '    names:',
+          ...channel.names.map(name => `      - ${name}`),
+        ]),
+      ].join('\n') + '\n';
+    },
+  },
+  // REW's filter import reads a single equaliser, so this one is saved a file per channel
+  rew: {
+    name: 'REW filter settings',
+    extension: 'txt',
+    perChannel: true,
+    format: (channels) => channels.map(channel => [
+      'Filter Settings file',
+      '',
+      'Equaliser: Generic',
+      channel.name,
+      ...channel.filters.map((band, i) =>
+        `Filter ${String(i + 1).padStart(2)}: ON  PK       Fc ${fixed(band.freq, 2).padStart(8)} Hz  Gain ${fixed(band.gain, 2).padStart(6)} dB  Q ${fixed(band.q, 3).padStart(6)}`),
+    ].join('\n')).join('\n\n') + '\n',
+  },
+};
+
+// ============== AURALIZATION ==============
+
+// Impulse responses for listening to the model: the predicted room below the top
+// of the impulse band, and above it either nothing or the dry signal, since the
+// modal model says nothing about higher frequencies. The two halves meet in a
+// Linkwitz-Riley crossover at the band edge, the low half matched to the dry level
+// through the octave below it.
+export const AURALIZATION_DEFAULTS = { sampleRate: 48000, duration: 2, highBand: 'dry' };
+
+export const HIGH_BAND_OPTIONS = {
+  dry: { name: 'Dry (unprocessed)' },
+  mute: { name: 'Muted (bass only)' },
+};
+
+// Median level of a response across the octave below `split`
+const calcSplitLevel = ({ freqs, re, im }, split) => {
+  const levels = freqs
+    .map((f, i) => [f, Math.hypot(re[i], im[i])])
+    .filter(([f]) => f >= split / 2 && f <= split)
+    .map(([, level]) => level)
+    .sort((a, b) => a - b);
+  return levels[Math.floor(levels.length / 2)] || 1;
+};
+
+// Band-limited (windowed sinc) resampling of an impulse response to a higher rate,
+// scaled so its spectrum keeps its level
+const RESAMPLE_TAPS = 16;
+
+const upsample = ({ sampleRate: rateIn, samples }, rateOut, length) => {
+  const out = new Float32Array(length);
+  const ratio = rateIn / rateOut;
+  for (let n = 0; n < length; n++) {
+    const t = n * ratio;
+    const center = Math.floor(t);
+    let sum = 0;
+    for (let k = center - RESAMPLE_TAPS + 1; k <= center + RESAMPLE_TAPS; k++) {
+      if (k < 0 || k >= samples.length) continue;
+      const x = t - k;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 * (1 + Math.cos(Math.PI * x / RESAMPLE_TAPS));
+      sum += samples[k] * sinc * window;
+    }
+    out[n] = sum * ratio;
+  }
+  return out;
+};
+
+// RBJ cookbook high-pass biquad, normalized to a0 = 1
+const highPassBiquad = (freq, q, sampleRate) => {
+  const w0 = 2 * Math.PI * freq / sampleRate;
+  const alpha = Math.sin(w0) / (2 * q);
+  const cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+  return {
+    b0: (1 + cos) / 2 / a0,
+    b1: -(1 + cos) / a0,
+    b2: (1 + cos) / 2 / a0,
+    a1: (-2 * cos) / a0,
+    a2: (1 - alpha) / a0,
+  };
+};
+
+// Add an LR4 high-passed impulse at sample `start`
+const addHighPassImpulse = (samples, start, freq, sampleRate) => {
+  let signal = new Float64Array(samples.length - start);
+  signal[0] = 1;
+  [Math.SQRT1_2, Math.SQRT1_2].forEach(q => {
+    const { b0, b1, b2, a1, a2 } = highPassBiquad(freq, q, sampleRate);
+    const out = new Float64Array(signal.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    signal.forEach((x, n) => {
+      const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      out[n] = y;
+      [x2, x1, y2, y1] = [x1, x, y1, y];
+    });
+    signal = out;
+  });
+  signal.forEach((x, n) => { samples[start + n] += x; });
+};
+
+// Impulse response of the system at the listener for convolution at an audio
+// sample rate. The dry high band arrives with the nearest main speaker (the
+// nearest speaker if there are only subs). Layouts compared by ear should share
+// the first one's `reference` so their levels compare too.
+// Returns { sampleRate, samples (Float32Array), reference }.
+export const calcAuralizationIR = (speakers, listener, basis, settings, {
+  sampleRate = AURALIZATION_DEFAULTS.sampleRate,
+  duration = AURALIZATION_DEFAULTS.duration,
+  highBand = AURALIZATION_DEFAULTS.highBand,
+  reference,
+} = {}) => {
+  const split = IMPULSE_DEFAULTS.band[1];
+  const sources = toManagedSources(speakers, settings);
+  const spectrum = calcComplexResponse(sources, listener, basis);
+  const level = reference ?? calcSplitLevel(spectrum, split);
+  const length = Math.round(duration * sampleRate);
+  const samples = upsample(calcImpulseResponse(spectrum, { reference: level }), sampleRate, length);
+
+  const mains = sources.filter(src => getSpeakerRole(src) !== 'sub');
+  if (highBand === 'dry' && sources.length > 0) {
+    const arrival = Math.min(...(mains.length > 0 ? mains : sources).map(src =>
+      Math.hypot(listener.x - src.x, listener.y - src.y, listener.z - src.z) / basis.c + (src.channel?.delay || 0) / 1000));
+    addHighPassImpulse(samples, Math.min(length - 1, Math.round(arrival * sampleRate)), split, sampleRate);
+  }
+
+  // Fade out the last tenth so a truncated tail doesn't click
+  const fade = Math.round(length / 10);
+  for (let n = length - fade; n < length; n++) samples[n] *= 0.5 * (1 + Math.cos(Math.PI * (n - length + fade) / fade));
+  return { sampleRate, samples, reference: level };
+};
+
+// Built-in test tracks, synthesized at any sample rate as mono Float32Arrays
+// peaking at 0.5. Each loops cleanly.
+const BEAT_SECONDS = 0.5; // 120 bpm
+
+const synthesize = (duration, sampleRate, fn) => {
+  const out = Float32Array.from({ length: Math.round(duration * sampleRate) }, (_, n) => fn(n / sampleRate));
+  const peak = out.reduce((max, x) => Math.max(max, Math.abs(x)), 0) || 1;
+  return out.map(x => 0.5 * x / peak);
+};
+
+// Plucked-string note: a few harmonics under a fast attack and exponential decay,
+// released at the end of its beat
+const pluck = (freq, t, length) => {
+  if (t < 0 || t >= length) return 0;
+  const envelope = Math.min(1, t / 0.005) * Math.exp(-t / 0.3) * Math.min(1, (length - t) / 0.01);
+  return envelope * (Math.sin(2 * Math.PI * freq * t) + 0.5 * Math.sin(4 * Math.PI * freq * t) + 0.2 * Math.sin(6 * Math.PI * freq * t));
+};
+
+// Kick drum: a sine falling from 150 Hz toward 45 Hz
+const kick = (t) => {
+  if (t < 0 || t > 0.4) return 0;
+  const phase = 2 * Math.PI * (45 * t + (105 * 0.04) * (1 - Math.exp(-t / 0.04)));
+  return Math.min(1, t / 0.002) * Math.exp(-t / 0.12) * Math.sin(phase);
+};
+
+export const TEST_TRACKS = {
+  notes: {
+    name: 'Bass line (chromatic E1–E2 and back)',
+    generate: (sampleRate) => {
+      const notes = [...Array(13).keys(), ...Array.from({ length: 11 }, (_, i) => 11 - i)].map(k => 41.2 * 2 ** (k / 12));
+      return synthesize(notes.length * BEAT_SECONDS, sampleRate, t => {
+        const beat = Math.floor(t / BEAT_SECONDS);
+        return pluck(notes[beat], t - beat * BEAT_SECONDS, BEAT_SECONDS);
+      });
+    },
+  },
+  kick: {
+    name: 'Kick drum (120 bpm)',
+    generate: (sampleRate) => synthesize(8 * BEAT_SECONDS, sampleRate, t => kick(t % BEAT_SECONDS)),
+  },
+  sweep: {
+    name: 'Slow sweep (20–200 Hz)',
+    generate: (sampleRate) => {
+      const length = 10;
+      const rate = Math.log(10) / length;
+      return synthesize(length + 1, sampleRate, t => {
+        if (t >= length) return 0;
+        const edge = Math.min(1, t / 0.05, (length - t) / 0.05);
+        return edge * Math.sin(2 * Math.PI * 20 * (Math.exp(rate * t) - 1) / rate);
+      });
+    },
+  },
+};
+
+// Mono 32-bit float WAV file
+export const encodeWAV = (samples, sampleRate) => {
+  const view = new DataView(new ArrayBuffer(44 + 4 * samples.length));
+  const text = (offset, value) => [...value].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+  text(0, 'RIFF');
+  view.setUint32(4, 36 + 4 * samples.length, true);
+  text(8, 'WAVE');
+  text(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 3, true);   // IEEE float
+  view.setUint16(22, 1, true);   // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, 4 * sampleRate, true);
+  view.setUint16(32, 4, true);
+  view.setUint16(34, 32, true);
+  text(36, 'data');
+  view.setUint32(40, 4 * samples.length, true);
+  samples.forEach((x, i) => view.setFloat32(44 + 4 * i, x, true));
+  return view.buffer;
+};
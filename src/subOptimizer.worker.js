@@ -0,0 +1,102 @@
+// Subwoofer placement, listening-position and model-calibration optimizers, run off
+// the main thread.
+// The app splits a job across a few of these workers and merges their results.
+//
+// Message in:  { basis, seats, task }
+//              task: { kind: 'score', configs, keep, sub, settings }: score the given
+//                    configurations (see scoreSubConfig)
+//                    { kind: 'search', numSubs, room, roomShape, zones, method, spacing, keep,
+//                    sub, settings }: search for positions (see searchSubPositions)
+//                    { kind: 'sweep', speakers, settings, points }: score each point as
+//                    the listening position for the current speakers
+//                    { kind: 'calibrate', measurements, model }: fit the model to
+//                    measurements (see calibrateModel)
+// Message out: { type: 'progress', fraction, evaluated, configs } while running,
+//              { type: 'done', evaluated, configs } or { error }
+//              configs are the best `keep` so far, each with its score, best first;
+//              sweeps report points (each with its score) instead of configs, and
+//              calibrations the fit
+
+import { calibrateModel, isInsideRoom, scoreListeningPosition, scoreSubConfig, searchSubPositions } from './acoustics.js';
+
+// Partial results are posted at most this often (ms)
+const PROGRESS_INTERVAL = 250;
+// Configurations scored for each partial search result (scoring is the slow part)
+const PARTIAL_SEARCH_COUNT = 5;
+
+const byScore = (a, b) => b.score.overall - a.score.overall;
+
+const scoreConfigs = ({ configs, keep, sub, settings }, basis, seats, post) => {
+  const top = [];
+  let lastPost = Date.now();
+  configs.forEach((config, i) => {
+    top.push({ ...config, score: scoreSubConfig(config.positions, basis, seats, { sub, settings }) });
+    top.sort(byScore);
+    if (top.length > keep) top.pop();
+    if (Date.now() - lastPost > PROGRESS_INTERVAL) {
+      lastPost = Date.now();
+      post({ type: 'progress', fraction: (i + 1) / configs.length, evaluated: i + 1, configs: top });
+    }
+  });
+  return { evaluated: configs.length, configs: top };
+};
+
+const search = (task, basis, seats, post) => {
+  const { numSubs, room, roomShape, zones, method, spacing, keep, sub, settings } = task;
+  const scoreAll = (configs) => configs.map(config => ({ ...config, score: scoreSubConfig(config.positions, basis, seats, { sub, settings }) })).sort(byScore);
+  let lastPost = Date.now();
+  const result = searchSubPositions(numSubs, basis, seats, {
+    room,
+    zones,
+    isInside: pos => isInsideRoom(pos, room, roomShape),
+    method,
+    spacing,
+    keep,
+    sub,
+    settings,
+    onProgress: (fraction, partial) => {
+      if (Date.now() - lastPost < PROGRESS_INTERVAL) return;
+      const { configs, totalEvaluated } = partial();
+      post({ type: 'progress', fraction, evaluated: totalEvaluated, configs: scoreAll(configs.slice(0, PARTIAL_SEARCH_COUNT)) });
+      lastPost = Date.now();
+    },
+  });
+  return { evaluated: result.totalEvaluated, configs: scoreAll(result.configs) };
+};
+
+const sweep = ({ speakers, settings, points }, basis, seats, post) => {
+  let lastPost = Date.now();
+  const scored = points.map((point, i) => {
+    if (Date.now() - lastPost > PROGRESS_INTERVAL) {
+      lastPost = Date.now();
+      post({ type: 'progress', fraction: i / points.length, evaluated: i });
+    }
+    return { ...point, score: scoreListeningPosition(speakers, point, basis, settings) };
+  });
+  return { evaluated: points.length, points: scored };
+};
+
+const calibrate = ({ measurements, model }, basis, seats, post) => {
+  let lastPost = Date.now();
+  const fit = calibrateModel(measurements, model, {
+    onProgress: (fraction, evaluated) => {
+      if (Date.now() - lastPost < PROGRESS_INTERVAL) return;
+      lastPost = Date.now();
+      post({ type: 'progress', fraction, evaluated });
+    },
+  });
+  return { evaluated: fit.evaluated, fit };
+};
+
+const TASKS = { score: scoreConfigs, search, sweep, calibrate };
+
+self.onmessage = (event) => {
+  const { basis, seats, task } = event.data;
+  const post = (message) => self.postMessage(message);
+  try {
+    const result = TASKS[task.kind](task, basis, seats, post);
+    post({ type: 'done', ...result });
+  } catch (e) {
+    post({ error: e.message });
+  }
+};
@@ -0,0 +1,281 @@
+// Low-frequency wave solver for non-rectangular rooms.
+//
+// The room is voxelized on a regular grid (the main thread sends the grid and a
+// mask of cells inside the room). A finite-volume Laplacian with rigid walls at
+// the cell faces gives the sparse symmetric eigenproblem -∇²ψ = k²ψ, solved for
+// its lowest eigenpairs by shift-invert Lanczos with conjugate-gradient solves.
+//
+// Message in:  { grid: { nx, ny, nz, hx, hy, hz }, active: Uint8Array, blocked?: Uint8Array,
+//               maxFreq, speedOfSound }
+//              blocked marks rigid walls between two active cells (bit 1: +x face,
+//              bit 2: +y face, bit 4: +z face), e.g. a shared wall around an opening.
+// Message out: { modes: [{ freq, fraction: [x, y, z], shape: Float32Array }], cellCount }
+//              or { error }
+
+// Build neighbor lists for the active cells (6-connected, minus blocked faces)
+const buildOperator = (grid, active, blocked) => {
+  const { nx, ny, nz, hx, hy, hz } = grid;
+  const cellIndex = new Int32Array(nx * ny * nz).fill(-1);
+  const cells = [];
+  for (let i = 0; i < active.length; i++) {
+    if (active[i]) {
+      cellIndex[i] = cells.length;
+      cells.push(i);
+    }
+  }
+
+  const n = cells.length;
+  const weights = [1 / (hx * hx), 1 / (hy * hy), 1 / (hz * hz)];
+  const neighbors = [];   // [cell, neighbor, axis] for each neighbor pair (both directions)
+  const diagonal = new Float64Array(n);
+
+  cells.forEach((flat, c) => {
+    const ix = flat % nx;
+    const iy = Math.floor(flat / nx) % ny;
+    const iz = Math.floor(flat / (nx * ny));
+    const isBlocked = (from, bit) => blocked ? (blocked[from] & bit) !== 0 : false;
+    const candidates = [
+      [ix > 0 && !isBlocked(flat - 1, 1), flat - 1, 0],
+      [ix < nx - 1 && !isBlocked(flat, 1), flat + 1, 0],
+      [iy > 0 && !isBlocked(flat - nx, 2), flat - nx, 1],
+      [iy < ny - 1 && !isBlocked(flat, 2), flat + nx, 1],
+      [iz > 0 && !isBlocked(flat - nx * ny, 4), flat - nx * ny, 2],
+      [iz < nz - 1 && !isBlocked(flat, 4), flat + nx * ny, 2],
+    ];
+    candidates.forEach(([connected, other, axis]) => {
+      if (!connected || cellIndex[other] < 0) return;
+      neighbors.push(c, cellIndex[other], axis);
+      diagonal[c] += weights[axis];
+    });
+  });
+
+  return { n, cells, neighbors: Int32Array.from(neighbors), diagonal, weights };
+};
+
+// y = (A + σI) x, where A = -∇² (positive semi-definite)
+const applyShifted = (op, sigma, x, y) => {
+  const { n, neighbors, diagonal, weights } = op;
+  for (let i = 0; i < n; i++) y[i] = (diagonal[i] + sigma) * x[i];
+  for (let k = 0; k < neighbors.length; k += 3) {
+    y[neighbors[k]] -= weights[neighbors[k + 2]] * x[neighbors[k + 1]];
+  }
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+// Jacobi-preconditioned conjugate gradient for (A + σI) x = b
+const solveShifted = (op, sigma, b, tolerance = 1e-7, maxIterations = 2000) => {
+  const n = op.n;
+  const x = new Float64Array(n);
+  const r = Float64Array.from(b);
+  const z = new Float64Array(n);
+  const p = new Float64Array(n);
+  const q = new Float64Array(n);
+  for (let i = 0; i < n; i++) z[i] = r[i] / (op.diagonal[i] + sigma);
+  p.set(z);
+  let rz = dot(r, z);
+  const bNorm = Math.sqrt(dot(b, b)) || 1;
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    applyShifted(op, sigma, p, q);
+    const alpha = rz / dot(p, q);
+    for (let i = 0; i < n; i++) {
+      x[i] += alpha * p[i];
+      r[i] -= alpha * q[i];
+    }
+    if (Math.sqrt(dot(r, r)) < tolerance * bNorm) break;
+    for (let i = 0; i < n; i++) z[i] = r[i] / (op.diagonal[i] + sigma);
+    const rzNext = dot(r, z);
+    const beta = rzNext / rz;
+    rz = rzNext;
+    for (let i = 0; i < n; i++) p[i] = z[i] + beta * p[i];
+  }
+  return x;
+};
+
+// Eigen-decomposition of a symmetric tridiagonal matrix (implicit QL).
+// d: diagonal (overwritten with eigenvalues), e: sub-diagonal, z: identity in,
+// eigenvectors out (column-major, z[k * size + i] is component k of vector i).
+const tridiagonalEigen = (d, e, z) => {
+  const size = d.length;
+  for (let i = 1; i < size; i++) e[i - 1] = e[i];
+  e[size - 1] = 0;
+  for (let l = 0; l < size; l++) {
+    let iter = 0;
+    let m;
+    do {
+      for (m = l; m < size - 1; m++) {
+        const dd = Math.abs(d[m]) + Math.abs(d[m + 1]);
+        if (Math.abs(e[m]) <= Number.EPSILON * dd) break;
+      }
+      if (m !== l) {
+        if (iter++ === 60) break;
+        let g = (d[l + 1] - d[l]) / (2 * e[l]);
+        let r = Math.hypot(g, 1);
+        g = d[m] - d[l] + e[l] / (g + (g >= 0 ? Math.abs(r) : -Math.abs(r)));
+        let s = 1;
+        let c = 1;
+        let p = 0;
+        let i;
+        for (i = m - 1; i >= l; i--) {
+          let f = s * e[i];
+          const b = c * e[i];
+          r = Math.hypot(f, g);
+          e[i + 1] = r;
+          if (r === 0) {
+            d[i + 1] -= p;
+            e[m] = 0;
+            break;
+          }
+          s = f / r;
+          c = g / r;
+          g = d[i + 1] - p;
+          r = (d[i] - g) * s + 2 * c * b;
+          p = s * r;
+          d[i + 1] = g + p;
+          g = c * r - b;
+          for (let k = 0; k < size; k++) {
+            f = z[k * size + i + 1];
+            z[k * size + i + 1] = s * z[k * size + i] + c * f;
+            z[k * size + i] = c * z[k * size + i] - s * f;
+          }
+        }
+        if (r === 0 && i >= l) continue;
+        d[l] -= p;
+        e[l] = g;
+        e[m] = 0;
+      }
+    } while (m !== l);
+  }
+};
+
+// Lowest eigenpairs of A by Lanczos on (A + σI)⁻¹ with full reorthogonalization.
+// Ritz pairs that have not converged (large residual) are dropped.
+const lowestEigenpairs = (op, count, sigma) => {
+  const n = op.n;
+  const steps = Math.min(n, Math.ceil(1.5 * count) + 30);
+  const basis = [];
+  const alpha = new Float64Array(steps);
+  const beta = new Float64Array(steps);
+
+  // Deterministic start vector with components in every mode
+  let v = new Float64Array(n);
+  for (let i = 0; i < n; i++) v[i] = 1 + 0.5 * Math.sin(12.9898 * i) + 0.25 * Math.cos(78.233 * i);
+  let norm = Math.sqrt(dot(v, v));
+  for (let i = 0; i < n; i++) v[i] /= norm;
+
+  let used = 0;
+  for (let j = 0; j < steps; j++) {
+    basis.push(v);
+    const w = solveShifted(op, sigma, v);
+    alpha[j] = dot(w, v);
+    // Full reorthogonalization (twice for stability)
+    for (let pass = 0; pass < 2; pass++) {
+      basis.forEach(b => {
+        const proj = dot(w, b);
+        for (let i = 0; i < n; i++) w[i] -= proj * b[i];
+      });
+    }
+    used = j + 1;
+    norm = Math.sqrt(dot(w, w));
+    if (norm < 1e-12 || j === steps - 1) break;
+    beta[j + 1] = norm;
+    v = new Float64Array(n);
+    for (let i = 0; i < n; i++) v[i] = w[i] / norm;
+  }
+
+  const d = alpha.slice(0, used);
+  const e = beta.slice(0, used);
+  const z = new Float64Array(used * used);
+  for (let i = 0; i < used; i++) z[i * used + i] = 1;
+  tridiagonalEigen(d, e, z);
+
+  // Largest eigenvalues of the inverse are the smallest of A
+  const order = Array.from(d.keys())
+    .filter(k => Math.abs(norm * z[(used - 1) * used + k]) < 1e-4 * Math.abs(d[k]))
+    .sort((a, b) => d[b] - d[a])
+    .slice(0, count);
+  return order.map(k => {
+    const vector = new Float64Array(n);
+    for (let j = 0; j < used; j++) {
+      const coeff = z[j * used + k];
+      const b = basis[j];
+      for (let i = 0; i < n; i++) vector[i] += coeff * b[i];
+    }
+    return { eigenvalue: 1 / d[k] - sigma, vector };
+  });
+};
+
+// Share of the mode's gradient energy along each axis
+const gradientFractions = (op, vector) => {
+  const energy = [0, 0, 0];
+  const { neighbors, weights } = op;
+  for (let k = 0; k < neighbors.length; k += 3) {
+    const diff = vector[neighbors[k]] - vector[neighbors[k + 1]];
+    energy[neighbors[k + 2]] += weights[neighbors[k + 2]] * diff * diff;
+  }
+  const total = energy[0] + energy[1] + energy[2] || 1;
+  return energy.map(x => x / total);
+};
+
+// Undo the grid's numerical dispersion: on a uniform grid a wave with wavenumber
+// k along an axis has discrete eigenvalue (2 − 2cos(kh)) / h²
+const correctDispersion = (eigenvalue, fractions, grid) => {
+  const h = [grid.hx, grid.hy, grid.hz];
+  return fractions.reduce((sum, fraction, axis) => {
+    const discrete = Math.max(0, eigenvalue * fraction);
+    const arg = Math.min(1, h[axis] * Math.sqrt(discrete) / 2);
+    const k = 2 * Math.asin(arg) / h[axis];
+    return sum + k * k;
+  }, 0);
+};
+
+// Weyl estimate of how many modes lie below maxFreq, with headroom
+const estimateModeCount = (grid, cellCount, maxFreq, c) => {
+  const volume = cellCount * grid.hx * grid.hy * grid.hz;
+  const k = 2 * Math.PI * maxFreq / c;
+  return Math.ceil(1.3 * (volume * k ** 3 / (6 * Math.PI ** 2) + 0.4 * volume ** (2 / 3) * k ** 2 / Math.PI + 4));
+};
+
+const solve = ({ grid, active, blocked, maxFreq, speedOfSound }) => {
+  const op = buildOperator(grid, active, blocked);
+  if (op.n < 8) throw new Error('Room shape has too few cells to solve');
+
+  // Solve a little past maxFreq so the top of the band has converged
+  const count = Math.min(op.n - 1, estimateModeCount(grid, op.n, 1.15 * maxFreq, speedOfSound), 300);
+  // Shift into the band of interest: cheaper CG solves than a shift near zero
+  const sigma = (2 * Math.PI * 0.3 * maxFreq / speedOfSound) ** 2;
+  const pairs = lowestEigenpairs(op, count, sigma);
+
+  const modes = [];
+  pairs.forEach(({ eigenvalue, vector }) => {
+    if (eigenvalue < 1e-6) return; // uniform pressure mode
+    const fractions = gradientFractions(op, vector);
+    const k2 = correctDispersion(eigenvalue, fractions, grid);
+    const freq = speedOfSound * Math.sqrt(k2) / (2 * Math.PI);
+    if (freq > maxFreq) return;
+
+    // Normalize so the largest antinode is +1, on the full grid (0 outside the room)
+    let peak = 0;
+    vector.forEach(x => { if (Math.abs(x) > Math.abs(peak)) peak = x; });
+    const shape = new Float32Array(active.length);
+    op.cells.forEach((flat, c) => { shape[flat] = vector[c] / peak; });
+    modes.push({ freq, fraction: fractions, shape });
+  });
+
+  modes.sort((a, b) => a.freq - b.freq);
+  return { modes, cellCount: op.n };
+};
+
+self.onmessage = (event) => {
+  try {
+    const result = solve(event.data);
+    self.postMessage(result, result.modes.map(m => m.shape.buffer));
+  } catch (e) {
+    self.postMessage({ error: e.message });
+  }
+};